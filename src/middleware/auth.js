@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const apiKeyService = require('../services/apiKeyService');
+
+/**
+ * Paths under /api/slip that stay reachable without an API key
+ */
+const PUBLIC_PATHS = ['/health'];
+
+/**
+ * Example admin tokens from the documentation, never accepted as real tokens
+ */
+const PLACEHOLDER_ADMIN_TOKENS = ['change-me-admin'];
+
+/**
+ * Check whether a usable admin token is configured
+ * @returns {boolean} True if ADMIN_TOKEN is set to something other than a placeholder
+ */
+function isAdminEnabled() {
+  const adminToken = (process.env.ADMIN_TOKEN || '').trim();
+  return adminToken !== '' && !PLACEHOLDER_ADMIN_TOKENS.includes(adminToken);
+}
+
+/**
+ * Read the API key from the request
+ * Accepts either the X-API-Key header or "Authorization: Bearer <key>"
+ * @param {object} req - Express request
+ * @returns {string|null} API key or null if none was sent
+ */
+function extractApiKey(req) {
+  const headerKey = req.get('X-API-Key');
+  if (headerKey) {
+    return headerKey.trim();
+  }
+
+  const authorization = req.get('Authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Require a valid API key
+ * Sets req.apiKey to the authenticated key record (with its tenant settings).
+ * Authentication can be switched off for local development with
+ * API_AUTH_ENABLED=false.
+ */
+function requireApiKey(req, res, next) {
+  if (process.env.API_AUTH_ENABLED === 'false' || PUBLIC_PATHS.includes(req.path)) {
+    return next();
+  }
+
+  const apiKey = extractApiKey(req);
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      error: 'API key required',
+      message: 'Send your key in the X-API-Key header or as "Authorization: Bearer <key>"'
+    });
+  }
+
+  const key = apiKeyService.authenticate(apiKey);
+  if (!key) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or revoked API key'
+    });
+  }
+
+  req.apiKey = key;
+  next();
+}
+
+/**
+ * Require the admin token (ADMIN_TOKEN) for key management
+ * The admin API is disabled entirely while no token is configured, or while
+ * it is still the placeholder from .env.example.
+ */
+function requireAdmin(req, res, next) {
+  if (!isAdminEnabled()) {
+    return res.status(503).json({
+      success: false,
+      error: 'Admin API is disabled',
+      message: 'Set ADMIN_TOKEN to a secret of your own to enable it'
+    });
+  }
+
+  const adminToken = process.env.ADMIN_TOKEN.trim();
+
+  const provided = extractApiKey(req) || '';
+  const expectedHash = crypto.createHash('sha256').update(adminToken).digest();
+  const providedHash = crypto.createHash('sha256').update(provided).digest();
+
+  if (!crypto.timingSafeEqual(expectedHash, providedHash)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid admin token'
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  extractApiKey,
+  isAdminEnabled,
+  requireApiKey,
+  requireAdmin
+};
@@ -0,0 +1,161 @@
+const rateLimitService = require('../services/rateLimitService');
+
+/**
+ * Paths under /api/slip that are never rate limited
+ */
+const EXEMPT_PATHS = ['/health'];
+
+/**
+ * Subjects a request is counted against
+ * The API key (when authenticated) and the client IP are limited
+ * independently, so a leaked key cannot be used from everywhere at full
+ * speed and one IP cannot hop between keys
+ * @param {object} req - Express request
+ * @returns {Array<string>} Subject keys, most specific first
+ */
+function getSubjects(req) {
+  const subjects = [];
+  if (req.apiKey) {
+    subjects.push(`key:${req.apiKey.id}`);
+  }
+  subjects.push(`ip:${req.ip}`);
+  return subjects;
+}
+
+/**
+ * Set the X-RateLimit-* headers from a consume result
+ * @param {object} res - Express response
+ * @param {object} usage - Result of rateLimitService.consume
+ */
+function setRateLimitHeaders(res, usage) {
+  res.set('X-RateLimit-Limit', String(usage.rate.limit));
+  res.set('X-RateLimit-Remaining', String(usage.rate.remaining));
+  res.set('X-RateLimit-Reset', String(Math.ceil(new Date(usage.rate.resetAt).getTime() / 1000)));
+
+  if (usage.daily.limit) {
+    res.set('X-RateLimit-Daily-Limit', String(usage.daily.limit));
+    res.set('X-RateLimit-Daily-Remaining', String(usage.daily.remaining));
+  }
+  if (usage.monthly.limit) {
+    res.set('X-RateLimit-Monthly-Limit', String(usage.monthly.limit));
+    res.set('X-RateLimit-Monthly-Remaining', String(usage.monthly.remaining));
+  }
+}
+
+/**
+ * Charge a request against subjects, stopping at the first one over its limit
+ * @param {object} res - Express response (gets the X-RateLimit-* headers or the 429)
+ * @param {Array<string>} subjects - Subject keys, most specific first
+ * @param {number} cost - Number of requests to charge
+ * @returns {Promise<boolean>} true when allowed, false when a 429 was sent
+ */
+async function charge(res, subjects, cost) {
+  const results = [];
+  for (const subject of subjects) {
+    const usage = await rateLimitService.consume(subject, cost);
+    results.push(usage);
+    if (!usage.allowed) {
+      break;
+    }
+  }
+
+  // Headers describe the most specific subject (the API key when present)
+  setRateLimitHeaders(res, results[0]);
+
+  const rejected = results.find(usage => !usage.allowed);
+  if (rejected) {
+    const messages = {
+      RATE_LIMITED: 'Rate limit exceeded, please slow down',
+      DAILY_QUOTA_EXCEEDED: 'Daily request quota exceeded',
+      MONTHLY_QUOTA_EXCEEDED: 'Monthly request quota exceeded'
+    };
+
+    res.set('Retry-After', String(rejected.retryAfter));
+    res.status(429).json({
+      success: false,
+      error: messages[rejected.code],
+      code: rejected.code,
+      retryAfter: rejected.retryAfter
+    });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Whether rate limiting applies to a request
+ * @param {object} req - Express request
+ * @returns {boolean} true when the request is counted
+ */
+function isLimited(req) {
+  return process.env.RATE_LIMIT_ENABLED !== 'false' && !EXEMPT_PATHS.includes(req.path);
+}
+
+/**
+ * Build a middleware charging one request against the subjects of a request
+ * A broken rate limit backend should not take the whole API down, so
+ * errors let the request through
+ * @param {Function} subjectsOf - (req) => Array<string> of subject keys
+ * @returns {Function} Express middleware
+ */
+function limitBy(subjectsOf) {
+  return async (req, res, next) => {
+    const subjects = isLimited(req) ? subjectsOf(req) : [];
+    if (subjects.length === 0) {
+      return next();
+    }
+
+    try {
+      if (await charge(res, subjects, 1)) {
+        next();
+      }
+    } catch (error) {
+      console.error('Rate limiter error:', error);
+      next();
+    }
+  };
+}
+
+/**
+ * Enforce the client IP limits
+ * Must run before requireApiKey, so requests with a missing or wrong key
+ * are counted too and keys cannot be guessed at full speed.
+ * Can be switched off with RATE_LIMIT_ENABLED=false.
+ */
+const ipRateLimiter = limitBy(req => [`ip:${req.ip}`]);
+
+/**
+ * Enforce the API key limits
+ * Must run after requireApiKey so requests are counted against their key.
+ * Can be switched off with RATE_LIMIT_ENABLED=false.
+ */
+const rateLimiter = limitBy(req => getSubjects(req).filter(subject => subject.startsWith('key:')));
+
+/**
+ * Charge the slips of a batch or multi-page request beyond the one request
+ * already counted by the middlewares, so every slip sent to OCR is paid for
+ * @param {object} req - Express request
+ * @param {object} res - Express response (gets the 429 when over a limit)
+ * @param {number} slipCount - Number of slips the request will process
+ * @returns {Promise<boolean>} true when allowed, false when a 429 was sent
+ */
+async function chargeSlips(req, res, slipCount) {
+  if (slipCount <= 1 || !isLimited(req)) {
+    return true;
+  }
+
+  try {
+    return await charge(res, getSubjects(req), slipCount - 1);
+  } catch (error) {
+    console.error('Rate limiter error:', error);
+    return true;
+  }
+}
+
+module.exports = {
+  getSubjects,
+  ipRateLimiter,
+  rateLimiter,
+  chargeSlips
+};
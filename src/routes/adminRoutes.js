@@ -0,0 +1,474 @@
+const express = require('express');
+const multer = require('multer');
+const apiKeyService = require('../services/apiKeyService');
+const rateLimitService = require('../services/rateLimitService');
+const pendingOrderService = require('../services/pendingOrderService');
+const statementLedger = require('../services/statementLedger');
+const reconciliationService = require('../services/reconciliationService');
+const senderListService = require('../services/senderListService');
+
+const router = express.Router();
+
+// Statement exports are small text files - the content is checked by the parser, not the MIME type
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024
+  }
+});
+
+/**
+ * Send an error response for a failed admin request
+ * Validation errors from the admin services carry statusCode 400
+ * @param {object} res - Express response
+ * @param {Error} error - The error
+ */
+function sendAdminError(res, error) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message: error.message
+  });
+}
+
+/**
+ * Read the tenant a statement request is for
+ * @param {string} apiKeyId - API key ID from the request (optional)
+ * @returns {string|null} The API key ID, or null for statements imported without one
+ * @throws {Error} With statusCode 400 when the API key does not exist
+ */
+function statementOwner(apiKeyId) {
+  if (!apiKeyId) {
+    return null;
+  }
+  if (!apiKeyService.getKey(apiKeyId)) {
+    const error = new Error(`API key ${apiKeyId} not found`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return apiKeyId;
+}
+
+/**
+ * POST /api/admin/keys
+ * Issue a new API key
+ * Body: { name, settings: { expectedRecipient, minScore, allowedBanks } }
+ * The plain key is only returned in this response
+ */
+router.post('/keys', (req, res) => {
+  try {
+    const key = apiKeyService.createKey({
+      name: req.body.name,
+      settings: req.body.settings
+    });
+
+    res.status(201).json({
+      success: true,
+      key: key,
+      message: 'Store the apiKey now - it cannot be shown again'
+    });
+
+  } catch (error) {
+    console.error('API key creation error:', error);
+    sendAdminError(res, error);
+  }
+});
+
+/**
+ * GET /api/admin/keys
+ * List all API keys
+ */
+router.get('/keys', (req, res) => {
+  res.json({
+    success: true,
+    keys: apiKeyService.listKeys()
+  });
+});
+
+/**
+ * GET /api/admin/keys/:id
+ * Get a single API key
+ */
+router.get('/keys/:id', (req, res) => {
+  const key = apiKeyService.getKey(req.params.id);
+
+  if (!key) {
+    return res.status(404).json({
+      success: false,
+      error: 'API key not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    key: key
+  });
+});
+
+/**
+ * GET /api/admin/keys/:id/usage
+ * Rate limit and quota usage of an API key
+ */
+router.get('/keys/:id/usage', async (req, res) => {
+  try {
+    const key = apiKeyService.getKey(req.params.id);
+
+    if (!key) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      key: key,
+      usage: await rateLimitService.getUsage(`key:${key.id}`)
+    });
+
+  } catch (error) {
+    console.error('API key usage error:', error);
+    sendAdminError(res, error);
+  }
+});
+
+/**
+ * PUT /api/admin/keys/:id/settings
+ * Replace the tenant settings of an API key
+ */
+router.put('/keys/:id/settings', (req, res) => {
+  try {
+    const key = apiKeyService.updateSettings(req.params.id, req.body);
+
+    if (!key) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      key: key
+    });
+
+  } catch (error) {
+    console.error('API key update error:', error);
+    sendAdminError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/admin/keys/:id
+ * Revoke an API key
+ */
+router.delete('/keys/:id', (req, res) => {
+  try {
+    const key = apiKeyService.revokeKey(req.params.id);
+
+    if (!key) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      key: key
+    });
+
+  } catch (error) {
+    console.error('API key revocation error:', error);
+    sendAdminError(res, error);
+  }
+});
+
+/**
+ * GET /api/admin/pending-orders
+ * List the amounts LINE chat users still have to pay
+ */
+router.get('/pending-orders', (req, res) => {
+  res.json({
+    success: true,
+    orders: pendingOrderService.listOrders()
+  });
+});
+
+/**
+ * GET /api/admin/pending-orders/:userId
+ * Get the pending order of a LINE user
+ */
+router.get('/pending-orders/:userId', (req, res) => {
+  const order = pendingOrderService.getOrder(req.params.userId);
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      error: 'Pending order not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    order: order
+  });
+});
+
+/**
+ * PUT /api/admin/pending-orders/:userId
+ * Create or replace the pending order of a LINE user
+ * Body: { amount, recipient, reference }
+ */
+router.put('/pending-orders/:userId', (req, res) => {
+  try {
+    const order = pendingOrderService.setOrder(req.params.userId, req.body);
+
+    res.json({
+      success: true,
+      order: order
+    });
+
+  } catch (error) {
+    console.error('Pending order update error:', error);
+    sendAdminError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/admin/pending-orders/:userId
+ * Cancel the pending order of a LINE user
+ */
+router.delete('/pending-orders/:userId', (req, res) => {
+  try {
+    const order = pendingOrderService.removeOrder(req.params.userId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pending order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      order: order
+    });
+
+  } catch (error) {
+    console.error('Pending order removal error:', error);
+    sendAdminError(res, error);
+  }
+});
+
+/**
+ * POST /api/admin/statements/import
+ * Import a KBank account statement export into the ledger
+ * Multipart: statement file, plus optional format / periodFrom / periodTo / apiKeyId fields
+ * JSON: { content, fileName, format, periodFrom, periodTo, apiKeyId }
+ * format is "csv", "fixed" or "auto" (default)
+ * apiKeyId is the tenant whose account the statement is - only that key's slips are matched against it
+ */
+router.post('/statements/import', statementUpload.single('statement'), (req, res) => {
+  try {
+    const content = req.file ? req.file.buffer : req.body.content;
+    if (!content) {
+      return res.status(400).json({
+        success: false,
+        error: 'No statement provided (send a "statement" file or content)'
+      });
+    }
+
+    const statementImport = statementLedger.importStatement(content, {
+      fileName: req.file ? req.file.originalname : req.body.fileName,
+      format: req.body.format,
+      periodFrom: req.body.periodFrom,
+      periodTo: req.body.periodTo,
+      apiKeyId: statementOwner(req.body.apiKeyId)
+    });
+
+    res.status(201).json({
+      success: true,
+      import: statementImport
+    });
+
+  } catch (error) {
+    console.error('Statement import error:', error);
+    sendAdminError(res, error);
+  }
+});
+
+/**
+ * GET /api/admin/statements
+ * List the statement imports of a tenant and the credits booked in a period
+ * Query: from, to (ISO 8601, optional), apiKeyId (default: statements imported without one)
+ */
+router.get('/statements', (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from).getTime() : null;
+    const to = req.query.to ? new Date(req.query.to).getTime() : null;
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be ISO 8601 date/times'
+      });
+    }
+
+    const apiKeyId = statementOwner(req.query.apiKeyId);
+    res.json({
+      success: true,
+      imports: statementLedger.listImports(apiKeyId),
+      credits: statementLedger.listCredits(from, to, apiKeyId)
+    });
+
+  } catch (error) {
+    console.error('Statement listing error:', error);
+    sendAdminError(res, error);
+  }
+});
+
+/**
+ * GET /api/admin/reconciliation
+ * Credits without a slip and accepted slips without a credit
+ * Query: from, to (ISO 8601, default: period of the imported statements),
+ * apiKeyId (default: statements imported without one)
+ * Read only - newMatches lists the slips that would claim a credit
+ */
+router.get('/reconciliation', (req, res) => {
+  try {
+    const report = reconciliationService.reconcile({
+      from: req.query.from,
+      to: req.query.to,
+      apiKeyId: statementOwner(req.query.apiKeyId)
+    });
+
+    res.json({
+      success: true,
+      ...report
+    });
+
+  } catch (error) {
+    console.error('Reconciliation error:', error);
+    sendAdminError(res, error);
+  }
+});
+
+/**
+ * POST /api/admin/reconciliation
+ * Reconcile a period and claim the credits of the new matches
+ * Body: { from, to, apiKeyId } (same as the GET query)
+ */
+router.post('/reconciliation', (req, res) => {
+  try {
+    const report = reconciliationService.reconcile({
+      from: req.body.from,
+      to: req.body.to,
+      apiKeyId: statementOwner(req.body.apiKeyId),
+      claim: true
+    });
+
+    res.json({
+      success: true,
+      ...report
+    });
+
+  } catch (error) {
+    console.error('Reconciliation error:', error);
+    sendAdminError(res, error);
+  }
+});
+
+/**
+ * GET /api/admin/sender-lists
+ * List the allow and block list entries
+ * Query: list ("allow" or "block", default both)
+ */
+router.get('/sender-lists', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      entries: senderListService.listEntries(req.query.list)
+    });
+
+  } catch (error) {
+    console.error('Sender list error:', error);
+    sendAdminError(res, error);
+  }
+});
+
+/**
+ * POST /api/admin/sender-lists
+ * Add a sender to the allow or block list
+ * Body: { list, name, account, reason, policy }
+ * policy (allow list only) is a partial scoring policy applied to that sender's slips
+ */
+router.post('/sender-lists', (req, res) => {
+  try {
+    const entry = senderListService.addEntry(req.body);
+
+    res.status(201).json({
+      success: true,
+      entry: entry
+    });
+
+  } catch (error) {
+    console.error('Sender list entry creation error:', error);
+    sendAdminError(res, error);
+  }
+});
+
+/**
+ * GET /api/admin/sender-lists/:id
+ * Get a single sender list entry
+ */
+router.get('/sender-lists/:id', (req, res) => {
+  const entry = senderListService.getEntry(req.params.id);
+
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      error: 'Sender list entry not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    entry: entry
+  });
+});
+
+/**
+ * DELETE /api/admin/sender-lists/:id
+ * Remove a sender from its list
+ */
+router.delete('/sender-lists/:id', (req, res) => {
+  try {
+    const entry = senderListService.removeEntry(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sender list entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      entry: entry
+    });
+
+  } catch (error) {
+    console.error('Sender list entry removal error:', error);
+    sendAdminError(res, error);
+  }
+});
+
+module.exports = router;
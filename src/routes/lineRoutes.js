@@ -0,0 +1,48 @@
+const express = require('express');
+const lineService = require('../services/lineService');
+
+const router = express.Router();
+
+/**
+ * POST /webhooks/line
+ * LINE Messaging API webhook
+ * The signature covers the exact request bytes, so the body is read raw here
+ * instead of by the global JSON parser. LINE expects a quick 200 - slips are
+ * verified after responding and the verdict goes out as a reply message
+ */
+router.post('/line', express.raw({ type: '*/*', limit: '1mb' }), (req, res) => {
+  if (!lineService.isConfigured()) {
+    return res.status(503).json({
+      success: false,
+      error: 'LINE webhook is not configured (LINE_CHANNEL_SECRET, LINE_CHANNEL_ACCESS_TOKEN)'
+    });
+  }
+
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  if (!lineService.verifySignature(rawBody, req.get('X-Line-Signature'))) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid LINE signature'
+    });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid request body',
+      message: error.message
+    });
+  }
+
+  res.json({ success: true });
+
+  // The console's "Verify" button sends no events
+  lineService.handleEvents(Array.isArray(body.events) ? body.events : []).catch(error => {
+    console.error('LINE webhook error:', error);
+  });
+});
+
+module.exports = router;
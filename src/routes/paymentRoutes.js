@@ -0,0 +1,172 @@
+const express = require('express');
+const paymentService = require('../services/paymentService');
+const slipVerificationService = require('../services/slipVerificationService');
+const { upload, readSlipInput, loadSlipPages, verificationOptions, sendSlipError } = require('./slipRequest');
+
+const router = express.Router();
+
+/**
+ * Owner of the payments of a request (null while authentication is off)
+ * @param {object} req - Express request (req.apiKey is set by the auth middleware)
+ * @returns {string|null} API key ID
+ */
+function ownerOf(req) {
+  return req.apiKey ? req.apiKey.id : null;
+}
+
+/**
+ * POST /api/payments
+ * Create a pending payment
+ * Body: { reference, amount, recipient, recipientAccount, expiresAt | expiresInMinutes }
+ */
+router.post('/', (req, res) => {
+  try {
+    const payment = paymentService.createPayment(req.body || {}, ownerOf(req));
+
+    res.status(201).json({
+      success: true,
+      payment: payment
+    });
+
+  } catch (error) {
+    console.error('Payment creation error:', error);
+    sendSlipError(res, error);
+  }
+});
+
+/**
+ * GET /api/payments
+ * List payments of the API key
+ * Query: status (pending, paid, expired, cancelled), reference
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      payments: paymentService.listPayments(ownerOf(req), {
+        status: req.query.status,
+        reference: req.query.reference
+      })
+    });
+
+  } catch (error) {
+    sendSlipError(res, error);
+  }
+});
+
+/**
+ * GET /api/payments/:id
+ * Get a payment with its verification attempts
+ */
+router.get('/:id', (req, res) => {
+  const payment = paymentService.getPayment(req.params.id, ownerOf(req));
+
+  if (!payment) {
+    return res.status(404).json({
+      success: false,
+      error: 'Payment not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    payment: payment
+  });
+});
+
+/**
+ * POST /api/payments/:id/verify
+ * Verify a slip against a pending payment (multipart file, base64 or URL, as
+ * for /api/slip/verify). The amount, recipient and account come from the
+ * payment; a slip that passes pays it. A per-request `policy` is refused, as
+ * it could switch off the checks against the payment
+ */
+router.post('/:id/verify', upload.single('slip'), async (req, res) => {
+  try {
+    const receivedAt = Date.now();
+    // Reject paid, expired and cancelled payments before any OCR runs
+    const { expectedData } = paymentService.getPayable(req.params.id, ownerOf(req));
+    const options = verificationOptions(req, { allowPolicy: false });
+
+    const input = await readSlipInput(req);
+    if (!input) {
+      return res.status(400).json({
+        success: false,
+        error: 'No slip image provided (send a "slip" file, imageBase64 or imageUrl)'
+      });
+    }
+
+    const pages = await loadSlipPages(input.name, input.buffer);
+    if (pages.length > 1) {
+      return res.status(400).json({
+        success: false,
+        error: `A payment is verified with one slip - the document has ${pages.length} pages`
+      });
+    }
+
+    // A passing slip pays the payment before it is registered as used - if
+    // another slip paid it meanwhile, this one is refused and stays unused
+    console.log(`Processing slip for payment ${req.params.id}...`);
+    let payment = null;
+    const outcome = await slipVerificationService.verifySlip(pages[0].buffer, expectedData, {
+      ...options,
+      source: 'payment',
+      accept: (validation) => {
+        payment = paymentService.recordVerification(req.params.id, validation, receivedAt);
+      }
+    });
+
+    if (!outcome.success) {
+      return res.status(400).json({
+        success: false,
+        error: outcome.error,
+        details: outcome.details
+      });
+    }
+
+    if (!payment) {
+      payment = paymentService.recordVerification(req.params.id, outcome.validation, receivedAt);
+    }
+
+    res.json({
+      success: true,
+      paid: payment.status === 'paid',
+      payment: payment,
+      validation: outcome.validation,
+      slipData: slipVerificationService.summarizeSlipData(outcome.slipData),
+      report: outcome.report
+    });
+
+  } catch (error) {
+    console.error('Payment verification error:', error);
+    sendSlipError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/payments/:id
+ * Cancel a pending payment - it stays listed but accepts no slips
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    const payment = paymentService.cancelPayment(req.params.id, ownerOf(req));
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      payment: payment
+    });
+
+  } catch (error) {
+    console.error('Payment cancellation error:', error);
+    sendSlipError(res, error);
+  }
+});
+
+module.exports = router;
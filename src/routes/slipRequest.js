@@ -0,0 +1,140 @@
+const multer = require('multer');
+const slipImageService = require('../services/slipImageService');
+const imageFetchService = require('../services/imageFetchService');
+const scoringPolicyService = require('../services/scoringPolicyService');
+
+/**
+ * Slip request helpers
+ * Reading the slip, the verification options and error responses are the
+ * same for every route that verifies a slip (/api/slip and /api/payments)
+ */
+
+// Configure multer for file upload
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024 // 10MB default
+  },
+  fileFilter: (req, file, cb) => {
+    if (slipImageService.isAllowed(file.mimetype, file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid file type. Allowed types: ${slipImageService.describeAllowed()}`));
+    }
+  }
+});
+
+/**
+ * Get the slip sent with the request: a multipart `slip` file, or a JSON body
+ * with `imageBase64` (optionally named by `fileName`) or `imageUrl`
+ * @param {object} req - Express request
+ * @returns {Promise<object|null>} { name, buffer } or null when no slip was sent
+ * @throws {Error} With statusCode when the base64 or URL cannot be used
+ */
+async function readSlipInput(req) {
+  if (req.file) {
+    return { name: req.file.originalname, buffer: req.file.buffer };
+  }
+
+  const body = req.body || {};
+  if (body.imageBase64) {
+    return { name: body.fileName || 'image', buffer: slipImageService.decodeBase64(body.imageBase64) };
+  }
+  if (body.imageUrl) {
+    const image = await imageFetchService.fetch(body.imageUrl);
+    return { name: image.name, buffer: image.buffer };
+  }
+
+  return null;
+}
+
+/**
+ * Turn an uploaded slip file into slips, one per page
+ * Pages of multi-page PDFs are named "<file>#page-<n>"
+ * @param {string} name - File name
+ * @param {Buffer} buffer - File contents
+ * @param {object} options - Options passed to slipImageService.toImages ({ maxPages })
+ * @returns {Promise<Array<object>>} Slips as { name, fileName, page, buffer }
+ */
+async function loadSlipPages(name, buffer, options = {}) {
+  const pages = await slipImageService.toImages(buffer, options);
+  return pages.map(page => ({
+    name: pages.length > 1 ? `${name}#page-${page.page}` : name,
+    fileName: name,
+    page: page.page,
+    buffer: page.buffer
+  }));
+}
+
+/**
+ * Verification options for the request
+ * Combines the authenticated tenant with the optional per-request scoring
+ * `policy` (a JSON object, or a JSON string in multipart uploads)
+ * @param {object} req - Express request (req.apiKey is set by the auth middleware)
+ * @param {object} settings - Route settings
+ * @param {boolean} settings.allowPolicy - Accept a per-request policy (default true)
+ * @returns {object} { tenant, apiKeyId, policy } for slipVerificationService
+ * @throws {Error} With statusCode 400 when the policy is invalid or not allowed
+ */
+function verificationOptions(req, { allowPolicy = true } = {}) {
+  const tenant = req.apiKey ? req.apiKey.settings : null;
+  let policy = req.body.policy || null;
+
+  if (policy && !allowPolicy) {
+    const policyError = new Error('policy cannot be set on this request - the tenant policy applies');
+    policyError.statusCode = 400;
+    throw policyError;
+  }
+
+  if (typeof policy === 'string') {
+    try {
+      policy = JSON.parse(policy);
+    } catch (error) {
+      const parseError = new Error('policy must be valid JSON');
+      parseError.statusCode = 400;
+      throw parseError;
+    }
+  }
+
+  // Resolve once up front so an invalid policy is rejected before any OCR runs
+  scoringPolicyService.resolve(tenant, policy);
+
+  return {
+    tenant: tenant,
+    apiKeyId: req.apiKey ? req.apiKey.id : null,
+    policy: policy
+  };
+}
+
+/**
+ * Send an error response for a failed slip request
+ * Capacity errors from the OCR pool keep their status (503 + Retry-After, 504)
+ * @param {object} res - Express response
+ * @param {Error} error - The error
+ */
+function sendSlipError(res, error) {
+  if (error.statusCode) {
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message: error.message
+  });
+}
+
+module.exports = {
+  upload,
+  readSlipInput,
+  loadSlipPages,
+  verificationOptions,
+  sendSlipError
+};
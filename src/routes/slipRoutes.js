@@ -1,105 +1,456 @@
+const path = require('path');
+const zlib = require('zlib');
 const express = require('express');
 const multer = require('multer');
+const AdmZip = require('adm-zip');
 const ocrService = require('../services/ocrService');
 const validationService = require('../services/validationService');
+const slipVerificationService = require('../services/slipVerificationService');
+const slipImageService = require('../services/slipImageService');
+const jobService = require('../services/jobService');
+const historyService = require('../services/historyService');
+const rateLimitService = require('../services/rateLimitService');
+const scoringPolicyService = require('../services/scoringPolicyService');
+const { getSubjects, chargeSlips } = require('../middleware/rateLimiter');
+const { upload, readSlipInput, loadSlipPages, verificationOptions, sendSlipError } = require('./slipRequest');
 const transactionParser = require('../utils/transactionParser');
 
 const router = express.Router();
 
-// Configure multer for file upload
-const storage = multer.memoryStorage();
-const upload = multer({
-  storage: storage,
+// Batch uploads additionally accept ZIP archives of slip files
+const MAX_BATCH_SLIPS = parseInt(process.env.BATCH_MAX_SLIPS) || 50;
+const MAX_BATCH_UNZIPPED_SIZE = parseInt(process.env.BATCH_MAX_UNZIPPED_SIZE) || 100 * 1024 * 1024;
+const batchUpload = multer({
+  storage: multer.memoryStorage(),
   limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024 // 10MB default
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024,
+    files: MAX_BATCH_SLIPS
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png'];
-    if (allowedTypes.includes(file.mimetype)) {
+    const isZip = ['application/zip', 'application/x-zip-compressed'].includes(file.mimetype);
+    if (isZip || slipImageService.isAllowed(file.mimetype, file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only JPEG and PNG are allowed.'));
+      cb(new Error(`Invalid file type. Allowed types: ${slipImageService.describeAllowed()}, ZIP`));
     }
   }
 });
 
+/**
+ * Create an error for a batch upload that cannot be processed (400)
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 400
+ */
+function batchError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Inflate a ZIP entry without trusting the sizes its header declares
+ * Inflation stops as soon as the output passes maxSize (ZIP bombs)
+ * @param {object} entry - adm-zip entry
+ * @param {number} maxSize - Largest inflated size accepted (at least 1)
+ * @returns {Buffer|null} Entry contents, or null when they are larger than maxSize
+ * @throws {Error} With statusCode 400 when the entry cannot be read
+ */
+function inflateZipEntry(entry, maxSize) {
+  if (entry.header.encrypted) {
+    throw batchError(`ZIP entry ${entry.entryName} is encrypted`);
+  }
+
+  const compressed = entry.getCompressedData();
+  if (entry.header.method === 0) {
+    return compressed.length > maxSize ? null : compressed;
+  }
+  if (entry.header.method !== 8) {
+    throw batchError(`ZIP entry ${entry.entryName} uses an unsupported compression method`);
+  }
+
+  try {
+    return zlib.inflateRawSync(compressed, { maxOutputLength: maxSize });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      return null;
+    }
+    throw batchError(`ZIP entry ${entry.entryName} could not be read: ${error.message}`);
+  }
+}
+
+/**
+ * Expand uploaded batch files into individual slip images
+ * ZIP archives are unpacked (only entries of allowed types are kept) and
+ * PDFs are split into pages. Entries are counted before any is inflated, the
+ * inflated size of all entries together is capped (BATCH_MAX_UNZIPPED_SIZE),
+ * and no more PDF pages are rendered than the batch has room for. A file that
+ * is not a readable slip becomes a failed slip of its own
+ * @param {Array<object>} files - Multer files
+ * @returns {Promise<Array<object>>} Slips as { name, fileName, page, buffer }, or
+ *   { name, fileName, error } for files that could not be read
+ * @throws {Error} With statusCode 400 when the upload holds too many or too large slips
+ */
+async function expandBatchFiles(files) {
+  const maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+  const slips = [];
+  let unzippedSize = 0;
+
+  // reserved: slips still to come that need room in the batch too
+  const addSlipFile = async (name, buffer, reserved) => {
+    const room = MAX_BATCH_SLIPS - slips.length - reserved;
+    let pages;
+    try {
+      pages = await loadSlipPages(name, buffer, { maxPages: Math.max(room, 1) });
+    } catch (error) {
+      if (error.code !== 'INVALID_SLIP_FILE') {
+        throw error;
+      }
+      slips.push({ name: name, fileName: name, error: error });
+      return;
+    }
+
+    if (pages.length > room) {
+      throw batchError(`Too many slips in batch. Maximum is ${MAX_BATCH_SLIPS}`);
+    }
+    slips.push(...pages);
+  };
+
+  for (const [index, file] of files.entries()) {
+    if (!file.mimetype.includes('zip')) {
+      const laterFiles = files.slice(index + 1).filter(later => !later.mimetype.includes('zip')).length;
+      await addSlipFile(file.originalname, file.buffer, laterFiles);
+      continue;
+    }
+
+    let entries;
+    try {
+      entries = new AdmZip(file.buffer).getEntries().filter(entry => !entry.isDirectory &&
+        !entry.entryName.startsWith('__MACOSX/') && slipImageService.isAllowed(null, entry.entryName));
+    } catch (error) {
+      throw batchError(`${file.originalname} is not a readable ZIP archive`);
+    }
+
+    if (slips.length + entries.length > MAX_BATCH_SLIPS) {
+      throw batchError(`Too many slips in batch. Maximum is ${MAX_BATCH_SLIPS}`);
+    }
+
+    for (const [entryIndex, entry] of entries.entries()) {
+      const remaining = MAX_BATCH_UNZIPPED_SIZE - unzippedSize;
+      const data = remaining > 0 ? inflateZipEntry(entry, Math.min(maxFileSize, remaining)) : null;
+      if (data === null) {
+        throw batchError(remaining < maxFileSize
+          ? `ZIP contents exceed the maximum batch size (${MAX_BATCH_UNZIPPED_SIZE} bytes)`
+          : `ZIP entry ${entry.entryName} exceeds the maximum file size`);
+      }
+      unzippedSize += data.length;
+
+      await addSlipFile(entry.entryName, data, entries.length - entryIndex - 1);
+    }
+  }
+
+  return slips;
+}
+
+/**
+ * Resolve the expected amount / recipient / account of every batch slip
+ * `expectations` may be a JSON array (same order as the slips, every PDF
+ * page counting as one) or a JSON object keyed by slip or file name;
+ * top-level expectedAmount / expectedRecipient / expectedAccount act as defaults
+ * @param {object} body - Request body
+ * @param {Array<object>} slips - Slips as { name, buffer }
+ * @returns {Array<object>} Slips with expectedData attached
+ */
+function attachBatchExpectations(body, slips) {
+  let expectations = {};
+  if (body.expectations) {
+    try {
+      expectations = JSON.parse(body.expectations);
+    } catch (error) {
+      throw new Error('expectations must be valid JSON');
+    }
+  }
+
+  return slips.map((slip, index) => {
+    const expected = (Array.isArray(expectations)
+      ? expectations[index]
+      : expectations[slip.name] || expectations[slip.fileName]) || {};
+    const amount = expected.expectedAmount !== undefined ? expected.expectedAmount : body.expectedAmount;
+
+    return {
+      ...slip,
+      expectedData: {
+        amount: amount ? parseFloat(amount) : null,
+        recipient: expected.expectedRecipient || body.expectedRecipient || null,
+        account: expected.expectedAccount || body.expectedAccount || null
+      }
+    };
+  });
+}
+
+/**
+ * Check whether the client asked for asynchronous processing (`async=true`)
+ * @param {object} req - Express request
+ * @returns {boolean} True for async mode
+ */
+function isAsyncRequest(req) {
+  const flag = req.query.async !== undefined ? req.query.async : req.body.async;
+  return flag === true || flag === 'true' || flag === '1';
+}
+
+/**
+ * Start a background job and answer 202 with its ID
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {string} type - Job type
+ * @param {function} runner - Job body (see jobService.createJob)
+ */
+function startAsyncJob(req, res, type, runner) {
+  const callbackUrl = req.body.callbackUrl || null;
+
+  if (callbackUrl) {
+    const callbackError = jobService.validateCallbackUrl(callbackUrl);
+    if (callbackError) {
+      return res.status(400).json({
+        success: false,
+        error: callbackError
+      });
+    }
+  }
+
+  const job = jobService.createJob(type, runner, {
+    callbackUrl: callbackUrl,
+    ownerId: req.apiKey ? req.apiKey.id : null
+  });
+
+  res.status(202).json({
+    success: true,
+    jobId: job.jobId,
+    status: job.status,
+    statusUrl: `${req.baseUrl}/jobs/${job.jobId}`
+  });
+}
+
 /**
  * POST /api/slip/verify
- * Upload and verify a slip image
+ * Upload and verify a slip image (multipart file, base64 or URL)
  */
 router.post('/verify', upload.single('slip'), async (req, res) => {
   try {
-    if (!req.file) {
+    const input = await readSlipInput(req);
+    if (!input) {
       return res.status(400).json({
         success: false,
-        error: 'No slip image provided'
+        error: 'No slip image provided (send a "slip" file, imageBase64 or imageUrl)'
       });
     }
 
     // Parse expected data from request body
     const expectedData = {
       amount: req.body.expectedAmount ? parseFloat(req.body.expectedAmount) : null,
-      recipient: req.body.expectedRecipient || null
+      recipient: req.body.expectedRecipient || null,
+      account: req.body.expectedAccount || null
     };
 
-    // Parse slip using OCR
+    const options = verificationOptions(req);
+    const pages = await loadSlipPages(input.name, input.buffer);
+
+    // Multi-page PDF - every page is verified as a slip of its own
+    if (pages.length > 1) {
+      if (!(await chargeSlips(req, res, pages.length))) {
+        return;
+      }
+
+      const verifyPages = () => slipVerificationService.verifyBatch(
+        pages.map(page => ({ ...page, expectedData: expectedData })),
+        { ...options, source: 'verify' }
+      );
+
+      if (isAsyncRequest(req)) {
+        return startAsyncJob(req, res, 'verify', async () => {
+          const batch = await verifyPages();
+          return { summary: batch.summary, pages: batch.results };
+        });
+      }
+
+      console.log(`Processing ${pages.length}-page slip document...`);
+      const batch = await verifyPages();
+      return res.json({
+        success: true,
+        summary: batch.summary,
+        pages: batch.results
+      });
+    }
+
+    // Async mode - process in the background and let the client poll
+    if (isAsyncRequest(req)) {
+      const imageBuffer = pages[0].buffer;
+      return startAsyncJob(req, res, 'verify', async (reportProgress) => {
+        const outcome = await slipVerificationService.verifySlip(imageBuffer, expectedData, {
+          ...options,
+          source: 'async',
+          onProgress: (progress) => reportProgress(progress * 90, 'ocr')
+        });
+
+        if (!outcome.success) {
+          throw new Error(`${outcome.error}: ${outcome.details}`);
+        }
+
+        return {
+          validation: outcome.validation,
+          slipData: slipVerificationService.summarizeSlipData(outcome.slipData),
+          report: outcome.report
+        };
+      });
+    }
+
+    // Parse and validate slip
     console.log('Processing slip image...');
-    const slipData = await ocrService.parseSlip(req.file.buffer);
+    const outcome = await slipVerificationService.verifySlip(pages[0].buffer, expectedData, options);
 
-    if (!slipData.success) {
+    if (!outcome.success) {
       return res.status(400).json({
         success: false,
-        error: 'Failed to parse slip image',
-        details: slipData.error
+        error: outcome.error,
+        details: outcome.details
       });
     }
 
-    // Validate slip data
-    console.log('Validating slip data...');
-    const validationResult = validationService.validateSlip(slipData, expectedData);
-
-    // Generate report
-    const report = validationService.generateReport(validationResult);
-
     res.json({
       success: true,
-      validation: validationResult,
-      slipData: {
-        transactionId: slipData.transactionId,
-        amount: slipData.amount,
-        dateTime: slipData.dateTime,
-        recipient: slipData.recipient,
-        ocrConfidence: slipData.ocrConfidence
-      },
-      report: report
+      validation: outcome.validation,
+      slipData: slipVerificationService.summarizeSlipData(outcome.slipData),
+      report: outcome.report
     });
 
   } catch (error) {
     console.error('Slip verification error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error',
-      message: error.message
+    sendSlipError(res, error);
+  }
+});
+
+/**
+ * POST /api/slip/verify-batch
+ * Upload and verify many slips at once (multipart `slips` files and/or ZIP archives)
+ */
+router.post('/verify-batch', batchUpload.array('slips', MAX_BATCH_SLIPS), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No slip images provided'
+      });
+    }
+
+    const options = verificationOptions(req);
+
+    let slips;
+    try {
+      slips = attachBatchExpectations(req.body, await expandBatchFiles(req.files));
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (slips.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No slip files found in upload'
+      });
+    }
+
+    if (slips.length > MAX_BATCH_SLIPS) {
+      return res.status(400).json({
+        success: false,
+        error: `Too many slips in batch. Maximum is ${MAX_BATCH_SLIPS}`
+      });
+    }
+
+    // Every readable slip costs a request; unreadable files never reach OCR
+    if (!(await chargeSlips(req, res, slips.filter(slip => !slip.error).length))) {
+      return;
+    }
+
+    console.log(`Processing batch of ${slips.length} slips...`);
+    const batch = await slipVerificationService.verifyBatch(slips, options);
+
+    res.json({
+      success: true,
+      summary: batch.summary,
+      results: batch.results
     });
+
+  } catch (error) {
+    console.error('Batch verification error:', error);
+    sendSlipError(res, error);
   }
 });
 
 /**
  * POST /api/slip/parse
  * Parse slip image and extract data (without validation)
+ * Accepts the same inputs as /verify
  */
 router.post('/parse', upload.single('slip'), async (req, res) => {
   try {
-    if (!req.file) {
+    const input = await readSlipInput(req);
+    if (!input) {
       return res.status(400).json({
         success: false,
-        error: 'No slip image provided'
+        error: 'No slip image provided (send a "slip" file, imageBase64 or imageUrl)'
+      });
+    }
+
+    const pages = await loadSlipPages(input.name, input.buffer);
+
+    // Multi-page PDF - every page is parsed as a slip of its own
+    if (pages.length > 1) {
+      if (!(await chargeSlips(req, res, pages.length))) {
+        return;
+      }
+
+      const parsePages = async () => {
+        const results = [];
+        for (const page of pages) {
+          const slipData = await ocrService.parseSlip(page.buffer);
+          results.push(slipData.success
+            ? { page: page.page, success: true, data: slipData }
+            : { page: page.page, success: false, error: 'Failed to parse slip image', details: slipData.error });
+        }
+        return results;
+      };
+
+      if (isAsyncRequest(req)) {
+        return startAsyncJob(req, res, 'parse', async () => ({ pages: await parsePages() }));
+      }
+
+      console.log(`Parsing ${pages.length}-page slip document...`);
+      return res.json({
+        success: true,
+        pages: await parsePages()
+      });
+    }
+
+    // Async mode - process in the background and let the client poll
+    if (isAsyncRequest(req)) {
+      const imageBuffer = pages[0].buffer;
+      return startAsyncJob(req, res, 'parse', async (reportProgress) => {
+        const slipData = await ocrService.parseSlip(imageBuffer, {
+          onProgress: (progress) => reportProgress(progress * 95, 'ocr')
+        });
+
+        if (!slipData.success) {
+          throw new Error(`Failed to parse slip image: ${slipData.error}`);
+        }
+
+        return slipData;
       });
     }
 
     // Parse slip using OCR
     console.log('Parsing slip image...');
-    const slipData = await ocrService.parseSlip(req.file.buffer);
+    const slipData = await ocrService.parseSlip(pages[0].buffer);
 
     if (!slipData.success) {
       return res.status(400).json({
@@ -116,12 +467,136 @@ router.post('/parse', upload.single('slip'), async (req, res) => {
 
   } catch (error) {
     console.error('Slip parsing error:', error);
-    res.status(500).json({
+    sendSlipError(res, error);
+  }
+});
+
+/**
+ * GET /api/slip/jobs/:id
+ * Get status, progress and result of an asynchronous verify/parse job
+ */
+router.get('/jobs/:id', (req, res) => {
+  const job = jobService.getJob(req.params.id, req.apiKey ? req.apiKey.id : null);
+
+  if (!job) {
+    return res.status(404).json({
       success: false,
-      error: 'Internal server error',
-      message: error.message
+      error: 'Job not found or expired'
     });
   }
+
+  res.json({
+    success: true,
+    job: job
+  });
+});
+
+/**
+ * Read an optional numeric query parameter
+ * @param {string} value - Query value
+ * @returns {number|undefined} Parsed number or undefined when absent/invalid
+ */
+function parseNumberQuery(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const number = parseFloat(value);
+  return isNaN(number) ? undefined : number;
+}
+
+/**
+ * GET /api/slip/verifications
+ * Search the verification history
+ * Query: from, to, type, bank, riskLevel, minAmount, maxAmount, valid, transactionId, page, limit
+ */
+router.get('/verifications', (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && isNaN(new Date(value).getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid date for "${name}"`
+        });
+      }
+    }
+
+    const result = historyService.search({
+      from: from,
+      to: to,
+      type: req.query.type,
+      bank: req.query.bank,
+      riskLevel: req.query.riskLevel,
+      transactionId: req.query.transactionId,
+      minAmount: parseNumberQuery(req.query.minAmount),
+      maxAmount: parseNumberQuery(req.query.maxAmount),
+      valid: req.query.valid === undefined ? undefined : req.query.valid === 'true',
+      apiKeyId: req.apiKey ? req.apiKey.id : undefined,
+      page: req.query.page,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      verifications: result.items,
+      pagination: result.pagination
+    });
+
+  } catch (error) {
+    console.error('Verification history search error:', error);
+    sendSlipError(res, error);
+  }
+});
+
+/**
+ * GET /api/slip/verifications/:id
+ * Get a single verification record
+ */
+router.get('/verifications/:id', (req, res) => {
+  const verification = historyService.get(req.params.id, req.apiKey ? req.apiKey.id : null);
+
+  if (!verification) {
+    return res.status(404).json({
+      success: false,
+      error: 'Verification not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    verification: verification
+  });
+});
+
+/**
+ * GET /api/slip/usage
+ * Rate limit and quota usage of the calling API key (and client IP)
+ */
+router.get('/usage', async (req, res) => {
+  try {
+    const usage = await Promise.all(getSubjects(req).map(subject => rateLimitService.getUsage(subject)));
+
+    res.json({
+      success: true,
+      usage: usage
+    });
+
+  } catch (error) {
+    console.error('Usage lookup error:', error);
+    sendSlipError(res, error);
+  }
+});
+
+/**
+ * GET /api/slip/policy
+ * Effective scoring policy for the calling API key (before per-request overrides)
+ */
+router.get('/policy', (req, res) => {
+  res.json({
+    success: true,
+    policy: scoringPolicyService.resolve(req.apiKey ? req.apiKey.settings : null)
+  });
 });
 
 /**
@@ -130,7 +605,7 @@ router.post('/parse', upload.single('slip'), async (req, res) => {
  */
 router.post('/validate-transaction-id', (req, res) => {
   try {
-    const { transactionId } = req.body;
+    const { transactionId, bank } = req.body;
 
     if (!transactionId) {
       return res.status(400).json({
@@ -139,7 +614,7 @@ router.post('/validate-transaction-id', (req, res) => {
       });
     }
 
-    const result = validationService.quickValidate(transactionId);
+    const result = validationService.quickValidate(transactionId, { bank });
 
     res.json({
       success: true,
@@ -162,7 +637,7 @@ router.post('/validate-transaction-id', (req, res) => {
  */
 router.post('/parse-transaction-id', (req, res) => {
   try {
-    const { transactionId } = req.body;
+    const { transactionId, bank } = req.body;
 
     if (!transactionId) {
       return res.status(400).json({
@@ -171,7 +646,7 @@ router.post('/parse-transaction-id', (req, res) => {
       });
     }
 
-    const parsed = transactionParser.parse(transactionId);
+    const parsed = transactionParser.parse(transactionId, { bank });
 
     if (!parsed) {
       return res.status(400).json({
@@ -195,6 +670,17 @@ router.post('/parse-transaction-id', (req, res) => {
   }
 });
 
+/**
+ * GET /api/slip/banks
+ * List the banks whose transaction IDs can be parsed
+ */
+router.get('/banks', (req, res) => {
+  res.json({
+    success: true,
+    banks: transactionParser.getSupportedBanks()
+  });
+});
+
 /**
  * GET /api/slip/health
  * Health check endpoint
@@ -203,7 +689,9 @@ router.get('/health', (req, res) => {
   res.json({
     success: true,
     status: 'OK',
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
+    ocrPool: ocrService.getPoolStats(),
+    jobs: jobService.getStats()
   });
 });
 
@@ -1,14 +1,30 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const multer = require('multer');
 const slipRoutes = require('./routes/slipRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const lineRoutes = require('./routes/lineRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const { isAdminEnabled, requireApiKey, requireAdmin } = require('./middleware/auth');
+const { ipRateLimiter, rateLimiter } = require('./middleware/rateLimiter');
+const ocrService = require('./services/ocrService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy the client IP (used for rate limiting) comes from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Webhooks verify signatures over the raw body, so they are mounted before the JSON parser
+app.use('/webhooks', lineRoutes);
+// JSON bodies may carry a base64 slip (imageBase64) - 4/3 of the file size limit plus room for the other fields
+const maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+app.use(express.json({ limit: Math.ceil(maxFileSize * 4 / 3) + 64 * 1024 }));
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files
@@ -21,7 +37,9 @@ app.use((req, res, next) => {
 });
 
 // Routes
-app.use('/api/slip', slipRoutes);
+app.use('/api/slip', ipRateLimiter, requireApiKey, rateLimiter, slipRoutes);
+app.use('/api/payments', ipRateLimiter, requireApiKey, rateLimiter, paymentRoutes);
+app.use('/api/admin', requireAdmin, adminRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -31,11 +49,26 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       verify: 'POST /api/slip/verify - Upload and verify slip image',
+      verifyBatch: 'POST /api/slip/verify-batch - Upload and verify many slips (images or ZIP)',
       parse: 'POST /api/slip/parse - Parse slip image without validation',
+      job: 'GET /api/slip/jobs/:id - Status of an async verify/parse job (async=true)',
+      payments: 'POST/GET /api/payments - Create and list pending payments',
+      verifyPayment: 'POST /api/payments/:id/verify - Verify a slip against a pending payment',
+      verifications: 'GET /api/slip/verifications - Search verification history',
+      usage: 'GET /api/slip/usage - Rate limit and quota usage of your API key',
+      policy: 'GET /api/slip/policy - Effective scoring policy of your API key',
       validateTransactionId: 'POST /api/slip/validate-transaction-id - Validate transaction ID',
       parseTransactionId: 'POST /api/slip/parse-transaction-id - Parse transaction ID',
-      health: 'GET /api/slip/health - Health check'
-    }
+      banks: 'GET /api/slip/banks - List supported banks',
+      health: 'GET /api/slip/health - Health check',
+      adminKeys: 'POST/GET /api/admin/keys - Issue and list API keys (ADMIN_TOKEN)',
+      adminStatements: 'POST /api/admin/statements/import - Import a KBank statement export (CSV or fixed-width) (ADMIN_TOKEN)',
+      adminReconciliation: 'GET/POST /api/admin/reconciliation - Credits without slips and slips without credits; POST claims the new matches (ADMIN_TOKEN)',
+      adminPendingOrders: 'GET/PUT/DELETE /api/admin/pending-orders/:userId - Amounts LINE chat users still have to pay (ADMIN_TOKEN)',
+      adminSenderLists: 'GET/POST/DELETE /api/admin/sender-lists - Allow and block lists of slip senders (ADMIN_TOKEN)',
+      lineWebhook: 'POST /webhooks/line - LINE Messaging API webhook (X-Line-Signature)'
+    },
+    authentication: 'Send your API key in the X-API-Key header or as "Authorization: Bearer <key>"'
   });
 });
 
@@ -50,6 +83,15 @@ app.use((err, req, res, next) => {
       message: err.message
     });
   }
+
+  // Body parser errors (invalid JSON, body over the size limit) carry their own status
+  if (err.type && err.status) {
+    return res.status(err.status).json({
+      success: false,
+      error: 'Invalid request body',
+      message: err.message
+    });
+  }
   
   res.status(500).json({
     success: false,
@@ -67,26 +109,43 @@ app.use((req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log('=================================');
   console.log('KBank Slip Verification API');
   console.log('=================================');
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  console.log(`API key authentication: ${process.env.API_AUTH_ENABLED === 'false' ? 'disabled' : 'enabled'}`);
+  console.log(`Admin API: ${isAdminEnabled() ? 'enabled' : 'disabled (set ADMIN_TOKEN)'}`);
   console.log('=================================');
   console.log('\nAvailable endpoints:');
   console.log(`- POST http://localhost:${PORT}/api/slip/verify`);
+  console.log(`- POST http://localhost:${PORT}/api/slip/verify-batch`);
   console.log(`- POST http://localhost:${PORT}/api/slip/parse`);
+  console.log(`- GET  http://localhost:${PORT}/api/slip/jobs/:id`);
+  console.log(`- *    http://localhost:${PORT}/api/payments`);
+  console.log(`- POST http://localhost:${PORT}/api/payments/:id/verify`);
+  console.log(`- GET  http://localhost:${PORT}/api/slip/verifications`);
+  console.log(`- GET  http://localhost:${PORT}/api/slip/usage`);
+  console.log(`- GET  http://localhost:${PORT}/api/slip/policy`);
   console.log(`- POST http://localhost:${PORT}/api/slip/validate-transaction-id`);
   console.log(`- POST http://localhost:${PORT}/api/slip/parse-transaction-id`);
+  console.log(`- GET  http://localhost:${PORT}/api/slip/banks`);
   console.log(`- GET  http://localhost:${PORT}/api/slip/health`);
+  console.log(`- *    http://localhost:${PORT}/api/admin/keys`);
+  console.log(`- *    http://localhost:${PORT}/api/admin/pending-orders`);
+  console.log(`- POST http://localhost:${PORT}/api/admin/statements/import`);
+  console.log(`- *    http://localhost:${PORT}/api/admin/reconciliation`);
+  console.log(`- *    http://localhost:${PORT}/api/admin/sender-lists`);
+  console.log(`- POST http://localhost:${PORT}/webhooks/line`);
   console.log('=================================\n');
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
-  server.close(() => {
+  server.close(async () => {
     console.log('HTTP server closed');
+    await ocrService.terminate();
   });
 });
@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const JsonStore = require('../utils/jsonStore');
+const transactionParser = require('../utils/transactionParser');
+const scoringPolicyService = require('./scoringPolicyService');
+
+/**
+ * API Key Service
+ * Issues, revokes and authenticates API keys. Only a SHA-256 hash of each
+ * key is stored - the plain key is shown once, when it is created.
+ *
+ * Every key carries per-tenant settings honored by validateSlip:
+ * - expectedRecipient: default recipient when the request does not give one
+ * - minScore: minimum score percentage for a slip to pass
+ * - allowedBanks: bank codes accepted for this tenant (empty = all)
+ * - policy: scoring policy overrides (see scoringPolicyService)
+ */
+class ApiKeyService {
+  constructor() {
+    this.store = new JsonStore(process.env.API_KEYS_FILE || 'api-keys.json', {
+      keys: []
+    });
+  }
+
+  /**
+   * Hash a plain API key
+   * @param {string} apiKey - Plain API key
+   * @returns {string} SHA-256 hex digest
+   */
+  hashKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  /**
+   * Validate and normalize tenant settings
+   * @param {object} settings - Settings from the admin request
+   * @returns {object} Normalized settings
+   * @throws {Error} With statusCode 400 when a setting is invalid
+   */
+  normalizeSettings(settings = {}) {
+    const invalid = (message) => {
+      const error = new Error(message);
+      error.statusCode = 400;
+      return error;
+    };
+
+    const normalized = {
+      expectedRecipient: null,
+      minScore: null,
+      allowedBanks: [],
+      policy: null
+    };
+
+    if (settings.expectedRecipient !== undefined && settings.expectedRecipient !== null) {
+      if (typeof settings.expectedRecipient !== 'string') {
+        throw invalid('expectedRecipient must be a string');
+      }
+      normalized.expectedRecipient = settings.expectedRecipient.trim() || null;
+    }
+
+    if (settings.minScore !== undefined && settings.minScore !== null) {
+      const minScore = Number(settings.minScore);
+      if (isNaN(minScore) || minScore < 0 || minScore > 100) {
+        throw invalid('minScore must be a number between 0 and 100');
+      }
+      normalized.minScore = minScore;
+    }
+
+    if (settings.allowedBanks !== undefined && settings.allowedBanks !== null) {
+      if (!Array.isArray(settings.allowedBanks)) {
+        throw invalid('allowedBanks must be an array of bank codes');
+      }
+      const supported = transactionParser.getSupportedBanks().map(parser => parser.bank);
+      normalized.allowedBanks = settings.allowedBanks.map(bank => String(bank).toUpperCase());
+
+      const unknown = normalized.allowedBanks.filter(bank => !supported.includes(bank));
+      if (unknown.length > 0) {
+        throw invalid(`Unknown bank code(s): ${unknown.join(', ')}. Supported banks: ${supported.join(', ')}`);
+      }
+    }
+
+    if (settings.policy !== undefined && settings.policy !== null) {
+      const errors = scoringPolicyService.validate(settings.policy);
+      if (errors.length > 0) {
+        throw invalid(`Invalid scoring policy: ${errors.join('; ')}`);
+      }
+      normalized.policy = settings.policy;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Build the public view of a key record (never includes the hash)
+   * @param {object} record - Stored key record
+   * @returns {object} Key as returned by the admin API
+   */
+  toPublic(record) {
+    const { hash, ...view } = record;
+    return view;
+  }
+
+  /**
+   * Issue a new API key
+   * @param {object} options - Key options
+   * @param {string} options.name - Tenant / key name
+   * @param {object} options.settings - Tenant settings
+   * @returns {object} Key record plus the plain `apiKey` (only returned here)
+   */
+  createKey(options = {}) {
+    if (!options.name || typeof options.name !== 'string') {
+      const error = new Error('name is required');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const apiKey = `sk_${crypto.randomBytes(24).toString('hex')}`;
+    const record = {
+      id: crypto.randomUUID(),
+      name: options.name.trim(),
+      keyPrefix: apiKey.slice(0, 10),
+      hash: this.hashKey(apiKey),
+      settings: this.normalizeSettings(options.settings),
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+      lastUsedAt: null
+    };
+
+    this.store.update(data => {
+      data.keys.push(record);
+    });
+
+    return { apiKey: apiKey, ...this.toPublic(record) };
+  }
+
+  /**
+   * List all keys (including revoked ones)
+   * @returns {Array<object>} Public key records
+   */
+  listKeys() {
+    return this.store.load().keys.map(record => this.toPublic(record));
+  }
+
+  /**
+   * Get a key by ID
+   * @param {string} id - Key ID
+   * @returns {object|null} Public key record or null if not found
+   */
+  getKey(id) {
+    const record = this.store.load().keys.find(key => key.id === id);
+    return record ? this.toPublic(record) : null;
+  }
+
+  /**
+   * Replace the settings of a key
+   * @param {string} id - Key ID
+   * @param {object} settings - New tenant settings
+   * @returns {object|null} Updated public key record or null if not found
+   */
+  updateSettings(id, settings) {
+    const normalized = this.normalizeSettings(settings);
+    let updated = null;
+
+    this.store.update(data => {
+      const record = data.keys.find(key => key.id === id);
+      if (record) {
+        record.settings = normalized;
+        updated = this.toPublic(record);
+      }
+    });
+
+    return updated;
+  }
+
+  /**
+   * Revoke a key - it stays listed but can no longer authenticate
+   * @param {string} id - Key ID
+   * @returns {object|null} Revoked public key record or null if not found
+   */
+  revokeKey(id) {
+    let revoked = null;
+
+    this.store.update(data => {
+      const record = data.keys.find(key => key.id === id);
+      if (record) {
+        record.revokedAt = record.revokedAt || new Date().toISOString();
+        revoked = this.toPublic(record);
+      }
+    });
+
+    return revoked;
+  }
+
+  /**
+   * Look up the tenant for a plain API key
+   * @param {string} apiKey - Plain API key from the request
+   * @returns {object|null} Public key record or null if unknown/revoked
+   */
+  authenticate(apiKey) {
+    if (!apiKey || typeof apiKey !== 'string') {
+      return null;
+    }
+
+    const hash = this.hashKey(apiKey.trim());
+    const record = this.store.load().keys.find(key => key.hash === hash && !key.revokedAt);
+    if (!record) {
+      return null;
+    }
+
+    // Track usage without rewriting the file on every single request
+    const lastUsed = record.lastUsedAt ? new Date(record.lastUsedAt).getTime() : 0;
+    if (Date.now() - lastUsed > 60 * 1000) {
+      this.store.update(() => {
+        record.lastUsedAt = new Date().toISOString();
+      });
+    }
+
+    return this.toPublic(record);
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,137 @@
+const JsonStore = require('../utils/jsonStore');
+const { hammingDistance } = require('../utils/perceptualHash');
+
+/**
+ * Duplicate Slip Registry
+ * Remembers every slip that passed verification so the same transaction
+ * cannot be redeemed twice (e.g. a customer re-sending an old, genuine slip)
+ */
+class DuplicateRegistry {
+  constructor() {
+    this.store = new JsonStore(process.env.SLIP_REGISTRY_FILE || 'slip-registry.json', {
+      slips: {}
+    });
+  }
+
+  /**
+   * Build the registry key from a normalized transaction ID and amount
+   * @param {string} transactionId - Normalized transaction ID (parser `raw` value)
+   * @param {number|null} amount - Slip amount
+   * @returns {string} Registry key
+   */
+  makeKey(transactionId, amount) {
+    const normalizedAmount = typeof amount === 'number' && !isNaN(amount)
+      ? amount.toFixed(2)
+      : 'N/A';
+    return `${transactionId}:${normalizedAmount}`;
+  }
+
+  /**
+   * Check whether a slip has already been verified
+   * @param {string} transactionId - Normalized transaction ID
+   * @param {number|null} amount - Slip amount
+   * @returns {object} Check result with the first verification if duplicate
+   */
+  check(transactionId, amount) {
+    const { slips } = this.store.load();
+    const key = this.makeKey(transactionId, amount);
+    const existing = slips[key] || null;
+
+    // Same transaction ID registered with another amount is a strong hint
+    // that the amount on a genuine slip was edited
+    const otherAmounts = Object.values(slips).filter(
+      entry => entry.transactionId === transactionId && entry.key !== key
+    );
+
+    return {
+      isDuplicate: existing !== null,
+      duplicateOf: existing,
+      sameIdDifferentAmount: otherAmounts
+    };
+  }
+
+  /**
+   * Register a verified slip
+   * @param {object} entry - Slip to register
+   * @param {string} entry.transactionId - Normalized transaction ID
+   * @param {number|null} entry.amount - Slip amount
+   * @param {string} entry.verificationId - ID of the verification that accepted the slip
+   * @param {object} entry.perceptualHash - { pHash, dHash } of the slip image (optional)
+   * @param {string} entry.qrReference - Transaction reference from the slip QR (optional)
+   * @returns {object} Registered record (existing record if already registered)
+   */
+  register({ transactionId, amount, verificationId, perceptualHash = null, qrReference = null }) {
+    const key = this.makeKey(transactionId, amount);
+
+    return this.store.update(data => {
+      if (data.slips[key]) {
+        return data.slips[key];
+      }
+
+      const record = {
+        key: key,
+        transactionId: transactionId,
+        amount: typeof amount === 'number' ? amount : null,
+        verificationId: verificationId,
+        perceptualHash: perceptualHash,
+        qrReference: qrReference,
+        verifiedAt: new Date().toISOString()
+      };
+      data.slips[key] = record;
+      return record;
+    });
+  }
+
+  /**
+   * Find registered slips whose image looks like the given one
+   * @param {object} perceptualHash - { pHash, dHash } of the slip image
+   * @param {number} maxDistance - Largest pHash Hamming distance that counts as similar
+   * @returns {Array<object>} Similar records with their `distance`, closest first
+   */
+  findSimilarImages(perceptualHash, maxDistance) {
+    if (!perceptualHash) {
+      return [];
+    }
+
+    const { slips } = this.store.load();
+    return Object.values(slips)
+      .filter(entry => entry.perceptualHash)
+      .map(entry => ({
+        ...entry,
+        distance: hammingDistance(perceptualHash.pHash, entry.perceptualHash.pHash)
+      }))
+      .filter(entry => entry.distance <= maxDistance)
+      .sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Remove a slip from the registry (e.g. after a refund)
+   * @param {string} transactionId - Normalized transaction ID
+   * @param {number|null} amount - Slip amount
+   * @returns {boolean} True if a record was removed
+   */
+  remove(transactionId, amount) {
+    const key = this.makeKey(transactionId, amount);
+
+    return this.store.update(data => {
+      if (!data.slips[key]) {
+        return false;
+      }
+      delete data.slips[key];
+      return true;
+    });
+  }
+
+  /**
+   * Get registry statistics
+   * @returns {object} Number of registered slips
+   */
+  getStats() {
+    const { slips } = this.store.load();
+    return {
+      registeredSlips: Object.keys(slips).length
+    };
+  }
+}
+
+module.exports = new DuplicateRegistry();
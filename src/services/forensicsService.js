@@ -0,0 +1,946 @@
+const zlib = require('zlib');
+const sharp = require('sharp');
+
+// IJG (libjpeg) base quantization tables in natural (row by row) order
+const STANDARD_LUMINANCE = [
+  16, 11, 10, 16, 24, 40, 51, 61,
+  12, 12, 14, 19, 26, 58, 60, 55,
+  14, 13, 16, 24, 40, 57, 69, 56,
+  14, 17, 22, 29, 51, 87, 80, 62,
+  18, 22, 37, 56, 68, 109, 103, 77,
+  24, 35, 55, 64, 81, 104, 113, 92,
+  49, 64, 78, 87, 103, 121, 120, 101,
+  72, 92, 95, 98, 112, 100, 103, 99
+];
+
+const STANDARD_CHROMINANCE = [
+  17, 18, 24, 47, 99, 99, 99, 99,
+  18, 21, 26, 66, 99, 99, 99, 99,
+  24, 26, 56, 99, 99, 99, 99, 99,
+  47, 66, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99
+];
+
+// Position in natural order of every coefficient as stored in a DQT segment
+const ZIGZAG = [
+  0, 1, 8, 16, 9, 2, 3, 10,
+  17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34,
+  27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36,
+  29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46,
+  53, 60, 61, 54, 47, 55, 62, 63
+];
+
+// 8-point DCT-II basis, DCT[u][x]
+const DCT = Array.from({ length: 8 }, (row, u) => Array.from({ length: 8 }, (value, x) =>
+  (u === 0 ? Math.SQRT1_2 : 1) * 0.5 * Math.cos(((2 * x + 1) * u * Math.PI) / 16)));
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number|null} Median or null for an empty list
+ */
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+/**
+ * Image Forensics Service
+ *
+ * Looks for signs that a slip image was edited after the bank app produced
+ * it. The transaction ID checks cannot catch a genuine ID next to an edited
+ * amount or name - these checks look at the pixels and the file instead:
+ * - error level analysis: an edited region recompresses differently from the
+ *   rest of the slip
+ * - JPEG structure: quantization tables and a shifted 8x8 block grid left by
+ *   an earlier compression (cropped and saved again)
+ * - metadata: EXIF/XMP/PNG text naming editing software
+ * - typography: character size, baseline, spacing and stroke weight around
+ *   the amount and the names
+ *
+ * Every finding is { check, field, reason, riskLevel } like the bank parser
+ * findings, and is merged into fakeSlipDetection by validationService. Editing
+ * software in the metadata and an edited amount region are HIGH, the rest MEDIUM.
+ */
+class ForensicsService {
+  constructor() {
+    this.enabled = process.env.IMAGE_FORENSICS !== 'false';
+
+    // Error level analysis - a region resaved at the quality it was last saved
+    // with barely changes, so slips that are not JPEG are tried at several
+    // qualities. The most deviating of several tries needs a larger ratio,
+    // or scanning alone would produce findings on untouched slips
+    this.elaQualities = [50, 60, 70, 75, 80, 85, 90, 95];
+    this.elaRatioThreshold = 2.5;
+    this.elaScanRatioThreshold = 3.5;
+    this.elaMinReferenceLines = 3;
+
+    // JPEG block grid - the main grid must stand out this much to be measured,
+    // an earlier grid must stand out and be this much stronger than its mirror
+    this.gridSampleBlocks = 400;
+    this.gridMinStrength = 2.2;
+    this.gridEarlierStrength = 1.3;
+    this.gridEarlierAsymmetry = 1.4;
+
+    // Typography tolerances, relative to the median character
+    this.heightTolerance = 0.2;
+    this.baselineTolerance = 0.15;
+    this.advanceTolerance = 0.5;
+    this.strokeTolerance = 0.5;
+
+    this.editingSoftware = /photoshop|lightroom|gimp|paint\.net|pixlr|photopea|picsart|snapseed|canva|fotor|affinity|illustrator|inkscape|meitu|polarr|facetune|inshot|remini|pixelmator|acorn|krita/i;
+
+    this.textFields = ['amount', 'sender', 'receiver'];
+  }
+
+  /**
+   * Analyze a slip image for signs of editing
+   * @param {Buffer} imageBuffer - Original image buffer
+   * @param {object} options - Options
+   * @param {object} options.fieldLocations - Field locations from ocrService.locateFields
+   * @param {array} options.lines - OCR lines with bounding boxes
+   * @returns {Promise<object>} { format, findings, ela, jpeg, metadata, typography }
+   */
+  async analyze(imageBuffer, options = {}) {
+    const { fieldLocations = {}, lines = [] } = options;
+    const format = this.detectFormat(imageBuffer);
+
+    const result = {
+      format: format,
+      findings: [],
+      ela: null,
+      jpeg: null,
+      metadata: null,
+      typography: null
+    };
+
+    let image;
+    try {
+      image = await this.decodeGrey(imageBuffer);
+    } catch (error) {
+      console.error('Forensics could not decode the image:', error.message);
+      return result;
+    }
+
+    // A failing check must not hide the others
+    const run = async (name, check) => {
+      try {
+        result[name] = await check();
+        result.findings.push(...result[name].findings);
+      } catch (error) {
+        console.error(`Forensics check ${name} failed:`, error.message);
+      }
+    };
+
+    await run('jpeg', () => this.analyzeJPEG(imageBuffer, image, format));
+    await run('ela', () => {
+      // A JPEG is resaved at its own quality
+      const luminance = result.jpeg && result.jpeg.quantization ? result.jpeg.quantization.luminance : null;
+      const qualities = luminance && luminance.standard ? [luminance.quality] : this.elaQualities;
+      return this.errorLevelAnalysis(image, fieldLocations, lines, qualities);
+    });
+    await run('metadata', () => this.inspectMetadata(imageBuffer, format));
+    await run('typography', () => this.checkTypography(image, fieldLocations));
+
+    return result;
+  }
+
+  /**
+   * Detect the image container from its signature
+   * @param {Buffer} buffer - Image buffer
+   * @returns {string} "jpeg", "png" or "other"
+   */
+  detectFormat(buffer) {
+    if (buffer.length > 3 && buffer[0] === 0xFF && buffer[1] === 0xD8) {
+      return 'jpeg';
+    }
+    if (buffer.length > 8 && buffer.readUInt32BE(0) === 0x89504E47) {
+      return 'png';
+    }
+    return 'other';
+  }
+
+  /**
+   * Decode an image to 8-bit greyscale pixels
+   * @param {Buffer} buffer - Image buffer
+   * @returns {Promise<object>} { data, width, height }
+   */
+  async decodeGrey(buffer) {
+    const { data, info } = await sharp(buffer)
+      .flatten({ background: '#ffffff' })
+      .greyscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    return { data: data, width: info.width, height: info.height };
+  }
+
+  /**
+   * Clamp a bounding box to the image
+   * @param {object} bbox - Bounding box
+   * @param {object} image - Decoded image
+   * @returns {object|null} Integer bounding box or null when empty
+   */
+  clampBox(bbox, image) {
+    if (!bbox) {
+      return null;
+    }
+    const box = {
+      x0: Math.max(0, Math.floor(bbox.x0)),
+      y0: Math.max(0, Math.floor(bbox.y0)),
+      x1: Math.min(image.width, Math.ceil(bbox.x1)),
+      y1: Math.min(image.height, Math.ceil(bbox.y1))
+    };
+    return box.x1 - box.x0 >= 2 && box.y1 - box.y0 >= 2 ? box : null;
+  }
+
+  /**
+   * Error level analysis
+   * The slip is saved again as JPEG and the difference is measured per text
+   * region. Edges always differ most, so the error is divided by the edge
+   * strength of the region. A field whose error level is far from that of
+   * the other text lines was most likely pasted in or retouched.
+   * @param {object} image - Decoded greyscale image
+   * @param {object} fieldLocations - Field locations
+   * @param {array} lines - OCR lines
+   * @param {Array<number>} qualities - JPEG qualities to resave at
+   * @returns {Promise<object>} { qualities, regions, findings } regions hold the most deviating
+   *   quality per field and the ratio at every quality tried
+   */
+  async errorLevelAnalysis(image, fieldLocations, lines, qualities) {
+    const fieldBoxes = this.textFields
+      .map(field => ({ field, bbox: fieldLocations[field] && fieldLocations[field].bbox }))
+      .filter(entry => entry.bbox);
+    const overlaps = (a, b) => a.x0 < b.x1 && b.x0 < a.x1 && a.y0 < b.y1 && b.y0 < a.y1;
+    // Every other text line is the reference for what untouched text looks like
+    const referenceBoxes = lines
+      .filter(line => line.bbox && !fieldBoxes.some(entry => overlaps(entry.bbox, line.bbox)))
+      .map(line => line.bbox);
+
+    const ratios = {};
+    const regions = {};
+    if (fieldBoxes.length === 0 || referenceBoxes.length < this.elaMinReferenceLines) {
+      return { qualities: qualities, regions: regions, findings: [] };
+    }
+
+    for (const quality of qualities) {
+      const recompressed = await sharp(image.data, { raw: { width: image.width, height: image.height, channels: 1 } })
+        .jpeg({ quality: quality })
+        .toBuffer();
+      const resaved = await this.decodeGrey(recompressed);
+
+      const measure = (bbox) => {
+        const box = this.clampBox(bbox, image);
+        if (!box) {
+          return null;
+        }
+        let error = 0;
+        let edges = 0;
+        for (let y = box.y0; y < box.y1 - 1; y++) {
+          for (let x = box.x0; x < box.x1 - 1; x++) {
+            const i = y * image.width + x;
+            error += Math.abs(image.data[i] - resaved.data[i]);
+            edges += Math.abs(image.data[i + 1] - image.data[i]) + Math.abs(image.data[i + image.width] - image.data[i]);
+          }
+        }
+        // Flat regions carry no information
+        return edges > 0 ? error / edges : null;
+      };
+
+      const referenceLevels = referenceBoxes.map(measure).filter(level => level !== null);
+      const reference = referenceLevels.length >= this.elaMinReferenceLines ? median(referenceLevels) : null;
+      if (!reference) {
+        continue;
+      }
+
+      fieldBoxes.forEach(({ field, bbox }) => {
+        const level = measure(bbox);
+        if (level === null) {
+          return;
+        }
+        ratios[field] = ratios[field] || [];
+        ratios[field].push({ quality: quality, ratio: level / reference });
+      });
+    }
+
+    const threshold = qualities.length > 1 ? this.elaScanRatioThreshold : this.elaRatioThreshold;
+    const findings = [];
+    Object.entries(ratios).forEach(([field, measured]) => {
+      // A ratio of 3 and one of 1/3 deviate the same
+      const worst = measured.reduce((a, b) => (Math.abs(Math.log(b.ratio)) > Math.abs(Math.log(a.ratio)) ? b : a));
+      regions[field] = {
+        quality: worst.quality,
+        ratio: Math.round(worst.ratio * 100) / 100,
+        byQuality: measured.map(entry => ({ quality: entry.quality, ratio: Math.round(entry.ratio * 100) / 100 }))
+      };
+
+      if (worst.ratio > threshold || worst.ratio < 1 / threshold) {
+        findings.push({
+          check: 'ela',
+          field: field,
+          reason: `Error level of the ${field} region differs from the rest of the slip (${regions[field].ratio}x at quality ${worst.quality}) - it may have been edited`,
+          riskLevel: field === 'amount' ? 'HIGH' : 'MEDIUM'
+        });
+      }
+    });
+
+    return {
+      qualities: qualities,
+      regions: regions,
+      findings: findings
+    };
+  }
+
+  /**
+   * Read the JPEG segments up to the image data
+   * @param {Buffer} buffer - JPEG buffer
+   * @returns {Array<object>} Segments as { marker, data }
+   */
+  readJPEGSegments(buffer) {
+    const segments = [];
+    let offset = 2;
+
+    while (offset + 4 <= buffer.length) {
+      if (buffer[offset] !== 0xFF) {
+        break;
+      }
+      const marker = buffer[offset + 1];
+      // Fill bytes and markers without a length
+      if (marker === 0xFF) {
+        offset++;
+        continue;
+      }
+      if (marker === 0xD8 || (marker >= 0xD0 && marker <= 0xD7) || marker === 0x01) {
+        offset += 2;
+        continue;
+      }
+
+      const length = buffer.readUInt16BE(offset + 2);
+      segments.push({ marker: marker, data: buffer.subarray(offset + 4, offset + 2 + length) });
+      offset += 2 + length;
+
+      // Start of scan - entropy coded data follows
+      if (marker === 0xDA || marker === 0xD9) {
+        break;
+      }
+    }
+
+    return segments;
+  }
+
+  /**
+   * Read the quantization tables of a JPEG
+   * @param {Array<object>} segments - JPEG segments
+   * @returns {object} Table id -> 64 values in natural order
+   */
+  readQuantizationTables(segments) {
+    const tables = {};
+
+    segments.filter(segment => segment.marker === 0xDB).forEach(({ data }) => {
+      let offset = 0;
+      while (offset < data.length) {
+        const precision = data[offset] >> 4;
+        const id = data[offset] & 0x0F;
+        offset++;
+
+        const table = new Array(64);
+        for (let k = 0; k < 64; k++) {
+          table[ZIGZAG[k]] = precision ? data.readUInt16BE(offset + k * 2) : data[offset + k];
+        }
+        offset += precision ? 128 : 64;
+        tables[id] = table;
+      }
+    });
+
+    return tables;
+  }
+
+  /**
+   * Estimate the IJG quality a quantization table was made with
+   * @param {Array<number>} table - Table in natural order
+   * @param {Array<number>} base - IJG base table
+   * @returns {object} { quality, standard } standard is false when the table was not scaled from the base table
+   */
+  estimateQuality(table, base) {
+    const scale = (table.reduce((sum, value) => sum + value, 0) * 100) / base.reduce((sum, value) => sum + value, 0);
+    const quality = Math.max(1, Math.min(100, Math.round(scale <= 100 ? (200 - scale) / 2 : 5000 / scale)));
+
+    const percent = quality < 50 ? 5000 / quality : 200 - quality * 2;
+    const standard = base.every((value, index) => {
+      const expected = Math.min(255, Math.max(1, Math.floor((value * percent + 50) / 100)));
+      return Math.abs(expected - table[index]) <= 1;
+    });
+
+    return { quality: quality, standard: standard };
+  }
+
+  /**
+   * Locate the 8x8 block grids left by JPEG compression
+   * Decoded JPEG blocks transformed on the grid they were compressed on have
+   * their high frequency coefficients quantized to (almost) zero; on any
+   * other alignment they do not. Textured blocks are sampled and the share
+   * of near-zero coefficients is measured for all 64 alignments.
+   * @param {object} image - Decoded greyscale image
+   * @returns {object} { measurable, strength, earlier } strength is that of the file's own grid
+   *   at the corner, earlier the most likely other grid as { x, y, strength, asymmetry }
+   *   (strength relative to the median alignment, asymmetry relative to the mirrored alignment)
+   */
+  measureBlockGrid(image) {
+    const { data, width, height } = image;
+
+    // Blocks with some texture - flat blocks are zero on every alignment
+    const blocks = [];
+    for (let by = 8; by + 16 <= height; by += 8) {
+      for (let bx = 8; bx + 16 <= width; bx += 8) {
+        let min = 255;
+        let max = 0;
+        for (let y = 0; y < 8; y++) {
+          for (let x = 0; x < 8; x++) {
+            const value = data[(by + y) * width + bx + x];
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+          }
+        }
+        if (max - min > 8) {
+          blocks.push({ bx, by });
+        }
+      }
+    }
+
+    const step = Math.max(1, Math.floor(blocks.length / this.gridSampleBlocks));
+    const sample = blocks.filter((block, index) => index % step === 0);
+    if (sample.length === 0) {
+      return { measurable: false, strength: null, earlier: null };
+    }
+
+    const pixels = new Array(64);
+    const rows = new Array(64);
+    const shares = [];
+    for (let offset = 0; offset < 64; offset++) {
+      const ox = offset % 8;
+      const oy = Math.floor(offset / 8);
+      let zeros = 0;
+      let total = 0;
+
+      sample.forEach(({ bx, by }) => {
+        for (let y = 0; y < 8; y++) {
+          for (let x = 0; x < 8; x++) {
+            pixels[y * 8 + x] = data[(by + oy + y) * width + bx + ox + x] - 128;
+          }
+        }
+        // Separable DCT: rows first, then the high frequency columns
+        for (let y = 0; y < 8; y++) {
+          for (let u = 0; u < 8; u++) {
+            let sum = 0;
+            for (let x = 0; x < 8; x++) {
+              sum += DCT[u][x] * pixels[y * 8 + x];
+            }
+            rows[y * 8 + u] = sum;
+          }
+        }
+        for (let v = 0; v < 8; v++) {
+          for (let u = 0; u < 8; u++) {
+            if (u + v < 5) {
+              continue;
+            }
+            let sum = 0;
+            for (let y = 0; y < 8; y++) {
+              sum += DCT[v][y] * rows[y * 8 + u];
+            }
+            total++;
+            if (Math.abs(sum) < 1) {
+              zeros++;
+            }
+          }
+        }
+      });
+
+      shares.push(zeros / total);
+    }
+
+    // The file's own grid always starts at the corner. Text on a flat
+    // background makes whichever alignment holds the most background look
+    // strongest, so the strongest alignment is not taken as the grid
+    const background = median(shares) || 1;
+    const main = 0;
+
+    // Neighbouring alignments and the even harmonics echo the main grid
+    // (a crop by an even number of pixels is missed)
+    const echoes = (offset) => {
+      const dx = Math.abs((offset % 8) - (main % 8));
+      const dy = Math.abs(Math.floor(offset / 8) - Math.floor(main / 8));
+      const near = (a) => Math.min(a, 8 - a) <= 1;
+      return (near(dx) && near(dy)) || (dx % 2 === 0 && dy % 2 === 0);
+    };
+    // Echoes are symmetric around the main grid, an earlier grid is not
+    const mirror = (offset) => {
+      const x = (2 * (main % 8) - (offset % 8) + 8) % 8;
+      const y = (2 * Math.floor(main / 8) - Math.floor(offset / 8) + 8) % 8;
+      return y * 8 + x;
+    };
+    let earlier = -1;
+    shares.forEach((share, offset) => {
+      if (!echoes(offset) && (earlier === -1 || share - shares[mirror(offset)] > shares[earlier] - shares[mirror(earlier)])) {
+        earlier = offset;
+      }
+    });
+
+    const strength = Math.round((shares[main] / background) * 100) / 100;
+    return {
+      measurable: strength >= this.gridMinStrength,
+      strength: strength,
+      earlier: earlier === -1 ? null : {
+        x: earlier % 8,
+        y: Math.floor(earlier / 8),
+        strength: Math.round((shares[earlier] / background) * 100) / 100,
+        asymmetry: Math.round((shares[earlier] / Math.max(shares[mirror(earlier)], 1e-6)) * 100) / 100
+      }
+    };
+  }
+
+  /**
+   * Inspect the JPEG structure
+   * - quantization tables: estimated quality and whether a standard encoder made them
+   * - block grid: a JPEG's own grid starts at the image corner. A grid at any
+   *   other alignment was left by an earlier compression of an image that was
+   *   cropped or shifted before being saved again
+   * @param {Buffer} buffer - Image buffer
+   * @param {object} image - Decoded greyscale image
+   * @param {string} format - Image format
+   * @returns {object} { quantization, blockGrid, doubleCompression, findings }
+   */
+  analyzeJPEG(buffer, image, format) {
+    if (format !== 'jpeg') {
+      return { quantization: null, blockGrid: null, doubleCompression: false, findings: [] };
+    }
+
+    const grid = this.measureBlockGrid(image);
+
+    const segments = this.readJPEGSegments(buffer);
+    const tables = this.readQuantizationTables(segments);
+    const quantization = {
+      luminance: tables[0] ? this.estimateQuality(tables[0], STANDARD_LUMINANCE) : null,
+      chrominance: tables[1] ? this.estimateQuality(tables[1], STANDARD_CHROMINANCE) : null
+    };
+
+    const findings = [];
+
+    // The file's own grid starts at the corner - any other grid is older
+    const doubleCompression = grid.measurable && grid.earlier !== null &&
+      grid.earlier.strength >= this.gridEarlierStrength &&
+      grid.earlier.asymmetry >= this.gridEarlierAsymmetry;
+    if (doubleCompression) {
+      findings.push({
+        check: 'jpeg',
+        field: null,
+        reason: 'JPEG block grid of an earlier compression is shifted - the image was cropped or edited and saved again',
+        riskLevel: 'MEDIUM'
+      });
+    }
+
+    // Luminance and chrominance scaled differently - not a standard encoder setting
+    const { luminance, chrominance } = quantization;
+    if (luminance && chrominance && luminance.standard && chrominance.standard &&
+        Math.abs(luminance.quality - chrominance.quality) > 10) {
+      findings.push({
+        check: 'jpeg',
+        field: null,
+        reason: `JPEG quantization tables are inconsistent (luminance quality ${luminance.quality}, chrominance quality ${chrominance.quality})`,
+        riskLevel: 'MEDIUM'
+      });
+    }
+
+    return {
+      quantization: quantization,
+      blockGrid: grid,
+      doubleCompression: doubleCompression,
+      findings: findings
+    };
+  }
+
+  /**
+   * Read ASCII tags from the first IFD of an EXIF block
+   * @param {Buffer} data - EXIF data starting with the TIFF header
+   * @returns {object} { software, dateTime, make, model }
+   */
+  readExif(data) {
+    const exif = {};
+    if (data.length < 8) {
+      return exif;
+    }
+
+    const little = data.toString('latin1', 0, 2) === 'II';
+    const read16 = (offset) => (little ? data.readUInt16LE(offset) : data.readUInt16BE(offset));
+    const read32 = (offset) => (little ? data.readUInt32LE(offset) : data.readUInt32BE(offset));
+    const tags = { 0x010F: 'make', 0x0110: 'model', 0x0131: 'software', 0x0132: 'dateTime' };
+
+    const ifd = read32(4);
+    if (ifd + 2 > data.length) {
+      return exif;
+    }
+
+    const count = read16(ifd);
+    for (let n = 0; n < count; n++) {
+      const entry = ifd + 2 + n * 12;
+      if (entry + 12 > data.length) {
+        break;
+      }
+      const name = tags[read16(entry)];
+      // ASCII values only
+      if (!name || read16(entry + 2) !== 2) {
+        continue;
+      }
+      const length = read32(entry + 4);
+      const start = length <= 4 ? entry + 8 : read32(entry + 8);
+      if (start + length <= data.length) {
+        exif[name] = data.toString('latin1', start, start + length).replace(/\0+$/, '').trim();
+      }
+    }
+
+    return exif;
+  }
+
+  /**
+   * Collect the metadata of an image that can name the software that wrote it
+   * @param {Buffer} buffer - Image buffer
+   * @param {string} format - Image format
+   * @returns {object} { exif, xmp, text } xmp is the raw packet, text the PNG text chunks / JPEG comments
+   */
+  readMetadata(buffer, format) {
+    const metadata = { exif: {}, xmp: null, text: {} };
+
+    if (format === 'jpeg') {
+      this.readJPEGSegments(buffer).forEach(({ marker, data }) => {
+        if (marker === 0xE1 && data.toString('latin1', 0, 6) === 'Exif\0\0') {
+          metadata.exif = this.readExif(data.subarray(6));
+        } else if (marker === 0xE1 && data.toString('latin1', 0, 29) === 'http://ns.adobe.com/xap/1.0/\0') {
+          metadata.xmp = data.toString('utf8', 29);
+        } else if (marker === 0xED && data.toString('latin1', 0, 13) === 'Photoshop 3.0') {
+          metadata.text.photoshop = 'Adobe Photoshop';
+        } else if (marker === 0xFE) {
+          metadata.text.comment = data.toString('utf8');
+        }
+      });
+    } else if (format === 'png') {
+      let offset = 8;
+      while (offset + 12 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        offset += 12 + length;
+
+        if (type === 'IEND') {
+          break;
+        }
+        if (type === 'eXIf') {
+          metadata.exif = this.readExif(data);
+          continue;
+        }
+        if (type !== 'tEXt' && type !== 'iTXt' && type !== 'zTXt') {
+          continue;
+        }
+
+        const separator = data.indexOf(0);
+        if (separator === -1) {
+          continue;
+        }
+        const keyword = data.toString('latin1', 0, separator);
+        let value;
+        try {
+          if (type === 'tEXt') {
+            value = data.toString('latin1', separator + 1);
+          } else if (type === 'zTXt') {
+            value = zlib.inflateSync(data.subarray(separator + 2)).toString('latin1');
+          } else {
+            // keyword, compression flag, method, language, translated keyword, text
+            const compressed = data[separator + 1] === 1;
+            let start = data.indexOf(0, separator + 3) + 1;
+            start = data.indexOf(0, start) + 1;
+            const text = data.subarray(start);
+            value = (compressed ? zlib.inflateSync(text) : text).toString('utf8');
+          }
+        } catch (error) {
+          continue;
+        }
+
+        if (keyword === 'XML:com.adobe.xmp') {
+          metadata.xmp = value;
+        } else {
+          metadata.text[keyword] = value;
+        }
+      }
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Look for editing software in the image metadata
+   * Slips saved by a banking app carry no editor signature; a slip saved by
+   * Photoshop, Canva and the like has been opened in an editor
+   * @param {Buffer} buffer - Image buffer
+   * @param {string} format - Image format
+   * @returns {object} { software, exif, editHistory, findings }
+   */
+  inspectMetadata(buffer, format) {
+    const metadata = this.readMetadata(buffer, format);
+    const software = [];
+
+    if (metadata.exif.software) {
+      software.push(metadata.exif.software);
+    }
+    Object.values(metadata.text).forEach((value) => {
+      if (this.editingSoftware.test(value)) {
+        software.push(value.trim());
+      }
+    });
+
+    let editHistory = 0;
+    if (metadata.xmp) {
+      const tools = metadata.xmp.match(/(?:CreatorTool|softwareAgent)(?:>|="|=')([^<"']+)/g) || [];
+      tools.forEach((tool) => {
+        software.push(tool.replace(/^(?:CreatorTool|softwareAgent)(?:>|="|=')/, '').trim());
+      });
+      // xmpMM:History lists every save made by the editor
+      editHistory = (metadata.xmp.match(/stEvt:action(?:>|=")(?:saved|derived|converted)/g) || []).length;
+    }
+
+    const unique = [...new Set(software.filter(Boolean))];
+    const editors = unique.filter(name => this.editingSoftware.test(name));
+
+    const findings = [];
+    if (editors.length > 0) {
+      findings.push({
+        check: 'metadata',
+        field: null,
+        reason: `Image was saved by editing software: ${editors.join(', ')}`,
+        riskLevel: 'HIGH'
+      });
+    } else if (editHistory > 0) {
+      findings.push({
+        check: 'metadata',
+        field: null,
+        reason: `Image metadata records ${editHistory} editing step(s)`,
+        riskLevel: 'MEDIUM'
+      });
+    }
+
+    return {
+      software: unique,
+      exif: metadata.exif,
+      editHistory: editHistory,
+      findings: findings
+    };
+  }
+
+  /**
+   * Split a text region into glyphs using the column ink profile
+   * @param {object} image - Decoded greyscale image
+   * @param {object} bbox - Region bounding box
+   * @returns {Array<object>} Glyphs as { x0, x1, top, bottom, stroke }
+   */
+  segmentGlyphs(image, bbox) {
+    const box = this.clampBox(bbox, image);
+    if (!box) {
+      return [];
+    }
+
+    // Otsu threshold of the region
+    const histogram = new Array(256).fill(0);
+    let total = 0;
+    for (let y = box.y0; y < box.y1; y++) {
+      for (let x = box.x0; x < box.x1; x++) {
+        histogram[image.data[y * image.width + x]]++;
+        total++;
+      }
+    }
+    let sum = 0;
+    histogram.forEach((count, value) => { sum += count * value; });
+    let sumBackground = 0;
+    let weightBackground = 0;
+    let best = 0;
+    let threshold = 128;
+    for (let value = 0; value < 256; value++) {
+      weightBackground += histogram[value];
+      if (weightBackground === 0 || weightBackground === total) {
+        continue;
+      }
+      sumBackground += value * histogram[value];
+      const meanBackground = sumBackground / weightBackground;
+      const meanForeground = (sum - sumBackground) / (total - weightBackground);
+      const variance = weightBackground * (total - weightBackground) * (meanBackground - meanForeground) ** 2;
+      if (variance > best) {
+        best = variance;
+        threshold = value;
+      }
+    }
+
+    // Ink is the minority - dark text on light or light text on dark
+    const darkPixels = histogram.slice(0, threshold + 1).reduce((a, b) => a + b, 0);
+    const darkInk = darkPixels <= total / 2;
+    const isInk = (value) => (darkInk ? value <= threshold : value > threshold);
+
+    const glyphs = [];
+    let current = null;
+    for (let x = box.x0; x <= box.x1; x++) {
+      let top = -1;
+      let bottom = -1;
+      let ink = 0;
+      let verticalRuns = 0;
+      let horizontalRuns = 0;
+      if (x < box.x1) {
+        for (let y = box.y0; y < box.y1; y++) {
+          const i = y * image.width + x;
+          if (isInk(image.data[i])) {
+            if (top === -1) {
+              top = y;
+            }
+            bottom = y;
+            ink++;
+            if (y === box.y0 || !isInk(image.data[i - image.width])) {
+              verticalRuns++;
+            }
+            if (x === box.x0 || !isInk(image.data[i - 1])) {
+              horizontalRuns++;
+            }
+          }
+        }
+      }
+
+      if (top !== -1) {
+        if (!current) {
+          current = { x0: x, x1: x + 1, top: top, bottom: bottom, ink: 0, verticalRuns: 0, horizontalRuns: 0 };
+        }
+        current.x1 = x + 1;
+        current.top = Math.min(current.top, top);
+        current.bottom = Math.max(current.bottom, bottom);
+        current.ink += ink;
+        current.verticalRuns += verticalRuns;
+        current.horizontalRuns += horizontalRuns;
+      } else if (current) {
+        // Stroke width: average run of ink across the thinner direction
+        glyphs.push({
+          x0: current.x0,
+          x1: current.x1,
+          top: current.top,
+          bottom: current.bottom + 1,
+          stroke: Math.min(current.ink / current.verticalRuns, current.ink / current.horizontalRuns)
+        });
+        current = null;
+      }
+    }
+
+    return glyphs;
+  }
+
+  /**
+   * Look for font inconsistencies in the amount and the names
+   * - amount: digits of one font share height, baseline, spacing and weight;
+   *   a digit typed in over the original usually breaks one of them
+   * - names: Thai marks above and below the line make glyph heights
+   *   meaningless, so the stroke weight of every word is compared instead
+   * @param {object} image - Decoded greyscale image
+   * @param {object} fieldLocations - Field locations
+   * @returns {object} { fields, findings }
+   */
+  checkTypography(image, fieldLocations) {
+    const fields = {};
+    const findings = [];
+    const report = (field, reason) => {
+      findings.push({ check: 'typography', field: field, reason: reason, riskLevel: 'MEDIUM' });
+    };
+
+    // Amount - per glyph. Only when OCR found the amount word itself: the
+    // whole line also holds the label and the currency in another font
+    const amount = fieldLocations.amount;
+    if (amount && amount.bbox && amount.wordMatched) {
+      const all = this.segmentGlyphs(image, amount.bbox);
+      const tallest = Math.max(0, ...all.map(glyph => glyph.bottom - glyph.top));
+      // Separators (".", ",") are much shorter than digits
+      const digits = all.filter(glyph => glyph.bottom - glyph.top >= tallest * 0.5);
+
+      if (digits.length >= 3) {
+        const heights = digits.map(glyph => glyph.bottom - glyph.top);
+        const bottoms = digits.map(glyph => glyph.bottom);
+        const strokes = digits.map(glyph => glyph.stroke);
+        const height = median(heights);
+        const baseline = median(bottoms);
+        const stroke = median(strokes);
+
+        // Centre-to-centre distance of neighbouring digits with no separator in between
+        const advances = [];
+        for (let i = 1; i < digits.length; i++) {
+          const between = all.indexOf(digits[i]) - all.indexOf(digits[i - 1]);
+          if (between === 1) {
+            advances.push((digits[i].x0 + digits[i].x1 - digits[i - 1].x0 - digits[i - 1].x1) / 2);
+          }
+        }
+        const advance = median(advances);
+
+        fields.amount = {
+          glyphs: digits.length,
+          height: height,
+          baseline: baseline,
+          advance: advance,
+          stroke: Math.round(stroke * 100) / 100
+        };
+
+        if (heights.some(value => Math.abs(value - height) > height * this.heightTolerance)) {
+          report('amount', 'Characters of the amount differ in size');
+        }
+        if (bottoms.some(value => Math.abs(value - baseline) > height * this.baselineTolerance)) {
+          report('amount', 'Characters of the amount are not on a common baseline');
+        }
+        if (advances.length >= 2 && advances.some(value => Math.abs(value - advance) > advance * this.advanceTolerance)) {
+          report('amount', 'Character spacing of the amount is uneven');
+        }
+        if (strokes.some(value => Math.abs(value - stroke) > stroke * this.strokeTolerance)) {
+          report('amount', 'Stroke weight of the amount characters is inconsistent');
+        }
+      }
+    }
+
+    // Names - stroke weight per word, across both names (slips print them in the same font)
+    const words = [];
+    ['sender', 'receiver'].forEach((field) => {
+      const location = fieldLocations[field];
+      (location && location.wordMatched ? location.words : []).forEach((word) => {
+        const glyphs = this.segmentGlyphs(image, word.bbox);
+        const runs = glyphs.filter(glyph => glyph.stroke > 0);
+        if (runs.length > 0) {
+          words.push({ field, text: word.text, stroke: median(runs.map(glyph => glyph.stroke)) });
+        }
+      });
+    });
+
+    if (words.length >= 3) {
+      const stroke = median(words.map(word => word.stroke));
+      ['sender', 'receiver'].forEach((field) => {
+        const fieldWords = words.filter(word => word.field === field);
+        if (fieldWords.length === 0) {
+          return;
+        }
+        fields[field] = { words: fieldWords.length, stroke: Math.round(median(fieldWords.map(word => word.stroke)) * 100) / 100 };
+
+        const odd = fieldWords.filter(word => Math.abs(word.stroke - stroke) > stroke * this.strokeTolerance);
+        if (odd.length > 0) {
+          report(field, `Font weight of the ${field} name is inconsistent ("${odd.map(word => word.text.trim()).join(' ')}")`);
+        }
+      });
+    }
+
+    return { fields: fields, findings: findings };
+  }
+}
+
+module.exports = new ForensicsService();
@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const JsonStore = require('../utils/jsonStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read a non-negative number from the environment
+ * @param {string} name - Variable name
+ * @param {number} defaultValue - Value used when unset or invalid
+ * @returns {number} Parsed value
+ */
+function envNumber(name, defaultValue) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) || value < 0 ? defaultValue : value;
+}
+
+/**
+ * Verification History Service
+ * Keeps an audit trail of every slip verification outcome so support can
+ * explain a rejection when a customer disputes it.
+ *
+ * The whole history is rewritten on every record, so it is kept bounded:
+ * records older than HISTORY_RETENTION_DAYS are dropped, and so are the
+ * oldest records beyond HISTORY_MAX_RECORDS (0 = no limit for either)
+ */
+class HistoryService {
+  constructor() {
+    this.store = new JsonStore(process.env.HISTORY_FILE || 'verifications.json', {
+      verifications: []
+    });
+    this.retentionDays = envNumber('HISTORY_RETENTION_DAYS', 90);
+    this.maxRecords = envNumber('HISTORY_MAX_RECORDS', 20000);
+  }
+
+  /**
+   * Hash the uploaded image so the same file can be traced later
+   * @param {Buffer} imageBuffer - Slip image
+   * @returns {string|null} SHA-256 hex digest
+   */
+  hashImage(imageBuffer) {
+    if (!imageBuffer) {
+      return null;
+    }
+    return crypto.createHash('sha256').update(imageBuffer).digest('hex');
+  }
+
+  /**
+   * Record a verification outcome
+   * @param {object} outcome - Result of slipVerificationService.verifySlip
+   * @param {Buffer} imageBuffer - Slip image
+   * @param {object} meta - Extra context ({ source, apiKeyId })
+   * @returns {object} Stored record
+   */
+  record(outcome, imageBuffer, meta = {}) {
+    const validation = outcome.validation || null;
+    const slipData = outcome.slipData || {};
+    const transactionInfo = validation && validation.details.transactionInfo;
+
+    const entry = {
+      id: validation ? validation.verificationId : crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      source: meta.source || 'verify',
+      apiKeyId: meta.apiKeyId || null,
+      transactionId: transactionInfo ? transactionInfo.raw : (slipData.transactionId || null),
+      bank: transactionInfo ? transactionInfo.bank : null,
+      amount: typeof slipData.amount === 'number' ? slipData.amount : null,
+      slipTime: validation && validation.details.slipTime ? validation.details.slipTime : null,
+      type: transactionInfo ? transactionInfo.type : null,
+      typeDescription: transactionInfo ? transactionInfo.typeDescription : null,
+      valid: validation ? validation.valid : false,
+      score: validation ? validation.score : 0,
+      maxScore: validation ? validation.maxScore : 0,
+      scorePercentage: validation ? (validation.scorePercentage || 0) : 0,
+      riskLevel: validation && validation.fakeSlipDetection ? validation.fakeSlipDetection.riskLevel : null,
+      errors: validation ? validation.errors : [outcome.error, outcome.details].filter(Boolean),
+      warnings: validation ? validation.warnings : [],
+      duplicateOf: validation && validation.duplicateOf ? validation.duplicateOf.verificationId : null,
+      imageHash: this.hashImage(imageBuffer)
+    };
+
+    this.store.update(data => {
+      data.verifications.push(entry);
+      this.prune(data.verifications);
+    });
+
+    return entry;
+  }
+
+  /**
+   * Drop the records past the retention period and beyond the record limit
+   * @param {Array<object>} verifications - Records, oldest first (changed in place)
+   * @param {number} now - Reference time in ms (default: now)
+   * @returns {number} Number of records dropped
+   */
+  prune(verifications, now = Date.now()) {
+    let expired = 0;
+    if (this.retentionDays > 0) {
+      const cutoff = now - this.retentionDays * DAY_MS;
+      while (expired < verifications.length && new Date(verifications[expired].createdAt).getTime() < cutoff) {
+        expired++;
+      }
+    }
+
+    const excess = this.maxRecords > 0 ? verifications.length - expired - this.maxRecords : 0;
+    const dropped = expired + Math.max(0, excess);
+    verifications.splice(0, dropped);
+    return dropped;
+  }
+
+  /**
+   * Get a single verification record
+   * @param {string} id - Verification ID
+   * @param {string} apiKeyId - Only return the record if it belongs to this API key (optional)
+   * @returns {object|null} Record or null if not found
+   */
+  get(id, apiKeyId = null) {
+    const { verifications } = this.store.load();
+    const entry = verifications.find(item => item.id === id);
+    if (!entry || (apiKeyId && entry.apiKeyId !== apiKeyId)) {
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * List the verifications that accepted a slip
+   * @returns {Array<object>} Valid records, oldest first
+   */
+  listAccepted() {
+    return this.store.load().verifications.filter(entry => entry.valid);
+  }
+
+  /**
+   * Search verification records
+   * @param {object} filters - Search filters (all optional)
+   * @param {string} filters.from - ISO date/time, inclusive lower bound on createdAt
+   * @param {string} filters.to - ISO date/time, inclusive upper bound on createdAt
+   * @param {string} filters.type - Transaction type code (e.g. "BQR0")
+   * @param {string} filters.bank - Bank code (e.g. "KBANK")
+   * @param {string} filters.riskLevel - LOW, MEDIUM or HIGH
+   * @param {number} filters.minAmount - Minimum amount
+   * @param {number} filters.maxAmount - Maximum amount
+   * @param {boolean} filters.valid - Validity
+   * @param {string} filters.transactionId - Exact transaction ID
+   * @param {string} filters.apiKeyId - Only records of this API key
+   * @param {number} filters.page - Page number (1-based)
+   * @param {number} filters.limit - Page size (max 100)
+   * @returns {object} Matching records and pagination info
+   */
+  search(filters = {}) {
+    const { verifications } = this.store.load();
+    const from = filters.from ? new Date(filters.from).getTime() : null;
+    const to = filters.to ? new Date(filters.to).getTime() : null;
+    const type = filters.type ? filters.type.toUpperCase() : null;
+    const bank = filters.bank ? filters.bank.toUpperCase() : null;
+    const riskLevel = filters.riskLevel ? filters.riskLevel.toUpperCase() : null;
+    const transactionId = filters.transactionId ? filters.transactionId.replace(/\s/g, '').toUpperCase() : null;
+
+    const matches = verifications.filter(entry => {
+      const createdAt = new Date(entry.createdAt).getTime();
+
+      if (from !== null && createdAt < from) return false;
+      if (to !== null && createdAt > to) return false;
+      if (type && entry.type !== type) return false;
+      if (bank && entry.bank !== bank) return false;
+      if (riskLevel && entry.riskLevel !== riskLevel) return false;
+      if (transactionId && entry.transactionId !== transactionId) return false;
+      if (filters.apiKeyId && entry.apiKeyId !== filters.apiKeyId) return false;
+      if (typeof filters.valid === 'boolean' && entry.valid !== filters.valid) return false;
+      if (typeof filters.minAmount === 'number' && (entry.amount === null || entry.amount < filters.minAmount)) return false;
+      if (typeof filters.maxAmount === 'number' && (entry.amount === null || entry.amount > filters.maxAmount)) return false;
+
+      return true;
+    });
+
+    // Newest first
+    matches.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 20, 1), 100);
+    const page = Math.max(parseInt(filters.page) || 1, 1);
+    const start = (page - 1) * limit;
+
+    return {
+      items: matches.slice(start, start + limit),
+      pagination: {
+        page: page,
+        limit: limit,
+        total: matches.length,
+        totalPages: Math.ceil(matches.length / limit)
+      }
+    };
+  }
+}
+
+module.exports = new HistoryService();
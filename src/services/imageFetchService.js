@@ -0,0 +1,184 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const { isPrivateAddress, lookupPublicAddress } = require('../utils/networkAddress');
+
+/**
+ * Error raised when a slip image URL is refused or cannot be downloaded
+ * Routes answer it with its statusCode (400 refused, 502 download failed, 504 timeout)
+ */
+class ImageFetchError extends Error {
+  constructor(message, statusCode = 400, code = 'IMAGE_URL_REJECTED') {
+    super(message);
+    this.name = 'ImageFetchError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Image Fetch Service
+ * Downloads slip images from URLs (e.g. signed storage URLs) without
+ * opening an SSRF hole: only allow-listed hosts, https, no redirects, public
+ * addresses only (checked on the resolved address, so DNS tricks do not
+ * help), a size limit and a timeout
+ */
+class ImageFetchService {
+  constructor() {
+    // Comma-separated host names; "*.example.com" matches every subdomain. Empty = URL input disabled
+    this.allowedHosts = (process.env.IMAGE_URL_ALLOWED_HOSTS || '')
+      .split(',')
+      .map(host => host.trim().toLowerCase())
+      .filter(Boolean);
+    this.timeout = parseInt(process.env.IMAGE_URL_TIMEOUT_MS) || 10000;
+    this.maxSize = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+
+    // For storage inside the private network (e.g. MinIO) - off by default
+    this.allowHttp = process.env.IMAGE_URL_ALLOW_HTTP === 'true';
+    this.allowPrivateAddresses = process.env.IMAGE_URL_ALLOW_PRIVATE === 'true';
+  }
+
+  /**
+   * Check a host name against IMAGE_URL_ALLOWED_HOSTS
+   * @param {string} hostname - Host name of the URL
+   * @returns {boolean} True if allow-listed
+   */
+  isHostAllowed(hostname) {
+    const host = hostname.toLowerCase();
+    return this.allowedHosts.some(allowed => allowed.startsWith('*.')
+      ? host.endsWith(allowed.slice(1))
+      : host === allowed);
+  }
+
+  /**
+   * Check an image URL before anything is requested
+   * @param {string} imageUrl - URL sent by the client
+   * @returns {URL} Parsed URL
+   * @throws {ImageFetchError} When the URL may not be fetched
+   */
+  validateUrl(imageUrl) {
+    if (this.allowedHosts.length === 0) {
+      throw new ImageFetchError('imageUrl input is disabled (IMAGE_URL_ALLOWED_HOSTS is empty)');
+    }
+
+    let url;
+    try {
+      url = new URL(imageUrl);
+    } catch (error) {
+      throw new ImageFetchError('imageUrl is not a valid URL');
+    }
+
+    if (url.protocol !== 'https:' && !(this.allowHttp && url.protocol === 'http:')) {
+      throw new ImageFetchError(`imageUrl must use https${this.allowHttp ? ' or http' : ''}`);
+    }
+    if (url.username || url.password) {
+      throw new ImageFetchError('imageUrl must not contain credentials');
+    }
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (!this.isHostAllowed(hostname)) {
+      throw new ImageFetchError(`Host ${hostname} is not in IMAGE_URL_ALLOWED_HOSTS`);
+    }
+    if (net.isIP(hostname) && !this.allowPrivateAddresses && isPrivateAddress(hostname)) {
+      throw new ImageFetchError(`Host ${hostname} is not a public address`);
+    }
+
+    return url;
+  }
+
+  /**
+   * DNS lookup that refuses private addresses
+   * Used as the socket lookup, so the address checked is the one connected to
+   * @param {string} hostname - Host name
+   * @param {object} options - dns.lookup options
+   * @param {function} callback - dns.lookup callback
+   */
+  lookup(hostname, options, callback) {
+    if (this.allowPrivateAddresses) {
+      return dns.lookup(hostname, options, callback);
+    }
+
+    lookupPublicAddress(hostname, options, (error, address, family) => {
+      if (error && error.code === 'NON_PUBLIC_ADDRESS') {
+        return callback(new ImageFetchError(error.message));
+      }
+      callback(error, address, family);
+    });
+  }
+
+  /**
+   * Download a slip image
+   * The content type header is not trusted - the caller sniffs the bytes
+   * (see slipImageService.toImages)
+   * @param {string} imageUrl - URL sent by the client
+   * @returns {Promise<object>} { name, buffer, contentType }
+   * @throws {ImageFetchError} When the URL is refused or the download fails
+   */
+  fetch(imageUrl) {
+    const url = this.validateUrl(imageUrl);
+    const client = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      let request = null;
+      const finish = (error, result) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        if (error) {
+          if (request) {
+            request.destroy();
+          }
+          reject(error instanceof ImageFetchError
+            ? error
+            : new ImageFetchError(`Could not download imageUrl: ${error.message}`, 502, 'IMAGE_FETCH_FAILED'));
+        } else {
+          resolve(result);
+        }
+      };
+
+      // One deadline for connecting and downloading - a slow drip cannot hold the request open
+      const timer = setTimeout(() => {
+        finish(new ImageFetchError(`imageUrl did not respond within ${this.timeout}ms`, 504, 'IMAGE_FETCH_TIMEOUT'));
+      }, this.timeout);
+
+      request = client.get(url, {
+        lookup: this.lookup.bind(this),
+        headers: { Accept: 'image/*, application/pdf' }
+      }, (response) => {
+        if (response.statusCode !== 200) {
+          response.resume();
+          return finish(new ImageFetchError(`imageUrl answered HTTP ${response.statusCode}`, 502, 'IMAGE_FETCH_FAILED'));
+        }
+
+        const declaredSize = parseInt(response.headers['content-length']);
+        if (declaredSize > this.maxSize) {
+          return finish(new ImageFetchError(`Image at imageUrl exceeds the maximum file size (${this.maxSize} bytes)`));
+        }
+
+        const chunks = [];
+        let size = 0;
+        response.on('data', (chunk) => {
+          size += chunk.length;
+          if (size > this.maxSize) {
+            return finish(new ImageFetchError(`Image at imageUrl exceeds the maximum file size (${this.maxSize} bytes)`));
+          }
+          chunks.push(chunk);
+        });
+        response.on('end', () => finish(null, {
+          name: url.pathname.split('/').pop() || 'image',
+          buffer: Buffer.concat(chunks),
+          contentType: response.headers['content-type'] || null
+        }));
+        response.on('error', finish);
+      });
+
+      request.on('error', finish);
+    });
+  }
+}
+
+module.exports = new ImageFetchService();
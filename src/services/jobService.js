@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const { isPrivateAddress, lookupPublicAddress } = require('../utils/networkAddress');
+
+/**
+ * Asynchronous Job Service
+ *
+ * Runs slow slip work (OCR takes several seconds) in the background so the
+ * HTTP request can return a job ID immediately. Jobs are kept in memory and
+ * expire JOB_TTL_MINUTES after they finish. When a callback URL is given the
+ * final job state is POSTed to it, signed with HMAC-SHA256 (WEBHOOK_SECRET).
+ * Callbacks only go to public addresses (checked on the resolved address)
+ * unless CALLBACK_ALLOW_PRIVATE=true, and redirects are not followed.
+ */
+class JobService {
+  constructor() {
+    this.jobs = new Map();
+    this.ttl = (parseInt(process.env.JOB_TTL_MINUTES) || 60) * 60 * 1000;
+    this.callbackTimeout = parseInt(process.env.CALLBACK_TIMEOUT_MS) || 10000;
+    this.callbackRetries = parseInt(process.env.CALLBACK_MAX_ATTEMPTS) || 3;
+
+    // For receivers inside the private network - off by default
+    this.allowPrivateAddresses = process.env.CALLBACK_ALLOW_PRIVATE === 'true';
+
+    // Periodically drop finished jobs past their TTL
+    this.cleanupTimer = setInterval(() => this.cleanup(), 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Validate a caller-supplied callback URL
+   * @param {string} callbackUrl - URL to POST the result to
+   * @returns {string|null} Error message or null if valid
+   */
+  validateCallbackUrl(callbackUrl) {
+    let url;
+    try {
+      url = new URL(callbackUrl);
+    } catch (error) {
+      return 'callbackUrl is not a valid URL';
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return 'callbackUrl must use http or https';
+    }
+    if (url.username || url.password) {
+      return 'callbackUrl must not contain credentials';
+    }
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && !this.allowPrivateAddresses && isPrivateAddress(hostname)) {
+      return `callbackUrl host ${hostname} is not a public address`;
+    }
+    return null;
+  }
+
+  /**
+   * Create a job and start it in the background
+   * @param {string} type - Job type (e.g. "verify", "parse")
+   * @param {function} runner - async (reportProgress) => result
+   * @param {object} options - Job options
+   * @param {string} options.callbackUrl - URL to POST the final result to (optional)
+   * @param {string} options.ownerId - API key that created the job (optional)
+   * @returns {object} Public view of the created job
+   */
+  createJob(type, runner, options = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type: type,
+      ownerId: options.ownerId || null,
+      status: 'queued',
+      progress: 0,
+      stage: 'queued',
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null,
+      result: null,
+      error: null,
+      callback: options.callbackUrl
+        ? { url: options.callbackUrl, status: 'pending', attempts: 0, lastError: null }
+        : null
+    };
+
+    this.jobs.set(job.id, job);
+    setImmediate(() => this.run(job, runner));
+
+    return this.toPublic(job);
+  }
+
+  /**
+   * Run a job and record its outcome
+   * @param {object} job - Job record
+   * @param {function} runner - Job body
+   */
+  async run(job, runner) {
+    const reportProgress = (progress, stage) => {
+      job.progress = Math.max(job.progress, Math.min(100, Math.round(progress)));
+      if (stage) {
+        job.stage = stage;
+      }
+      job.updatedAt = new Date().toISOString();
+    };
+
+    job.status = 'processing';
+    reportProgress(0, 'processing');
+
+    try {
+      job.result = await runner(reportProgress);
+      job.status = 'completed';
+      job.progress = 100;
+      job.stage = 'completed';
+    } catch (error) {
+      console.error(`Job ${job.id} failed:`, error);
+      job.status = 'failed';
+      job.stage = 'failed';
+      job.error = { message: error.message, code: error.code || null };
+    }
+
+    job.completedAt = new Date().toISOString();
+    job.updatedAt = job.completedAt;
+
+    if (job.callback) {
+      await this.sendCallback(job);
+    }
+  }
+
+  /**
+   * Sign a callback body
+   * @param {string} timestamp - Unix timestamp (seconds) sent with the callback
+   * @param {string} body - JSON body
+   * @returns {string|null} Hex HMAC-SHA256 or null when no secret is configured
+   */
+  sign(timestamp, body) {
+    const secret = process.env.WEBHOOK_SECRET;
+    if (!secret) {
+      return null;
+    }
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * POST a body to a callback URL
+   * Host names are resolved through a lookup that refuses private addresses,
+   * so a public name pointing inside the network is not delivered to
+   * @param {string} callbackUrl - Receiver URL (already checked by validateCallbackUrl)
+   * @param {object} headers - Request headers
+   * @param {string} body - JSON body
+   * @returns {Promise<number>} HTTP status code of the response
+   */
+  postCallback(callbackUrl, headers, body) {
+    const url = new URL(callbackUrl);
+    const client = url.protocol === 'https:' ? https : http;
+    const lookup = this.allowPrivateAddresses ? dns.lookup : lookupPublicAddress;
+
+    return new Promise((resolve, reject) => {
+      const request = client.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: lookup
+      }, (response) => {
+        clearTimeout(timer);
+        response.resume();
+        resolve(response.statusCode);
+      });
+
+      // One deadline for connecting and answering
+      const timer = setTimeout(() => {
+        request.destroy(new Error(`Callback did not respond within ${this.callbackTimeout}ms`));
+      }, this.callbackTimeout);
+
+      request.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      request.end(body);
+    });
+  }
+
+  /**
+   * POST the final job state to the callback URL (with retries)
+   * @param {object} job - Finished job
+   */
+  async sendCallback(job) {
+    const body = JSON.stringify(this.toPublic(job, { includeCallback: false }));
+
+    while (job.callback.attempts < this.callbackRetries) {
+      job.callback.attempts++;
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const signature = this.sign(timestamp, body);
+
+      try {
+        const statusCode = await this.postCallback(job.callback.url, {
+          'Content-Type': 'application/json',
+          'X-Slip-Job-Id': job.id,
+          'X-Slip-Timestamp': timestamp,
+          ...(signature ? { 'X-Slip-Signature': `sha256=${signature}` } : {})
+        }, body);
+
+        if (statusCode >= 200 && statusCode < 300) {
+          job.callback.status = 'delivered';
+          job.callback.lastError = null;
+          return;
+        }
+        job.callback.lastError = `HTTP ${statusCode}`;
+      } catch (error) {
+        job.callback.lastError = error.message;
+        // A refused address will not become public on retry
+        if (error.code === 'NON_PUBLIC_ADDRESS') {
+          break;
+        }
+      }
+
+      // Exponential backoff: 1s, 2s, 4s...
+      if (job.callback.attempts < this.callbackRetries) {
+        await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (job.callback.attempts - 1)));
+      }
+    }
+
+    job.callback.status = 'failed';
+    console.error(`Callback for job ${job.id} failed: ${job.callback.lastError}`);
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} id - Job ID
+   * @param {string} ownerId - Only return the job if it was created by this API key (optional)
+   * @returns {object|null} Public view of the job or null if unknown/expired
+   */
+  getJob(id, ownerId = null) {
+    const job = this.jobs.get(id);
+    if (!job || (ownerId && job.ownerId !== ownerId)) {
+      return null;
+    }
+    return this.toPublic(job);
+  }
+
+  /**
+   * Build the public view of a job
+   * @param {object} job - Job record
+   * @param {object} options - Options
+   * @param {boolean} options.includeCallback - Include callback delivery state (default true)
+   * @returns {object} Job as returned to API clients
+   */
+  toPublic(job, options = {}) {
+    const { includeCallback = true } = options;
+    const view = {
+      jobId: job.id,
+      type: job.type,
+      status: job.status,
+      progress: job.progress,
+      stage: job.stage,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      completedAt: job.completedAt,
+      result: job.result,
+      error: job.error
+    };
+
+    if (includeCallback && job.callback) {
+      view.callback = {
+        status: job.callback.status,
+        attempts: job.callback.attempts,
+        lastError: job.callback.lastError
+      };
+    }
+
+    return view;
+  }
+
+  /**
+   * Remove finished jobs older than the TTL
+   */
+  cleanup() {
+    const cutoff = Date.now() - this.ttl;
+    for (const [id, job] of this.jobs) {
+      if (job.completedAt && new Date(job.completedAt).getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Get job statistics
+   * @returns {object} Number of jobs per status
+   */
+  getStats() {
+    const stats = { queued: 0, processing: 0, completed: 0, failed: 0 };
+    for (const job of this.jobs.values()) {
+      stats[job.status]++;
+    }
+    return stats;
+  }
+}
+
+module.exports = new JobService();
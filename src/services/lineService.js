@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const slipImageService = require('./slipImageService');
+const slipVerificationService = require('./slipVerificationService');
+const validationService = require('./validationService');
+const pendingOrderService = require('./pendingOrderService');
+
+// LINE rejects text messages longer than this
+const MAX_TEXT_LENGTH = 5000;
+
+const REPLIES = {
+  noOrder: 'ℹ️ ไม่พบรายการที่รอชำระของคุณ จึงตรวจเฉพาะความถูกต้องของสลิป',
+  paid: (order) => `🎉 ได้รับชำระเงิน${order.reference ? `สำหรับรายการ ${order.reference} ` : ''}เรียบร้อยแล้ว ขอบคุณค่ะ`,
+  unreadable: '❌ อ่านข้อมูลจากรูปสลิปไม่ได้ กรุณาส่งรูปสลิปที่ชัดเจนอีกครั้ง',
+  failed: '⚠️ ระบบตรวจสลิปขัดข้องชั่วคราว กรุณาส่งสลิปอีกครั้งในภายหลัง'
+};
+
+/**
+ * Error raised when the LINE Messaging API answers with an error
+ */
+class LineApiError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LineApiError';
+    this.code = 'LINE_API_ERROR';
+    this.statusCode = 502;
+  }
+}
+
+/**
+ * LINE Service
+ * Verifies slips customers send to the shop's LINE Official Account: checks
+ * the webhook signature, downloads image messages, verifies them against the
+ * customer's pending order and replies with a Thai verdict.
+ * The API base URLs are configurable so a local mock can stand in for LINE
+ */
+class LineService {
+  constructor() {
+    this.channelSecret = process.env.LINE_CHANNEL_SECRET || '';
+    this.accessToken = process.env.LINE_CHANNEL_ACCESS_TOKEN || '';
+    this.apiBaseUrl = (process.env.LINE_API_BASE_URL || 'https://api.line.me').replace(/\/+$/, '');
+    // Message content is served from a separate host; a mock usually serves both
+    this.dataApiBaseUrl = (process.env.LINE_DATA_API_BASE_URL || process.env.LINE_API_BASE_URL || 'https://api-data.line.me')
+      .replace(/\/+$/, '');
+    this.timeout = parseInt(process.env.LINE_API_TIMEOUT_MS) || 10000;
+    this.maxContentSize = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+  }
+
+  /**
+   * Check whether the channel secret and access token are set
+   * @returns {boolean} True if the webhook can be served
+   */
+  isConfigured() {
+    return Boolean(this.channelSecret && this.accessToken);
+  }
+
+  /**
+   * Verify the X-Line-Signature header
+   * @param {Buffer} rawBody - Request body exactly as received
+   * @param {string} signature - Base64 HMAC-SHA256 of the body with the channel secret
+   * @returns {boolean} True if the request comes from LINE
+   */
+  verifySignature(rawBody, signature) {
+    if (!signature || typeof signature !== 'string') {
+      return false;
+    }
+
+    const expected = crypto.createHmac('sha256', this.channelSecret).update(rawBody).digest();
+    const received = Buffer.from(signature, 'base64');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
+  /**
+   * Download the content of an image message
+   * @param {string} messageId - LINE message ID
+   * @returns {Promise<Buffer>} Image file
+   * @throws {LineApiError} When LINE answers with an error
+   */
+  async getMessageContent(messageId) {
+    const response = await fetch(`${this.dataApiBaseUrl}/v2/bot/message/${encodeURIComponent(messageId)}/content`, {
+      headers: { Authorization: `Bearer ${this.accessToken}` },
+      redirect: 'manual',
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      throw new LineApiError(`Message content request answered HTTP ${response.status}`);
+    }
+    if (parseInt(response.headers.get('content-length')) > this.maxContentSize) {
+      throw new LineApiError(`Message content exceeds the maximum file size (${this.maxContentSize} bytes)`);
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    if (buffer.length > this.maxContentSize) {
+      throw new LineApiError(`Message content exceeds the maximum file size (${this.maxContentSize} bytes)`);
+    }
+    return buffer;
+  }
+
+  /**
+   * Reply to an event with text messages
+   * @param {string} replyToken - Reply token of the event
+   * @param {Array<string>} texts - Message texts (at most 5, as LINE allows)
+   * @throws {LineApiError} When LINE answers with an error
+   */
+  async reply(replyToken, texts) {
+    const response = await fetch(`${this.apiBaseUrl}/v2/bot/message/reply`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${this.accessToken}`
+      },
+      body: JSON.stringify({
+        replyToken: replyToken,
+        messages: texts.slice(0, 5).map(text => ({ type: 'text', text: text.slice(0, MAX_TEXT_LENGTH) }))
+      }),
+      redirect: 'manual',
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      throw new LineApiError(`Reply request answered HTTP ${response.status}: ${await response.text()}`);
+    }
+  }
+
+  /**
+   * Verify a slip image sent by a chat user and build the reply
+   * @param {string} userId - LINE user ID (pending order key), may be null
+   * @param {Buffer} imageBuffer - Image message content
+   * @returns {Promise<Array<string>>} Reply texts
+   */
+  async verifyChatSlip(userId, imageBuffer) {
+    const [image] = await slipImageService.toImages(imageBuffer);
+    const order = userId ? pendingOrderService.getOrder(userId) : null;
+    const expectedData = order
+      ? { amount: order.amount, ...(order.recipient ? { recipient: order.recipient } : {}) }
+      : {};
+
+    const outcome = await slipVerificationService.verifySlip(image.buffer, expectedData, { source: 'line' });
+    if (!outcome.success) {
+      return [REPLIES.unreadable];
+    }
+
+    const texts = [validationService.generateReport(outcome.validation, { locale: 'th' })];
+    if (!order) {
+      texts.push(REPLIES.noOrder);
+    } else if (outcome.validation.valid) {
+      pendingOrderService.removeOrder(userId);
+      console.log(`LINE order of ${userId} paid with transaction ${outcome.slipData.transactionId}`);
+      texts.push(REPLIES.paid(order));
+    }
+    return texts;
+  }
+
+  /**
+   * Handle one webhook event - only image messages are answered
+   * @param {object} event - LINE webhook event
+   */
+  async handleEvent(event) {
+    // In standby mode another channel owns the chat and there is no reply token
+    if (event.type !== 'message' || event.message.type !== 'image' || event.mode === 'standby' || !event.replyToken) {
+      return;
+    }
+
+    let texts;
+    try {
+      const imageBuffer = await this.getMessageContent(event.message.id);
+      texts = await this.verifyChatSlip(event.source && event.source.userId, imageBuffer);
+    } catch (error) {
+      console.error(`LINE slip ${event.message.id} failed:`, error);
+      texts = [error.code === 'INVALID_SLIP_FILE' ? REPLIES.unreadable : REPLIES.failed];
+    }
+
+    await this.reply(event.replyToken, texts);
+  }
+
+  /**
+   * Handle all events of a webhook request
+   * A failing event does not stop the others
+   * @param {Array<object>} events - LINE webhook events
+   * @returns {Promise<void>}
+   */
+  async handleEvents(events = []) {
+    await Promise.all(events.map(event => this.handleEvent(event).catch(error => {
+      console.error('LINE event handling error:', error);
+    })));
+  }
+}
+
+module.exports = new LineService();
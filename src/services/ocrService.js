@@ -1,50 +1,99 @@
 const Tesseract = require('tesseract.js');
 const sharp = require('sharp');
+const jsQR = require('jsqr');
+const slipQRParser = require('../utils/slipQRParser');
+const thaiDateParser = require('../utils/thaiDateParser');
+const { levenshtein } = require('../utils/stringDistance');
+const { findAccounts } = require('../utils/accountMatcher');
+const kplusLayout = require('../utils/kplusLayout');
+const transactionParser = require('../utils/transactionParser');
+const transactionIdCorrector = require('../utils/transactionIdCorrector');
+const { OCRWorkerPool } = require('./ocrWorkerPool');
+const forensicsService = require('./forensicsService');
+const perceptualHash = require('../utils/perceptualHash');
 
 /**
  * OCR Service for extracting text from slip images
  */
 class OCRService {
   constructor() {
-    this.worker = null;
-    this.isInitialized = false;
-  }
-
-  /**
-   * Initialize the OCR worker
-   */
-  async initialize() {
-    if (this.isInitialized) {
-      return;
-    }
-
-    try {
-      this.worker = await Tesseract.createWorker('tha+eng', 1, {
-        logger: (m) => {
-          if (m.status === 'recognizing text') {
-            console.log(`OCR Progress: ${Math.round(m.progress * 100)}%`);
-          }
-        }
-      });
-      
+    // Workers are created lazily on the first OCR request
+    this.pool = new OCRWorkerPool({
       // Configure Tesseract parameters for better alphanumeric recognition
-      await this.worker.setParameters({
+      parameters: {
         tessedit_char_whitelist: '',  // Allow all characters
         tessedit_pageseg_mode: Tesseract.PSM.AUTO,  // Auto page segmentation
         preserve_interword_spaces: '1',
         user_defined_dpi: '300',
         // Don't treat everything as numbers - allow letters too
         classify_bln_numeric_mode: '0'
-      });
-      
-      this.isInitialized = true;
-      console.log('OCR Worker initialized successfully with enhanced alphanumeric recognition');
+      }
+    });
+
+    // Second pool for re-reading single fields (layout mode), English only by default
+    this.fieldPool = new OCRWorkerPool({
+      size: parseInt(process.env.OCR_FIELD_POOL_SIZE) || 1,
+      language: process.env.OCR_FIELD_LANGUAGE || 'eng',
+      parameters: {
+        tessedit_char_whitelist: '',
+        tessedit_pageseg_mode: Tesseract.PSM.SINGLE_LINE,
+        user_defined_dpi: '300'
+      }
+    });
+
+    // Extra cost for transaction ID readings found without their label
+    this.unlabelledReadingCost = 2.5;
+
+    // Layout mode re-reads every field region with settings that suit the field
+    this.layoutEnabled = process.env.OCR_LAYOUT_MODE !== 'false';
+    this.fieldSettings = {
+      transactionId: {
+        pool: 'field',
+        parameters: { tessedit_char_whitelist: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ' }
+      },
+      amount: {
+        pool: 'field',
+        parameters: { tessedit_char_whitelist: '0123456789.,' }
+      },
+      dateTime: {
+        pool: 'page',
+        parameters: { tessedit_pageseg_mode: Tesseract.PSM.SINGLE_LINE }
+      },
+      sender: {
+        pool: 'page',
+        parameters: { tessedit_pageseg_mode: Tesseract.PSM.SINGLE_LINE }
+      },
+      receiver: {
+        pool: 'page',
+        parameters: { tessedit_pageseg_mode: Tesseract.PSM.SINGLE_LINE }
+      }
+    };
+  }
+
+  /**
+   * Initialize the OCR worker pool
+   * Safe to call concurrently - all callers wait for the same initialization
+   */
+  async initialize() {
+    try {
+      await this.pool.initialize();
     } catch (error) {
-      console.error('Failed to initialize OCR worker:', error);
+      console.error('Failed to initialize OCR worker pool:', error);
       throw error;
     }
   }
 
+  /**
+   * Get OCR worker pool statistics
+   * @returns {object} Pool statistics
+   */
+  getPoolStats() {
+    return {
+      ...this.pool.getStats(),
+      fieldPool: this.fieldPool.getStats()
+    };
+  }
+
   /**
    * Preprocess image for better OCR accuracy
    * @param {Buffer} imageBuffer - The image buffer
@@ -76,35 +125,107 @@ class OCRService {
 
   /**
    * Extract text from image using OCR
+   * Line and word bounding boxes are returned in the coordinates of the
+   * original (not preprocessed) image
    * @param {Buffer} imageBuffer - The image buffer
-   * @returns {Promise<object>} OCR result with text and confidence
+   * @param {object} options - Options
+   * @param {function} options.onProgress - Called with recognition progress (0-1)
+   * @returns {Promise<object>} OCR result with text, confidence, lines and image size
    */
-  async extractText(imageBuffer) {
-    if (!this.isInitialized) {
-      await this.initialize();
-    }
-
+  async extractText(imageBuffer, options = {}) {
     try {
       // Preprocess image
       const processedImage = await this.preprocessImage(imageBuffer);
 
-      // Perform OCR
-      const result = await this.worker.recognize(processedImage);
+      // Perform OCR on the next free pool worker
+      const [result, imageSize, scale] = await Promise.all([
+        this.pool.recognize(processedImage, { onProgress: options.onProgress }),
+        this.getImageSize(imageBuffer),
+        this.getScale(imageBuffer, processedImage)
+      ]);
 
       return {
         text: result.data.text,
         confidence: result.data.confidence,
+        imageSize: imageSize,
         lines: result.data.lines.map(line => ({
           text: line.text,
-          confidence: line.confidence
+          confidence: line.confidence,
+          bbox: this.scaleBBox(line.bbox, scale),
+          words: (line.words || []).map(word => ({
+            text: word.text,
+            confidence: word.confidence,
+            bbox: this.scaleBBox(word.bbox, scale)
+          }))
         }))
       };
     } catch (error) {
       console.error('OCR extraction error:', error);
+      // Pool errors (queue full, timeout) carry an HTTP status for the caller
+      if (error.statusCode) {
+        throw error;
+      }
       throw new Error('Failed to extract text from image');
     }
   }
 
+  /**
+   * Get the pixel size of an image
+   * @param {Buffer} imageBuffer - The image buffer
+   * @returns {Promise<object|null>} { width, height } or null if unreadable
+   */
+  async getImageSize(imageBuffer) {
+    try {
+      const { width, height } = await sharp(imageBuffer).metadata();
+      return { width, height };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the factor that maps preprocessed image coordinates back to the original
+   * @param {Buffer} originalBuffer - Original image
+   * @param {Buffer} processedBuffer - Preprocessed image
+   * @returns {Promise<object>} { x, y }
+   */
+  async getScale(originalBuffer, processedBuffer) {
+    if (originalBuffer === processedBuffer) {
+      return { x: 1, y: 1 };
+    }
+
+    const [original, processed] = await Promise.all([
+      this.getImageSize(originalBuffer),
+      this.getImageSize(processedBuffer)
+    ]);
+    if (!original || !processed || !processed.width || !processed.height) {
+      return { x: 1, y: 1 };
+    }
+
+    return {
+      x: original.width / processed.width,
+      y: original.height / processed.height
+    };
+  }
+
+  /**
+   * Scale a Tesseract bounding box
+   * @param {object} bbox - { x0, y0, x1, y1 }
+   * @param {object} scale - { x, y }
+   * @returns {object|null} Scaled and rounded bounding box
+   */
+  scaleBBox(bbox, scale) {
+    if (!bbox) {
+      return null;
+    }
+    return {
+      x0: Math.round(bbox.x0 * scale.x),
+      y0: Math.round(bbox.y0 * scale.y),
+      x1: Math.round(bbox.x1 * scale.x),
+      y1: Math.round(bbox.y1 * scale.y)
+    };
+  }
+
   /**
    * Clean and normalize OCR text to fix common misreadings
    * @param {string} text - Raw OCR text
@@ -187,11 +308,13 @@ class OCRService {
 
   /**
    * Fix common OCR character confusions in transaction IDs
+   * Thai look-alikes are mapped to letters first, then the reading is
+   * corrected against the bank grammars (see transactionIdCorrector)
    * @param {string} transactionId - The transaction ID to fix
-   * @returns {string} Fixed transaction ID
+   * @returns {string|null} Fixed transaction ID, or null when no bank grammar accepts the reading
    */
   fixTransactionIdOCRErrors(transactionId) {
-    if (!transactionId || transactionId.length < 20) {
+    if (!transactionId) {
       return transactionId;
     }
 
@@ -220,244 +343,103 @@ class OCRService {
     // Remove any remaining Thai characters (keep only alphanumeric)
     cleaned = cleaned.replace(/[ก-๙]/g, '');
 
-    // Special case: Handle pattern like "0152981708198QR802651" → "015298170819BQR02651"
-    // This is where OCR reads "BQR0" as "8QR8" or "8QR80"
-    // Need to handle: 0152(8 digits)(8QR8 or 8QR80)(4-5 digits)
-    // The issue is that "8QR802651" gets split into groups incorrectly
-    // We need to match: prefix(12 chars) + 8QR8/8QR80 + suffix
-    const bqrPattern = cleaned.match(/^(0152\d{8})(8QR[08]0?)(\d{4,5})$/);
-    if (bqrPattern) {
-      // Remove the extra "0" if present: 8QR80 -> BQR0, 8QR8 -> BQR0
-      return bqrPattern[1] + 'BQR0' + bqrPattern[3];
-    }
+    const [best] = transactionIdCorrector.correct(cleaned, { limit: 1 });
+    return best ? best.transactionId : null;
+  }
 
-    // Check if ID matches pattern: 0152(8 digits)(some chars)(3-5 digits)
-    // Use non-greedy matching to properly split the middle section
-    const match = cleaned.match(/^(0152\d{8})(.{2,7}?)(\d{3,5})$/);
-    
-    if (match) {
-      const prefix = match[1];  // 0152 + 8 digits
-      let middle = match[2];    // Should be letters but might be numbers
-      const suffix = match[3];  // 3-5 digits
-      
-      // Handle patterns with mixed letters and numbers like "8QR8"
-      if (middle.match(/^8QR8$/)) {
-        return prefix + 'BQR0' + suffix;
-      }
-      if (middle.match(/^8QR0$/)) {
-        return prefix + 'BQR0' + suffix;
-      }
-      
-      // If middle section is all numbers, it's likely letters misread as numbers
-      if (/^\d+$/.test(middle) && middle.length >= 2 && middle.length <= 4) {
-        // Common OCR letter-to-number confusions in transaction codes
-        const numberToLetter = {
-          '0': 'O',
-          '1': 'I',  // or T
-          '3': 'B',  // or E
-          '4': 'A',
-          '5': 'S',
-          '6': 'F',  // or G
-          '7': 'T',
-          '8': 'B',  // Often B in BQR
-          '2': 'Z'
-        };
-        
-        // Known transaction type codes for KBank (with alphanumeric patterns)
-        const knownCodes = ['ATF0', 'ATF', 'APM0', 'APM', 'BQR0', 'BQR', 'BPMO', 'TRF', 'PMT', 'BIL'];
-        
-        // Try to reconstruct the code
-        let reconstructed = '';
-        for (let char of middle) {
-          reconstructed += numberToLetter[char] || char;
-        }
-        
-        // Special patterns for common transaction types
-        // Pattern: 8XX8 -> BQR0 (where XX could be digits representing Q and R)
-        if (middle.match(/^8.{2}8$/)) {
-          return prefix + 'BQR0' + suffix;
-        }
-        
-        // Pattern: 8008 -> BQR0 (8 = B, 00 = QR misread, 8 = 0)
-        if (middle === '8008' || middle === '8080') {
-          return prefix + 'BQR0' + suffix;
-        }
-        
-        // Special case: "816" is commonly "ATF"
-        if (middle === '816' || middle === '8160') {
-          return prefix + 'ATF0' + suffix;
-        }
-        
-        // Pattern: 8XX -> BXX (B-prefixed codes like BQR, BPMO)
-        if (middle.startsWith('8') && middle.length >= 3) {
-          // Try BQR0 pattern (8 = B, common ending 0)
-          if (middle.match(/^8\d{2}0$/)) {
-            return prefix + 'BQR0' + suffix;
-          }
-          // Try ATF pattern
-          if (middle === '8TF' || middle === '8T6' || middle === '816') {
-            return prefix + 'ATF0' + suffix;
-          }
-          // Try APM pattern  
-          if (middle === '8PM' || middle.match(/^8P\d$/)) {
-            return prefix + 'APM0' + suffix;
-          }
-        }
-        
-        // Check if reconstructed matches any known code
-        const reconstructedUpper = reconstructed.toUpperCase();
-        for (const code of knownCodes) {
-          if (reconstructedUpper === code || reconstructedUpper.startsWith(code.substring(0, 3))) {
-            return prefix + code + suffix;
-          }
-        }
-        
-        // If we have 4 characters and last is 0, it's likely a valid code
-        if (middle.length === 4 && middle.endsWith('0')) {
-          return prefix + reconstructed + suffix;
-        }
+  /**
+   * Find everything in OCR text that may be a transaction ID reading
+   * @param {string} ocrText - The OCR extracted text
+   * @returns {Array<object>} Readings as { text, labelled } - compact text (0-9, A-Z) and
+   *   whether it follows the "เลขที่รายการ" / "reference" label
+   */
+  findTransactionIdReadings(ocrText) {
+    const readings = [];
+    const addReading = (value, labelled) => {
+      const text = value.replace(/[^0-9A-Z]/gi, '').toUpperCase();
+      if (text.length >= 10 && !readings.some(reading => reading.text === text)) {
+        readings.push({ text, labelled });
       }
-      
-      // If middle has letters and numbers mixed (e.g., "8QR8", "8QR0")
-      if (/[A-Z]/.test(middle) && middle.length >= 3 && middle.length <= 4) {
-        // Handle specific mixed patterns
-        if (middle.match(/^8[A-Z]+8$/)) {
-          // Pattern like "8QR8" -> "BQR0"
-          middle = 'B' + middle.substring(1, middle.length - 1) + '0';
-        } else if (middle.match(/^8[A-Z]+0$/)) {
-          // Pattern like "8QR0" -> "BQR0"  
-          middle = 'B' + middle.substring(1);
-        }
-        return prefix + middle + suffix;
+    };
+
+    // The ID after the label, on the same line or the next one. The label is
+    // matched before cleaning since cleanOCRText rewrites Thai syllables in it
+    const labelPattern = /(?:เลขที่รายการ|reference)[:：\s]*([^\n]*(?:\n\s*[^\n]*)?)/gi;
+    for (const match of ocrText.matchAll(labelPattern)) {
+      const value = this.cleanOCRText(match[1]).match(/[0-9A-Z][0-9A-Z\/ ]{8,}/i);
+      if (value) {
+        addReading(value[0], true);
       }
     }
-    
-    return cleaned;
+
+    // Any long run of letters and digits on one line, separators allowed
+    const cleanedText = this.cleanOCRText(ocrText);
+    for (const match of cleanedText.matchAll(/[0-9A-Z][0-9A-Z\/ ]{12,38}[0-9A-Z]/gi)) {
+      addReading(match[0], false);
+    }
+
+    return readings;
+  }
+
+  /**
+   * Rank transaction ID candidates for a set of readings
+   * Readings without the label cost extra, so a reference number elsewhere on
+   * the slip does not beat the labelled ID
+   * @param {Array<object>} readings - Readings as { text, labelled }
+   * @param {number} limit - Maximum number of candidates
+   * @returns {Array<object>} Candidates best first (see transactionIdCorrector.correct)
+   */
+  rankTransactionIdReadings(readings, limit = 5) {
+    return readings.reduce((candidates, reading) => {
+      const options = { limit: limit, baseCost: reading.labelled ? 0 : this.unlabelledReadingCost };
+      return this.mergeCandidates(candidates, transactionIdCorrector.correct(reading.text, options), limit);
+    }, []);
+  }
+
+  /**
+   * Extract every plausible transaction ID from OCR text, ranked
+   * Readings are corrected against the bank grammars and known type codes;
+   * `repaired` marks candidates that needed character corrections
+   * @param {string} ocrText - The OCR extracted text
+   * @param {object} options - Options
+   * @param {number} options.limit - Maximum number of candidates (default 5)
+   * @returns {Array<object>} Candidates best first
+   */
+  extractTransactionIdCandidates(ocrText, options = {}) {
+    if (!ocrText) {
+      return [];
+    }
+    return this.rankTransactionIdReadings(this.findTransactionIdReadings(ocrText), options.limit || 5);
   }
 
   /**
    * Extract transaction ID from OCR text with enhanced cleaning
    * @param {string} ocrText - The OCR extracted text
-   * @returns {string|null} Transaction ID or null if not found
+   * @returns {string|null} Transaction ID, or null if no reading fits a bank grammar
    */
   extractTransactionId(ocrText) {
     if (!ocrText) {
       return null;
     }
 
-    // Clean OCR text first
-    const cleanedText = this.cleanOCRText(ocrText);
-
-    // Pattern for KBank transaction ID - more flexible patterns
-    const patterns = [
-      // Standard pattern with letters - 0152(8 digits)(2-4 letters)(3-5 digits)
-      /0152\d{8}[A-Z]{2,4}\d{3,5}/gi,
-      // With possible separators like / or space
-      /0152\d{8}[\/\s]?[A-Z]{2,4}[\/\s]?\d{3,5}/gi,
-      // After label with possible Thai/English mix and separators
-      /เลขที่รายการ[:\s]*([0-9A-Z\/\s]+)/gi,
-      /reference[:\s]*([0-9A-Z\/\s]+)/gi,
-      // More relaxed pattern to catch IDs where letters might be misread as numbers
-      /0152\d{8}[A-Z0-9]{3,7}\d{3,5}/gi
-    ];
-
-    let bestMatch = null;
-    let bestScore = 0;
-
-    for (const pattern of patterns) {
-      const matches = Array.from(cleanedText.matchAll(pattern));
-      
-      for (const match of matches) {
-        let transactionId = match[1] || match[0];
-        
-        // Clean up the extracted ID
-        transactionId = transactionId
-          .replace(/เลขที่รายการ/g, '')
-          .replace(/reference/gi, '')
-          .replace(/[:：]/g, '')
-          .trim();
-        
-        // Apply OCR fixes again on the extracted ID
-        transactionId = this.cleanOCRText(transactionId);
-        
-        // Remove any remaining non-alphanumeric (including slashes, spaces, special chars)
-        transactionId = transactionId.replace(/[^0-9A-Z]/gi, '').toUpperCase();
-        
-        // Check if it looks like a valid transaction ID
-        if (transactionId.startsWith('0152')) {
-          const length = transactionId.length;
-          
-          // Score based on length (20-21 is perfect)
-          let score = 0;
-          if (length >= 20 && length <= 21) {
-            score = 100;
-          } else if (length >= 18 && length <= 23) {
-            score = 50 + (20 - Math.abs(20 - length)) * 5;
-          }
-          
-          if (score > bestScore) {
-            bestScore = score;
-            bestMatch = transactionId;
-          }
-        }
-      }
-    }
-
-    // Also try direct extraction from original text with multiple patterns
-    if (!bestMatch) {
-      const directPatterns = [
-        /0152\d{8}[A-Z]{2,4}\d{3,5}/i,
-        /0152\d{8}[\/\s]?[A-Z]{2,4}[\/\s]?\d{3,5}/i,
-        /0152\d{8}[A-Z0-9]{3,7}\d{3,5}/i
-      ];
-      
-      for (const pattern of directPatterns) {
-        const directMatch = ocrText.match(pattern);
-        if (directMatch) {
-          let cleaned = directMatch[0].toUpperCase();
-          cleaned = this.cleanOCRText(cleaned);
-          cleaned = cleaned.replace(/[^0-9A-Z]/gi, '');
-          
-          // Check if it has the expected structure: 0152(8 digits)(letters)(digits)
-          // Expected format: 015297131932ATF05812 (20-21 chars)
-          if (cleaned.length >= 19 && cleaned.length <= 22 && cleaned.startsWith('0152')) {
-            // Verify it has letters in the middle (not all numbers)
-            const hasLetters = /0152\d{8}[A-Z]{2,4}\d{3,5}/.test(cleaned);
-            if (hasLetters || cleaned.length === 20 || cleaned.length === 21) {
-              bestMatch = cleaned;
-              break;
-            }
-          }
-        }
-      }
-    }
-    
-    // If still no match, try to reconstruct from segments
-    if (!bestMatch) {
-      // Look for pattern like: 015297131932 followed by ATF or similar, then digits
-      const segmentMatch = cleanedText.match(/0152\d{8}[\/\s]*([A-Z]{2,4})[\/\s]*\d{3,5}/i);
-      if (segmentMatch) {
-        let reconstructed = segmentMatch[0].replace(/[^0-9A-Z]/gi, '').toUpperCase();
-        if (reconstructed.length >= 19 && reconstructed.length <= 22) {
-          bestMatch = reconstructed;
-        }
-      }
-    }
-    
-    // Try to find any transaction-like number even if all digits
-    if (!bestMatch) {
-      const allDigitsMatch = cleanedText.match(/0152\d{12,18}/);
-      if (allDigitsMatch) {
-        bestMatch = allDigitsMatch[0];
-      }
-    }
+    const [best] = this.extractTransactionIdCandidates(ocrText, { limit: 1 });
+    return best ? best.transactionId : null;
+  }
 
-    // Apply OCR error correction to fix letter-to-number confusions
-    if (bestMatch) {
-      bestMatch = this.fixTransactionIdOCRErrors(bestMatch);
-    }
+  /**
+   * Find an ID-like reading when no bank grammar fits any reading
+   * parseSlip reports it anyway (as an unrepaired reading) so validation can
+   * explain what is wrong with it
+   * @param {string} ocrText - The OCR extracted text
+   * @returns {string|null} Longest reading with a known bank prefix or null
+   */
+  findUnparsedTransactionId(ocrText) {
+    const readings = this.findTransactionIdReadings(ocrText)
+      .map(reading => reading.text)
+      .filter(text => transactionParser.detectParser(text))
+      .sort((a, b) => b.length - a.length);
 
-    return bestMatch;
+    return readings.length > 0 ? readings[0] : null;
   }
 
   /**
@@ -547,6 +529,8 @@ class OCRService {
 
   /**
    * Extract date and time from OCR text with raw OCR text
+   * The Thai date (e.g. "25 ต.ค. 68 17:08 น.") is turned into a full
+   * Asia/Bangkok timestamp (`iso`, `timestamp`) when the time is present
    * @param {string} ocrText - The OCR extracted text
    * @param {array} lines - OCR lines with confidence
    * @returns {object|null} Date and time info with raw OCR text or null
@@ -556,10 +540,6 @@ class OCRService {
       return null;
     }
 
-    // Pattern for Thai date/time: 25 ต.ค. 68 17:08 น.
-    const datePattern = /(\d{1,2})\s*(?:ต\.ค\.|พ\.ย\.|ธ\.ค\.|ม\.ค\.|ก\.พ\.|มี\.ค\.|เม\.ย\.|พ\.ค\.|มิ\.ย\.|ก\.ค\.|ส\.ค\.|ก\.ย\.)\s*(\d{2})\s*(\d{1,2}):(\d{2})/i;
-    const match = ocrText.match(datePattern);
-
     let rawOCR = null;
     let confidence = 0;
 
@@ -574,22 +554,27 @@ class OCRService {
       }
     }
 
-    if (match) {
-      const day = parseInt(match[1], 10);
-      const yearCode = parseInt(match[2], 10);
-      const year = 2500 + yearCode;
-      const hour = match[3].padStart(2, '0');
-      const minute = match[4].padStart(2, '0');
-      const time = `${hour}:${minute}`;
+    // Prefer the date on the time line, then anywhere on the slip
+    const parsed = thaiDateParser.parse(rawOCR) || thaiDateParser.parse(ocrText);
+
+    if (parsed) {
+      const time = parsed.hasTime
+        ? `${String(parsed.hour).padStart(2, '0')}:${String(parsed.minute).padStart(2, '0')}`
+        : null;
 
       return {
-        day: day,
-        year: year,
-        yearCode: yearCode,
+        day: parsed.day,
+        month: parsed.month,
+        monthName: parsed.monthName,
+        year: parsed.yearBE,
+        yearCode: parsed.yearBE % 100,
         time: time,
-        rawOCR: rawOCR || match[0],
+        second: parsed.second,
+        iso: parsed.hasTime ? parsed.iso : null,
+        timestamp: parsed.hasTime ? parsed.timestamp : null,
+        rawOCR: rawOCR || (time ? `${parsed.text} ${time}` : parsed.text),
         ocrConfidence: confidence,
-        date: match[0] // Full date string for reference
+        date: parsed.text // Full date string for reference
       };
     }
 
@@ -612,6 +597,8 @@ class OCRService {
 
   /**
    * Extract sender and receiver information from OCR text
+   * Every party is { name, account, accountType }: the name as printed, and
+   * the masked bank account or PromptPay ID shown under it (see accountMatcher)
    * @param {string} ocrText - The OCR extracted text
    * @param {array} lines - OCR lines with confidence
    * @returns {object} Sender and receiver information
@@ -619,8 +606,8 @@ class OCRService {
   extractParties(ocrText, lines = []) {
     if (!ocrText) {
       return {
-        sender: null,
-        receiver: null
+        sender: this.makeParty(null, null),
+        receiver: this.makeParty(null, null)
       };
     }
 
@@ -647,8 +634,8 @@ class OCRService {
     // Extract sender
     for (const pattern of senderPatterns) {
       const match = ocrText.match(pattern);
-      if (match && match[1]) {
-        sender = match[1].trim();
+      if (match && match[1] && this.stripAccounts(match[1])) {
+        sender = this.stripAccounts(match[1]);
         break;
       }
     }
@@ -656,8 +643,8 @@ class OCRService {
     // Extract receiver
     for (const pattern of receiverPatterns) {
       const match = ocrText.match(pattern);
-      if (match && match[1]) {
-        receiver = match[1].trim();
+      if (match && match[1] && this.stripAccounts(match[1])) {
+        receiver = this.stripAccounts(match[1]);
         break;
       }
     }
@@ -672,10 +659,10 @@ class OCRService {
       for (const pattern of businessPatterns) {
         const matches = Array.from(ocrText.matchAll(pattern));
         for (const match of matches) {
-          if (match[1]) {
+          if (match[1] && this.stripAccounts(match[1])) {
             foundNames.push({
               type: 'business',
-              name: match[1].trim()
+              name: this.stripAccounts(match[1])
             });
           }
         }
@@ -689,10 +676,10 @@ class OCRService {
       for (const pattern of personPatterns) {
         const matches = Array.from(ocrText.matchAll(pattern));
         for (const match of matches) {
-          if (match[1]) {
+          if (match[1] && this.stripAccounts(match[1])) {
             foundNames.push({
               type: 'person',
-              name: match[1].trim()
+              name: this.stripAccounts(match[1])
             });
           }
         }
@@ -709,13 +696,75 @@ class OCRService {
       }
     }
 
+    const accounts = this.extractPartyAccounts(ocrText);
+
     return {
-      sender: sender,
-      receiver: receiver,
+      sender: this.makeParty(sender, accounts.sender),
+      receiver: this.makeParty(receiver, accounts.receiver),
       confidence: foundNames.length > 0 ? 'medium' : 'low'
     };
   }
 
+  /**
+   * Find the sender's and receiver's accounts on the slip
+   * K PLUS prints each party as name, bank and masked account, sender first.
+   * When the receiver is labelled (ถึง / ผู้รับ) the accounts are split at
+   * the label; otherwise the first account is the sender's and the second
+   * the receiver's, and a lone account belongs to the receiver
+   * @param {string} ocrText - The OCR extracted text
+   * @returns {object} { sender, receiver } - each { account, accountType } or null
+   */
+  extractPartyAccounts(ocrText) {
+    const textLines = ocrText.split('\n');
+    const accounts = [];
+    textLines.forEach((line, lineIndex) => {
+      // The PromptPay label may sit on the line above the number
+      const context = `${textLines[lineIndex - 1] || ''} ${line}`;
+      findAccounts(line, context).forEach(account => accounts.push({ ...account, lineIndex }));
+    });
+
+    const receiverLabel = textLines.findIndex(line => /^\s*(ถึง|ผู้รับ)/.test(line));
+    if (receiverLabel !== -1) {
+      const before = accounts.filter(account => account.lineIndex < receiverLabel);
+      return {
+        sender: before[before.length - 1] || null,
+        receiver: accounts.find(account => account.lineIndex >= receiverLabel) || null
+      };
+    }
+
+    if (accounts.length >= 2) {
+      return { sender: accounts[0], receiver: accounts[1] };
+    }
+    return { sender: null, receiver: accounts[0] || null };
+  }
+
+  /**
+   * Remove account numbers from text captured as a party name
+   * @param {string} text - Name as captured after its label
+   * @returns {string} Name without account numbers, trimmed
+   */
+  stripAccounts(text) {
+    let name = text;
+    findAccounts(text).reverse().forEach((found) => {
+      name = name.slice(0, found.index) + name.slice(found.index + found.raw.length);
+    });
+    return name.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Build a party of the slip
+   * @param {string|null} name - Name as printed
+   * @param {object|null} account - { account, accountType } from accountMatcher.findAccounts
+   * @returns {object} { name, account, accountType }
+   */
+  makeParty(name, account) {
+    return {
+      name: name || null,
+      account: account ? account.account : null,
+      accountType: account ? account.accountType : null
+    };
+  }
+
   /**
    * Extract recipient name from OCR text (legacy method)
    * @param {string} ocrText - The OCR extracted text
@@ -723,40 +772,457 @@ class OCRService {
    */
   extractRecipient(ocrText) {
     const parties = this.extractParties(ocrText);
-    return parties.receiver || parties.sender;
+    return parties.receiver.name || parties.sender.name;
+  }
+
+  /**
+   * Find where on the slip each extracted field was read
+   * @param {object} fields - { transactionId, amount, dateTime, sender, receiver } (parties as { name })
+   * @param {array} lines - OCR lines with bounding boxes and words
+   * @returns {object} Location per field (null when the field was not found in a line)
+   */
+  locateFields(fields, lines = []) {
+    const compact = (text) => this.cleanOCRText(text || '').replace(/[^0-9A-Z]/gi, '').toUpperCase();
+    const locations = {};
+
+    // Transaction ID - the line closest to the ID once cleaned (OCR fixes may have changed a few characters)
+    const transactionId = fields.transactionId;
+    locations.transactionId = transactionId
+      ? this.locateLine(lines, (line) => {
+        const text = compact(line.text);
+        if (text.includes(transactionId)) {
+          return 1;
+        }
+        const start = text.indexOf(transactionId.slice(0, 4));
+        if (start === -1) {
+          return 0;
+        }
+        const candidate = text.slice(start, start + transactionId.length);
+        return 1 - levenshtein(candidate, transactionId) / transactionId.length;
+      }, 0.7, (word) => {
+        // Pieces of the ID as read, before the OCR fixes were applied
+        const text = compact(word.text);
+        return text.length >= 3 && /\d/.test(text) &&
+          (transactionId.includes(text) || text.includes(transactionId.slice(0, 4)));
+      })
+      : null;
+
+    // Amount - the line showing the amount with or without thousands separators
+    const amount = typeof fields.amount === 'number' ? fields.amount.toFixed(2) : null;
+    locations.amount = amount
+      ? this.locateLine(lines, (line) => (line.text.replace(/,/g, '').includes(amount) ? 1 : 0), 1,
+        (word) => word.text.replace(/,/g, '').includes(amount))
+      : null;
+
+    // Date/time - the line the date was read from
+    const rawDate = fields.dateTime ? fields.dateTime.rawOCR : null;
+    locations.dateTime = rawDate
+      ? this.locateLine(lines, (line) => (line.text.includes(rawDate) ? 1 : 0), 1)
+      : null;
+
+    // Parties - the line containing the name
+    ['sender', 'receiver'].forEach((field) => {
+      const name = fields[field] ? fields[field].name : null;
+      locations[field] = name
+        ? this.locateLine(lines, (line) => (line.text.includes(name) ? 1 : 0), 1,
+          (word) => word.text.trim().length > 0 && name.includes(word.text.trim()))
+        : null;
+    });
+
+    return locations;
+  }
+
+  /**
+   * Pick the best matching OCR line and describe where the field sits in it
+   * @param {array} lines - OCR lines with bounding boxes and words
+   * @param {function} scoreLine - Returns a match score (0-1) for a line
+   * @param {number} minScore - Lowest score accepted
+   * @param {function} matchWord - Returns true for words that are part of the field (optional)
+   * @returns {object|null} { line, lineConfidence, bbox, confidence, words, wordMatched }
+   *   wordMatched is false when the bbox and words are those of the whole line
+   */
+  locateLine(lines, scoreLine, minScore, matchWord = null) {
+    let best = null;
+    let bestScore = 0;
+
+    for (const line of lines) {
+      if (!line.text) {
+        continue;
+      }
+      const score = scoreLine(line);
+      if (score >= minScore && score > bestScore) {
+        best = line;
+        bestScore = score;
+      }
+    }
+
+    if (!best) {
+      return null;
+    }
+
+    const lineWords = best.words || [];
+    const matched = matchWord ? lineWords.filter(matchWord) : lineWords;
+    const words = matched.length > 0 ? matched : lineWords;
+    const boxes = words.map(word => word.bbox).filter(Boolean);
+
+    // Union of the matched word boxes, or the whole line when no word matched
+    const bbox = boxes.length > 0
+      ? {
+        x0: Math.min(...boxes.map(box => box.x0)),
+        y0: Math.min(...boxes.map(box => box.y0)),
+        x1: Math.max(...boxes.map(box => box.x1)),
+        y1: Math.max(...boxes.map(box => box.y1))
+      }
+      : best.bbox || null;
+
+    const confidence = words.length > 0
+      ? words.reduce((sum, word) => sum + word.confidence, 0) / words.length
+      : best.confidence;
+
+    return {
+      line: best.text.trim(),
+      lineConfidence: best.confidence,
+      bbox: bbox,
+      confidence: Math.round(confidence * 10) / 10,
+      words: words.map(word => ({
+        text: word.text,
+        confidence: word.confidence,
+        bbox: word.bbox
+      })),
+      wordMatched: Boolean(matchWord) && matched.length > 0
+    };
+  }
+
+  /**
+   * Re-read every field region of a K PLUS slip with field-specific OCR settings
+   * @param {Buffer} imageBuffer - Original image buffer
+   * @param {object} regions - Bounding box per field (kplusLayout.findRegions)
+   * @returns {Promise<object>} { field: { text, confidence, bbox } } for every region read
+   */
+  async extractLayoutFields(imageBuffer, regions) {
+    const fields = {};
+
+    await Promise.all(Object.entries(regions).map(async ([field, bbox]) => {
+      const settings = this.fieldSettings[field];
+      if (!bbox || !settings) {
+        return;
+      }
+
+      const width = bbox.x1 - bbox.x0;
+      const height = bbox.y1 - bbox.y0;
+      if (width < 2 || height < 2) {
+        return;
+      }
+
+      try {
+        // Small crops are enlarged so characters are big enough for Tesseract
+        const crop = await sharp(imageBuffer)
+          .extract({ left: bbox.x0, top: bbox.y0, width: width, height: height })
+          .resize({ height: Math.max(height, 80) })
+          .greyscale()
+          .normalize()
+          .toBuffer();
+
+        const pool = settings.pool === 'field' ? this.fieldPool : this.pool;
+        const result = await pool.recognize(crop, { parameters: settings.parameters });
+
+        fields[field] = {
+          text: result.data.text.trim(),
+          confidence: result.data.confidence,
+          bbox: bbox
+        };
+      } catch (error) {
+        console.error(`Layout OCR failed for ${field}:`, error.message);
+      }
+    }));
+
+    return fields;
+  }
+
+  /**
+   * Merge fields read by layout mode into the full-page result
+   * - transaction ID: used when its best candidate is at least as good as the full-page one
+   * - amount and date/time: used when they parse (the crops are read with tighter settings)
+   * - sender/receiver: only fill in names and accounts the full-page pass missed
+   * @param {object} slip - Fields from the full-page pass
+   * @param {object} layoutFields - Fields from extractLayoutFields
+   * @returns {object} { slip, used } merged fields and the names of the fields taken from layout mode
+   */
+  mergeLayoutFields(slip, layoutFields) {
+    const merged = { ...slip };
+    const used = [];
+
+    const idField = layoutFields.transactionId;
+    const layoutCandidates = idField
+      ? this.rankTransactionIdReadings([
+        { text: idField.text, labelled: true },
+        { text: this.findValidTransactionId(idField.text), labelled: true }
+      ].filter(reading => reading.text))
+      : [];
+    const fullPageCandidates = slip.transactionIdCandidates || [];
+    const best = layoutCandidates[0];
+    const current = slip.transactionIdSource === 'ocr' ? fullPageCandidates[0] : null;
+    if (best && (!current || best.cost <= current.cost)) {
+      if (best.transactionId !== slip.transactionId || slip.transactionIdSource !== 'ocr') {
+        merged.transactionId = best.transactionId;
+        merged.transactionIdSource = 'layout';
+      }
+      merged.transactionIdRepaired = best.repaired;
+      merged.transactionIdCandidates = this.mergeCandidates(layoutCandidates, fullPageCandidates);
+      used.push('transactionId');
+    }
+
+    const amountField = layoutFields.amount;
+    const amountMatch = amountField ? amountField.text.match(/\d{1,3}(?:,\d{3})+\.\d{2}|\d+\.\d{2}/) : null;
+    if (amountMatch) {
+      merged.amount = parseFloat(amountMatch[0].replace(/,/g, ''));
+      used.push('amount');
+    }
+
+    const dateField = layoutFields.dateTime;
+    const dateTime = dateField
+      ? this.extractDateTime(dateField.text, [{ text: dateField.text, confidence: dateField.confidence }])
+      : null;
+    if (dateTime && dateTime.iso) {
+      merged.dateTime = dateTime;
+      used.push('dateTime');
+    }
+
+    ['sender', 'receiver'].forEach((field) => {
+      const text = layoutFields[field] ? layoutFields[field].text : '';
+      const name = this.stripAccounts(text.replace(/^(จาก|ถึง|ผู้โอน|ผู้รับ)[:\s]*/, ''));
+      const account = findAccounts(text)[0] || null;
+      const party = slip[field] || this.makeParty(null, null);
+
+      const fillName = !party.name && name;
+      const fillAccount = !party.account && account;
+      if (fillName || fillAccount) {
+        merged[field] = {
+          name: fillName ? name : party.name,
+          account: fillAccount ? account.account : party.account,
+          accountType: fillAccount ? account.accountType : party.accountType
+        };
+        used.push(field);
+      }
+    });
+
+    return { slip: merged, used: used };
+  }
+
+  /**
+   * Merge candidate lists, keeping the cheapest entry per ID
+   * @param {Array<object>} first - Preferred candidates
+   * @param {Array<object>} second - Other candidates
+   * @param {number} limit - Maximum number of candidates
+   * @returns {Array<object>} Candidates best first
+   */
+  mergeCandidates(first, second, limit = 5) {
+    const byId = new Map();
+    first.concat(second).forEach((candidate) => {
+      const existing = byId.get(candidate.transactionId);
+      if (!existing || candidate.cost < existing.cost) {
+        byId.set(candidate.transactionId, candidate);
+      }
+    });
+
+    return Array.from(byId.values())
+      .sort((a, b) => a.cost - b.cost || a.corrections.length - b.corrections.length)
+      .slice(0, limit);
+  }
+
+  /**
+   * Find a valid transaction ID in text read with the [0-9A-Z] whitelist
+   * Stray characters around the ID (e.g. from the label) are cut off
+   * @param {string} text - OCR text
+   * @returns {string|null} Transaction ID or null if none is valid
+   */
+  findValidTransactionId(text) {
+    const compact = (text || '').replace(/[^0-9A-Z]/g, '');
+    if (transactionParser.isValidQuick(compact)) {
+      return compact;
+    }
+
+    for (let start = 0; start < compact.length; start++) {
+      for (let end = compact.length; end - start >= 10; end--) {
+        const candidate = compact.slice(start, end);
+        if (transactionParser.isValidQuick(candidate)) {
+          return candidate;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Locate and decode the slip verification mini-QR in the image
+   * The QR is small, so decoding is retried on an enlarged, high-contrast copy
+   * @param {Buffer} imageBuffer - The image buffer
+   * @returns {Promise<object|null>} Decoded QR fields or null if no slip QR found
+   */
+  async decodeQR(imageBuffer) {
+    const variants = [
+      (image) => image.resize(1600, 1600, { fit: 'inside', withoutEnlargement: true }),
+      (image) => image.resize(2400, 2400, { fit: 'inside', withoutEnlargement: false }).greyscale().normalize()
+    ];
+
+    for (const variant of variants) {
+      try {
+        const { data, info } = await variant(sharp(imageBuffer))
+          .raw()
+          .toBuffer({ resolveWithObject: true });
+
+        // jsQR expects RGBA pixels - expand greyscale / RGB output
+        const pixels = new Uint8ClampedArray(info.width * info.height * 4);
+        for (let i = 0, j = 0; i < data.length; i += info.channels, j += 4) {
+          const grey = info.channels < 3;
+          pixels[j] = data[i];
+          pixels[j + 1] = grey ? data[i] : data[i + 1];
+          pixels[j + 2] = grey ? data[i] : data[i + 2];
+          pixels[j + 3] = 255;
+        }
+
+        const code = jsQR(pixels, info.width, info.height);
+        if (!code) {
+          continue;
+        }
+
+        const decoded = slipQRParser.parse(code.data);
+        if (decoded) {
+          return decoded;
+        }
+      } catch (error) {
+        console.error('QR decoding error:', error.message);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Compute the perceptual hashes used to recognize re-sent slip images
+   * @param {Buffer} imageBuffer - The image buffer
+   * @returns {Promise<object|null>} { pHash, dHash } or null if hashing failed
+   */
+  async hashImage(imageBuffer) {
+    try {
+      return await perceptualHash.computeHashes(imageBuffer);
+    } catch (error) {
+      console.error('Perceptual hash error:', error.message);
+      return null;
+    }
   }
 
   /**
    * Parse slip image and extract all information
    * @param {Buffer} imageBuffer - The image buffer
+   * @param {object} options - Options
+   * @param {function} options.onProgress - Called with OCR progress (0-1)
+   * @param {boolean} options.layout - Re-read K PLUS field regions (default OCR_LAYOUT_MODE)
+   * @param {boolean} options.forensics - Look for signs of image editing (default IMAGE_FORENSICS)
    * @returns {Promise<object>} Parsed slip data
    */
-  async parseSlip(imageBuffer) {
+  async parseSlip(imageBuffer, options = {}) {
     try {
-      // Extract text using OCR
-      const ocrResult = await this.extractText(imageBuffer);
+      // Extract text using OCR, decode the slip QR and hash what the slip looks like
+      const [ocrResult, qr, imageHashes] = await Promise.all([
+        this.extractText(imageBuffer, { onProgress: options.onProgress }),
+        this.decodeQR(imageBuffer),
+        this.hashImage(imageBuffer)
+      ]);
       const text = ocrResult.text;
       const lines = ocrResult.lines;
 
       // Extract all information
-      const transactionId = this.extractTransactionId(text);
-      const amount = this.extractAmount(text);
-      const dateTime = this.extractDateTime(text, lines);
+      const candidates = this.extractTransactionIdCandidates(text);
+      let transactionId = candidates.length > 0
+        ? candidates[0].transactionId
+        : this.findUnparsedTransactionId(text);
+      let transactionIdSource = transactionId ? 'ocr' : null;
+
+      // Fall back to the QR reference when OCR could not read the ID
+      if (!transactionId && qr) {
+        transactionId = qr.transactionRef;
+        transactionIdSource = 'qr';
+      }
+
       const parties = this.extractParties(text, lines);
+      let fields = {
+        transactionId: transactionId,
+        transactionIdSource: transactionIdSource,
+        transactionIdRepaired: transactionIdSource === 'ocr' && candidates.length > 0 && candidates[0].repaired,
+        transactionIdCandidates: candidates,
+        amount: this.extractAmount(text),
+        dateTime: this.extractDateTime(text, lines),
+        sender: parties.sender,
+        receiver: parties.receiver
+      };
+      const fieldLocations = this.locateFields({
+        ...fields,
+        transactionId: transactionIdSource === 'ocr' ? transactionId : null
+      }, lines);
+
+      // Layout mode - re-read the K PLUS field regions with field-specific settings
+      let layout = null;
+      const layoutEnabled = options.layout !== undefined ? options.layout : this.layoutEnabled;
+      const regions = layoutEnabled ? kplusLayout.findRegions(lines, fieldLocations, ocrResult.imageSize) : null;
+      if (regions) {
+        const layoutFields = await this.extractLayoutFields(imageBuffer, regions);
+        const merged = this.mergeLayoutFields(fields, layoutFields);
+        fields = merged.slip;
+
+        merged.used.forEach((field) => {
+          if (!fieldLocations[field]) {
+            fieldLocations[field] = {
+              line: layoutFields[field].text,
+              lineConfidence: layoutFields[field].confidence,
+              bbox: layoutFields[field].bbox,
+              confidence: layoutFields[field].confidence,
+              words: [],
+              wordMatched: false
+            };
+          }
+        });
+
+        layout = {
+          template: 'kplus',
+          fields: layoutFields,
+          used: merged.used
+        };
+      }
+
+      // Image forensics - signs of editing around the fields that were read
+      const forensicsEnabled = options.forensics !== undefined ? options.forensics : forensicsService.enabled;
+      const forensics = forensicsEnabled
+        ? await forensicsService.analyze(imageBuffer, { fieldLocations, lines })
+        : null;
 
       return {
         success: true,
         ocrConfidence: ocrResult.confidence,
-        transactionId: transactionId,
-        amount: amount,
-        dateTime: dateTime,
-        sender: parties.sender,
-        receiver: parties.receiver,
-        recipient: parties.receiver || parties.sender, // Legacy field
+        transactionId: fields.transactionId,
+        transactionIdSource: fields.transactionIdSource,
+        transactionIdRepaired: fields.transactionIdRepaired,
+        transactionIdCandidates: fields.transactionIdCandidates,
+        qr: qr,
+        amount: fields.amount,
+        dateTime: fields.dateTime,
+        sender: fields.sender,
+        receiver: fields.receiver,
+        recipient: fields.receiver.name || fields.sender.name, // Legacy field
+        layout: layout,
+        forensics: forensics,
+        perceptualHash: imageHashes,
+        fieldLocations: fieldLocations,
+        imageSize: ocrResult.imageSize,
         rawText: text,
         lines: ocrResult.lines
       };
     } catch (error) {
+      // Capacity errors are not a problem with the slip - let the route answer 503/504
+      if (error.statusCode) {
+        throw error;
+      }
       console.error('Slip parsing error:', error);
       return {
         success: false,
@@ -766,14 +1232,11 @@ class OCRService {
   }
 
   /**
-   * Terminate the OCR worker
+   * Terminate the OCR worker pool
    */
   async terminate() {
-    if (this.worker) {
-      await this.worker.terminate();
-      this.isInitialized = false;
-      console.log('OCR Worker terminated');
-    }
+    await Promise.all([this.pool.terminate(), this.fieldPool.terminate()]);
+    console.log('OCR worker pool terminated');
   }
 }
 
@@ -0,0 +1,333 @@
+const Tesseract = require('tesseract.js');
+
+/**
+ * Error raised when the OCR queue is full
+ * Routes turn it into 503 Service Unavailable with a Retry-After header
+ */
+class OCRQueueFullError extends Error {
+  constructor(retryAfter) {
+    super('OCR queue is full, please retry later');
+    this.name = 'OCRQueueFullError';
+    this.code = 'OCR_QUEUE_FULL';
+    this.statusCode = 503;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Error raised when a single OCR job runs longer than the configured timeout
+ */
+class OCRJobTimeoutError extends Error {
+  constructor(timeout) {
+    super(`OCR job timed out after ${timeout}ms`);
+    this.name = 'OCRJobTimeoutError';
+    this.code = 'OCR_JOB_TIMEOUT';
+    this.statusCode = 504;
+  }
+}
+
+/**
+ * Pool of Tesseract workers
+ *
+ * - Fixed number of workers (OCR_POOL_SIZE) so simultaneous uploads are
+ *   recognized in parallel instead of queuing behind a single worker
+ * - Bounded FIFO queue (OCR_QUEUE_LIMIT); when it is full new jobs are
+ *   rejected with OCRQueueFullError instead of piling up in memory
+ * - Per-job timeout (OCR_JOB_TIMEOUT_MS)
+ * - Workers that crash or time out are terminated and replaced
+ */
+class OCRWorkerPool {
+  /**
+   * @param {object} options - Pool options (defaults come from the environment)
+   * @param {number} options.size - Number of workers
+   * @param {number} options.maxQueue - Maximum number of waiting jobs
+   * @param {number} options.jobTimeout - Per-job timeout in milliseconds
+   * @param {string} options.language - Tesseract language(s)
+   * @param {object} options.parameters - Tesseract parameters applied to every worker
+   */
+  constructor(options = {}) {
+    this.size = options.size || parseInt(process.env.OCR_POOL_SIZE) || 2;
+    this.maxQueue = options.maxQueue !== undefined
+      ? options.maxQueue
+      : (parseInt(process.env.OCR_QUEUE_LIMIT) || 20);
+    this.jobTimeout = options.jobTimeout || parseInt(process.env.OCR_JOB_TIMEOUT_MS) || 60000;
+    this.language = options.language || process.env.OCR_LANGUAGE || 'tha+eng';
+    this.parameters = options.parameters || {};
+
+    this.slots = [];
+    this.queue = [];
+    this.initPromise = null;
+
+    this.stats = {
+      completed: 0,
+      failed: 0,
+      timedOut: 0,
+      rejected: 0,
+      replaced: 0,
+      totalJobTime: 0
+    };
+  }
+
+  /**
+   * Start all workers
+   * Concurrent callers share the same initialization promise, so two requests
+   * arriving at the same time never create two sets of workers
+   * @returns {Promise<void>}
+   */
+  initialize() {
+    if (!this.initPromise) {
+      this.initPromise = (async () => {
+        this.slots = Array.from({ length: this.size }, (_, index) => ({
+          id: index + 1,
+          worker: null,
+          busy: false,
+          ready: false,
+          job: null,
+          jobsCompleted: 0
+        }));
+
+        await Promise.all(this.slots.map(slot => this.startWorker(slot)));
+        console.log(`OCR worker pool initialized with ${this.size} worker(s)`);
+        this.dispatch();
+      })().catch(error => {
+        // Allow a later call to retry initialization
+        this.initPromise = null;
+        throw error;
+      });
+    }
+
+    return this.initPromise;
+  }
+
+  /**
+   * Create the Tesseract worker for a pool slot
+   * @param {object} slot - Pool slot
+   */
+  async startWorker(slot) {
+    slot.ready = false;
+
+    const worker = await Tesseract.createWorker(this.language, 1, {
+      logger: (m) => {
+        if (m.status === 'recognizing text') {
+          console.log(`OCR Progress [worker ${slot.id}]: ${Math.round(m.progress * 100)}%`);
+
+          // Forward progress to whoever submitted the running job
+          if (slot.job && slot.job.onProgress) {
+            slot.job.onProgress(m.progress);
+          }
+        }
+      }
+    });
+
+    if (Object.keys(this.parameters).length > 0) {
+      await worker.setParameters(this.parameters);
+    }
+
+    slot.worker = worker;
+    slot.ready = true;
+  }
+
+  /**
+   * Terminate a broken worker and start a fresh one in its place
+   * @param {object} slot - Pool slot
+   */
+  async replaceWorker(slot) {
+    const oldWorker = slot.worker;
+    slot.worker = null;
+    slot.ready = false;
+    this.stats.replaced++;
+
+    if (oldWorker) {
+      oldWorker.terminate().catch(error => {
+        console.error(`Failed to terminate OCR worker ${slot.id}:`, error.message);
+      });
+    }
+
+    try {
+      await this.startWorker(slot);
+      console.log(`OCR worker ${slot.id} replaced`);
+    } catch (error) {
+      console.error(`Failed to replace OCR worker ${slot.id}:`, error);
+      // Try again shortly rather than leaving the slot dead
+      setTimeout(() => this.replaceWorker(slot), 5000).unref();
+      return;
+    }
+
+    this.dispatch();
+  }
+
+  /**
+   * Estimate how long a rejected client should wait before retrying
+   * @returns {number} Seconds
+   */
+  estimateRetryAfter() {
+    const averageJobTime = this.stats.completed > 0
+      ? this.stats.totalJobTime / this.stats.completed
+      : 5000;
+    const waitMs = averageJobTime * Math.ceil((this.queue.length + 1) / this.size);
+    return Math.max(1, Math.ceil(waitMs / 1000));
+  }
+
+  /**
+   * Recognize an image on the next free worker
+   * @param {Buffer} image - Image buffer
+   * @param {object} options - Job options
+   * @param {function} options.onProgress - Called with recognition progress (0-1)
+   * @param {object} options.parameters - Tesseract parameters for this job only; the
+   *   worker is reset to the pool parameters afterwards, so only override keys the pool sets
+   * @returns {Promise<object>} Tesseract recognize result
+   * @throws {OCRQueueFullError} When the queue is full
+   */
+  recognize(image, options = {}) {
+    if (this.queue.length >= this.maxQueue) {
+      this.stats.rejected++;
+      return Promise.reject(new OCRQueueFullError(this.estimateRetryAfter()));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        image: image,
+        onProgress: options.onProgress || null,
+        parameters: options.parameters || null,
+        resolve: resolve,
+        reject: reject,
+        enqueuedAt: Date.now()
+      });
+
+      this.initialize()
+        .then(() => this.dispatch())
+        .catch(error => {
+          // Fail every waiting job - the pool cannot start
+          this.queue.splice(0).forEach(job => job.reject(error));
+        });
+    });
+  }
+
+  /**
+   * Hand queued jobs to idle workers
+   */
+  dispatch() {
+    for (const slot of this.slots) {
+      if (this.queue.length === 0) {
+        return;
+      }
+      if (slot.ready && !slot.busy) {
+        this.runJob(slot, this.queue.shift());
+      }
+    }
+  }
+
+  /**
+   * Run a single job with timeout handling
+   * @param {object} slot - Pool slot
+   * @param {object} job - Queued job
+   */
+  async runJob(slot, job) {
+    slot.busy = true;
+    slot.job = job;
+    const startedAt = Date.now();
+    let timer = null;
+    let workerBroken = false;
+
+    try {
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new OCRJobTimeoutError(this.jobTimeout)), this.jobTimeout);
+      });
+
+      const recognize = async () => {
+        if (!job.parameters) {
+          return slot.worker.recognize(job.image);
+        }
+
+        await slot.worker.setParameters(job.parameters);
+        try {
+          return await slot.worker.recognize(job.image);
+        } finally {
+          await slot.worker.setParameters(this.resetParameters(job.parameters));
+        }
+      };
+
+      const result = await Promise.race([recognize(), timeout]);
+
+      slot.jobsCompleted++;
+      this.stats.completed++;
+      this.stats.totalJobTime += Date.now() - startedAt;
+      job.resolve(result);
+    } catch (error) {
+      this.stats.failed++;
+      if (error instanceof OCRJobTimeoutError) {
+        this.stats.timedOut++;
+      }
+
+      // A timed-out worker is still busy with the old job and a crashed one
+      // is unusable - either way it has to be replaced
+      workerBroken = true;
+      console.error(`OCR job failed on worker ${slot.id}:`, error.message);
+      job.reject(error);
+    } finally {
+      clearTimeout(timer);
+      slot.busy = false;
+      slot.job = null;
+    }
+
+    if (workerBroken) {
+      this.replaceWorker(slot);
+    } else {
+      this.dispatch();
+    }
+  }
+
+  /**
+   * Build the parameters that undo a job's parameter overrides
+   * @param {object} parameters - Parameters set for the job
+   * @returns {object} Pool values for the same keys
+   */
+  resetParameters(parameters) {
+    const reset = {};
+    Object.keys(parameters).forEach(key => {
+      if (key in this.parameters) {
+        reset[key] = this.parameters[key];
+      }
+    });
+    return reset;
+  }
+
+  /**
+   * Get pool statistics
+   * @returns {object} Pool size, worker state, queue length and counters
+   */
+  getStats() {
+    const { totalJobTime, ...counters } = this.stats;
+
+    return {
+      initialized: this.slots.length > 0 && this.slots.some(slot => slot.ready),
+      language: this.language,
+      size: this.size,
+      busyWorkers: this.slots.filter(slot => slot.busy).length,
+      readyWorkers: this.slots.filter(slot => slot.ready).length,
+      queueLength: this.queue.length,
+      maxQueue: this.maxQueue,
+      jobTimeout: this.jobTimeout,
+      averageJobTime: this.stats.completed > 0 ? Math.round(totalJobTime / this.stats.completed) : null,
+      ...counters
+    };
+  }
+
+  /**
+   * Terminate all workers
+   */
+  async terminate() {
+    const workers = this.slots.map(slot => slot.worker).filter(Boolean);
+    this.slots = [];
+    this.initPromise = null;
+    this.queue.splice(0).forEach(job => job.reject(new Error('OCR worker pool terminated')));
+
+    await Promise.all(workers.map(worker => worker.terminate().catch(() => {})));
+  }
+}
+
+module.exports = {
+  OCRWorkerPool,
+  OCRQueueFullError,
+  OCRJobTimeoutError
+};
@@ -0,0 +1,293 @@
+const crypto = require('crypto');
+const JsonStore = require('../utils/jsonStore');
+
+const STATUSES = ['pending', 'paid', 'expired', 'cancelled'];
+
+/**
+ * Error raised for payment requests that cannot be served
+ * Routes answer it with its statusCode (400 invalid, 404 unknown, 409 paid/cancelled, 410 expired)
+ */
+class PaymentError extends Error {
+  constructor(message, statusCode = 400, code = 'INVALID_PAYMENT') {
+    super(message);
+    this.name = 'PaymentError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Payment Service
+ * Pending payments (orders, invoices) a slip is verified against: the
+ * payment carries the expected amount and recipient, so the client only
+ * sends the payment ID with the slip. A slip that passes pays the payment;
+ * expired, cancelled and paid payments accept no more slips.
+ *
+ * Payments belong to the API key that created them
+ */
+class PaymentService {
+  constructor() {
+    this.store = new JsonStore(process.env.PAYMENTS_FILE || 'payments.json', {
+      payments: []
+    });
+    this.defaultExpiryMinutes = parseInt(process.env.PAYMENT_EXPIRY_MINUTES) || 60;
+  }
+
+  /**
+   * Status of a payment at a point in time
+   * A pending payment past its expiry is expired - it is not rewritten on disk
+   * @param {object} record - Stored payment
+   * @param {number} now - Reference time (ms)
+   * @returns {string} pending, paid, expired or cancelled
+   */
+  statusOf(record, now = Date.now()) {
+    if (record.status === 'pending' && new Date(record.expiresAt).getTime() < now) {
+      return 'expired';
+    }
+    return record.status;
+  }
+
+  /**
+   * Build the public view of a payment
+   * @param {object} record - Stored payment
+   * @returns {object} Payment with its current status
+   */
+  toPublic(record) {
+    return { ...record, status: this.statusOf(record) };
+  }
+
+  /**
+   * Validate and normalize the fields of a new payment
+   * @param {object} fields - Fields from the request
+   * @returns {object} { reference, amount, recipient, recipientAccount, expiresAt }
+   * @throws {PaymentError} When a field is invalid
+   */
+  normalizePayment(fields = {}) {
+    if (!fields.reference || typeof fields.reference !== 'string' || !fields.reference.trim()) {
+      throw new PaymentError('reference is required');
+    }
+
+    const amount = Number(fields.amount);
+    if (fields.amount === undefined || fields.amount === null || fields.amount === '' || isNaN(amount) || amount <= 0) {
+      throw new PaymentError('amount must be a positive number');
+    }
+
+    if (fields.recipient !== undefined && fields.recipient !== null && typeof fields.recipient !== 'string') {
+      throw new PaymentError('recipient must be a string');
+    }
+
+    // Bank account (xxx-x-xxxxx-x) or PromptPay ID (phone or national ID) - kept as digits
+    let recipientAccount = null;
+    if (fields.recipientAccount !== undefined && fields.recipientAccount !== null && fields.recipientAccount !== '') {
+      recipientAccount = String(fields.recipientAccount).replace(/[\s-]/g, '');
+      if (!/^\d{10,15}$/.test(recipientAccount)) {
+        throw new PaymentError('recipientAccount must be a bank account number or PromptPay ID (10-15 digits)');
+      }
+    }
+
+    let expiresAt;
+    if (fields.expiresAt) {
+      expiresAt = new Date(fields.expiresAt);
+      if (isNaN(expiresAt.getTime())) {
+        throw new PaymentError('expiresAt must be an ISO 8601 date/time');
+      }
+    } else {
+      const minutes = fields.expiresInMinutes !== undefined ? Number(fields.expiresInMinutes) : this.defaultExpiryMinutes;
+      if (isNaN(minutes) || minutes <= 0) {
+        throw new PaymentError('expiresInMinutes must be a positive number');
+      }
+      expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+    }
+    if (expiresAt.getTime() <= Date.now()) {
+      throw new PaymentError('expiresAt must be in the future');
+    }
+
+    return {
+      reference: fields.reference.trim(),
+      amount: amount,
+      recipient: (fields.recipient || '').trim() || null,
+      recipientAccount: recipientAccount,
+      expiresAt: expiresAt.toISOString()
+    };
+  }
+
+  /**
+   * Create a pending payment
+   * A reference can only be reused once its earlier payment expired or was cancelled
+   * @param {object} fields - { reference, amount, recipient, recipientAccount, expiresAt | expiresInMinutes }
+   * @param {string|null} apiKeyId - Owner API key
+   * @returns {object} Created payment
+   * @throws {PaymentError} When a field is invalid or the reference is taken
+   */
+  createPayment(fields, apiKeyId = null) {
+    const normalized = this.normalizePayment(fields);
+
+    return this.store.update(data => {
+      const taken = data.payments.find(payment => payment.apiKeyId === apiKeyId &&
+        payment.reference === normalized.reference &&
+        ['pending', 'paid'].includes(this.statusOf(payment)));
+      if (taken) {
+        throw new PaymentError(
+          `Reference ${normalized.reference} already has a ${this.statusOf(taken)} payment (${taken.id})`,
+          409,
+          'PAYMENT_REFERENCE_EXISTS'
+        );
+      }
+
+      const record = {
+        id: crypto.randomUUID(),
+        apiKeyId: apiKeyId,
+        ...normalized,
+        status: 'pending',
+        createdAt: new Date().toISOString(),
+        paidAt: null,
+        cancelledAt: null,
+        transactionId: null,
+        verificationId: null,
+        attempts: []
+      };
+      data.payments.push(record);
+      return this.toPublic(record);
+    });
+  }
+
+  /**
+   * Get a payment
+   * @param {string} id - Payment ID
+   * @param {string|null} apiKeyId - Caller API key; other keys' payments are not found
+   * @returns {object|null} Payment or null if not found
+   */
+  getPayment(id, apiKeyId = null) {
+    const record = this.store.load().payments.find(payment => payment.id === id && payment.apiKeyId === apiKeyId);
+    return record ? this.toPublic(record) : null;
+  }
+
+  /**
+   * List payments of an API key
+   * @param {string|null} apiKeyId - Owner API key
+   * @param {object} filters - { status, reference } (optional)
+   * @returns {Array<object>} Payments, newest first
+   * @throws {PaymentError} When the status filter is unknown
+   */
+  listPayments(apiKeyId = null, filters = {}) {
+    if (filters.status && !STATUSES.includes(filters.status)) {
+      throw new PaymentError(`status must be one of ${STATUSES.join(', ')}`);
+    }
+
+    return this.store.load().payments
+      .filter(payment => payment.apiKeyId === apiKeyId)
+      .map(payment => this.toPublic(payment))
+      .filter(payment => !filters.status || payment.status === filters.status)
+      .filter(payment => !filters.reference || payment.reference === filters.reference)
+      .reverse();
+  }
+
+  /**
+   * Get a payment that can still be paid, and the expected data to verify its slip with
+   * @param {string} id - Payment ID
+   * @param {string|null} apiKeyId - Caller API key
+   * @returns {object} { payment, expectedData }
+   * @throws {PaymentError} 404 unknown, 409 paid or cancelled, 410 expired
+   */
+  getPayable(id, apiKeyId = null) {
+    const payment = this.getPayment(id, apiKeyId);
+    if (!payment) {
+      throw new PaymentError('Payment not found', 404, 'PAYMENT_NOT_FOUND');
+    }
+    this.assertPayable(payment);
+
+    return {
+      payment: payment,
+      expectedData: {
+        amount: payment.amount,
+        recipient: payment.recipient,
+        account: payment.recipientAccount
+      }
+    };
+  }
+
+  /**
+   * Reject payments that accept no more slips
+   * @param {object} payment - Public payment
+   * @throws {PaymentError} 409 paid or cancelled, 410 expired
+   */
+  assertPayable(payment) {
+    if (payment.status === 'paid') {
+      throw new PaymentError(
+        `Payment ${payment.reference} was already paid at ${payment.paidAt} (transaction ${payment.transactionId})`,
+        409,
+        'PAYMENT_ALREADY_PAID'
+      );
+    }
+    if (payment.status === 'cancelled') {
+      throw new PaymentError(`Payment ${payment.reference} was cancelled`, 409, 'PAYMENT_CANCELLED');
+    }
+    if (payment.status === 'expired') {
+      throw new PaymentError(`Payment ${payment.reference} expired at ${payment.expiresAt}`, 410, 'PAYMENT_EXPIRED');
+    }
+  }
+
+  /**
+   * Record a slip verified against a payment, and pay it when the slip passed
+   * The payment must still be pending - of two slips verified at the same
+   * time only the first pays it. Expiry is judged when the slip was received,
+   * so OCR time does not count against the customer
+   * @param {string} id - Payment ID
+   * @param {object} validation - Result of validateSlip
+   * @param {number} receivedAt - When the slip was received (ms)
+   * @returns {object} Updated payment
+   * @throws {PaymentError} When the payment was paid or cancelled meanwhile
+   */
+  recordVerification(id, validation, receivedAt = Date.now()) {
+    return this.store.update(data => {
+      const record = data.payments.find(payment => payment.id === id);
+      const transactionId = validation.details.transactionInfo ? validation.details.transactionInfo.raw : null;
+      if (validation.valid) {
+        this.assertPayable({ ...record, status: this.statusOf(record, receivedAt) });
+      }
+
+      record.attempts.push({
+        verificationId: validation.verificationId,
+        transactionId: transactionId,
+        valid: validation.valid,
+        verifiedAt: new Date().toISOString()
+      });
+
+      if (validation.valid) {
+        record.status = 'paid';
+        record.paidAt = new Date().toISOString();
+        record.transactionId = transactionId;
+        record.verificationId = validation.verificationId;
+      }
+
+      return this.toPublic(record);
+    });
+  }
+
+  /**
+   * Cancel a pending payment
+   * @param {string} id - Payment ID
+   * @param {string|null} apiKeyId - Caller API key
+   * @returns {object|null} Cancelled payment or null if not found
+   * @throws {PaymentError} 409 when the payment was already paid
+   */
+  cancelPayment(id, apiKeyId = null) {
+    return this.store.update(data => {
+      const record = data.payments.find(payment => payment.id === id && payment.apiKeyId === apiKeyId);
+      if (!record) {
+        return null;
+      }
+      if (record.status === 'paid') {
+        throw new PaymentError(`Payment ${record.reference} was already paid and cannot be cancelled`, 409, 'PAYMENT_ALREADY_PAID');
+      }
+
+      if (record.status !== 'cancelled') {
+        record.status = 'cancelled';
+        record.cancelledAt = new Date().toISOString();
+      }
+      return this.toPublic(record);
+    });
+  }
+}
+
+module.exports = new PaymentService();
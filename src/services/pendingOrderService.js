@@ -0,0 +1,105 @@
+const JsonStore = require('../utils/jsonStore');
+
+/**
+ * Pending Order Service
+ * Remembers what each LINE chat user still has to pay, so a slip sent in
+ * chat can be checked against the right amount. Orders are keyed by the LINE
+ * user ID and set by the shop through the admin API; a slip that passes
+ * verification settles (removes) the order
+ */
+class PendingOrderService {
+  constructor() {
+    this.store = new JsonStore(process.env.PENDING_ORDERS_FILE || 'pending-orders.json', {
+      orders: {}
+    });
+  }
+
+  /**
+   * Validate and normalize an order
+   * @param {object} order - Order from the admin request
+   * @returns {object} Normalized order fields
+   * @throws {Error} With statusCode 400 when a field is invalid
+   */
+  normalizeOrder(order = {}) {
+    const invalid = (message) => {
+      const error = new Error(message);
+      error.statusCode = 400;
+      return error;
+    };
+
+    const amount = Number(order.amount);
+    if (order.amount === undefined || order.amount === null || isNaN(amount) || amount <= 0) {
+      throw invalid('amount must be a positive number');
+    }
+
+    for (const field of ['recipient', 'reference']) {
+      if (order[field] !== undefined && order[field] !== null && typeof order[field] !== 'string') {
+        throw invalid(`${field} must be a string`);
+      }
+    }
+
+    return {
+      amount: amount,
+      recipient: (order.recipient || '').trim() || null,
+      reference: (order.reference || '').trim() || null
+    };
+  }
+
+  /**
+   * Create or replace the pending order of a chat user
+   * @param {string} userId - LINE user ID
+   * @param {object} order - { amount, recipient, reference }
+   * @returns {object} Stored order
+   */
+  setOrder(userId, order) {
+    const record = {
+      userId: userId,
+      ...this.normalizeOrder(order),
+      createdAt: new Date().toISOString()
+    };
+
+    this.store.update(data => {
+      data.orders[userId] = record;
+    });
+
+    return record;
+  }
+
+  /**
+   * Get the pending order of a chat user
+   * @param {string} userId - LINE user ID
+   * @returns {object|null} Order or null if the user owes nothing
+   */
+  getOrder(userId) {
+    return this.store.load().orders[userId] || null;
+  }
+
+  /**
+   * List all pending orders
+   * @returns {Array<object>} Orders, oldest first
+   */
+  listOrders() {
+    return Object.values(this.store.load().orders)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Remove the pending order of a chat user (paid or cancelled)
+   * @param {string} userId - LINE user ID
+   * @returns {object|null} Removed order or null if there was none
+   */
+  removeOrder(userId) {
+    const order = this.getOrder(userId);
+    if (!order) {
+      return null;
+    }
+
+    this.store.update(data => {
+      delete data.orders[userId];
+    });
+
+    return order;
+  }
+}
+
+module.exports = new PendingOrderService();
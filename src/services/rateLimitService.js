@@ -0,0 +1,171 @@
+const MemoryRateLimitStore = require('../utils/rateLimitStore');
+
+// Quota days and months follow Thai time (UTC+7, no daylight saving)
+const BANGKOK_OFFSET_MS = 7 * 60 * 60 * 1000;
+
+/**
+ * Read a non-negative number from the environment
+ * @param {string} name - Variable name
+ * @param {number} defaultValue - Value used when unset or invalid
+ * @returns {number} Parsed value
+ */
+function envNumber(name, defaultValue) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) || value < 0 ? defaultValue : value;
+}
+
+/**
+ * Rate Limit Service
+ *
+ * Every subject (an API key, and the client IP) gets:
+ * - a token bucket: RATE_LIMIT_BURST requests at once, refilled at
+ *   RATE_LIMIT_PER_MINUTE requests per minute
+ * - a daily (QUOTA_DAILY) and monthly (QUOTA_MONTHLY) request quota,
+ *   0 meaning unlimited
+ */
+class RateLimitService {
+  constructor() {
+    this.store = new MemoryRateLimitStore();
+    this.limits = {
+      burst: envNumber('RATE_LIMIT_BURST', 10),
+      perMinute: envNumber('RATE_LIMIT_PER_MINUTE', 30),
+      daily: envNumber('QUOTA_DAILY', 1000),
+      monthly: envNumber('QUOTA_MONTHLY', 20000)
+    };
+  }
+
+  /**
+   * Replace the backing store (must implement the MemoryRateLimitStore methods)
+   * @param {object} store - Store instance
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Compute the current quota periods
+   * @param {number} now - Epoch milliseconds
+   * @returns {object} { day, month, dayResetAt, monthResetAt }
+   */
+  getPeriods(now = Date.now()) {
+    const local = new Date(now + BANGKOK_OFFSET_MS);
+    const year = local.getUTCFullYear();
+    const month = local.getUTCMonth();
+    const day = local.getUTCDate();
+
+    return {
+      day: local.toISOString().slice(0, 10),
+      month: local.toISOString().slice(0, 7),
+      dayResetAt: Date.UTC(year, month, day + 1) - BANGKOK_OFFSET_MS,
+      monthResetAt: Date.UTC(year, month + 1, 1) - BANGKOK_OFFSET_MS
+    };
+  }
+
+  /**
+   * Build the state of one quota
+   * @param {number} used - Requests counted so far
+   * @param {number} limit - Quota (0 = unlimited)
+   * @param {number} resetAt - Epoch milliseconds when the quota resets
+   * @returns {object} Quota state
+   */
+  quotaState(used, limit, resetAt) {
+    return {
+      used: used,
+      limit: limit || null,
+      remaining: limit ? Math.max(0, limit - used) : null,
+      resetAt: new Date(resetAt).toISOString()
+    };
+  }
+
+  /**
+   * Consume requests for a subject
+   * @param {string} subject - Subject key such as "key:<id>" or "ip:<address>"
+   * @param {number} cost - Number of requests to charge (one per slip for batches)
+   * @returns {Promise<object>} { allowed, code, retryAfter, rate, daily, monthly }
+   */
+  async consume(subject, cost = 1) {
+    const now = Date.now();
+    const periods = this.getPeriods(now);
+    const dailyKey = `quota:${subject}:${periods.day}`;
+    const monthlyKey = `quota:${subject}:${periods.month}`;
+
+    const bucket = await this.store.takeToken(`bucket:${subject}`, {
+      capacity: this.limits.burst,
+      refillPerSecond: this.limits.perMinute / 60,
+      cost: cost
+    });
+
+    const rate = {
+      limit: this.limits.burst,
+      remaining: bucket.remaining,
+      resetAt: new Date(now + bucket.resetMs).toISOString()
+    };
+
+    const [dailyUsed, monthlyUsed] = await Promise.all([
+      this.store.getCounter(dailyKey),
+      this.store.getCounter(monthlyKey)
+    ]);
+
+    const result = {
+      allowed: false,
+      code: null,
+      retryAfter: null,
+      rate: rate,
+      daily: this.quotaState(dailyUsed, this.limits.daily, periods.dayResetAt),
+      monthly: this.quotaState(monthlyUsed, this.limits.monthly, periods.monthResetAt)
+    };
+
+    if (!bucket.allowed) {
+      result.code = 'RATE_LIMITED';
+      result.retryAfter = Math.max(1, Math.ceil(bucket.retryAfterMs / 1000));
+      return result;
+    }
+
+    if (this.limits.daily && dailyUsed + cost > this.limits.daily) {
+      result.code = 'DAILY_QUOTA_EXCEEDED';
+      result.retryAfter = Math.ceil((periods.dayResetAt - now) / 1000);
+      return result;
+    }
+
+    if (this.limits.monthly && monthlyUsed + cost > this.limits.monthly) {
+      result.code = 'MONTHLY_QUOTA_EXCEEDED';
+      result.retryAfter = Math.ceil((periods.monthResetAt - now) / 1000);
+      return result;
+    }
+
+    const [dailyCount, monthlyCount] = await Promise.all([
+      this.store.incrementCounter(dailyKey, cost, periods.dayResetAt),
+      this.store.incrementCounter(monthlyKey, cost, periods.monthResetAt)
+    ]);
+
+    result.allowed = true;
+    result.daily = this.quotaState(dailyCount, this.limits.daily, periods.dayResetAt);
+    result.monthly = this.quotaState(monthlyCount, this.limits.monthly, periods.monthResetAt);
+    return result;
+  }
+
+  /**
+   * Get the current usage of a subject without consuming anything
+   * @param {string} subject - Subject key such as "key:<id>" or "ip:<address>"
+   * @returns {Promise<object>} Usage counters and limits
+   */
+  async getUsage(subject) {
+    const periods = this.getPeriods();
+    const [dailyUsed, monthlyUsed] = await Promise.all([
+      this.store.getCounter(`quota:${subject}:${periods.day}`),
+      this.store.getCounter(`quota:${subject}:${periods.month}`)
+    ]);
+
+    return {
+      subject: subject,
+      rate: {
+        burst: this.limits.burst,
+        perMinute: this.limits.perMinute
+      },
+      daily: this.quotaState(dailyUsed, this.limits.daily, periods.dayResetAt),
+      monthly: this.quotaState(monthlyUsed, this.limits.monthly, periods.monthResetAt)
+    };
+  }
+}
+
+module.exports = new RateLimitService();
@@ -0,0 +1,126 @@
+const statementLedger = require('./statementLedger');
+const historyService = require('./historyService');
+const scoringPolicyService = require('./scoringPolicyService');
+
+/**
+ * Reconciliation Service
+ * Compares the slips accepted by the API with the credits of the imported
+ * account statements:
+ * - credits nobody sent a slip for (customer paid but the order was not closed)
+ * - accepted slips with no credit (money that never arrived - likely fake)
+ * Statements are usually imported after the slips were verified, so slips
+ * that had no statement to match at verification time are matched here.
+ * A report only shows those matches; claiming their credits is a separate,
+ * explicit step. Each tenant (API key) is reconciled against its own
+ * statements and slips
+ */
+class ReconciliationService {
+  /**
+   * Build the reconciliation report for a period
+   * @param {object} options - Report options
+   * @param {string} options.from - ISO date/time (default: start of the imported statements)
+   * @param {string} options.to - ISO date/time (default: end of the imported statements)
+   * @param {string} options.apiKeyId - Tenant to reconcile (default: statements imported without a key)
+   * @param {boolean} options.claim - Mark the credits of new matches as matched (default false)
+   * @returns {object} Summary, new matches, unmatched credits, unmatched slips and slips still waiting for a statement
+   * @throws {Error} With statusCode 400 when from/to is invalid
+   */
+  reconcile(options = {}) {
+    const invalid = (message) => {
+      const error = new Error(message);
+      error.statusCode = 400;
+      return error;
+    };
+
+    const apiKeyId = options.apiKeyId || null;
+    const coverage = statementLedger.getCoverage(apiKeyId);
+    const from = options.from ? new Date(options.from).getTime() : coverage ? coverage.from : null;
+    const to = options.to ? new Date(options.to).getTime() : coverage ? coverage.to : null;
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      throw invalid('from and to must be ISO 8601 date/times');
+    }
+    if (from !== null && to !== null && from > to) {
+      throw invalid('from must not be after to');
+    }
+
+    const { timeWindowMinutes, tolerance } = scoringPolicyService.resolve().checks.statementMatch;
+    const inPeriod = (time) => (from === null || time >= from) && (to === null || time <= to);
+
+    // Each transaction once - a re-submitted slip is rejected as a duplicate anyway
+    const seen = new Set();
+    const slips = historyService.listAccepted()
+      .filter(entry => (entry.apiKeyId || null) === apiKeyId)
+      .map(entry => ({
+        verificationId: entry.id,
+        transactionId: entry.transactionId,
+        amount: entry.amount,
+        slipTime: entry.slipTime || entry.createdAt,
+        verifiedAt: entry.createdAt
+      }))
+      .filter(slip => inPeriod(new Date(slip.slipTime).getTime()))
+      .filter(slip => !seen.has(slip.transactionId) && seen.add(slip.transactionId));
+
+    const matched = [];
+    const newMatches = [];
+    const unmatchedSlips = [];
+    const pendingSlips = [];
+    // Credits matched in this run, so two slips cannot share one before it is claimed
+    const taken = new Set();
+
+    slips.forEach(slip => {
+      const timestamp = new Date(slip.slipTime).getTime();
+      let credit = statementLedger.findByTransactionId(slip.transactionId, apiKeyId);
+
+      if (!credit && slip.amount !== null && statementLedger.isCovered(timestamp, apiKeyId)) {
+        const match = statementLedger.findMatch({ ...slip, timestamp, apiKeyId }, timeWindowMinutes, tolerance, taken);
+        if (match) {
+          credit = match.credit;
+          taken.add(credit.id);
+          newMatches.push({ ...slip, creditId: credit.id, bookedAt: credit.bookedAt, deltaMinutes: match.deltaMinutes });
+        }
+      }
+
+      if (credit) {
+        matched.push({ ...slip, creditId: credit.id, bookedAt: credit.bookedAt });
+      } else if (statementLedger.isCovered(timestamp, apiKeyId)) {
+        unmatchedSlips.push(slip);
+      } else {
+        pendingSlips.push(slip);
+      }
+    });
+
+    if (options.claim) {
+      newMatches.forEach(match => statementLedger.markMatched(match.creditId, match));
+    }
+
+    const credits = statementLedger.listCredits(from, to, apiKeyId);
+    const unmatchedCredits = credits.filter(credit => !credit.matchedTransactionId && !taken.has(credit.id));
+    const total = (items) => Math.round(items.reduce((sum, item) => sum + (item.amount || 0), 0) * 100) / 100;
+
+    return {
+      period: {
+        from: from !== null ? new Date(from).toISOString() : null,
+        to: to !== null ? new Date(to).toISOString() : null
+      },
+      summary: {
+        credits: credits.length,
+        creditAmount: total(credits),
+        acceptedSlips: slips.length,
+        matched: matched.length,
+        newMatches: newMatches.length,
+        unmatchedCredits: unmatchedCredits.length,
+        unmatchedCreditAmount: total(unmatchedCredits),
+        unmatchedSlips: unmatchedSlips.length,
+        unmatchedSlipAmount: total(unmatchedSlips),
+        pendingSlips: pendingSlips.length
+      },
+      claimed: Boolean(options.claim),
+      newMatches: newMatches,
+      unmatchedCredits: unmatchedCredits,
+      unmatchedSlips: unmatchedSlips,
+      pendingSlips: pendingSlips
+    };
+  }
+}
+
+module.exports = new ReconciliationService();
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const defaultPolicy = require('../config/defaultScoringPolicy.json');
+
+/**
+ * Scoring Policy Service
+ *
+ * A policy decides, for every check validateSlip runs, whether it is enabled,
+ * how many points it is worth and whether a failure is fatal (makes the slip
+ * invalid) or only a warning, plus the score percentage needed to pass.
+ *
+ * Policies are layered: built-in default → SCORING_POLICY_FILE → allow-listed
+ * sender policy → API key (tenant) policy → per-request policy. Every layer
+ * only needs to contain the values it changes.
+ */
+
+// Checks that decide whether a slip is genuine and pays what was asked - a
+// sender policy may not touch them, since the sender is read off the slip itself
+const SENDER_LOCKED_CHECKS = ['fakeDetection', 'imageForensics', 'qrReference', 'duplicate', 'duplicateImage', 'expectedAmount', 'expectedAccount'];
+
+class ScoringPolicyService {
+  constructor() {
+    this.basePolicy = this.merge(defaultPolicy, this.loadPolicyFile());
+
+    // Shortcut for the most common setting: "slips must be from the last N hours"
+    if (process.env.SLIP_MAX_AGE_HOURS) {
+      this.basePolicy.checks.slipAge.maxAgeHours = parseFloat(process.env.SLIP_MAX_AGE_HOURS) || 0;
+    }
+    if (process.env.IMAGE_HASH_MAX_DISTANCE) {
+      this.basePolicy.checks.duplicateImage.maxDistance = parseInt(process.env.IMAGE_HASH_MAX_DISTANCE, 10) || 0;
+    }
+    if (process.env.RECIPIENT_MIN_SIMILARITY) {
+      this.basePolicy.checks.recipient.minSimilarity = parseFloat(process.env.RECIPIENT_MIN_SIMILARITY) || 0;
+    }
+    if (process.env.STATEMENT_MATCH_WINDOW_MINUTES) {
+      this.basePolicy.checks.statementMatch.timeWindowMinutes = parseFloat(process.env.STATEMENT_MATCH_WINDOW_MINUTES) || 0;
+    }
+  }
+
+  /**
+   * Load the policy file configured with SCORING_POLICY_FILE
+   * @returns {object|null} Policy overrides or null when none is configured
+   */
+  loadPolicyFile() {
+    const policyFile = process.env.SCORING_POLICY_FILE;
+    if (!policyFile) {
+      return null;
+    }
+
+    const filePath = path.resolve(policyFile);
+    const policy = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const errors = this.validate(policy);
+    if (errors.length > 0) {
+      throw new Error(`Invalid scoring policy in ${filePath}: ${errors.join('; ')}`);
+    }
+
+    console.log(`Loaded scoring policy from ${filePath}`);
+    return policy;
+  }
+
+  /**
+   * Check a (partial) policy for mistakes
+   * @param {object} policy - Policy or policy overrides
+   * @param {object} options - Options
+   * @param {boolean} options.sender - Policy of an allow-listed sender: the
+   *   checks in SENDER_LOCKED_CHECKS may not be changed
+   * @returns {Array<string>} Problems found (empty when valid)
+   */
+  validate(policy, { sender = false } = {}) {
+    const errors = [];
+
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+      return ['policy must be an object'];
+    }
+
+    if (policy.passThreshold !== undefined &&
+        (typeof policy.passThreshold !== 'number' || policy.passThreshold < 0 || policy.passThreshold > 100)) {
+      errors.push('passThreshold must be a number between 0 and 100');
+    }
+
+    const checks = policy.checks || {};
+    if (typeof checks !== 'object' || Array.isArray(checks)) {
+      return errors.concat('checks must be an object');
+    }
+
+    Object.entries(checks).forEach(([name, check]) => {
+      const known = defaultPolicy.checks[name];
+      if (!known) {
+        errors.push(`Unknown check "${name}". Known checks: ${Object.keys(defaultPolicy.checks).join(', ')}`);
+        return;
+      }
+      if (!check || typeof check !== 'object') {
+        errors.push(`checks.${name} must be an object`);
+        return;
+      }
+      if (sender && SENDER_LOCKED_CHECKS.includes(name)) {
+        errors.push(`checks.${name} cannot be changed by a sender policy`);
+        return;
+      }
+      if (check.enabled !== undefined && typeof check.enabled !== 'boolean') {
+        errors.push(`checks.${name}.enabled must be true or false`);
+      }
+      if (check.severity !== undefined && !['fatal', 'warning'].includes(check.severity)) {
+        errors.push(`checks.${name}.severity must be "fatal" or "warning"`);
+      }
+
+      // Every other setting is numeric (weight, thresholds, credits, tolerance)
+      Object.keys(check)
+        .filter(key => !['enabled', 'severity'].includes(key))
+        .forEach(key => {
+          if (!(key in known)) {
+            errors.push(`Unknown setting checks.${name}.${key}`);
+          } else if (typeof check[key] !== 'number' || check[key] < 0) {
+            errors.push(`checks.${name}.${key} must be a non-negative number`);
+          }
+        });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Merge policy overrides onto a policy
+   * @param {object} policy - Complete policy
+   * @param {object} overrides - Partial policy (may be null)
+   * @returns {object} New complete policy
+   */
+  merge(policy, overrides) {
+    const merged = {
+      passThreshold: policy.passThreshold,
+      checks: {}
+    };
+
+    Object.entries(policy.checks).forEach(([name, check]) => {
+      merged.checks[name] = { ...check };
+    });
+
+    if (!overrides) {
+      return merged;
+    }
+
+    if (overrides.passThreshold !== undefined) {
+      merged.passThreshold = overrides.passThreshold;
+    }
+
+    Object.entries(overrides.checks || {}).forEach(([name, check]) => {
+      merged.checks[name] = { ...merged.checks[name], ...check };
+    });
+
+    return merged;
+  }
+
+  /**
+   * Build the effective policy for a verification
+   * @param {object} tenant - Tenant settings of the API key (optional)
+   * @param {object} requestPolicy - Per-request policy overrides (optional)
+   * @param {object} senderPolicy - Policy of the allow-listed sender of the slip (optional, see senderListService)
+   *   The tenant policy overrides it, and it is ignored when it changes a locked check
+   * @returns {object} Complete policy
+   * @throws {Error} With statusCode 400 when the request policy is invalid
+   */
+  resolve(tenant = null, requestPolicy = null, senderPolicy = null) {
+    let policy = this.basePolicy;
+
+    if (senderPolicy) {
+      const errors = this.validate(senderPolicy, { sender: true });
+      if (errors.length > 0) {
+        console.error(`Ignoring sender policy: ${errors.join('; ')}`);
+      } else {
+        policy = this.merge(policy, senderPolicy);
+      }
+    }
+
+    if (tenant) {
+      policy = this.merge(policy, tenant.policy);
+      if (typeof tenant.minScore === 'number') {
+        policy.passThreshold = tenant.minScore;
+      }
+    }
+
+    if (requestPolicy) {
+      const errors = this.validate(requestPolicy);
+      if (errors.length > 0) {
+        const error = new Error(`Invalid scoring policy: ${errors.join('; ')}`);
+        error.statusCode = 400;
+        throw error;
+      }
+      policy = this.merge(policy, requestPolicy);
+    }
+
+    return policy;
+  }
+}
+
+module.exports = new ScoringPolicyService();
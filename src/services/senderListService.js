@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const JsonStore = require('../utils/jsonStore');
+const thaiNameMatcher = require('../utils/thaiNameMatcher');
+const { matchAccountFragment } = require('../utils/accountMatcher');
+const scoringPolicyService = require('./scoringPolicyService');
+
+const LISTS = ['allow', 'block'];
+
+/**
+ * Sender List Service
+ * Senders the shop knows: regular customers on the allow list, and fraud
+ * accounts on the block list. Entries name a sender by name, by account
+ * fragment or both, and are matched against the sender of a slip
+ * (ocrService.extractParties):
+ * - block: the slip is forced to HIGH fake risk
+ * - allow: the entry's policy overrides (if any) are applied to the slip
+ *
+ * An entry matches when every field it gives matches the slip, so a name
+ * together with an account only matches that person's account. Allow entries
+ * need an account: a name is only text printed on the slip, which a forger
+ * chooses freely. Lists are managed through the admin API
+ */
+class SenderListService {
+  constructor() {
+    this.store = new JsonStore(process.env.SENDER_LISTS_FILE || 'sender-lists.json', {
+      entries: []
+    });
+  }
+
+  /**
+   * Validate and normalize a list entry
+   * @param {object} fields - { list, name, account, reason, policy }
+   * @returns {object} Normalized entry fields
+   * @throws {Error} With statusCode 400 when a field is invalid
+   */
+  normalizeEntry(fields = {}) {
+    const invalid = (message) => {
+      const error = new Error(message);
+      error.statusCode = 400;
+      return error;
+    };
+
+    if (!LISTS.includes(fields.list)) {
+      throw invalid(`list must be one of ${LISTS.join(', ')}`);
+    }
+
+    for (const field of ['name', 'account', 'reason']) {
+      if (fields[field] !== undefined && fields[field] !== null && typeof fields[field] !== 'string') {
+        throw invalid(`${field} must be a string`);
+      }
+    }
+
+    const name = (fields.name || '').trim() || null;
+    if (name && thaiNameMatcher.normalize(name).length === 0) {
+      throw invalid('name must contain more than a title or company form');
+    }
+
+    // Full or masked account (xxx-x-x1234-x), or trailing digits (1234)
+    let account = (fields.account || '').replace(/[\s-]/g, '').toLowerCase() || null;
+    if (account && (!/^[0-9x]+$/.test(account) || account.replace(/x/g, '').length < 3)) {
+      throw invalid('account must be digits, optionally masked with x, and show at least 3 digits');
+    }
+
+    if (!name && !account) {
+      throw invalid('name or account is required');
+    }
+    if (fields.list === 'allow' && !account) {
+      throw invalid('allow list entries need an account');
+    }
+
+    if (fields.policy !== undefined && fields.policy !== null) {
+      if (fields.list !== 'allow') {
+        throw invalid('policy can only be set on allow list entries');
+      }
+      const errors = scoringPolicyService.validate(fields.policy, { sender: true });
+      if (errors.length > 0) {
+        throw invalid(`Invalid scoring policy: ${errors.join('; ')}`);
+      }
+    }
+
+    return {
+      list: fields.list,
+      name: name,
+      account: account,
+      reason: (fields.reason || '').trim() || null,
+      policy: fields.policy || null
+    };
+  }
+
+  /**
+   * Add a sender to the allow or block list
+   * @param {object} fields - { list, name, account, reason, policy }
+   * @returns {object} Stored entry
+   */
+  addEntry(fields) {
+    const record = {
+      id: crypto.randomUUID(),
+      ...this.normalizeEntry(fields),
+      createdAt: new Date().toISOString()
+    };
+
+    this.store.update(data => {
+      data.entries.push(record);
+    });
+
+    return record;
+  }
+
+  /**
+   * List entries
+   * @param {string} list - "allow" or "block" (optional, default both)
+   * @returns {Array<object>} Entries, oldest first
+   * @throws {Error} With statusCode 400 when the list is unknown
+   */
+  listEntries(list = null) {
+    if (list && !LISTS.includes(list)) {
+      const error = new Error(`list must be one of ${LISTS.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return this.store.load().entries.filter(entry => !list || entry.list === list);
+  }
+
+  /**
+   * Get an entry
+   * @param {string} id - Entry ID
+   * @returns {object|null} Entry or null if not found
+   */
+  getEntry(id) {
+    return this.store.load().entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} id - Entry ID
+   * @returns {object|null} Removed entry or null if not found
+   */
+  removeEntry(id) {
+    return this.store.update(data => {
+      const index = data.entries.findIndex(entry => entry.id === id);
+      return index === -1 ? null : data.entries.splice(index, 1)[0];
+    });
+  }
+
+  /**
+   * Look up the sender of a slip in both lists
+   * @param {object} sender - { name, account } from ocrService.extractParties
+   * @returns {object} { blocked, allowed, matches } - blocked / allowed are the
+   *   first matching entry of each list (null when none matches); an allow
+   *   entry only counts when the account matched
+   */
+  check(sender) {
+    const name = sender && sender.name;
+    const account = sender && sender.account;
+    const matches = [];
+
+    if (name || account) {
+      this.store.load().entries.forEach((entry) => {
+        const nameMatch = entry.name && name ? thaiNameMatcher.compare(name, entry.name) : null;
+        if (entry.name && !(nameMatch && nameMatch.match)) {
+          return;
+        }
+        if (entry.account && !matchAccountFragment(account, entry.account)) {
+          return;
+        }
+
+        matches.push({
+          ...entry,
+          matchedOn: [entry.name ? 'name' : null, entry.account ? 'account' : null].filter(Boolean),
+          similarity: nameMatch ? nameMatch.similarity : null
+        });
+      });
+    }
+
+    return {
+      blocked: matches.find(match => match.list === 'block') || null,
+      allowed: matches.find(match => match.list === 'allow' && match.matchedOn.includes('account')) || null,
+      matches: matches
+    };
+  }
+}
+
+module.exports = new SenderListService();
@@ -0,0 +1,244 @@
+const path = require('path');
+const sharp = require('sharp');
+const heicConvert = require('heic-convert');
+const { pdfToPng } = require('pdf-to-png-converter');
+
+const DEFAULT_ALLOWED_TYPES = 'image/jpeg,image/png,image/webp,image/heic,image/heif,application/pdf';
+
+// Other names clients send for the same formats
+const TYPE_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'image/pjpeg': 'image/jpeg',
+  'image/heic-sequence': 'image/heic',
+  'image/heif-sequence': 'image/heif',
+  'application/x-pdf': 'application/pdf'
+};
+
+// Fallback when the client sends no useful MIME type (application/octet-stream, ZIP entries)
+const EXTENSION_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.heic': 'image/heic',
+  '.heif': 'image/heif',
+  '.pdf': 'application/pdf'
+};
+
+// ISO BMFF brands of HEIF files (HEVC coded HEIC and AV1 coded AVIF)
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'hevm', 'hevs'];
+const HEIF_BRANDS = ['mif1', 'msf1', 'avif', 'avis'];
+
+/**
+ * Error raised for uploads that are not a usable slip file
+ * Routes answer it with 400 Bad Request
+ */
+class SlipFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SlipFileError';
+    this.code = 'INVALID_SLIP_FILE';
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Slip Image Service
+ * Decides which upload types are accepted (ALLOWED_FILE_TYPES) and turns
+ * WebP, HEIC and PDF uploads into raster images OCR can read. JPEG and PNG
+ * pass through untouched so image forensics still sees the original bytes
+ */
+class SlipImageService {
+  constructor() {
+    this.allowedTypes = (process.env.ALLOWED_FILE_TYPES || DEFAULT_ALLOWED_TYPES)
+      .split(',')
+      .map(type => this.normalizeType(type))
+      .filter(Boolean);
+    this.maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+    this.maxPdfPages = parseInt(process.env.PDF_MAX_PAGES) || 10;
+    // PDF pages are 72 units per inch - render at 2x so small slip text stays readable
+    this.pdfScale = parseFloat(process.env.PDF_RENDER_SCALE) || 2;
+  }
+
+  /**
+   * Normalize a MIME type
+   * @param {string} type - MIME type as sent by the client
+   * @returns {string} Lower-case type with aliases resolved
+   */
+  normalizeType(type) {
+    const normalized = String(type || '').split(';')[0].trim().toLowerCase();
+    return TYPE_ALIASES[normalized] || normalized;
+  }
+
+  /**
+   * Work out the type of an uploaded file from its MIME type or file name
+   * @param {string} mimetype - MIME type sent by the client
+   * @param {string} filename - Original file name
+   * @returns {string|null} Normalized MIME type
+   */
+  resolveType(mimetype, filename) {
+    const type = this.normalizeType(mimetype);
+    if (type && type !== 'application/octet-stream') {
+      return type;
+    }
+    return EXTENSION_TYPES[path.extname(filename || '').toLowerCase()] || null;
+  }
+
+  /**
+   * Check whether an uploaded file type is accepted
+   * @param {string} mimetype - MIME type sent by the client
+   * @param {string} filename - Original file name
+   * @returns {boolean} True if allowed by ALLOWED_FILE_TYPES
+   */
+  isAllowed(mimetype, filename) {
+    return this.allowedTypes.includes(this.resolveType(mimetype, filename));
+  }
+
+  /**
+   * Human-readable list of the accepted formats, for error messages
+   * @returns {string} e.g. "JPEG, PNG, WEBP, PDF"
+   */
+  describeAllowed() {
+    return [...new Set(this.allowedTypes.map(type => type.split('/')[1].toUpperCase()))].join(', ');
+  }
+
+  /**
+   * Decode a slip sent as base64 in a JSON body
+   * A data URL prefix ("data:image/png;base64,") is accepted and ignored -
+   * the type is sniffed from the decoded bytes like any other upload
+   * @param {string} data - Base64 (standard or URL-safe) or data URL
+   * @returns {Buffer} File contents
+   * @throws {SlipFileError} When the data is not valid base64 or too large
+   */
+  decodeBase64(data) {
+    if (typeof data !== 'string') {
+      throw new SlipFileError('imageBase64 must be a string');
+    }
+
+    const base64 = data.replace(/^data:[^,]*;base64,/, '').replace(/\s/g, '');
+    if (!base64 || !/^[A-Za-z0-9+/_-]+={0,2}$/.test(base64)) {
+      throw new SlipFileError('imageBase64 is not valid base64');
+    }
+    if (Math.floor(base64.length * 3 / 4) > this.maxFileSize) {
+      throw new SlipFileError(`imageBase64 exceeds the maximum file size (${this.maxFileSize} bytes)`);
+    }
+
+    return Buffer.from(base64, 'base64');
+  }
+
+  /**
+   * Detect the real file type from its first bytes
+   * @param {Buffer} buffer - File contents
+   * @returns {string|null} MIME type or null when not recognized
+   */
+  detectType(buffer) {
+    if (buffer.length < 12) {
+      return null;
+    }
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+      return 'image/jpeg';
+    }
+    if (buffer.readUInt32BE(0) === 0x89504E47) {
+      return 'image/png';
+    }
+    if (buffer.toString('latin1', 0, 5) === '%PDF-') {
+      return 'application/pdf';
+    }
+    if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+      return 'image/webp';
+    }
+    if (buffer.toString('latin1', 4, 8) === 'ftyp') {
+      const brand = buffer.toString('latin1', 8, 12);
+      if (HEIC_BRANDS.includes(brand)) {
+        return 'image/heic';
+      }
+      if (HEIF_BRANDS.includes(brand)) {
+        return 'image/heif';
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Turn an uploaded slip file into one raster image per page
+   * The content decides the conversion, not the declared type, and has to be
+   * an allowed type itself
+   * @param {Buffer} buffer - File contents
+   * @param {object} options - Options
+   * @param {number} options.maxPages - Render at most this many PDF pages plus one, so the
+   *   caller can tell a longer document apart (default PDF_MAX_PAGES)
+   * @returns {Promise<Array<object>>} Pages as { page, buffer } (page numbers start at 1)
+   * @throws {SlipFileError} When the file is not an allowed, readable slip file
+   */
+  async toImages(buffer, { maxPages = this.maxPdfPages } = {}) {
+    const type = this.detectType(buffer);
+    if (!type || !this.allowedTypes.includes(type)) {
+      throw new SlipFileError(`Unsupported file content. Allowed types: ${this.describeAllowed()}`);
+    }
+
+    try {
+      switch (type) {
+        case 'image/jpeg':
+        case 'image/png':
+          return [{ page: 1, buffer: buffer }];
+        case 'application/pdf':
+          return await this.rasterizePDF(buffer, maxPages);
+        case 'image/heic':
+        case 'image/heif':
+          return [{ page: 1, buffer: await this.convertHEIC(buffer) }];
+        default:
+          return [{ page: 1, buffer: await sharp(buffer).rotate().png().toBuffer() }];
+      }
+    } catch (error) {
+      if (error instanceof SlipFileError) {
+        throw error;
+      }
+      console.error('Slip file conversion error:', error.message);
+      throw new SlipFileError(`Could not read ${type} file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Render every page of a PDF to PNG
+   * @param {Buffer} buffer - PDF file
+   * @param {number} maxPages - Pages the caller has room for (default PDF_MAX_PAGES)
+   * @returns {Promise<Array<object>>} Pages as { page, buffer } - one more than maxPages
+   *   when the document is longer
+   */
+  async rasterizePDF(buffer, maxPages = this.maxPdfPages) {
+    // One page past the limit tells whether the document is too long without rendering all of it
+    const renderPages = Math.min(maxPages, this.maxPdfPages) + 1;
+    const pages = await pdfToPng(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length), {
+      viewportScale: this.pdfScale,
+      pagesToProcess: Array.from({ length: renderPages }, (value, index) => index + 1),
+      verbosityLevel: 0
+    });
+
+    if (pages.length === 0) {
+      throw new SlipFileError('PDF has no pages');
+    }
+    if (pages.length > this.maxPdfPages) {
+      throw new SlipFileError(`PDF has too many pages. Maximum is ${this.maxPdfPages}`);
+    }
+
+    return pages.map(page => ({ page: page.pageNumber, buffer: page.content }));
+  }
+
+  /**
+   * Decode a HEIC/HEIF photo to PNG
+   * libvips reads AV1 coded HEIF; the HEVC coded HEIC of iPhones needs the
+   * bundled libheif decoder
+   * @param {Buffer} buffer - HEIC/HEIF file
+   * @returns {Promise<Buffer>} PNG image
+   */
+  async convertHEIC(buffer) {
+    try {
+      return await sharp(buffer).rotate().png().toBuffer();
+    } catch (error) {
+      const png = await heicConvert({ buffer: buffer, format: 'PNG' });
+      return Buffer.from(png);
+    }
+  }
+}
+
+module.exports = new SlipImageService();
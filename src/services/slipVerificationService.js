@@ -0,0 +1,204 @@
+const ocrService = require('./ocrService');
+const validationService = require('./validationService');
+const historyService = require('./historyService');
+
+/**
+ * Slip Verification Service
+ * Runs the full verification flow (OCR → validation → report) for one slip
+ * image, and for batches of slips
+ */
+class SlipVerificationService {
+  /**
+   * Verify a single slip image
+   * @param {Buffer} imageBuffer - Slip image
+   * @param {object} expectedData - Expected amount / recipient / account (optional)
+   * @param {object} options - Validation options (see validationService.validateSlip)
+   * @param {function} options.onProgress - Called with OCR progress (0-1)
+   * @param {string} options.source - Where the verification came from, stored in the history (default "verify")
+   * @param {boolean} options.recordHistory - Store the outcome in the verification history (default true)
+   * @param {string} options.apiKeyId - API key that requested the verification, stored in the history
+   *   and used to match the slip against that key's account statements
+   * @returns {Promise<object>} Verification outcome
+   */
+  async verifySlip(imageBuffer, expectedData = {}, options = {}) {
+    const { onProgress, source = 'verify', recordHistory = true, apiKeyId = null, ...validationOptions } = options;
+
+    // Parse slip using OCR
+    const slipData = await ocrService.parseSlip(imageBuffer, { onProgress });
+
+    let outcome;
+    if (!slipData.success) {
+      outcome = {
+        success: false,
+        error: 'Failed to parse slip image',
+        details: slipData.error
+      };
+    } else {
+      // Validate slip data
+      const validation = validationService.validateSlip(slipData, expectedData, { ...validationOptions, apiKeyId });
+
+      outcome = {
+        success: true,
+        validation: validation,
+        slipData: slipData,
+        report: validationService.generateReport(validation)
+      };
+    }
+
+    if (recordHistory) {
+      try {
+        outcome.historyId = historyService.record(outcome, imageBuffer, { source, apiKeyId }).id;
+      } catch (error) {
+        // Losing an audit record must not fail the verification itself
+        console.error('Failed to record verification history:', error);
+      }
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Pick the slip fields returned to API clients
+   * @param {object} slipData - Full parseSlip result
+   * @returns {object} Slip summary
+   */
+  summarizeSlipData(slipData) {
+    return {
+      transactionId: slipData.transactionId,
+      amount: slipData.amount,
+      dateTime: slipData.dateTime,
+      recipient: slipData.recipient,
+      sender: slipData.sender,
+      receiver: slipData.receiver,
+      qr: slipData.qr,
+      ocrConfidence: slipData.ocrConfidence
+    };
+  }
+
+  /**
+   * Verify many slips and summarize the results
+   * @param {Array<object>} slips - Slips as { name, buffer, expectedData }, or { name, error }
+   *   for files that could not be read (reported as failed slips)
+   * @param {object} options - Validation options
+   * @param {number} options.concurrency - Slips processed at the same time (default: OCR pool size)
+   * @returns {Promise<object>} Per-slip results and aggregate summary
+   */
+  async verifyBatch(slips, options = {}) {
+    const { concurrency = ocrService.getPoolStats().size, ...validationOptions } = options;
+    const results = new Array(slips.length);
+    let nextIndex = 0;
+
+    // Simple worker loop - never more than `concurrency` slips in flight,
+    // so a large batch cannot flood the OCR queue
+    const runNext = async () => {
+      while (nextIndex < slips.length) {
+        const index = nextIndex++;
+        const slip = slips[index];
+
+        // The file could not be turned into an image (see slipImageService)
+        if (slip.error) {
+          results[index] = {
+            index: index,
+            name: slip.name,
+            success: false,
+            error: slip.error.message,
+            code: slip.error.code
+          };
+          continue;
+        }
+
+        try {
+          const outcome = await this.verifySlip(slip.buffer, slip.expectedData || {}, {
+            source: 'batch',
+            ...validationOptions
+          });
+          results[index] = {
+            index: index,
+            name: slip.name,
+            success: outcome.success,
+            ...(outcome.success
+              ? { validation: outcome.validation, slipData: this.summarizeSlipData(outcome.slipData) }
+              : { error: outcome.error, details: outcome.details })
+          };
+        } catch (error) {
+          console.error(`Batch slip ${slip.name} failed:`, error);
+          results[index] = {
+            index: index,
+            name: slip.name,
+            success: false,
+            error: error.message,
+            code: error.code
+          };
+        }
+      }
+    };
+
+    const workers = Array.from({ length: Math.max(1, Math.min(concurrency, slips.length)) }, runNext);
+    await Promise.all(workers);
+
+    return {
+      results: results,
+      summary: this.summarizeBatch(results)
+    };
+  }
+
+  /**
+   * Build the aggregate summary of a batch
+   * @param {Array<object>} results - Per-slip results
+   * @returns {object} Summary
+   */
+  summarizeBatch(results) {
+    const summary = {
+      total: results.length,
+      validCount: 0,
+      invalidCount: 0,
+      failedCount: 0,
+      totalAmount: 0,
+      validAmount: 0,
+      duplicatesInBatch: []
+    };
+
+    const seen = new Map();
+
+    results.forEach(result => {
+      if (!result.success) {
+        summary.failedCount++;
+        return;
+      }
+
+      const amount = result.slipData.amount || 0;
+      summary.totalAmount += amount;
+
+      if (result.validation.valid) {
+        summary.validCount++;
+        summary.validAmount += amount;
+      } else {
+        summary.invalidCount++;
+      }
+
+      // Group slips carrying the same transaction ID
+      const transactionInfo = result.validation.details.transactionInfo;
+      const transactionId = transactionInfo ? transactionInfo.raw : result.slipData.transactionId;
+      if (transactionId) {
+        if (!seen.has(transactionId)) {
+          seen.set(transactionId, []);
+        }
+        seen.get(transactionId).push(result.name);
+      }
+    });
+
+    seen.forEach((names, transactionId) => {
+      if (names.length > 1) {
+        summary.duplicatesInBatch.push({ transactionId: transactionId, slips: names });
+      }
+    });
+
+    summary.totalAmount = Math.round(summary.totalAmount * 100) / 100;
+    summary.validAmount = Math.round(summary.validAmount * 100) / 100;
+    summary.duplicateCount = summary.duplicatesInBatch.reduce((count, group) => count + group.slips.length - 1, 0);
+
+    return summary;
+  }
+}
+
+module.exports = new SlipVerificationService();
@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const JsonStore = require('../utils/jsonStore');
+const statementParser = require('../utils/statementParser');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BANGKOK_OFFSET_MS = 7 * 60 * 60 * 1000;
+
+/**
+ * Start of the Thai calendar day a timestamp falls on
+ * @param {number} timestamp - Unix time in ms
+ * @returns {number} Midnight Asia/Bangkok in ms
+ */
+function startOfBangkokDay(timestamp) {
+  return Math.floor((timestamp + BANGKOK_OFFSET_MS) / DAY_MS) * DAY_MS - BANGKOK_OFFSET_MS;
+}
+
+/**
+ * Check whether an import or credit belongs to a tenant
+ * @param {object} record - Import record or credit
+ * @param {string|null} apiKeyId - Tenant API key (null = statements imported without one)
+ * @returns {boolean} True if the record belongs to the tenant
+ */
+function ownedBy(record, apiKeyId) {
+  return (record.apiKeyId || null) === apiKeyId;
+}
+
+/**
+ * Statement Ledger
+ * Keeps the credits (incoming transfers) of imported KBank account
+ * statements. A slip is only money in the bank once its credit shows up
+ * here, so validateSlip looks for the matching credit and reconciliation
+ * reports credits nobody sent a slip for.
+ *
+ * Every import also records the period its statement covers: a slip from
+ * outside every imported period is not judged, because its statement simply
+ * has not been imported yet.
+ *
+ * A statement belongs to the tenant (API key) whose account it is, and only
+ * that tenant's slips are matched against its credits
+ */
+class StatementLedger {
+  constructor() {
+    this.store = new JsonStore(process.env.STATEMENT_LEDGER_FILE || 'statement-ledger.json', {
+      imports: [],
+      credits: []
+    });
+  }
+
+  /**
+   * Build a stable ID for a statement row, so importing overlapping
+   * statements does not add the same credit twice
+   * @param {object} row - Parsed statement row
+   * @param {string|null} apiKeyId - Tenant the statement belongs to
+   * @returns {string} Credit ID
+   */
+  makeId(row, apiKeyId) {
+    return crypto.createHash('sha256')
+      .update([apiKeyId || '', row.bookedAt, row.amount.toFixed(2), row.balance, row.description, row.channel, row.details].join('|'))
+      .digest('hex')
+      .slice(0, 24);
+  }
+
+  /**
+   * Import a statement export
+   * @param {Buffer|string} content - Statement file
+   * @param {object} options - Import options
+   * @param {string} options.fileName - Original file name (for the import record)
+   * @param {string} options.format - "csv", "fixed" or "auto" (default)
+   * @param {string} options.periodFrom - Start of the statement period (default: the day of the first row)
+   * @param {string} options.periodTo - End of the statement period (default: the last row)
+   * @param {string} options.apiKeyId - Tenant whose account the statement is (default: none)
+   * @returns {object} Import record with row counts
+   * @throws {Error} With statusCode 400 when the statement cannot be read
+   */
+  importStatement(content, options = {}) {
+    const invalid = (message) => {
+      const error = new Error(message);
+      error.statusCode = 400;
+      return error;
+    };
+
+    const text = Buffer.isBuffer(content) ? statementParser.decode(content) : String(content || '');
+    let parsed;
+    try {
+      parsed = statementParser.parse(text, options.format || 'auto');
+    } catch (error) {
+      throw invalid(error.message);
+    }
+    if (parsed.rows.length === 0) {
+      throw invalid(`No transactions found in ${parsed.format === 'csv' ? 'CSV' : 'fixed-width'} statement`);
+    }
+
+    const parseTime = (value, name) => {
+      const time = new Date(value).getTime();
+      if (isNaN(time)) {
+        throw invalid(`${name} must be an ISO 8601 date/time`);
+      }
+      return time;
+    };
+    const times = parsed.rows.map(row => row.timestamp);
+    const lastRow = parsed.rows.find(row => row.timestamp === Math.max(...times));
+    const periodFrom = options.periodFrom
+      ? parseTime(options.periodFrom, 'periodFrom')
+      : startOfBangkokDay(Math.min(...times));
+    // A row without a time may have been booked at any time of its day
+    const periodTo = options.periodTo
+      ? parseTime(options.periodTo, 'periodTo')
+      : lastRow.hasTime ? lastRow.timestamp : startOfBangkokDay(lastRow.timestamp) + DAY_MS - 1;
+    if (periodFrom > periodTo) {
+      throw invalid('periodFrom must not be after periodTo');
+    }
+
+    const apiKeyId = options.apiKeyId || null;
+    const importRecord = {
+      id: crypto.randomUUID(),
+      apiKeyId: apiKeyId,
+      fileName: options.fileName || null,
+      format: parsed.format,
+      importedAt: new Date().toISOString(),
+      periodFrom: new Date(periodFrom).toISOString(),
+      periodTo: new Date(periodTo).toISOString(),
+      rows: parsed.rows.length,
+      skippedLines: parsed.skippedLines,
+      credits: 0,
+      added: 0,
+      duplicates: 0
+    };
+
+    this.store.update(data => {
+      const known = new Set(data.credits.map(credit => credit.id));
+
+      parsed.rows.filter(row => row.type === 'credit').forEach(row => {
+        importRecord.credits++;
+        const id = this.makeId(row, apiKeyId);
+        if (known.has(id)) {
+          importRecord.duplicates++;
+          return;
+        }
+
+        known.add(id);
+        importRecord.added++;
+        data.credits.push({
+          id: id,
+          apiKeyId: apiKeyId,
+          bookedAt: row.bookedAt,
+          timestamp: row.timestamp,
+          hasTime: row.hasTime,
+          amount: row.amount,
+          balance: row.balance,
+          description: row.description,
+          channel: row.channel,
+          details: row.details,
+          importId: importRecord.id,
+          matchedTransactionId: null,
+          matchedVerificationId: null,
+          matchedAt: null
+        });
+      });
+
+      data.imports.push(importRecord);
+    });
+
+    return importRecord;
+  }
+
+  /**
+   * List the statement imports of a tenant
+   * @param {string|null} apiKeyId - Tenant API key
+   * @returns {Array<object>} Import records, newest first
+   */
+  listImports(apiKeyId = null) {
+    return this.store.load().imports.filter(record => ownedBy(record, apiKeyId)).reverse();
+  }
+
+  /**
+   * Time span covered by all statements imported for a tenant
+   * @param {string|null} apiKeyId - Tenant API key
+   * @returns {object|null} { from, to } in ms, or null when nothing was imported
+   */
+  getCoverage(apiKeyId = null) {
+    const imports = this.listImports(apiKeyId);
+    if (imports.length === 0) {
+      return null;
+    }
+    return {
+      from: Math.min(...imports.map(record => new Date(record.periodFrom).getTime())),
+      to: Math.max(...imports.map(record => new Date(record.periodTo).getTime()))
+    };
+  }
+
+  /**
+   * Check whether a statement imported for a tenant covers a point in time
+   * @param {number} timestamp - Unix time in ms
+   * @param {string|null} apiKeyId - Tenant API key
+   * @returns {boolean} True if a statement for that time was imported
+   */
+  isCovered(timestamp, apiKeyId = null) {
+    return this.listImports(apiKeyId).some(record =>
+      new Date(record.periodFrom).getTime() <= timestamp && timestamp <= new Date(record.periodTo).getTime());
+  }
+
+  /**
+   * List the credits of a tenant booked in a period
+   * @param {number} from - Start (ms, inclusive), null for no bound
+   * @param {number} to - End (ms, inclusive), null for no bound
+   * @param {string|null} apiKeyId - Tenant API key
+   * @returns {Array<object>} Credits, oldest first
+   */
+  listCredits(from = null, to = null, apiKeyId = null) {
+    return this.store.load().credits
+      .filter(credit => ownedBy(credit, apiKeyId))
+      .filter(credit => (from === null || credit.timestamp >= from) && (to === null || credit.timestamp <= to))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Find the credit of a tenant already matched to a transaction
+   * @param {string} transactionId - Normalized transaction ID
+   * @param {string|null} apiKeyId - Tenant API key
+   * @returns {object|null} Credit or null
+   */
+  findByTransactionId(transactionId, apiKeyId = null) {
+    return this.store.load().credits
+      .find(credit => ownedBy(credit, apiKeyId) && credit.matchedTransactionId === transactionId) || null;
+  }
+
+  /**
+   * Find the credit a slip corresponds to
+   * Only the credits of the slip's tenant are candidates, and not those
+   * claimed by another transaction; among the rest the one closest in time
+   * wins. Credits without a time match the whole day
+   * @param {object} slip - Slip to match
+   * @param {string} slip.transactionId - Normalized transaction ID
+   * @param {number} slip.amount - Slip amount
+   * @param {number} slip.timestamp - Slip time (ms)
+   * @param {string|null} slip.apiKeyId - Tenant the slip was verified for
+   * @param {number} timeWindowMinutes - Largest time difference between slip and credit
+   * @param {number} tolerance - Largest amount difference
+   * @param {Set<string>} taken - IDs of credits already matched but not yet claimed (optional)
+   * @returns {object|null} { credit, deltaMinutes } or null when there is no matching credit
+   */
+  findMatch(slip, timeWindowMinutes, tolerance, taken = new Set()) {
+    const window = timeWindowMinutes * 60 * 1000;
+
+    const candidates = this.store.load().credits
+      .filter(credit => ownedBy(credit, slip.apiKeyId || null) && !taken.has(credit.id))
+      .filter(credit => !credit.matchedTransactionId || credit.matchedTransactionId === slip.transactionId)
+      .filter(credit => Math.abs(credit.amount - slip.amount) <= tolerance)
+      .filter(credit => credit.hasTime
+        ? Math.abs(credit.timestamp - slip.timestamp) <= window
+        : startOfBangkokDay(credit.timestamp) === startOfBangkokDay(slip.timestamp))
+      .map(credit => ({
+        credit: credit,
+        deltaMinutes: credit.hasTime ? Math.round(Math.abs(credit.timestamp - slip.timestamp) / 60000) : null
+      }))
+      .sort((a, b) => (a.credit.matchedTransactionId ? 0 : 1) - (b.credit.matchedTransactionId ? 0 : 1) ||
+        (a.deltaMinutes === null) - (b.deltaMinutes === null) ||
+        a.deltaMinutes - b.deltaMinutes);
+
+    return candidates[0] || null;
+  }
+
+  /**
+   * Claim a credit for a verified slip
+   * @param {string} creditId - Credit ID
+   * @param {object} match - { transactionId, verificationId }
+   * @returns {object|null} Updated credit or null if not found
+   */
+  markMatched(creditId, { transactionId, verificationId }) {
+    return this.store.update(data => {
+      const credit = data.credits.find(entry => entry.id === creditId);
+      if (!credit) {
+        return null;
+      }
+      if (!credit.matchedTransactionId) {
+        credit.matchedTransactionId = transactionId;
+        credit.matchedVerificationId = verificationId;
+        credit.matchedAt = new Date().toISOString();
+      }
+      return credit;
+    });
+  }
+}
+
+module.exports = new StatementLedger();
@@ -1,4 +1,38 @@
+const crypto = require('crypto');
 const transactionParser = require('../utils/transactionParser');
+const duplicateRegistry = require('./duplicateRegistry');
+const statementLedger = require('./statementLedger');
+const scoringPolicyService = require('./scoringPolicyService');
+const senderListService = require('./senderListService');
+const { levenshtein } = require('../utils/stringDistance');
+const { compareTimes } = require('../utils/timeMatcher');
+const { HASH_BITS } = require('../utils/perceptualHash');
+const thaiDateParser = require('../utils/thaiDateParser');
+const { normalizeAccount, matchAccount } = require('../utils/accountMatcher');
+const thaiNameMatcher = require('../utils/thaiNameMatcher');
+
+// Thai wording of the fake slip risk levels and of failed checks (generateThaiReport)
+const THAI_RISK_LEVELS = {
+  LOW: 'ต่ำ',
+  MEDIUM: 'ปานกลาง',
+  HIGH: 'สูง'
+};
+
+const THAI_CHECK_FAILURES = {
+  fakeDetection: 'พบลักษณะของสลิปปลอม',
+  imageForensics: 'รูปสลิปมีร่องรอยการแก้ไข',
+  qrReference: 'QR บนสลิปไม่ตรงกับเลขที่รายการ',
+  time: 'เวลาบนสลิปไม่ตรงกับเลขที่รายการ',
+  amount: 'อ่านจำนวนเงินบนสลิปไม่ได้',
+  expectedAmount: 'จำนวนเงินไม่ตรงกับยอดที่ต้องชำระ',
+  recipient: 'ชื่อผู้รับเงินไม่ตรงกับบัญชีของร้าน',
+  expectedAccount: 'เลขบัญชีผู้รับเงินไม่ตรงกับบัญชีของร้าน หรืออ่านเลขบัญชีไม่ได้',
+  ocrConfidence: 'รูปสลิปไม่ชัด อ่านข้อมูลได้ไม่แน่นอน',
+  slipAge: 'วันที่บนสลิปเก่าเกินไปหรือเป็นวันในอนาคต',
+  duplicate: 'สลิปนี้เคยถูกใช้แล้ว',
+  duplicateImage: 'รูปสลิปเหมือนสลิปที่เคยใช้แล้ว',
+  statementMatch: 'ไม่พบยอดเงินเข้าในรายการเดินบัญชี'
+};
 
 /**
  * Slip Validation Service
@@ -7,19 +41,48 @@ const transactionParser = require('../utils/transactionParser');
 class ValidationService {
   /**
    * Validate a slip completely with fake slip detection
+   * Which checks run, what they are worth and whether a failure is fatal is
+   * decided by the scoring policy (see scoringPolicyService)
    * @param {object} slipData - Data extracted from slip via OCR
    * @param {object} expectedData - Expected data to validate against (optional)
+   *   ({ amount, recipient, account } - account is the full receiving account or PromptPay ID)
+   * @param {object} options - Validation options
+   * @param {boolean} options.duplicateCheck - Consult and update the duplicate slip registry (default true)
+   * @param {object} options.tenant - Per-tenant settings of the calling API key
+   *   ({ expectedRecipient, minScore, allowedBanks, policy }, see apiKeyService)
+   * @param {object} options.policy - Per-request scoring policy overrides
+   * @param {Date|number} options.now - Reference time for the slip age check (default: now)
+   * @param {string} options.apiKeyId - Calling API key, whose imported statements the slip is matched against
+   * @param {function} options.accept - Called with a passing result before the slip is registered as
+   *   used; throwing refuses the slip, which then stays unregistered (e.g. a payment paid meanwhile)
    * @returns {object} Validation result
    */
-  validateSlip(slipData, expectedData = {}) {
+  validateSlip(slipData, expectedData = {}, options = {}) {
+    const { duplicateCheck = true } = options;
+    const tenant = options.tenant || {};
+
+    // Known senders - a blocked sender outweighs an allow-list entry
+    const senderList = slipData.success ? senderListService.check(slipData.sender) : null;
+    const senderPolicy = senderList && senderList.allowed && !senderList.blocked ? senderList.allowed.policy : null;
+    const policy = scoringPolicyService.resolve(options.tenant, options.policy, senderPolicy);
+    const checks = policy.checks;
+
+    // The tenant's default recipient applies when the request does not name one
+    if (!expectedData.recipient && tenant.expectedRecipient) {
+      expectedData = { ...expectedData, recipient: tenant.expectedRecipient };
+    }
+
     const result = {
+      verificationId: crypto.randomUUID(),
       valid: false,
       errors: [],
       warnings: [],
       details: {},
       score: 0,
       maxScore: 0,
-      fakeSlipDetection: null
+      checks: [],
+      fakeSlipDetection: null,
+      duplicateOf: null
     };
 
     // Check if slip parsing was successful
@@ -42,125 +105,542 @@ class ValidationService {
     }
 
     // Parse transaction ID
-    const parsedTransaction = validationResult.parsed;
+    let parsedTransaction = validationResult.parsed;
+    const ocrTransactionId = parsedTransaction.raw;
     result.details.transactionInfo = parsedTransaction;
 
+    // The ID only fits a bank grammar after correcting OCR confusions (e.g. 8 → B)
+    if (slipData.transactionIdRepaired) {
+      const candidates = slipData.transactionIdCandidates || [];
+      const repair = candidates.find(candidate => candidate.transactionId === parsedTransaction.raw);
+      if (repair) {
+        result.details.transactionIdRepair = {
+          raw: repair.raw,
+          corrections: repair.corrections,
+          confidence: repair.confidence,
+          alternatives: candidates
+            .filter(candidate => candidate !== repair)
+            .map(candidate => ({ transactionId: candidate.transactionId, confidence: candidate.confidence }))
+        };
+        result.warnings.push(
+          `Transaction ID was repaired from OCR reading "${repair.raw}" (confidence ${Math.round(repair.confidence * 100)}%)`
+        );
+      }
+    }
+
+    // Tenants may only accept transfers from some banks
+    if (tenant.allowedBanks && tenant.allowedBanks.length > 0 &&
+        !tenant.allowedBanks.includes(parsedTransaction.bank)) {
+      result.errors.push(
+        `Bank ${parsedTransaction.bankName} (${parsedTransaction.bank}) is not accepted. Allowed banks: ${tenant.allowedBanks.join(', ')}`
+      );
+    }
+
     // Fake slip detection (NEW FEATURE)
     const fakeDetection = transactionParser.detectFakeSlip(slipData.transactionId);
+    if (checks.imageForensics.enabled && slipData.forensics) {
+      this.mergeForensicFindings(fakeDetection, slipData.forensics.findings);
+    }
     result.fakeSlipDetection = fakeDetection;
-    result.maxScore += 25;
-    
+
+    if (senderList && senderList.matches.length > 0) {
+      result.details.senderList = {
+        blocked: senderList.blocked,
+        allowed: senderList.allowed,
+        policyApplied: Boolean(senderPolicy)
+      };
+    }
+    if (senderList && senderList.blocked) {
+      const entry = senderList.blocked;
+      fakeDetection.isSuspicious = true;
+      fakeDetection.riskLevel = 'HIGH';
+      fakeDetection.reasons.push(
+        `Sender ${[entry.name, entry.account].filter(Boolean).join(' / ')} is on the block list` +
+        (entry.reason ? ` (${entry.reason})` : '')
+      );
+      fakeDetection.recommendation = 'Reject - Sender is on the block list';
+    }
+
     if (fakeDetection.riskLevel === 'LOW') {
-      result.score += 25;
       result.details.authenticity = 'Likely authentic';
     } else if (fakeDetection.riskLevel === 'MEDIUM') {
-      result.score += 15;
       result.details.authenticity = 'Review required';
-      result.warnings.push(`Suspicious indicators: ${fakeDetection.reasons.join(', ')}`);
     } else {
       result.details.authenticity = 'High risk of fake';
-      result.errors.push(`High risk fake slip: ${fakeDetection.reasons.join(', ')}`);
+    }
+
+    if (checks.fakeDetection.enabled) {
+      if (fakeDetection.riskLevel === 'LOW') {
+        this.applyCheck(result, 'fakeDetection', checks.fakeDetection, { credit: 1 });
+      } else if (fakeDetection.riskLevel === 'MEDIUM') {
+        this.applyCheck(result, 'fakeDetection', checks.fakeDetection, {
+          credit: checks.fakeDetection.mediumRiskCredit,
+          notes: [`Suspicious indicators: ${fakeDetection.reasons.join(', ')}`]
+        });
+      } else {
+        this.applyCheck(result, 'fakeDetection', checks.fakeDetection, {
+          failures: [`High risk fake slip: ${fakeDetection.reasons.join(', ')}`]
+        });
+      }
+    }
+
+    // Image forensics - the findings already raised the fake slip risk above,
+    // this check scores the image on its own and lists each finding
+    if (checks.imageForensics.enabled && slipData.forensics) {
+      const findings = slipData.forensics.findings;
+      result.details.imageForensics = { format: slipData.forensics.format, findings: findings };
+
+      if (findings.length === 0) {
+        this.applyCheck(result, 'imageForensics', checks.imageForensics, { credit: 1 });
+      } else {
+        this.applyCheck(result, 'imageForensics', checks.imageForensics, {
+          failures: findings.map(finding => finding.reason)
+        });
+      }
+    }
+
+    // Cross-check the slip QR reference against the OCR'd transaction ID
+    if (checks.qrReference.enabled && slipData.qr && slipData.transactionIdSource !== 'qr') {
+      const qrValidation = this.validateQRReference(slipData.qr, parsedTransaction.raw);
+      result.details.qrValidation = qrValidation;
+
+      if (qrValidation.valid) {
+        this.applyCheck(result, 'qrReference', checks.qrReference, { credit: 1 });
+      } else if (qrValidation.likelyOCRError) {
+        this.applyCheck(result, 'qrReference', checks.qrReference, { notes: [qrValidation.message] });
+      } else {
+        this.applyCheck(result, 'qrReference', checks.qrReference, { failures: [qrValidation.message] });
+        fakeDetection.isSuspicious = true;
+        fakeDetection.riskLevel = 'HIGH';
+        fakeDetection.reasons.push('QR reference does not match the transaction ID printed on the slip');
+        fakeDetection.recommendation = 'Reject - Slip QR and printed transaction ID disagree (likely tampered)';
+        result.details.authenticity = 'High risk of fake';
+      }
+
+      if (slipData.qr.crcValid === false) {
+        result.warnings.push('Slip QR checksum is invalid');
+      }
+    } else if (slipData.transactionIdSource === 'qr') {
+      result.warnings.push('Transaction ID could not be read by OCR - using the slip QR reference');
+    }
+
+    // The QR reference is issued by the bank while the printed ID is only read
+    // by OCR (and is what a forger edits), so a slip whose QR decodes is
+    // registered, searched and recorded under the QR reference
+    const qrTransaction = this.parseQRTransaction(slipData.qr);
+    if (qrTransaction && qrTransaction.raw !== parsedTransaction.raw &&
+        levenshtein(qrTransaction.raw, parsedTransaction.raw) <= 2) {
+      parsedTransaction = qrTransaction;
+      result.details.transactionInfo = parsedTransaction;
     }
 
     // Validate time consistency with OCR date/time if available
     let timeValidation;
-    if (slipData.dateTime && slipData.dateTime.rawOCR) {
+    const hasOCRDateTime = Boolean(slipData.dateTime && slipData.dateTime.rawOCR);
+    if (!checks.time.enabled) {
+      // Disabled by policy
+    } else if (parsedTransaction.hour === null && !(parsedTransaction.date && hasOCRDateTime)) {
+      // Not every bank encodes the time in the ID - nothing to compare
+      result.details.timeValidation = {
+        valid: null,
+        skipped: true,
+        message: `${parsedTransaction.bankName} transaction IDs do not encode the time - time check skipped`
+      };
+    } else if (hasOCRDateTime) {
       // Use enhanced OCR date/time verification
       timeValidation = transactionParser.verifyDateTime(
         slipData.transactionId, 
-        slipData.dateTime.rawOCR
+        slipData.dateTime.rawOCR,
+        { toleranceSeconds: checks.time.toleranceSeconds }
       );
       result.details.timeValidation = timeValidation;
-      result.maxScore += 25;
-      
+
       if (timeValidation.valid) {
-        result.score += 25;
+        this.applyCheck(result, 'time', checks.time, { credit: 1 });
       } else {
+        const failures = [];
         if (timeValidation.dateMatch === false) {
-          result.errors.push('Date mismatch between transaction ID and OCR');
+          failures.push('Date mismatch between transaction ID and OCR');
         }
         if (timeValidation.timeMatch === false) {
-          result.errors.push('Time mismatch between transaction ID and OCR');
+          failures.push('Time mismatch between transaction ID and OCR');
         }
-        result.warnings.push(timeValidation.message);
+        this.applyCheck(result, 'time', checks.time, { failures: failures, notes: [timeValidation.message] });
       }
     } else {
       // Fallback to legacy time validation
-      timeValidation = this.validateTime(slipData, parsedTransaction);
+      timeValidation = this.validateTime(slipData, parsedTransaction, checks.time.toleranceSeconds);
       result.details.timeValidation = timeValidation;
-      result.maxScore += 25;
-      
+
       if (timeValidation.valid) {
-        result.score += 25;
+        this.applyCheck(result, 'time', checks.time, { credit: 1 });
       } else {
-        result.errors.push(timeValidation.message);
+        this.applyCheck(result, 'time', checks.time, { failures: [timeValidation.message] });
+      }
+    }
+
+    const slipTime = this.getSlipTimestamp(slipData.dateTime);
+    if (slipTime !== null) {
+      result.details.slipTime = new Date(slipTime).toISOString();
+    }
+
+    // Slip age - reject slips dated in the future or older than the allowed window
+    if (checks.slipAge.enabled) {
+      const ageValidation = this.validateSlipAge(slipData.dateTime, checks.slipAge, options.now);
+      result.details.slipAgeValidation = ageValidation;
+
+      if (ageValidation.valid === true) {
+        this.applyCheck(result, 'slipAge', checks.slipAge, { credit: 1 });
+      } else if (ageValidation.valid === false) {
+        this.applyCheck(result, 'slipAge', checks.slipAge, { failures: [ageValidation.message] });
+      } else if (checks.slipAge.maxAgeHours > 0) {
+        result.warnings.push(ageValidation.message);
       }
     }
 
     // Validate amount presence
-    result.maxScore += 20;
-    if (slipData.amount && slipData.amount > 0) {
-      result.score += 20;
+    const hasAmount = slipData.amount && slipData.amount > 0;
+    if (hasAmount) {
       result.details.amount = slipData.amount;
-      
-      // If expected amount provided, validate it
-      if (expectedData.amount) {
-        const amountMatch = this.validateAmount(slipData.amount, expectedData.amount);
-        result.details.amountValidation = amountMatch;
-        result.maxScore += 15;
-        
-        if (amountMatch.valid) {
-          result.score += 15;
-        } else {
-          result.errors.push(amountMatch.message);
-        }
+    }
+
+    if (checks.amount.enabled) {
+      if (hasAmount) {
+        this.applyCheck(result, 'amount', checks.amount, { credit: 1 });
+      } else {
+        this.applyCheck(result, 'amount', checks.amount, { failures: ['Amount not found or invalid in slip'] });
+      }
+    }
+
+    // If expected amount provided, validate it
+    if (checks.expectedAmount.enabled && hasAmount && expectedData.amount) {
+      const amountMatch = this.validateAmount(slipData.amount, expectedData.amount, checks.expectedAmount.tolerance);
+      result.details.amountValidation = amountMatch;
+
+      if (amountMatch.valid) {
+        this.applyCheck(result, 'expectedAmount', checks.expectedAmount, { credit: 1 });
+      } else {
+        this.applyCheck(result, 'expectedAmount', checks.expectedAmount, { failures: [amountMatch.message] });
       }
-    } else {
-      result.warnings.push('Amount not found or invalid in slip');
     }
 
     // Validate recipient if provided
-    if (expectedData.recipient && slipData.recipient) {
-      const recipientMatch = this.validateRecipient(slipData.recipient, expectedData.recipient);
+    if (checks.recipient.enabled && expectedData.recipient && slipData.recipient) {
+      const recipientMatch = this.validateRecipient(slipData.recipient, expectedData.recipient, checks.recipient.minSimilarity);
       result.details.recipientValidation = recipientMatch;
-      result.maxScore += 10;
-      
+
       if (recipientMatch.valid) {
-        result.score += 10;
+        this.applyCheck(result, 'recipient', checks.recipient, { credit: 1 });
       } else {
-        result.warnings.push(recipientMatch.message);
+        this.applyCheck(result, 'recipient', checks.recipient, { failures: [recipientMatch.message] });
+      }
+    }
+
+    // Validate the receiving account if provided - the digits the slip leaves
+    // unmasked must agree with the full account. An account that cannot be
+    // read fails too, or cropping the account line would skip the check
+    if (checks.expectedAccount.enabled && expectedData.account) {
+      const receiver = slipData.receiver || {};
+      const accountMatch = this.validateAccount(receiver.account, expectedData.account);
+      result.details.accountValidation = accountMatch;
+
+      if (accountMatch.valid === true) {
+        this.applyCheck(result, 'expectedAccount', checks.expectedAccount, { credit: 1 });
+      } else {
+        this.applyCheck(result, 'expectedAccount', checks.expectedAccount, { failures: [accountMatch.message] });
       }
     }
 
     // OCR confidence check
-    result.maxScore += 15;
-    if (slipData.ocrConfidence >= 70) {
-      result.score += 15;
-      result.details.ocrQuality = 'Good';
-    } else if (slipData.ocrConfidence >= 50) {
-      result.score += 10;
-      result.details.ocrQuality = 'Fair';
-      result.warnings.push('OCR confidence is below optimal level');
-    } else {
-      result.details.ocrQuality = 'Poor';
-      result.warnings.push('Low OCR confidence - results may be unreliable');
+    if (checks.ocrConfidence.enabled) {
+      const ocrCheck = checks.ocrConfidence;
+      if (slipData.ocrConfidence >= ocrCheck.goodThreshold) {
+        result.details.ocrQuality = 'Good';
+        this.applyCheck(result, 'ocrConfidence', ocrCheck, { credit: 1 });
+      } else if (slipData.ocrConfidence >= ocrCheck.fairThreshold) {
+        result.details.ocrQuality = 'Fair';
+        this.applyCheck(result, 'ocrConfidence', ocrCheck, {
+          credit: ocrCheck.fairCredit,
+          notes: ['OCR confidence is below optimal level']
+        });
+      } else {
+        result.details.ocrQuality = 'Poor';
+        this.applyCheck(result, 'ocrConfidence', ocrCheck, {
+          failures: ['Low OCR confidence - results may be unreliable']
+        });
+      }
+    }
+
+    // Duplicate slip check - the same transaction can only be redeemed once
+    if (duplicateCheck && checks.duplicate.enabled) {
+      // Also look up the printed ID and the QR reference - either may be the
+      // one an earlier verification of the slip was registered under
+      const transactionIds = [parsedTransaction.raw, ocrTransactionId, qrTransaction ? qrTransaction.raw : null]
+        .filter((id, index, ids) => id && ids.indexOf(id) === index);
+      const duplicate = transactionIds
+        .map(transactionId => duplicateRegistry.check(transactionId, slipData.amount))
+        .find(found => found.isDuplicate) || duplicateRegistry.check(parsedTransaction.raw, slipData.amount);
+      result.details.duplicateCheck = duplicate;
+
+      if (duplicate.isDuplicate) {
+        result.duplicateOf = duplicate.duplicateOf;
+        this.applyCheck(result, 'duplicate', checks.duplicate, {
+          failures: [
+            `Duplicate slip: transaction ${duplicate.duplicateOf.transactionId} was already verified at ${duplicate.duplicateOf.verifiedAt}`
+          ]
+        });
+      } else {
+        const amounts = duplicate.sameIdDifferentAmount.map(entry => entry.amount).join(', ');
+        this.applyCheck(result, 'duplicate', checks.duplicate, {
+          credit: 1,
+          notes: duplicate.sameIdDifferentAmount.length > 0
+            ? [`Transaction ${parsedTransaction.raw} was previously verified with a different amount (${amounts})`]
+            : []
+        });
+      }
+    }
+
+    // Duplicate image check - the same screenshot sent again, possibly with the
+    // transaction ID or amount edited so the duplicate check above misses it
+    if (duplicateCheck && checks.duplicateImage.enabled && slipData.perceptualHash) {
+      const duplicateImage = this.checkDuplicateImage(
+        slipData, parsedTransaction.raw, result.duplicateOf, checks.duplicateImage.maxDistance
+      );
+      result.details.duplicateImageCheck = duplicateImage;
+
+      if (duplicateImage.isDuplicate) {
+        this.applyCheck(result, 'duplicateImage', checks.duplicateImage, {
+          failures: duplicateImage.matches.map(match => match.sameTransaction
+            ? `Slip image was already verified as transaction ${match.transactionId} at ${match.verifiedAt}`
+            : `Slip image looks like transaction ${match.transactionId} verified at ${match.verifiedAt} - ` +
+              'the transaction ID or amount may have been edited')
+        });
+      } else {
+        this.applyCheck(result, 'duplicateImage', checks.duplicateImage, { credit: 1 });
+      }
+    }
+
+    // Statement match - the transfer is only real once it shows up as a credit
+    // on the imported account statement
+    let statementMatch = null;
+    if (checks.statementMatch.enabled && hasAmount) {
+      statementMatch = this.checkStatementMatch(parsedTransaction.raw, slipData.amount, slipTime, checks.statementMatch, options.apiKeyId || null);
+      result.details.statementMatch = statementMatch;
+
+      if (statementMatch.found === true) {
+        this.applyCheck(result, 'statementMatch', checks.statementMatch, { credit: 1 });
+      } else if (statementMatch.found === false) {
+        this.applyCheck(result, 'statementMatch', checks.statementMatch, { failures: [statementMatch.message] });
+      }
     }
 
     // Calculate final validity
-    const scorePercentage = (result.score / result.maxScore) * 100;
-    result.valid = result.errors.length === 0 && scorePercentage >= 70;
+    const scorePercentage = result.maxScore > 0 ? (result.score / result.maxScore) * 100 : 100;
+    result.valid = result.errors.length === 0 && scorePercentage >= policy.passThreshold;
     result.scorePercentage = Math.round(scorePercentage);
+    result.passThreshold = policy.passThreshold;
+
+    // Whatever the slip pays is claimed in the same step as it is registered,
+    // so a slip that pays nothing is not burned as a duplicate
+    if (result.valid && options.accept) {
+      options.accept(result);
+    }
+
+    // Remember accepted slips so re-submissions are caught next time - also
+    // when this policy skips the duplicate check, so stricter tenants still
+    // see the slip as used
+    if (duplicateCheck && result.valid) {
+      duplicateRegistry.register({
+        transactionId: parsedTransaction.raw,
+        amount: slipData.amount,
+        verificationId: result.verificationId,
+        perceptualHash: slipData.perceptualHash || null,
+        qrReference: slipData.qr ? slipData.qr.transactionRef : null
+      });
+
+      // Claim the credit so another slip of the same amount cannot match it
+      if (statementMatch && statementMatch.found) {
+        statementLedger.markMatched(statementMatch.creditId, {
+          transactionId: parsedTransaction.raw,
+          verificationId: result.verificationId
+        });
+      }
+    }
 
     return result;
   }
 
+  /**
+   * Work out when the transfer on a slip happened
+   * @param {object} dateTime - slipData.dateTime (see ocrService.extractDateTime)
+   * @returns {number|null} Unix time in ms, or null when the slip shows no date and time
+   */
+  getSlipTimestamp(dateTime) {
+    if (!dateTime) {
+      return null;
+    }
+    if (dateTime.timestamp) {
+      return dateTime.timestamp;
+    }
+    if (dateTime.date && dateTime.time) {
+      const parsed = thaiDateParser.parse(`${dateTime.date} ${dateTime.time}`);
+      return parsed && parsed.hasTime ? parsed.timestamp : null;
+    }
+    return null;
+  }
+
+  /**
+   * Look for the credit of a slip in the imported account statements
+   * @param {string} transactionId - Normalized transaction ID of the slip
+   * @param {number} amount - Slip amount
+   * @param {number|null} slipTime - Slip time (ms), see getSlipTimestamp
+   * @param {object} check - statementMatch check settings ({ timeWindowMinutes, tolerance })
+   * @param {string|null} apiKeyId - Tenant whose statements are searched
+   * @returns {object} Match result (found is null when there is nothing to compare against)
+   */
+  checkStatementMatch(transactionId, amount, slipTime, check, apiKeyId = null) {
+    if (slipTime === null) {
+      return {
+        found: null,
+        message: 'Slip date/time could not be read - statement match not checked'
+      };
+    }
+
+    const slipTimeISO = new Date(slipTime).toISOString();
+    if (!statementLedger.isCovered(slipTime, apiKeyId)) {
+      return {
+        found: null,
+        slipTime: slipTimeISO,
+        message: `No account statement imported for ${slipTimeISO} yet - statement match not checked`
+      };
+    }
+
+    const match = statementLedger.findMatch({ transactionId, amount, timestamp: slipTime, apiKeyId }, check.timeWindowMinutes, check.tolerance);
+    if (!match) {
+      return {
+        found: false,
+        slipTime: slipTimeISO,
+        timeWindowMinutes: check.timeWindowMinutes,
+        message: `No credit of ${amount} within ${check.timeWindowMinutes} minutes of ${slipTimeISO} found in the account statement`
+      };
+    }
+
+    return {
+      found: true,
+      slipTime: slipTimeISO,
+      creditId: match.credit.id,
+      bookedAt: match.credit.bookedAt,
+      amount: match.credit.amount,
+      deltaMinutes: match.deltaMinutes,
+      timeWindowMinutes: check.timeWindowMinutes,
+      message: `Credit of ${match.credit.amount} booked at ${match.credit.bookedAt} found in the account statement`
+    };
+  }
+
+  /**
+   * Compare the slip image with the images of slips verified before
+   * Matches already reported by the duplicate check are left out, and so are
+   * slips whose QR carries another transaction reference: a QR cannot be
+   * edited like the printed text, so those are different genuine transfers
+   * that merely share a template
+   * @param {object} slipData - Data extracted from slip via OCR
+   * @param {string} transactionId - Normalized transaction ID of the slip
+   * @param {object|null} duplicateOf - Registry record found by the duplicate check
+   * @param {number} maxDistance - Largest pHash Hamming distance that counts as the same image
+   * @returns {object} Check result with the matching earlier slips
+   */
+  checkDuplicateImage(slipData, transactionId, duplicateOf, maxDistance) {
+    const qrReference = slipData.qr ? slipData.qr.transactionRef : null;
+
+    const matches = duplicateRegistry.findSimilarImages(slipData.perceptualHash, maxDistance)
+      .filter(entry => !duplicateOf || entry.key !== duplicateOf.key)
+      .filter(entry => !qrReference || !entry.qrReference || entry.qrReference === qrReference)
+      .map(entry => ({
+        transactionId: entry.transactionId,
+        amount: entry.amount,
+        verificationId: entry.verificationId,
+        verifiedAt: entry.verifiedAt,
+        distance: entry.distance,
+        sameTransaction: entry.transactionId === transactionId
+      }));
+
+    return {
+      isDuplicate: matches.length > 0,
+      maxDistance: maxDistance,
+      hashBits: HASH_BITS,
+      matches: matches
+    };
+  }
+
+  /**
+   * Record the outcome of one policy check
+   * Failures become errors when the check is fatal and warnings otherwise;
+   * notes are always warnings
+   * @param {object} result - Validation result being built
+   * @param {string} name - Check name
+   * @param {object} check - Check settings from the policy
+   * @param {object} outcome - Check outcome
+   * @param {number} outcome.credit - Share of the weight earned, 0-1 (default 0)
+   * @param {Array<string>} outcome.failures - Failure messages
+   * @param {Array<string>} outcome.notes - Informational warnings
+   */
+  applyCheck(result, name, check, outcome) {
+    const failures = outcome.failures || [];
+    const credit = failures.length > 0 ? 0 : (outcome.credit || 0);
+    const points = Math.round(check.weight * credit);
+
+    result.maxScore += check.weight;
+    result.score += points;
+    result.checks.push({
+      name: name,
+      status: failures.length > 0 ? 'fail' : credit >= 1 ? 'pass' : 'partial',
+      severity: check.severity,
+      score: points,
+      weight: check.weight
+    });
+
+    failures.forEach(message => {
+      (check.severity === 'fatal' ? result.errors : result.warnings).push(message);
+    });
+    (outcome.notes || []).forEach(message => result.warnings.push(message));
+  }
+
+  /**
+   * Add image forensics findings to the fake slip detection
+   * Risk is raised the same way as for the transaction ID findings: any HIGH
+   * finding makes the slip HIGH risk, any other finding at least MEDIUM, and
+   * more than two reasons in total HIGH
+   * @param {object} fakeDetection - Result of transactionParser.detectFakeSlip (updated in place)
+   * @param {Array<object>} findings - Findings from forensicsService.analyze
+   */
+  mergeForensicFindings(fakeDetection, findings = []) {
+    fakeDetection.imageFindings = findings;
+    if (findings.length === 0) {
+      return;
+    }
+
+    fakeDetection.reasons.push(...findings.map(finding => finding.reason));
+    fakeDetection.isSuspicious = true;
+
+    if (findings.some(finding => finding.riskLevel === 'HIGH') || fakeDetection.reasons.length > 2) {
+      fakeDetection.riskLevel = 'HIGH';
+    } else if (fakeDetection.riskLevel === 'LOW') {
+      fakeDetection.riskLevel = 'MEDIUM';
+    }
+
+    fakeDetection.recommendation = fakeDetection.riskLevel === 'HIGH'
+      ? 'Reject - Multiple suspicious indicators'
+      : 'Review - Some suspicious indicators detected';
+  }
+
   /**
    * Validate time consistency between slip and transaction ID
    * @param {object} slipData - Slip data with dateTime
    * @param {object} parsedTransaction - Parsed transaction data
+   * @param {number} toleranceSeconds - Allowed time difference (default 120)
    * @returns {object} Validation result
    */
-  validateTime(slipData, parsedTransaction) {
+  validateTime(slipData, parsedTransaction, toleranceSeconds) {
     if (!slipData.dateTime || !slipData.dateTime.time) {
       return {
         valid: false,
@@ -173,36 +653,118 @@ class ValidationService {
 
     // Parse times
     const slipParts = slipTime.split(':');
-    const transParts = transactionTime.split(':');
 
-    if (slipParts.length < 2 || transParts.length < 2) {
+    if (slipParts.length < 2 || parsedTransaction.hour === null) {
       return {
         valid: false,
         message: 'Invalid time format'
       };
     }
 
-    const slipHour = parseInt(slipParts[0], 10);
-    const slipMinute = parseInt(slipParts[1], 10);
-    const transHour = parseInt(transParts[0], 10);
-    const transMinute = parseInt(transParts[1], 10);
-
-    // Allow 2 minute difference for processing time
-    const hourMatch = slipHour === transHour;
-    const minuteDiff = Math.abs(slipMinute - transMinute);
-    const minuteMatch = minuteDiff <= 2;
+    const slipClock = {
+      hour: parseInt(slipParts[0], 10),
+      minute: parseInt(slipParts[1], 10),
+      second: slipParts[2] !== undefined
+        ? parseInt(slipParts[2], 10)
+        : (typeof slipData.dateTime.second === 'number' ? slipData.dateTime.second : null)
+    };
 
-    const valid = hourMatch && minuteMatch;
+    // Allow a small difference for processing time
+    const comparison = compareTimes(parsedTransaction, slipClock, { toleranceSeconds });
 
     return {
-      valid: valid,
+      valid: comparison.match,
       slipTime: slipTime,
       transactionTime: transactionTime,
-      hourMatch: hourMatch,
-      minuteDiff: minuteDiff,
-      message: valid 
+      deltaSeconds: comparison.deltaSeconds,
+      toleranceSeconds: comparison.toleranceSeconds,
+      message: comparison.match 
         ? 'Time matches between slip and transaction ID' 
-        : `Time mismatch: Slip shows ${slipTime}, transaction ID indicates ${transactionTime}`
+        : `Time mismatch: Slip shows ${slipTime}, transaction ID indicates ${transactionTime} (${comparison.deltaSeconds}s apart)`
+    };
+  }
+
+  /**
+   * Validate that the slip date is not in the future and not too old
+   * @param {object} dateTime - slipData.dateTime (see ocrService.extractDateTime)
+   * @param {object} check - slipAge check settings ({ maxAgeHours, futureToleranceMinutes })
+   * @param {Date|number} now - Reference time (default: now)
+   * @returns {object} Validation result (valid is null when the slip date is unknown)
+   */
+  validateSlipAge(dateTime, check, now = Date.now()) {
+    const reference = new Date(now).getTime();
+
+    if (!dateTime || !dateTime.day || !dateTime.month || !dateTime.year) {
+      return {
+        valid: null,
+        message: 'Slip date could not be read - slip age not checked'
+      };
+    }
+
+    // Without a time only the calendar day is known - give it the benefit of the doubt
+    const dayStart = Date.UTC(dateTime.year - 543, dateTime.month - 1, dateTime.day) - 7 * 60 * 60 * 1000;
+    const earliest = dateTime.timestamp || dayStart;
+    const latest = dateTime.timestamp || dayStart + 24 * 60 * 60 * 1000 - 1;
+    const slipDate = dateTime.iso || `${dateTime.day}/${dateTime.month}/${dateTime.year}`;
+
+    const ageHours = (reference - latest) / (60 * 60 * 1000);
+    const isFuture = earliest - reference > check.futureToleranceMinutes * 60 * 1000;
+    const isTooOld = check.maxAgeHours > 0 && ageHours > check.maxAgeHours;
+
+    return {
+      valid: !isFuture && !isTooOld,
+      slipDate: slipDate,
+      ageHours: Math.round(ageHours * 100) / 100,
+      maxAgeHours: check.maxAgeHours || null,
+      message: isFuture
+        ? `Slip is dated in the future (${slipDate})`
+        : isTooOld
+        ? `Slip is older than ${check.maxAgeHours} hours (dated ${slipDate})`
+        : 'Slip date is within the allowed window'
+    };
+  }
+
+  /**
+   * Parse the transaction reference of a decoded slip QR
+   * @param {object|null} qr - Decoded slip QR (see slipQRParser)
+   * @returns {object|null} Parsed transaction, or null when there is no usable QR
+   *   (none decoded, checksum invalid, or a reference no bank grammar accepts)
+   */
+  parseQRTransaction(qr) {
+    if (!qr || !qr.transactionRef || qr.crcValid === false) {
+      return null;
+    }
+    const parsed = transactionParser.isValid(qr.transactionRef);
+    return parsed.valid ? parsed.parsed : null;
+  }
+
+  /**
+   * Validate the slip QR reference against the transaction ID read by OCR
+   * @param {object} qr - Decoded slip QR (see slipQRParser)
+   * @param {string} transactionId - Normalized transaction ID from OCR
+   * @returns {object} Validation result
+   */
+  validateQRReference(qr, transactionId) {
+    const qrReference = qr.transactionRef;
+    const distance = levenshtein(qrReference, transactionId);
+    const valid = distance === 0;
+
+    // One or two differing characters is far more likely an OCR misread
+    // than an edited slip
+    const likelyOCRError = !valid && distance <= 2;
+
+    return {
+      valid: valid,
+      likelyOCRError: likelyOCRError,
+      qrReference: qrReference,
+      ocrTransactionId: transactionId,
+      sendingBank: qr.sendingBank,
+      distance: distance,
+      message: valid
+        ? 'Slip QR reference matches transaction ID'
+        : likelyOCRError
+        ? `Slip QR reference ${qrReference} differs slightly from OCR transaction ID ${transactionId} (probable OCR misread)`
+        : `Slip QR reference ${qrReference} does not match transaction ID ${transactionId} - slip may have been tampered with`
     };
   }
 
@@ -230,26 +792,58 @@ class ValidationService {
 
   /**
    * Validate recipient name
+   * Titles, company forms, Thai OCR confusions and romanized spellings are
+   * allowed for (see thaiNameMatcher); the names must be similar as a whole
    * @param {string} actualRecipient - Recipient from slip
    * @param {string} expectedRecipient - Expected recipient
+   * @param {number} minSimilarity - Lowest similarity accepted (0-1, default thaiNameMatcher.defaultMinSimilarity)
    * @returns {object} Validation result
    */
-  validateRecipient(actualRecipient, expectedRecipient) {
-    // Normalize strings for comparison
-    const normalize = (str) => str.toLowerCase().replace(/\s+/g, '');
-    const actualNorm = normalize(actualRecipient);
-    const expectedNorm = normalize(expectedRecipient);
-
-    // Check if expected is contained in actual or vice versa
-    const match = actualNorm.includes(expectedNorm) || expectedNorm.includes(actualNorm);
+  validateRecipient(actualRecipient, expectedRecipient, minSimilarity) {
+    const comparison = thaiNameMatcher.compare(actualRecipient, expectedRecipient, { minSimilarity });
 
     return {
-      valid: match,
+      valid: comparison.match,
+      similarity: comparison.similarity,
+      method: comparison.method,
       actualRecipient: actualRecipient,
       expectedRecipient: expectedRecipient,
-      message: match 
-        ? 'Recipient name matches' 
-        : `Recipient mismatch: Expected "${expectedRecipient}" but found "${actualRecipient}"`
+      message: comparison.match
+        ? `Recipient name matches (similarity ${comparison.similarity})`
+        : `Recipient mismatch: Expected "${expectedRecipient}" but found "${actualRecipient}" (similarity ${comparison.similarity})`
+    };
+  }
+
+  /**
+   * Validate the receiving account shown on the slip
+   * @param {string|null} actualAccount - Masked account from the slip (e.g. "xxx-x-x1234-x")
+   * @param {string} expectedAccount - Full account number or PromptPay ID
+   * @returns {object} Validation result (valid is null when the slip shows no digits to compare,
+   *   which validateSlip counts as a failure)
+   */
+  validateAccount(actualAccount, expectedAccount) {
+    const expected = normalizeAccount(expectedAccount);
+
+    if (!actualAccount) {
+      return {
+        valid: null,
+        actualAccount: null,
+        expectedAccount: expected,
+        message: `Receiving account could not be read from the slip - account ${expected} not confirmed`
+      };
+    }
+
+    const { match, visibleDigits } = matchAccount(actualAccount, expected);
+    return {
+      valid: match,
+      actualAccount: actualAccount,
+      expectedAccount: expected,
+      visibleDigits: visibleDigits,
+      message: match === null
+        ? `Receiving account ${actualAccount} shows no digits - account ${expected} not confirmed`
+        : match
+          ? 'Receiving account matches'
+          : `Account mismatch: Slip shows ${actualAccount}, which is not account ${expected}`
     };
   }
 
@@ -285,15 +879,18 @@ class ValidationService {
   /**
    * Quick validation with enhanced feedback
    * @param {string} transactionId - Transaction ID to validate
+   * @param {object} options - Options
+   * @param {string} options.bank - Bank code to validate against instead of auto-detecting
    * @returns {object} Quick validation result
    */
-  quickValidate(transactionId) {
-    const validation = transactionParser.isValid(transactionId);
-    const fakeDetection = validation.valid ? transactionParser.detectFakeSlip(transactionId) : null;
+  quickValidate(transactionId, options = {}) {
+    const validation = transactionParser.isValid(transactionId, options);
+    const fakeDetection = validation.valid ? transactionParser.detectFakeSlip(transactionId, options) : null;
 
     return {
       valid: validation.valid,
       transactionId: transactionId,
+      bank: validation.parsed ? validation.parsed.bank : null,
       reason: validation.reason,
       parsed: validation.parsed || null,
       fakeSlipDetection: fakeDetection,
@@ -331,6 +928,7 @@ class ValidationService {
       recommendation: fakeDetection.recommendation,
       parsed: validation.parsed,
       details: {
+        bank: validation.parsed.bank,
         prefix: validation.parsed.prefix,
         year: validation.parsed.year,
         time: validation.parsed.time,
@@ -344,13 +942,50 @@ class ValidationService {
   /**
    * Generate validation report with fake slip detection
    * @param {object} validationResult - Result from validateSlip
+   * @param {object} options - Report options
+   * @param {string} options.locale - "th" for the short Thai verdict sent to customers in chat (default: English report)
    * @returns {string} Human-readable report
    */
-  generateReport(validationResult) {
-    let report = '=== KBANK SLIP VALIDATION REPORT ===\n\n';
+  generateReport(validationResult, options = {}) {
+    if (options.locale === 'th') {
+      return this.generateThaiReport(validationResult);
+    }
+
+    let report = '=== SLIP VALIDATION REPORT ===\n\n';
     
     report += `Status: ${validationResult.valid ? '✓ VALID' : '✗ INVALID'}\n`;
     report += `Score: ${validationResult.score}/${validationResult.maxScore} (${validationResult.scorePercentage}%)\n`;
+
+    if (validationResult.duplicateOf) {
+      const original = validationResult.duplicateOf;
+      report += `Duplicate Of: ${original.verificationId} (verified ${original.verifiedAt})\n`;
+    }
+
+    const imageCheck = validationResult.details.duplicateImageCheck;
+    if (imageCheck && imageCheck.isDuplicate) {
+      const match = imageCheck.matches[0];
+      report += `Same Image As: ${match.transactionId} (${match.verificationId}, ${match.distance}/${imageCheck.hashBits} bits differ)\n`;
+    }
+
+    const senderCheck = validationResult.details.senderList;
+    if (senderCheck) {
+      report += `Sender List: ${senderCheck.blocked ? `✗ blocked (${senderCheck.blocked.id})` : `✓ allowed (${senderCheck.allowed.id})`}\n`;
+    }
+
+    const accountCheck = validationResult.details.accountValidation;
+    if (accountCheck) {
+      report += `To Account: ${accountCheck.actualAccount || 'unreadable'} ${accountCheck.valid ? '✓' : `✗ expected ${accountCheck.expectedAccount}`}\n`;
+    }
+
+    const forensics = validationResult.details.imageForensics;
+    if (forensics) {
+      report += `Image Forensics: ${forensics.findings.length === 0 ? '✓ no signs of editing' : `✗ ${forensics.findings.length} finding(s)`}\n`;
+    }
+
+    const statementMatch = validationResult.details.statementMatch;
+    if (statementMatch && statementMatch.found !== null) {
+      report += `In Statement: ${statementMatch.found ? `✓ credit booked ${statementMatch.bookedAt}` : '✗ no matching credit'}\n`;
+    }
     
     // Fake slip detection
     if (validationResult.fakeSlipDetection) {
@@ -374,21 +1009,49 @@ class ValidationService {
       const info = validationResult.details.transactionInfo;
       report += '--- Transaction Information ---\n';
       report += `Transaction ID: ${info.raw}\n`;
-      report += `Prefix: ${info.prefix} (KBank K PLUS)\n`;
+      report += `Bank: ${info.bankName} (${info.bank})\n`;
+      if (info.prefix) {
+        report += `Prefix: ${info.prefix}\n`;
+      }
       report += `Type: ${info.typeDescription} (${info.type})\n`;
-      report += `Time: ${info.time}\n`;
-      report += `Year: ${info.year} BE\n`;
+      if (info.date) {
+        report += `Date: ${info.date.day}/${info.date.month}/${info.date.year}\n`;
+      }
+      report += `Time: ${info.time || '-'}\n`;
+      if (info.year !== null) {
+        report += `Year: ${info.year} BE\n`;
+      }
       report += `Sequence: ${info.sequence}\n`;
-      report += `Length: ${info.length} characters\n\n`;
+      report += `Length: ${info.length} characters\n`;
+      if (validationResult.details.transactionIdRepair) {
+        const repair = validationResult.details.transactionIdRepair;
+        report += `Repaired From: ${repair.raw} (confidence ${Math.round(repair.confidence * 100)}%)\n`;
+      }
+      report += '\n';
+    }
+
+    if (validationResult.details.qrValidation) {
+      const qr = validationResult.details.qrValidation;
+      report += '--- Slip QR ---\n';
+      report += `Status: ${qr.valid ? '✓' : '✗'}\n`;
+      report += `${qr.message}\n\n`;
     }
 
     if (validationResult.details.timeValidation) {
       const time = validationResult.details.timeValidation;
       report += '--- Time Validation ---\n';
-      report += `Status: ${time.valid ? '✓' : '✗'}\n`;
+      report += `Status: ${time.skipped ? '-' : time.valid ? '✓' : '✗'}\n`;
       report += `${time.message}\n\n`;
     }
 
+    if (validationResult.details.slipAgeValidation && validationResult.details.slipAgeValidation.slipDate) {
+      const age = validationResult.details.slipAgeValidation;
+      report += '--- Slip Date ---\n';
+      report += `Status: ${age.valid ? '✓' : '✗'}\n`;
+      report += `Date: ${age.slipDate}\n`;
+      report += `${age.message}\n\n`;
+    }
+
     if (validationResult.details.amount) {
       report += '--- Amount ---\n';
       report += `${validationResult.details.amount} บาท\n\n`;
@@ -417,6 +1080,62 @@ class ValidationService {
 
     return report;
   }
+
+  /**
+   * Generate a short Thai verdict for customers (e.g. a LINE reply)
+   * Failed checks are listed by name rather than by their English messages
+   * @param {object} validationResult - Result from validateSlip
+   * @returns {string} Thai report
+   */
+  generateThaiReport(validationResult) {
+    const details = validationResult.details;
+    let report = validationResult.valid ? '✅ สลิปถูกต้อง\n' : '❌ สลิปไม่ผ่านการตรวจสอบ\n';
+
+    if (validationResult.maxScore > 0) {
+      report += `คะแนน: ${validationResult.score}/${validationResult.maxScore} (${validationResult.scorePercentage}%)\n`;
+    }
+    report += '\n';
+
+    if (details.transactionInfo) {
+      const info = details.transactionInfo;
+      report += `เลขที่รายการ: ${info.raw}\n`;
+      report += `ธนาคาร: ${info.bankName}\n`;
+      if (info.date) {
+        report += `วันที่: ${info.date.day}/${info.date.month}/${info.date.year}${info.time ? ` ${info.time}` : ''}\n`;
+      }
+    }
+    if (details.amount) {
+      report += `จำนวนเงิน: ${details.amount.toLocaleString('th-TH', { minimumFractionDigits: 2 })} บาท\n`;
+    }
+    if (details.amountValidation) {
+      report += `ยอดที่ต้องชำระ: ${details.amountValidation.expectedAmount.toLocaleString('th-TH', { minimumFractionDigits: 2 })} บาท\n`;
+    }
+    if (details.accountValidation && details.accountValidation.actualAccount) {
+      report += `บัญชีผู้รับ: ${details.accountValidation.actualAccount}\n`;
+    }
+    if (validationResult.fakeSlipDetection) {
+      report += `ความเสี่ยงสลิปปลอม: ${THAI_RISK_LEVELS[validationResult.fakeSlipDetection.riskLevel] || '-'}\n`;
+    }
+
+    if (validationResult.duplicateOf) {
+      report += `\nสลิปนี้เคยถูกใช้แล้วเมื่อ ${new Date(validationResult.duplicateOf.verifiedAt).toLocaleString('th-TH', { timeZone: 'Asia/Bangkok' })}\n`;
+    }
+
+    const failed = validationResult.checks.filter(check => check.status === 'fail');
+    if (failed.length > 0) {
+      report += '\nรายการที่ไม่ผ่าน:\n';
+      failed.forEach(check => {
+        report += `${check.severity === 'fatal' ? '✗' : '⚠'} ${THAI_CHECK_FAILURES[check.name] || check.name}\n`;
+      });
+    } else if (!validationResult.valid) {
+      // Stopped before the checks ran (no readable transaction ID) or a tenant rule failed
+      report += validationResult.checks.length === 0
+        ? '\n✗ อ่านเลขที่รายการบนสลิปไม่ได้ กรุณาส่งรูปสลิปที่ชัดเจน\n'
+        : '\n✗ สลิปไม่ตรงตามเงื่อนไขของร้านค้า\n';
+    }
+
+    return report.trim();
+  }
 }
 
 module.exports = new ValidationService();
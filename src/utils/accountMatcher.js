@@ -0,0 +1,135 @@
+/**
+ * Account Matcher
+ *
+ * Finds the masked account numbers printed on transfer slips and checks them
+ * against a full account number. Used by ocrService.extractParties,
+ * validationService.validateAccount and senderListService.
+ *
+ * Slips show the parties' accounts with most digits hidden:
+ *   bank account           xxx-x-x1234-x     (10 digits)
+ *   PromptPay phone        xxx-xxx-1234      (10 digits)
+ *   PromptPay national ID  x-xxxx-xxxxx-12-3 (13 digits)
+ *   PromptPay e-wallet     xxx-xxxxxxxx-1234 (15 digits)
+ *
+ * The visible digits sit at the same positions as in the full number, so a
+ * masked account matches when every visible digit agrees with the expected
+ * account and both have the same length.
+ */
+
+// Masks OCR may read for "x"
+const MASK_CHARS = 'xX×*•';
+const ACCOUNT_PATTERN = new RegExp(
+  `(?<![0-9A-Za-z])[0-9${MASK_CHARS}]{1,8}(?:\\s?[-–]\\s?[0-9${MASK_CHARS}]{1,8}){1,4}(?![0-9A-Za-z])`,
+  'g'
+);
+const ACCOUNT_LENGTHS = [10, 13, 15];
+const PROMPTPAY_LABEL = /พร้อมเพย์|promptpay|prompt\s*pay/i;
+
+/**
+ * Normalize a full account number or PromptPay ID to its digits
+ * @param {string|number} value - Account as entered (dashes and spaces allowed)
+ * @returns {string|null} Digits, or null when the value is empty
+ */
+function normalizeAccount(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const digits = String(value).replace(/[\s-]/g, '');
+  return digits || null;
+}
+
+/**
+ * Tell a bank account from a PromptPay ID by the way the number is grouped
+ * @param {Array<string>} groups - Digit groups of the account (e.g. ['xxx', 'x', 'x1234', 'x'])
+ * @param {string} context - Text around the account (a PromptPay label decides)
+ * @returns {string} "bank" or "promptpay"
+ */
+function accountTypeOf(groups, context = '') {
+  const length = groups.join('').length;
+  if (length !== 10 || PROMPTPAY_LABEL.test(context)) {
+    return 'promptpay';
+  }
+  // Phone numbers are grouped 3-3-4, bank accounts 3-1-5-1
+  return groups.length === 3 && groups[2].length === 4 ? 'promptpay' : 'bank';
+}
+
+/**
+ * Find the account numbers in a piece of slip text
+ * @param {string} text - OCR text (a line or the whole slip)
+ * @param {string} context - Text around it, used to recognize PromptPay IDs (default: the text itself)
+ * @returns {Array<object>} { account, accountType, raw, index } in reading order;
+ *   account keeps the slip's grouping with masks written as "x", raw is the text as read
+ */
+function findAccounts(text, context = text) {
+  if (!text) {
+    return [];
+  }
+
+  return Array.from(text.matchAll(ACCOUNT_PATTERN))
+    .map((match) => {
+      const groups = match[0].split(/\s?[-–]\s?/)
+        .map(group => group.replace(new RegExp(`[${MASK_CHARS}]`, 'g'), 'x'));
+      return { groups, raw: match[0], index: match.index };
+    })
+    .filter(({ groups }) => ACCOUNT_LENGTHS.includes(groups.join('').length))
+    .map(({ groups, raw, index }) => ({
+      account: groups.join('-'),
+      accountType: accountTypeOf(groups, context),
+      raw: raw,
+      index: index
+    }));
+}
+
+/**
+ * Compare a masked account from a slip with a full account number
+ * @param {string} maskedAccount - Account as read from the slip (e.g. "xxx-x-x1234-x")
+ * @param {string} expectedAccount - Full account number or PromptPay ID
+ * @returns {object} { match, visibleDigits } - match is null when the slip shows no digit to compare
+ */
+function matchAccount(maskedAccount, expectedAccount) {
+  const masked = (maskedAccount || '').replace(/[\s-]/g, '');
+  const expected = normalizeAccount(expectedAccount) || '';
+  const visibleDigits = masked.replace(/x/g, '').length;
+
+  if (visibleDigits === 0) {
+    return { match: null, visibleDigits: 0 };
+  }
+  if (masked.length !== expected.length) {
+    return { match: false, visibleDigits };
+  }
+
+  const match = masked.split('').every((char, index) => char === 'x' || char === expected[index]);
+  return { match, visibleDigits };
+}
+
+/**
+ * Check whether a masked account from a slip fits a known account fragment
+ * A fragment of the full length (digits, or masked like "xxx-x-x1234-x") is
+ * compared position by position where both show a digit; a shorter fragment
+ * ("1234") must appear among the visible digits
+ * @param {string} maskedAccount - Account as read from the slip
+ * @param {string} fragment - Known account, masked account or trailing digits
+ * @returns {boolean} True if the account fits the fragment
+ */
+function matchAccountFragment(maskedAccount, fragment) {
+  const masked = (maskedAccount || '').replace(/[\s-]/g, '');
+  const known = (fragment || '').replace(/[\s-]/g, '').toLowerCase();
+  if (!masked || !known) {
+    return false;
+  }
+
+  if (known.length === masked.length) {
+    const compared = masked.split('').filter((char, index) => char !== 'x' && known[index] !== 'x');
+    return compared.length > 0 &&
+      masked.split('').every((char, index) => char === 'x' || known[index] === 'x' || char === known[index]);
+  }
+
+  return !known.includes('x') && masked.split('x').some(visible => visible.includes(known));
+}
+
+module.exports = {
+  normalizeAccount,
+  findAccounts,
+  matchAccount,
+  matchAccountFragment
+};
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Simple file-backed JSON store
+ *
+ * Keeps the whole document in memory and writes it back to disk on every
+ * change, so the API can persist state without any outside service.
+ * Writes go to a temporary file first and are then renamed into place, so a
+ * crash mid-write never leaves a half-written document behind.
+ * A file that exists but cannot be read or parsed is never replaced: loading
+ * it fails until the file is fixed, instead of starting over from the
+ * defaults and overwriting the records on the next write.
+ */
+class JsonStore {
+  /**
+   * @param {string} fileName - File name (or absolute path) of the store
+   * @param {object} defaults - Initial document when the file does not exist yet
+   */
+  constructor(fileName, defaults = {}) {
+    this.filePath = JsonStore.resolvePath(fileName);
+    this.defaults = defaults;
+    this.data = null;
+  }
+
+  /**
+   * Resolve a store file name against the configured data directory
+   * @param {string} fileName - File name or absolute path
+   * @returns {string} Absolute file path
+   */
+  static resolvePath(fileName) {
+    if (path.isAbsolute(fileName)) {
+      return fileName;
+    }
+
+    const dataDir = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+    return path.join(dataDir, fileName);
+  }
+
+  /**
+   * Load the document from disk (only once)
+   * @returns {object} Store document
+   * @throws {Error} When the file exists but cannot be read or is not valid JSON
+   */
+  load() {
+    if (this.data) {
+      return this.data;
+    }
+
+    let content;
+    try {
+      content = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read store ${this.filePath}: ${error.message}`);
+      }
+      this.data = JSON.parse(JSON.stringify(this.defaults));
+      return this.data;
+    }
+
+    let stored;
+    try {
+      stored = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Store ${this.filePath} is not valid JSON (${error.message}) - fix or move the file aside`);
+    }
+
+    this.data = { ...JSON.parse(JSON.stringify(this.defaults)), ...stored };
+    return this.data;
+  }
+
+  /**
+   * Write the in-memory document back to disk
+   */
+  save() {
+    if (!this.data) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Apply a change to the document and persist it
+   * @param {function} mutator - Receives the document and may modify it in place
+   * @returns {*} Whatever the mutator returns
+   */
+  update(mutator) {
+    const data = this.load();
+    const result = mutator(data);
+    this.save();
+    return result;
+  }
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,144 @@
+/**
+ * K PLUS Slip Layout
+ *
+ * Finds the regions of a K PLUS slip that hold each field, using the line
+ * and word boxes of a full-page OCR pass. The regions are re-read one by one
+ * with settings that suit the field (e.g. English-only with an [0-9A-Z]
+ * whitelist for the transaction ID), see ocrService.extractLayoutFields.
+ *
+ * K PLUS slip layout (top to bottom):
+ *   date and time          "25 ต.ค. 68 17:08 น."
+ *   sender name / account
+ *   receiver name / account
+ *   "เลขที่รายการ:"         transaction ID (same line or the line below)
+ *   "จำนวน:"               amount
+ *   "ค่าธรรมเนียม:"          fee
+ */
+class KPlusLayout {
+  constructor() {
+    this.labels = {
+      transactionId: /เลขที่รายการ|เลขที่ราย|รายการ\s*[:：]/,
+      amount: /จำนวน/,
+      fee: /ค่าธรรมเนียม/,
+      sender: /^\s*(จาก|ผู้โอน)/,
+      receiver: /^\s*(ถึง|ผู้รับ)/
+    };
+
+    this.fields = ['transactionId', 'amount', 'dateTime', 'sender', 'receiver'];
+  }
+
+  /**
+   * Check whether OCR lines look like a K PLUS slip
+   * At least two of the fixed labels must be present
+   * @param {array} lines - OCR lines
+   * @returns {boolean} True if the K PLUS template matches
+   */
+  matches(lines = []) {
+    const found = ['transactionId', 'amount', 'fee']
+      .filter(label => lines.some(line => line.text && this.labels[label].test(line.text)));
+    return found.length >= 2;
+  }
+
+  /**
+   * Find the region of every field
+   * @param {array} lines - OCR lines with bounding boxes and words
+   * @param {object} locations - Field locations from the full-page pass (ocrService.locateFields)
+   * @param {object} imageSize - { width, height } of the original image
+   * @returns {object|null} Padded bounding box (or null) per field, null if the template does not match
+   */
+  findRegions(lines = [], locations = {}, imageSize = null) {
+    if (!imageSize || !this.matches(lines)) {
+      return null;
+    }
+
+    const regions = {};
+    this.fields.forEach((field) => {
+      // Where the full-page pass already read the field is the tightest region
+      const located = locations[field] && locations[field].bbox;
+      const bbox = located || this.findByLabel(lines, field);
+      regions[field] = bbox ? this.pad(bbox, imageSize) : null;
+    });
+
+    return regions;
+  }
+
+  /**
+   * Find a field region from its label
+   * @param {array} lines - OCR lines with bounding boxes and words
+   * @param {string} field - Field name
+   * @returns {object|null} Bounding box of the value
+   */
+  findByLabel(lines, field) {
+    // The date line has no label - it is the line with the time
+    if (field === 'dateTime') {
+      const line = lines.find(candidate => candidate.text && /\d{1,2}:\d{2}/.test(candidate.text));
+      return line ? line.bbox : null;
+    }
+
+    const label = this.labels[field];
+    const index = lines.findIndex(line => line.text && label.test(line.text));
+    if (index === -1) {
+      return null;
+    }
+
+    const line = lines[index];
+    const words = line.words || [];
+
+    // Words after the label on the same line hold the value
+    let labelEnd = -1;
+    let joined = '';
+    for (let i = 0; i < words.length; i++) {
+      joined += words[i].text.trim();
+      if (label.test(joined)) {
+        labelEnd = i;
+        break;
+      }
+    }
+
+    const valueWords = words
+      .slice(labelEnd + 1)
+      .filter(word => word.bbox && word.text.replace(/[:：\s]/g, '').length > 0);
+    if (labelEnd !== -1 && valueWords.length > 0) {
+      return this.union(valueWords.map(word => word.bbox));
+    }
+
+    // Otherwise the value is on the next line
+    const next = lines[index + 1];
+    return next && next.bbox ? next.bbox : null;
+  }
+
+  /**
+   * Union of bounding boxes
+   * @param {array} boxes - Bounding boxes
+   * @returns {object} Bounding box containing all boxes
+   */
+  union(boxes) {
+    return {
+      x0: Math.min(...boxes.map(box => box.x0)),
+      y0: Math.min(...boxes.map(box => box.y0)),
+      x1: Math.max(...boxes.map(box => box.x1)),
+      y1: Math.max(...boxes.map(box => box.y1))
+    };
+  }
+
+  /**
+   * Add a margin around a region so clipped characters are not lost
+   * @param {object} bbox - Bounding box
+   * @param {object} imageSize - { width, height }
+   * @returns {object} Padded bounding box inside the image
+   */
+  pad(bbox, imageSize) {
+    const height = Math.max(1, bbox.y1 - bbox.y0);
+    const marginY = Math.round(height * 0.3);
+    const marginX = Math.round(height * 0.6);
+
+    return {
+      x0: Math.max(0, bbox.x0 - marginX),
+      y0: Math.max(0, bbox.y0 - marginY),
+      x1: Math.min(imageSize.width, bbox.x1 + marginX),
+      y1: Math.min(imageSize.height, bbox.y1 + marginY)
+    };
+  }
+}
+
+module.exports = new KPlusLayout();
@@ -0,0 +1,72 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Network address helpers for outgoing requests to caller-supplied URLs
+ * (slip image downloads, job callbacks)
+ */
+
+/**
+ * Check whether an IP address is loopback, private, link-local or otherwise
+ * not a public internet address
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address must not be connected to
+ */
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 198 && (b === 18 || b === 19));
+  }
+
+  const normalized = address.toLowerCase();
+  const mapped = normalized.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) {
+    return isPrivateAddress(mapped[1]);
+  }
+  // URL parsing rewrites a mapped IPv4 address to hex (::ffff:7f00:1)
+  const hexMapped = normalized.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (hexMapped) {
+    const [high, low] = [parseInt(hexMapped[1], 16), parseInt(hexMapped[2], 16)];
+    return isPrivateAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+  }
+  return normalized === '::' || normalized === '::1' ||
+    /^f[cd]/.test(normalized) ||   // fc00::/7 unique local
+    /^fe[89ab]/.test(normalized) || // fe80::/10 link-local
+    /^ff/.test(normalized);        // multicast
+}
+
+/**
+ * DNS lookup that refuses private addresses
+ * Used as the socket lookup, so the address checked is the one connected to.
+ * A refused host fails with an error whose code is NON_PUBLIC_ADDRESS.
+ * IP literals never reach a lookup - check them with isPrivateAddress first.
+ * @param {string} hostname - Host name
+ * @param {object} options - dns.lookup options
+ * @param {function} callback - dns.lookup callback
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error, address, family);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      const refused = new Error(`Host ${hostname} resolves to a non-public address (${blocked.address})`);
+      refused.code = 'NON_PUBLIC_ADDRESS';
+      return callback(refused);
+    }
+    callback(null, address, family);
+  });
+}
+
+module.exports = {
+  isPrivateAddress,
+  lookupPublicAddress
+};
@@ -0,0 +1,280 @@
+/**
+ * Base Bank Transaction ID Parser
+ *
+ * Every bank registers a subclass with its own ID grammar, transaction type
+ * table and fake-slip heuristics. The grammar is a regex whose named groups
+ * describe the parts of the ID:
+ * - year / month / day      - Date encoded in the ID (optional)
+ * - hour / minute / second  - Time encoded in the ID (optional)
+ * - type                    - Transaction type code (optional)
+ * - sequence                - Sequential transaction number
+ */
+class BankParser {
+  constructor() {
+    // Short bank code used in parsed results (e.g. "KBANK")
+    this.bank = null;
+
+    // Human-readable name used in messages
+    this.name = null;
+
+    // Fixed prefix of every ID issued by this bank (optional)
+    this.prefix = null;
+
+    // Valid length range
+    this.MIN_LENGTH = 0;
+    this.MAX_LENGTH = 0;
+
+    // ID grammar with named groups
+    this.PATTERN = null;
+    this.patternDescription = '';
+
+    // 'BE2' = 2-digit Buddhist Era year (68 = 2568), 'BE' = 4-digit BE, 'AD' = 4-digit AD
+    this.yearFormat = 'AD';
+
+    // Type used when the grammar has no type group
+    this.defaultType = null;
+
+    // Transaction type table (code -> description)
+    this.transactionTypes = {};
+  }
+
+  /**
+   * Normalize a raw transaction ID (remove whitespace, upper case)
+   * @param {string} transactionId - Raw transaction ID
+   * @returns {string} Normalized transaction ID
+   */
+  normalize(transactionId) {
+    return transactionId.trim().replace(/\s/g, '').toUpperCase();
+  }
+
+  /**
+   * Loose check whether an ID was issued by this bank
+   * Used by the registry to auto-detect the bank before strict validation
+   * @param {string} cleanId - Normalized transaction ID
+   * @returns {boolean} True if the ID looks like it belongs to this bank
+   */
+  detect(cleanId) {
+    return this.prefix ? cleanId.startsWith(this.prefix) : false;
+  }
+
+  /**
+   * Convert the year group of the grammar to a Buddhist Era year
+   * @param {string} value - Year digits from the ID
+   * @returns {number} Year in Buddhist Era
+   */
+  toBuddhistYear(value) {
+    const year = parseInt(value, 10);
+
+    switch (this.yearFormat) {
+      case 'BE2':
+        return 2500 + year;
+      case 'BE':
+        return year;
+      default:
+        return year + 543;
+    }
+  }
+
+  /**
+   * Parse a transaction ID according to this bank's grammar
+   * @param {string} transactionId - The transaction ID to parse
+   * @returns {object|null} Parsed transaction data or null if invalid
+   */
+  parse(transactionId) {
+    if (!transactionId || typeof transactionId !== 'string') {
+      return null;
+    }
+
+    const cleanId = this.normalize(transactionId);
+
+    if (this.prefix && !cleanId.startsWith(this.prefix)) {
+      return null;
+    }
+
+    if (cleanId.length < this.MIN_LENGTH || cleanId.length > this.MAX_LENGTH) {
+      return null;
+    }
+
+    const match = cleanId.match(this.PATTERN);
+    if (!match) {
+      return null;
+    }
+
+    const groups = match.groups || {};
+
+    // Time components (optional)
+    const hasTime = groups.hour !== undefined;
+    const hour = hasTime ? parseInt(groups.hour, 10) : null;
+    const minute = hasTime ? parseInt(groups.minute, 10) : null;
+    const second = hasTime && groups.second !== undefined ? parseInt(groups.second, 10) : (hasTime ? 0 : null);
+
+    if (hasTime && (hour > 23 || minute > 59 || second > 59)) {
+      return null; // Invalid time
+    }
+
+    // Year must be reasonable (allow up to 5 years old)
+    const year = groups.year !== undefined ? this.toBuddhistYear(groups.year) : null;
+    const currentYear = new Date().getFullYear() + 543; // Convert to BE
+    if (year !== null && (year < currentYear - 5 || year > currentYear + 1)) {
+      return null;
+    }
+
+    // Date components (optional)
+    let date = null;
+    if (groups.month !== undefined && groups.day !== undefined) {
+      const month = parseInt(groups.month, 10);
+      const day = parseInt(groups.day, 10);
+      const daysInMonth = new Date(year - 543, month, 0).getDate();
+
+      if (month < 1 || month > 12 || day < 1 || day > daysInMonth) {
+        return null; // Invalid date
+      }
+
+      date = { year: year, month: month, day: day };
+    }
+
+    const type = groups.type || this.defaultType;
+    const pad = (value) => String(value).padStart(2, '0');
+
+    return {
+      raw: cleanId,
+      valid: true,
+      bank: this.bank,
+      bankName: this.name,
+      prefix: this.prefix,
+      year: year,
+      yearCode: groups.year !== undefined ? groups.year : null,
+      date: date,
+      time: hasTime ? `${pad(hour)}:${pad(minute)}:${pad(second)}` : null,
+      hour: hour,
+      minute: minute,
+      second: second,
+      type: type,
+      typeDescription: this.transactionTypes[type] || 'Unknown Transaction Type',
+      isKnownType: Object.prototype.hasOwnProperty.call(this.transactionTypes, type),
+      sequence: groups.sequence,
+      length: cleanId.length,
+      timestamp: this.buildTimestamp(year, hour, minute, second),
+      // Validation flags
+      validPrefix: true,
+      validLength: true,
+      validPattern: true,
+      validTime: true,
+      validYear: true
+    };
+  }
+
+  /**
+   * Build a timestamp from parsed components
+   * Note: This is an approximation as most IDs don't carry the full date
+   */
+  buildTimestamp(year, hour, minute, second) {
+    return {
+      year: year,
+      hour: hour,
+      minute: minute,
+      second: second
+    };
+  }
+
+  /**
+   * Validate transaction ID format with detailed feedback
+   * @param {string} transactionId - The transaction ID to validate
+   * @returns {object} Validation result with details
+   */
+  isValid(transactionId) {
+    if (!transactionId || typeof transactionId !== 'string') {
+      return {
+        valid: false,
+        reason: 'Transaction ID is required and must be a string'
+      };
+    }
+
+    const cleanId = this.normalize(transactionId);
+
+    // Check prefix
+    if (this.prefix && !cleanId.startsWith(this.prefix)) {
+      return {
+        valid: false,
+        reason: `Invalid prefix. Expected "${this.prefix}" (${this.name}), got "${cleanId.substring(0, this.prefix.length)}"`
+      };
+    }
+
+    // Check length
+    if (cleanId.length < this.MIN_LENGTH || cleanId.length > this.MAX_LENGTH) {
+      return {
+        valid: false,
+        reason: `Invalid length. Expected ${this.MIN_LENGTH}-${this.MAX_LENGTH} characters, got ${cleanId.length}`
+      };
+    }
+
+    // Check pattern
+    if (!this.PATTERN.test(cleanId)) {
+      return {
+        valid: false,
+        reason: `Invalid format. Expected pattern: ${this.patternDescription}`
+      };
+    }
+
+    // Try to parse
+    const parsed = this.parse(cleanId);
+    if (!parsed) {
+      return {
+        valid: false,
+        reason: 'Failed to parse transaction ID. May contain invalid time or year values'
+      };
+    }
+
+    return {
+      valid: true,
+      reason: `Valid ${this.name} transaction ID`,
+      parsed: parsed
+    };
+  }
+
+  /**
+   * Bank-specific fake slip heuristics
+   * @param {object} parsed - Parsed transaction data
+   * @returns {Array<object>} Findings as { reason, riskLevel }
+   */
+  detectSuspicious(parsed) {
+    const findings = [];
+
+    // Unknown transaction type
+    if (!parsed.isKnownType) {
+      findings.push({ reason: `Unknown transaction type code: ${parsed.type}`, riskLevel: 'MEDIUM' });
+    }
+
+    // Sequential number patterns (e.g., 11111, 12345)
+    if (/^(\d)\1+$/.test(parsed.sequence)) {
+      findings.push({ reason: 'Sequential number is repetitive (e.g., 1111, 2222)', riskLevel: 'MEDIUM' });
+    }
+
+    // Year too old or in future
+    const currentYear = new Date().getFullYear() + 543;
+    if (parsed.year !== null && parsed.year < currentYear - 2) {
+      findings.push({ reason: `Transaction year ${parsed.year} is older than expected`, riskLevel: 'MEDIUM' });
+    } else if (parsed.year !== null && parsed.year > currentYear + 1) {
+      findings.push({ reason: `Transaction year ${parsed.year} is in the future`, riskLevel: 'HIGH' });
+    }
+
+    // Date encoded in the ID lies in the future
+    if (parsed.date) {
+      const idDate = new Date(parsed.date.year - 543, parsed.date.month - 1, parsed.date.day);
+      const tomorrow = new Date();
+      tomorrow.setDate(tomorrow.getDate() + 1);
+      if (idDate > tomorrow) {
+        findings.push({ reason: 'Transaction date encoded in the ID is in the future', riskLevel: 'HIGH' });
+      }
+    }
+
+    // Time components (00:00:00 is suspicious)
+    if (parsed.hour === 0 && parsed.minute === 0 && parsed.second === 0) {
+      findings.push({ reason: 'Transaction time is exactly 00:00:00 (unusual)', riskLevel: 'MEDIUM' });
+    }
+
+    return findings;
+  }
+}
+
+module.exports = BankParser;
@@ -0,0 +1,43 @@
+const BankParser = require('./bankParser');
+
+/**
+ * Bangkok Bank (Bualuang mBanking) Transaction ID Parser
+ *
+ * FORMAT STRUCTURE (23 digits):
+ * - Position 1-3: "002" - Bangkok Bank code (ALWAYS FIXED)
+ * - Position 4-9: YYMMDD - Transaction date (2-digit Buddhist Era year)
+ * - Position 10-15: HHMMSS - Time (Hour, Minute, Second)
+ * - Position 16-17: TYPE - Transaction type code (01-04)
+ * - Position 18-23: SEQ - Sequential transaction number
+ *
+ * REGEX PATTERN: ^002\d{20}$
+ *
+ * Example:
+ * - 00268102517081901123456 → Account Transfer on 25 Oct 2568 at 17:08:19
+ */
+class BBLParser extends BankParser {
+  constructor() {
+    super();
+
+    this.bank = 'BBL';
+    this.name = 'Bangkok Bank';
+    this.prefix = '002';
+
+    this.MIN_LENGTH = 23;
+    this.MAX_LENGTH = 23;
+
+    this.PATTERN = /^002(?<year>\d{2})(?<month>\d{2})(?<day>\d{2})(?<hour>\d{2})(?<minute>\d{2})(?<second>\d{2})(?<type>\d{2})(?<sequence>\d{6})$/;
+    this.patternDescription = '002 + YYMMDD + HHMMSS + 2-digit type + 6 digits';
+
+    this.yearFormat = 'BE2';
+
+    this.transactionTypes = {
+      '01': 'Account Transfer',
+      '02': 'Bill Payment',
+      '03': 'PromptPay Transfer',
+      '04': 'QR Payment'
+    };
+  }
+}
+
+module.exports = BBLParser;
@@ -0,0 +1,76 @@
+const BankParser = require('./bankParser');
+
+/**
+ * KBank (K PLUS) Transaction ID Parser
+ *
+ * FORMAT STRUCTURE (20-21 characters):
+ * ====================================
+ * FIXED PARTS (ส่วนที่เป็นเลขตายตัว):
+ * - Position 1-4: "0152" - KBank K PLUS system identifier (ALWAYS FIXED)
+ * - Structure: Always follows pattern 4digits + 8digits + 4letters + 3-5digits
+ * - Total Length: 20-21 characters (FIXED)
+ *
+ * VARIABLE PARTS (ส่วนที่เปลี่ยนไปในแต่ละสลิป):
+ * - Position 5-6: System batch code (e.g. 97 for ATF, 98 for BQR/BPMO) - not the year,
+ *   so a KBank ID carries no date and only its time is compared with the slip
+ * - Position 7-12: HHMMSS - Time (Hour, Minute, Second)
+ * - Position 13-16: TYPE - Transaction type code (BPMO, BQR0, ATF0, etc.)
+ * - Position 17-21: SEQ - Sequential transaction number (3-5 digits)
+ *
+ * REGEX PATTERN: ^0152\d{8}[A-Z]{4}\d{3,5}$
+ *
+ * Examples:
+ * - 015298170819BQR02651 → QR Payment at 17:08:19
+ * - 015298181623BPMO4591 → Bill Payment at 18:16:23
+ * - 015297131932ATF05812 → Account Transfer at 13:19:32
+ */
+class KBankParser extends BankParser {
+  constructor() {
+    super();
+
+    this.bank = 'KBANK';
+    this.name = 'KBank K PLUS';
+
+    // Fixed prefix for all KBank K PLUS transactions
+    this.prefix = '0152';
+
+    // Valid length range (20-21 characters)
+    this.MIN_LENGTH = 20;
+    this.MAX_LENGTH = 21;
+
+    // Parse using precise regex pattern: 0152 + BATCH(2) + HHMMSS + TYPE(4) + SEQ(3-5)
+    // Type code can contain both letters AND digits (e.g., BQR0, ATF0, BPMO)
+    this.PATTERN = /^0152(?<batch>\d{2})(?<hour>\d{2})(?<minute>\d{2})(?<second>\d{2})(?<type>[A-Z0-9]{4})(?<sequence>\d{3,5})$/;
+    this.patternDescription = '0152 + 8 digits + 4 letters + 3-5 digits';
+
+    // KBank transaction types (ประเภทธุรกรรม)
+    // B-prefix = Bill/QR payments, A-prefix = Account transfers
+    this.transactionTypes = {
+      // Bill Payments
+      'BPMO': 'Bill Payment Mobile Online',
+      'BQR0': 'Bill QR Payment',
+      'BQR': 'Bill QR Payment',
+      'BPAY': 'Bill Payment',
+
+      // Account Transfers
+      'ATF0': 'Account Transfer via Mobile',
+      'ATF': 'Account Transfer',
+      'ATMO': 'Account Transfer Mobile Online',
+      'ATMB': 'ATM Transfer',
+
+      // App/Mobile Payments
+      'APM0': 'App Payment',
+      'APM': 'App Payment',
+      'APAY': 'App Payment',
+
+      // QR Payments
+      'QRP0': 'QR Payment',
+      'QRPM': 'QR PromptPay',
+
+      // Other
+      'TFMO': 'Transfer Mobile'
+    };
+  }
+}
+
+module.exports = KBankParser;
@@ -0,0 +1,42 @@
+const BankParser = require('./bankParser');
+
+/**
+ * Krungthai (Krungthai NEXT) Transaction ID Parser
+ *
+ * FORMAT STRUCTURE (21-23 characters):
+ * - Position 1-3: "006" - Krungthai bank code (ALWAYS FIXED)
+ * - Position 4-11: YYYYMMDD - Transaction date (Christian Era)
+ * - Position 12-13: TYPE - Transaction type code (TR, BP, PP, QR)
+ * - Position 14+: SEQ - Sequential transaction number (8-10 digits)
+ *
+ * REGEX PATTERN: ^006\d{8}[A-Z]{2}\d{8,10}$
+ *
+ * Example:
+ * - 00620251025TR12345678 → Account Transfer on 25 Oct 2025
+ */
+class KTBParser extends BankParser {
+  constructor() {
+    super();
+
+    this.bank = 'KTB';
+    this.name = 'Krungthai NEXT';
+    this.prefix = '006';
+
+    this.MIN_LENGTH = 21;
+    this.MAX_LENGTH = 23;
+
+    this.PATTERN = /^006(?<year>\d{4})(?<month>\d{2})(?<day>\d{2})(?<type>[A-Z]{2})(?<sequence>\d{8,10})$/;
+    this.patternDescription = '006 + YYYYMMDD + 2 letters + 8-10 digits';
+
+    this.yearFormat = 'AD';
+
+    this.transactionTypes = {
+      'TR': 'Account Transfer',
+      'BP': 'Bill Payment',
+      'PP': 'PromptPay Transfer',
+      'QR': 'QR Payment'
+    };
+  }
+}
+
+module.exports = KTBParser;
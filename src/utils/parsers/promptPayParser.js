@@ -0,0 +1,44 @@
+const BankParser = require('./bankParser');
+
+/**
+ * PromptPay (ITMX) Transaction Reference Parser
+ *
+ * PromptPay transfers from any bank carry a numeric ITMX reference.
+ *
+ * FORMAT STRUCTURE (15-20 digits):
+ * - Position 1-8: YYYYMMDD - Transaction date (Christian Era)
+ * - Position 9+: SEQ - Sequential transaction number (7-12 digits)
+ *
+ * REGEX PATTERN: ^20\d{13,18}$
+ *
+ * Example:
+ * - 202510255360001 → PromptPay transfer on 25 Oct 2025
+ */
+class PromptPayParser extends BankParser {
+  constructor() {
+    super();
+
+    this.bank = 'PROMPTPAY';
+    this.name = 'PromptPay';
+
+    this.MIN_LENGTH = 15;
+    this.MAX_LENGTH = 20;
+
+    this.PATTERN = /^(?<year>20\d{2})(?<month>\d{2})(?<day>\d{2})(?<sequence>\d{7,12})$/;
+    this.patternDescription = 'YYYYMMDD + 7-12 digits';
+
+    this.yearFormat = 'AD';
+
+    // The reference has no type code of its own
+    this.defaultType = 'PP';
+    this.transactionTypes = {
+      'PP': 'PromptPay Transfer'
+    };
+  }
+
+  detect(cleanId) {
+    return /^20\d{13,18}$/.test(cleanId);
+  }
+}
+
+module.exports = PromptPayParser;
@@ -0,0 +1,55 @@
+const BankParser = require('./bankParser');
+
+/**
+ * SCB (SCB EASY) Transaction ID Parser
+ *
+ * FORMAT STRUCTURE (21-25 characters):
+ * - Position 1-8: YYYYMMDD - Transaction date (Christian Era)
+ * - Position 9-11: TYPE - Channel code (TRF, BPM, QRC, PPT)
+ * - Position 12+: SEQ - Sequential transaction number (10-14 digits)
+ *
+ * REGEX PATTERN: ^20\d{6}[A-Z]{3}\d{10,14}$
+ *
+ * Example:
+ * - 20251025TRF1708190001 → Account Transfer on 25 Oct 2025
+ */
+class SCBParser extends BankParser {
+  constructor() {
+    super();
+
+    this.bank = 'SCB';
+    this.name = 'SCB EASY';
+
+    this.MIN_LENGTH = 21;
+    this.MAX_LENGTH = 25;
+
+    this.PATTERN = /^(?<year>20\d{2})(?<month>\d{2})(?<day>\d{2})(?<type>[A-Z]{3})(?<sequence>\d{10,14})$/;
+    this.patternDescription = 'YYYYMMDD + 3 letters + 10-14 digits';
+
+    this.yearFormat = 'AD';
+
+    this.transactionTypes = {
+      'TRF': 'Account Transfer',
+      'BPM': 'Bill Payment',
+      'QRC': 'QR Payment',
+      'PPT': 'PromptPay Transfer'
+    };
+  }
+
+  detect(cleanId) {
+    return /^20\d{6}[A-Z]{3}/.test(cleanId);
+  }
+
+  detectSuspicious(parsed) {
+    const findings = super.detectSuspicious(parsed);
+
+    // SCB sequence numbers never run all zeros
+    if (/^0+$/.test(parsed.sequence)) {
+      findings.push({ reason: 'Sequential number is all zeros', riskLevel: 'HIGH' });
+    }
+
+    return findings;
+  }
+}
+
+module.exports = SCBParser;
@@ -0,0 +1,175 @@
+const sharp = require('sharp');
+
+/**
+ * Perceptual image hashes
+ *
+ * Byte hashes (historyService.hashImage) change with every re-encode. These
+ * hashes describe what the slip looks like, so the same screenshot cropped,
+ * recompressed or with another status bar hashes to nearly the same value:
+ * - dHash: whether each pixel is brighter than its right neighbour
+ * - pHash: whether each low-frequency DCT coefficient is above the median
+ *
+ * Both are 256 bits (16x16) rather than the usual 64: slips of one bank
+ * share a template, and only a finer hash tells two genuine slips apart.
+ */
+
+const HASH_SIZE = 16;
+const HASH_BITS = HASH_SIZE * HASH_SIZE;
+const PHASH_SAMPLE = 64;
+
+// Phone screenshots: the status bar (clock, battery) is cut off before hashing
+const STATUS_BAR_RATIO = 0.05;
+
+/**
+ * Normalize a slip image before hashing
+ * Uniform borders are trimmed so crops and padding hash alike, and the
+ * status bar of portrait screenshots is dropped
+ * @param {Buffer} imageBuffer - Slip image
+ * @returns {Promise<sharp.Sharp>} Greyscale image pipeline
+ */
+async function preprocess(imageBuffer) {
+  let image = await sharp(imageBuffer)
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .toBuffer();
+
+  try {
+    image = await sharp(image).trim({ threshold: 20 }).toBuffer();
+  } catch (error) {
+    // Nothing but border (blank image) - hash it as it is
+  }
+
+  const { width, height } = await sharp(image).metadata();
+  if (height > width) {
+    const top = Math.round(height * STATUS_BAR_RATIO);
+    image = await sharp(image).extract({ left: 0, top: top, width: width, height: height - top }).toBuffer();
+  }
+
+  return sharp(image).normalize();
+}
+
+/**
+ * Resize a preprocessed image to raw greyscale pixels
+ * @param {Buffer} normalized - Preprocessed image
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {Promise<Buffer>} Pixels, one byte each
+ */
+async function sample(normalized, width, height) {
+  return sharp(normalized)
+    .resize(width, height, { fit: 'fill' })
+    .extractChannel(0)
+    .raw()
+    .toBuffer();
+}
+
+/**
+ * Turn a list of bits into a hex string
+ * @param {Array<boolean>} bits - Bits, most significant first
+ * @returns {string} Hex string
+ */
+function toHex(bits) {
+  let hex = '';
+  for (let i = 0; i < bits.length; i += 4) {
+    const nibble = (bits[i] ? 8 : 0) | (bits[i + 1] ? 4 : 0) | (bits[i + 2] ? 2 : 0) | (bits[i + 3] ? 1 : 0);
+    hex += nibble.toString(16);
+  }
+  return hex;
+}
+
+/**
+ * Difference hash
+ * @param {Buffer} normalized - Preprocessed image
+ * @returns {Promise<string>} 256-bit hash as hex
+ */
+async function dHash(normalized) {
+  const pixels = await sample(normalized, HASH_SIZE + 1, HASH_SIZE);
+  const bits = [];
+  for (let y = 0; y < HASH_SIZE; y++) {
+    for (let x = 0; x < HASH_SIZE; x++) {
+      const i = y * (HASH_SIZE + 1) + x;
+      bits.push(pixels[i] > pixels[i + 1]);
+    }
+  }
+  return toHex(bits);
+}
+
+/**
+ * DCT hash
+ * @param {Buffer} normalized - Preprocessed image
+ * @returns {Promise<string>} 256-bit hash as hex
+ */
+async function pHash(normalized) {
+  const n = PHASH_SAMPLE;
+  const pixels = await sample(normalized, n, n);
+
+  const cosines = Array.from({ length: HASH_SIZE }, (row, u) =>
+    Array.from({ length: n }, (value, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * n))));
+
+  // Only the lowest HASH_SIZE x HASH_SIZE frequencies are needed
+  const rows = new Array(n * HASH_SIZE);
+  for (let y = 0; y < n; y++) {
+    for (let u = 0; u < HASH_SIZE; u++) {
+      let sum = 0;
+      for (let x = 0; x < n; x++) {
+        sum += cosines[u][x] * pixels[y * n + x];
+      }
+      rows[y * HASH_SIZE + u] = sum;
+    }
+  }
+
+  const coefficients = [];
+  for (let v = 0; v < HASH_SIZE; v++) {
+    for (let u = 0; u < HASH_SIZE; u++) {
+      let sum = 0;
+      for (let y = 0; y < n; y++) {
+        sum += cosines[v][y] * rows[y * HASH_SIZE + u];
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  // The DC term is the average brightness and says nothing about the layout
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = (sorted[Math.floor(sorted.length / 2) - 1] + sorted[Math.floor(sorted.length / 2)]) / 2;
+  return toHex(coefficients.map(value => value > median));
+}
+
+/**
+ * Compute the perceptual hashes of a slip image
+ * @param {Buffer} imageBuffer - Slip image
+ * @returns {Promise<object>} { pHash, dHash } as hex strings
+ */
+async function computeHashes(imageBuffer) {
+  const normalized = await (await preprocess(imageBuffer)).toBuffer();
+  const [p, d] = await Promise.all([pHash(normalized), dHash(normalized)]);
+  return { pHash: p, dHash: d };
+}
+
+/**
+ * Number of differing bits between two hex hashes
+ * @param {string} a - First hash
+ * @param {string} b - Second hash
+ * @returns {number} Hamming distance (Infinity when the hashes are not comparable)
+ */
+function hammingDistance(a, b) {
+  if (!a || !b || a.length !== b.length) {
+    return Infinity;
+  }
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+module.exports = {
+  HASH_BITS,
+  computeHashes,
+  hammingDistance
+};
@@ -0,0 +1,99 @@
+/**
+ * In-process store for rate limit buckets and quota counters
+ *
+ * The rate limiter only talks to its store through the async methods below,
+ * so a shared backend (e.g. Redis) can be plugged in with
+ * rateLimitService.setStore() when the API runs on several instances.
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.buckets = new Map();
+    this.counters = new Map();
+
+    // Drop expired counters and idle buckets
+    this.cleanupTimer = setInterval(() => this.cleanup(), 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Take tokens from a token bucket
+   * A cost larger than the bucket is allowed once the bucket is full and
+   * leaves it in debt, so a big batch delays the following requests instead
+   * of never fitting
+   * @param {string} key - Bucket key
+   * @param {object} options - Bucket settings
+   * @param {number} options.capacity - Maximum number of tokens (burst size)
+   * @param {number} options.refillPerSecond - Tokens added per second
+   * @param {number} options.cost - Tokens this request needs (default 1)
+   * @returns {Promise<object>} { allowed, remaining, retryAfterMs, resetMs }
+   */
+  async takeToken(key, options) {
+    const { capacity, refillPerSecond, cost = 1 } = options;
+    const now = Date.now();
+    const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now };
+
+    // Refill for the time elapsed since the last request
+    const elapsedSeconds = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(capacity, bucket.tokens + elapsedSeconds * refillPerSecond);
+    bucket.updatedAt = now;
+
+    const needed = Math.min(cost, capacity);
+    const allowed = bucket.tokens >= needed;
+    if (allowed) {
+      bucket.tokens -= cost;
+    }
+    this.buckets.set(key, bucket);
+
+    return {
+      allowed: allowed,
+      remaining: Math.max(0, Math.floor(bucket.tokens)),
+      retryAfterMs: allowed ? 0 : Math.ceil(((needed - bucket.tokens) / refillPerSecond) * 1000),
+      resetMs: Math.ceil(((capacity - bucket.tokens) / refillPerSecond) * 1000)
+    };
+  }
+
+  /**
+   * Read a counter
+   * @param {string} key - Counter key
+   * @returns {Promise<number>} Current value (0 if unknown or expired)
+   */
+  async getCounter(key) {
+    const counter = this.counters.get(key);
+    if (!counter || counter.expiresAt <= Date.now()) {
+      return 0;
+    }
+    return counter.value;
+  }
+
+  /**
+   * Increment a counter
+   * @param {string} key - Counter key
+   * @param {number} amount - Amount to add
+   * @param {number} expiresAt - Epoch milliseconds when the counter resets
+   * @returns {Promise<number>} New value
+   */
+  async incrementCounter(key, amount, expiresAt) {
+    const value = (await this.getCounter(key)) + amount;
+    this.counters.set(key, { value: value, expiresAt: expiresAt });
+    return value;
+  }
+
+  /**
+   * Remove expired counters and buckets idle for more than an hour
+   */
+  cleanup() {
+    const now = Date.now();
+    for (const [key, counter] of this.counters) {
+      if (counter.expiresAt <= now) {
+        this.counters.delete(key);
+      }
+    }
+    for (const [key, bucket] of this.buckets) {
+      if (now - bucket.updatedAt > 60 * 60 * 1000) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = MemoryRateLimitStore;
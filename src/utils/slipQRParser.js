@@ -0,0 +1,146 @@
+/**
+ * Thai Slip Verification mini-QR Payload Parser
+ *
+ * Every Thai mobile banking slip (K PLUS included) carries a small QR code
+ * whose payload follows the Bank of Thailand slip verification format,
+ * which uses EMVCo-style Tag-Length-Value fields:
+ *
+ * - Tag 00: API data (nested TLV)
+ *   - 00: API ID ("000001")
+ *   - 01: Sending bank code (e.g. "004" = KBank)
+ *   - 02: Transaction reference (same as "เลขที่รายการ" on the slip)
+ * - Tag 51: Country code ("TH")
+ * - Tag 91: CRC16-CCITT checksum of the whole payload (4 hex digits)
+ *
+ * Example (KBank slip, reference 015298170819BQR02651):
+ * 0041000600000101030040220015298170819BQR026515102TH91044220
+ */
+class SlipQRParser {
+  constructor() {
+    // Thai bank codes (รหัสธนาคาร) → registry bank codes / names
+    this.bankCodes = {
+      '002': { bank: 'BBL', name: 'Bangkok Bank' },
+      '004': { bank: 'KBANK', name: 'Kasikornbank' },
+      '006': { bank: 'KTB', name: 'Krungthai Bank' },
+      '011': { bank: 'TTB', name: 'TMBThanachart Bank' },
+      '014': { bank: 'SCB', name: 'Siam Commercial Bank' },
+      '022': { bank: 'CIMBT', name: 'CIMB Thai' },
+      '024': { bank: 'UOBT', name: 'United Overseas Bank (Thai)' },
+      '025': { bank: 'BAY', name: 'Bank of Ayudhya (Krungsri)' },
+      '030': { bank: 'GSB', name: 'Government Savings Bank' },
+      '033': { bank: 'GHB', name: 'Government Housing Bank' },
+      '034': { bank: 'BAAC', name: 'Bank for Agriculture and Agricultural Cooperatives' },
+      '067': { bank: 'TISCO', name: 'TISCO Bank' },
+      '069': { bank: 'KKP', name: 'Kiatnakin Phatra Bank' },
+      '073': { bank: 'LHB', name: 'Land and Houses Bank' }
+    };
+  }
+
+  /**
+   * Split a payload into Tag-Length-Value fields
+   * @param {string} payload - TLV encoded string
+   * @returns {Array<object>|null} Fields as { tag, length, value } or null if malformed
+   */
+  parseTLV(payload) {
+    const fields = [];
+    let position = 0;
+
+    while (position < payload.length) {
+      const tag = payload.substring(position, position + 2);
+      const length = parseInt(payload.substring(position + 2, position + 4), 10);
+
+      if (!/^\d{2}$/.test(tag) || isNaN(length) || position + 4 + length > payload.length) {
+        return null;
+      }
+
+      fields.push({
+        tag: tag,
+        length: length,
+        value: payload.substring(position + 4, position + 4 + length)
+      });
+      position += 4 + length;
+    }
+
+    return fields;
+  }
+
+  /**
+   * Calculate the CRC16-CCITT (0x1021, initial 0xFFFF) checksum used by EMVCo QR codes
+   * @param {string} data - Payload up to and including the CRC tag and length ("9104")
+   * @returns {string} 4-digit upper-case hex checksum
+   */
+  crc16(data) {
+    let crc = 0xFFFF;
+
+    for (let i = 0; i < data.length; i++) {
+      crc ^= data.charCodeAt(i) << 8;
+      for (let bit = 0; bit < 8; bit++) {
+        crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) : (crc << 1);
+        crc &= 0xFFFF;
+      }
+    }
+
+    return crc.toString(16).toUpperCase().padStart(4, '0');
+  }
+
+  /**
+   * Parse a slip verification QR payload
+   * @param {string} payload - Decoded QR text
+   * @returns {object|null} Decoded slip fields or null if not a slip QR
+   */
+  parse(payload) {
+    if (!payload || typeof payload !== 'string') {
+      return null;
+    }
+
+    const raw = payload.trim();
+    const fields = this.parseTLV(raw);
+    if (!fields) {
+      return null;
+    }
+
+    const topLevel = {};
+    fields.forEach(field => {
+      topLevel[field.tag] = field.value;
+    });
+
+    // Tag 00 holds the nested API data - without it this is not a slip QR
+    const apiFields = topLevel['00'] ? this.parseTLV(topLevel['00']) : null;
+    if (!apiFields) {
+      return null;
+    }
+
+    const apiData = {};
+    apiFields.forEach(field => {
+      apiData[field.tag] = field.value;
+    });
+
+    if (!apiData['02']) {
+      return null;
+    }
+
+    // Verify checksum when present (tag 91 must be the last field)
+    let crcValid = null;
+    if (topLevel['91']) {
+      const crcPosition = raw.lastIndexOf(`91${String(topLevel['91'].length).padStart(2, '0')}`);
+      crcValid = this.crc16(raw.substring(0, crcPosition + 4)) === topLevel['91'].toUpperCase();
+    }
+
+    const sendingBankCode = apiData['01'] || null;
+    const bankInfo = sendingBankCode ? this.bankCodes[sendingBankCode] : null;
+
+    return {
+      raw: raw,
+      apiId: apiData['00'] || null,
+      sendingBankCode: sendingBankCode,
+      sendingBank: bankInfo ? bankInfo.bank : null,
+      sendingBankName: bankInfo ? bankInfo.name : null,
+      transactionRef: apiData['02'].replace(/\s/g, '').toUpperCase(),
+      countryCode: topLevel['51'] || null,
+      crc: topLevel['91'] || null,
+      crcValid: crcValid
+    };
+  }
+}
+
+module.exports = new SlipQRParser();
@@ -0,0 +1,260 @@
+const thaiDateParser = require('./thaiDateParser');
+
+/**
+ * Statement Parser
+ *
+ * Reads KBank account statement exports into transaction rows. Two formats:
+ *   - CSV: the header row names the columns (Thai or English), account
+ *     information lines above it and totals below the rows are skipped
+ *   - Fixed-width text: one transaction per line at the column positions of
+ *     FIXED_WIDTH_LAYOUT
+ *
+ * Dates may be Buddhist Era or AD ("25/10/2568", "25-10-68", "25 ต.ค. 68"),
+ * times are Thai local time like on slips.
+ */
+
+// Header spellings of each column, compared after normalizeHeader
+const CSV_COLUMNS = {
+  date: ['date', 'transaction date', 'วันที่', 'วันที่ทำรายการ'],
+  time: ['time', 'เวลา', 'เวลาทำรายการ'],
+  description: ['description', 'transaction', 'transaction type', 'รายการ', 'ประเภทรายการ'],
+  withdrawal: ['withdrawal', 'withdrawals', 'debit', 'ถอนเงิน', 'เงินออก'],
+  deposit: ['deposit', 'deposits', 'credit', 'ฝากเงิน', 'เงินเข้า'],
+  balance: ['balance', 'outstanding balance', 'ยอดคงเหลือ'],
+  channel: ['channel', 'ช่องทาง'],
+  details: ['details', 'detail', 'รายละเอียด']
+};
+
+// Fixed-width text export: [start, length] of each column (0-based), details run to the end of the line
+//   25/10/2568 17:08:19 Transfer Deposit                          0.00        1,500.00       25,300.00 K PLUS              From X1234 MR SOMCHAI
+const FIXED_WIDTH_LAYOUT = {
+  date: [0, 10],
+  time: [11, 8],
+  description: [20, 30],
+  withdrawal: [50, 16],
+  deposit: [66, 16],
+  balance: [82, 16],
+  channel: [99, 20],
+  details: [119, Infinity]
+};
+
+class StatementParser {
+  /**
+   * Decode a statement file
+   * Exports from older KBank systems are TIS-620 (Windows-874) rather than UTF-8
+   * @param {Buffer} buffer - File contents
+   * @returns {string} Text without byte order mark
+   */
+  decode(buffer) {
+    let text;
+    try {
+      text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (error) {
+      text = new TextDecoder('windows-874').decode(buffer);
+    }
+    return text.replace(/^\uFEFF/, '');
+  }
+
+  /**
+   * Parse a statement
+   * @param {string} text - Statement text
+   * @param {string} format - "csv", "fixed" or "auto" (default: detect from the content)
+   * @returns {object} { format, rows, skippedLines }
+   */
+  parse(text, format = 'auto') {
+    const resolved = format === 'auto' ? this.detectFormat(text) : format;
+    if (resolved === 'csv') {
+      return { format: 'csv', ...this.parseCSV(text) };
+    }
+    if (resolved === 'fixed') {
+      return { format: 'fixed', ...this.parseFixedWidth(text) };
+    }
+    throw new Error(`Unknown statement format "${format}". Use csv, fixed or auto`);
+  }
+
+  /**
+   * Tell CSV from fixed-width text: a CSV export has a comma separated header row
+   * @param {string} text - Statement text
+   * @returns {string} "csv" or "fixed"
+   */
+  detectFormat(text) {
+    return this.findHeader(this.splitLines(text).map(line => this.splitCSVLine(line))) ? 'csv' : 'fixed';
+  }
+
+  /**
+   * Split text into non-empty lines
+   * @param {string} text - Statement text
+   * @returns {Array<string>} Lines
+   */
+  splitLines(text) {
+    return text.split(/\r?\n/).filter(line => line.trim() !== '');
+  }
+
+  /**
+   * Split one CSV line into fields ("quoted, fields" and "" escapes supported)
+   * @param {string} line - CSV line
+   * @returns {Array<string>} Trimmed fields
+   */
+  splitCSVLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        fields.push(field.trim());
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    fields.push(field.trim());
+    return fields;
+  }
+
+  /**
+   * Normalize a header cell: lower case, without units such as "(THB)" or "(บาท)"
+   * @param {string} header - Header cell
+   * @returns {string} Normalized header
+   */
+  normalizeHeader(header) {
+    return header.toLowerCase().replace(/\([^)]*\)/g, '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Find the header row and map columns to their index
+   * @param {Array<Array<string>>} table - CSV lines split into fields
+   * @returns {object|null} { index, columns } or null when there is no header with date and deposit columns
+   */
+  findHeader(table) {
+    for (let index = 0; index < table.length; index++) {
+      const headers = table[index].map(cell => this.normalizeHeader(cell));
+      const columns = {};
+      for (const [column, names] of Object.entries(CSV_COLUMNS)) {
+        const position = headers.findIndex(header => names.includes(header));
+        if (position !== -1) {
+          columns[column] = position;
+        }
+      }
+      if (columns.date !== undefined && columns.deposit !== undefined) {
+        return { index, columns };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Parse a CSV statement
+   * @param {string} text - Statement text
+   * @returns {object} { rows, skippedLines }
+   */
+  parseCSV(text) {
+    const table = this.splitLines(text).map(line => this.splitCSVLine(line));
+    const header = this.findHeader(table);
+    if (!header) {
+      throw new Error('CSV statement has no header row with date and deposit columns');
+    }
+
+    const rows = [];
+    let skippedLines = 0;
+    table.slice(header.index + 1).forEach(fields => {
+      const value = (column) => header.columns[column] !== undefined ? fields[header.columns[column]] || '' : '';
+      const row = this.toRow(Object.keys(CSV_COLUMNS).reduce((cells, column) => {
+        cells[column] = value(column);
+        return cells;
+      }, {}));
+      if (row) {
+        rows.push(row);
+      } else {
+        skippedLines++;
+      }
+    });
+
+    return { rows, skippedLines };
+  }
+
+  /**
+   * Parse a fixed-width text statement
+   * Lines that do not start with a date (titles, column headings, totals) are skipped
+   * @param {string} text - Statement text
+   * @returns {object} { rows, skippedLines }
+   */
+  parseFixedWidth(text) {
+    const rows = [];
+    let skippedLines = 0;
+
+    this.splitLines(text).forEach(line => {
+      const cells = {};
+      for (const [column, [start, length]] of Object.entries(FIXED_WIDTH_LAYOUT)) {
+        cells[column] = line.substr(start, length === Infinity ? undefined : length).trim();
+      }
+      const row = /^\d{1,2}[/-]\d{1,2}[/-]\d{2,4}$/.test(cells.date) ? this.toRow(cells) : null;
+      if (row) {
+        rows.push(row);
+      } else {
+        skippedLines++;
+      }
+    });
+
+    return { rows, skippedLines };
+  }
+
+  /**
+   * Parse an amount cell ("1,500.00", "", "-")
+   * @param {string} value - Cell text
+   * @returns {number|null} Amount or null when empty
+   */
+  parseAmount(value) {
+    const cleaned = String(value || '').replace(/[,\s฿]/g, '');
+    if (!cleaned || cleaned === '-') {
+      return null;
+    }
+    const amount = parseFloat(cleaned);
+    return isNaN(amount) ? null : amount;
+  }
+
+  /**
+   * Turn the cells of one line into a transaction row
+   * @param {object} cells - Cell text by column name
+   * @returns {object|null} Row or null when the line is not a transaction
+   */
+  toRow(cells) {
+    const date = thaiDateParser.parse(`${cells.date} ${cells.time || ''}`.trim());
+    if (!date) {
+      return null;
+    }
+
+    const deposit = this.parseAmount(cells.deposit);
+    const withdrawal = this.parseAmount(cells.withdrawal);
+    const isCredit = deposit !== null && deposit > 0;
+    if (!isCredit && !(withdrawal !== null && withdrawal > 0)) {
+      return null;
+    }
+
+    return {
+      bookedAt: date.iso,
+      timestamp: date.timestamp,
+      hasTime: date.hasTime,
+      type: isCredit ? 'credit' : 'debit',
+      amount: isCredit ? deposit : withdrawal,
+      balance: this.parseAmount(cells.balance),
+      description: cells.description || null,
+      channel: cells.channel || null,
+      details: cells.details || null
+    };
+  }
+}
+
+module.exports = new StatementParser();
@@ -0,0 +1,49 @@
+/**
+ * String distance helpers
+ */
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits needed to turn a into b
+ */
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a) return b ? b.length : 0;
+  if (!b) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,        // deletion
+        current[j - 1] + 1,     // insertion
+        previous[j - 1] + cost  // substitution
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Similarity ratio based on the Levenshtein distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity between 0 (different) and 1 (identical)
+ */
+function similarity(a, b) {
+  const maxLength = Math.max(a ? a.length : 0, b ? b.length : 0);
+  if (maxLength === 0) return 1;
+  return 1 - levenshtein(a, b) / maxLength;
+}
+
+module.exports = {
+  levenshtein,
+  similarity
+};
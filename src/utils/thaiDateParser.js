@@ -0,0 +1,186 @@
+/**
+ * Thai Date Parser
+ *
+ * Turns the date/time printed on Thai bank slips into a full timestamp, e.g.
+ *   "25 ต.ค. 68 17:08 น."      → 2025-10-25T17:08:00+07:00
+ *   "25 ตุลาคม 2568 - 17:08"    → 2025-10-25T17:08:00+07:00
+ *   "25 Oct 2025, 17:08:19"     → 2025-10-25T17:08:19+07:00
+ *   "25/10/2568 17:08"          → 2025-10-25T17:08:00+07:00
+ *
+ * Slips always show Thai local time (Asia/Bangkok, UTC+7, no daylight saving).
+ */
+class ThaiDateParser {
+  constructor() {
+    // Month number → accepted spellings (abbreviations without dots, full names, English)
+    this.months = {
+      1: ['มค', 'มกราคม', 'jan', 'january'],
+      2: ['กพ', 'กุมภาพันธ์', 'feb', 'february'],
+      3: ['มีค', 'มีนาคม', 'mar', 'march'],
+      4: ['เมย', 'เมษายน', 'apr', 'april'],
+      5: ['พค', 'พฤษภาคม', 'may'],
+      6: ['มิย', 'มิถุนายน', 'jun', 'june'],
+      7: ['กค', 'กรกฎาคม', 'jul', 'july'],
+      8: ['สค', 'สิงหาคม', 'aug', 'august'],
+      9: ['กย', 'กันยายน', 'sep', 'sept', 'september'],
+      10: ['ตค', 'ตุลาคม', 'oct', 'october'],
+      11: ['พย', 'พฤศจิกายน', 'nov', 'november'],
+      12: ['ธค', 'ธันวาคม', 'dec', 'december']
+    };
+
+    this.monthAbbreviations = {
+      1: 'ม.ค.', 2: 'ก.พ.', 3: 'มี.ค.', 4: 'เม.ย.', 5: 'พ.ค.', 6: 'มิ.ย.',
+      7: 'ก.ค.', 8: 'ส.ค.', 9: 'ก.ย.', 10: 'ต.ค.', 11: 'พ.ย.', 12: 'ธ.ค.'
+    };
+
+    this.offsetMinutes = 7 * 60;
+  }
+
+  /**
+   * Look up a month name
+   * @param {string} name - Month as printed (dots and spaces are ignored)
+   * @returns {number|null} Month number (1-12) or null if unknown
+   */
+  lookupMonth(name) {
+    const key = name.toLowerCase().replace(/[.\s]/g, '');
+    for (const [month, names] of Object.entries(this.months)) {
+      if (names.includes(key)) {
+        return parseInt(month, 10);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Convert a printed year to a Gregorian (AD) year
+   * 2-digit years are Buddhist Era (68 = 2568), 4-digit years above 2400 are
+   * Buddhist Era, anything else is taken as AD
+   * @param {string} value - Year as printed
+   * @returns {number} Year AD
+   */
+  toGregorianYear(value) {
+    const year = parseInt(value, 10);
+    if (value.length <= 2) {
+      return 2500 + year - 543;
+    }
+    return year > 2400 ? year - 543 : year;
+  }
+
+  /**
+   * Find the date (and time when present) in slip text
+   * @param {string} text - OCR text (a single line or the whole slip)
+   * @returns {object|null} Parsed date or null when no valid date was found
+   */
+  parse(text) {
+    if (!text) {
+      return null;
+    }
+
+    const date = this.findDate(text);
+    if (!date) {
+      return null;
+    }
+
+    // Only look for the time after the date, so a time elsewhere on the slip is not picked up
+    const time = this.findTime(text.slice(date.index + date.length));
+    const { day, month, year } = date;
+
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    if (month < 1 || month > 12 || day < 1 || day > daysInMonth) {
+      return null;
+    }
+
+    const hour = time ? time.hour : null;
+    const minute = time ? time.minute : null;
+    const second = time ? time.second : null;
+    const timestamp = Date.UTC(year, month - 1, day, hour || 0, minute || 0, second || 0) -
+      this.offsetMinutes * 60 * 1000;
+
+    return {
+      day: day,
+      month: month,
+      monthName: this.monthAbbreviations[month],
+      year: year,
+      yearBE: year + 543,
+      hour: hour,
+      minute: minute,
+      second: second,
+      hasTime: time !== null,
+      iso: this.formatISO(year, month, day, hour || 0, minute || 0, second || 0),
+      timestamp: timestamp,
+      text: date.text
+    };
+  }
+
+  /**
+   * Find a day/month/year in text
+   * @param {string} text - Text to search
+   * @returns {object|null} { day, month, year, index, length, text }
+   */
+  findDate(text) {
+    // 25 ต.ค. 68 / 25 ตุลาคม 2568 / 25 Oct 2025
+    const namedPattern = /(\d{1,2})\s*([ก-๙a-zA-Z][ก-๙a-zA-Z.\s]{0,12}?)\s*\.?\s*(\d{4}|\d{2})(?!\d)/g;
+    let match;
+    while ((match = namedPattern.exec(text)) !== null) {
+      const month = this.lookupMonth(match[2]);
+      if (month) {
+        return {
+          day: parseInt(match[1], 10),
+          month: month,
+          year: this.toGregorianYear(match[3]),
+          index: match.index,
+          length: match[0].length,
+          text: match[0].trim()
+        };
+      }
+      // Not a month - retry from the next character so an overlapping date is not skipped
+      namedPattern.lastIndex = match.index + 1;
+    }
+
+    // 25/10/2568 or 25-10-68
+    const numericMatch = text.match(/(\d{1,2})[/-](\d{1,2})[/-](\d{4}|\d{2})(?!\d)/);
+    if (numericMatch) {
+      return {
+        day: parseInt(numericMatch[1], 10),
+        month: parseInt(numericMatch[2], 10),
+        year: this.toGregorianYear(numericMatch[3]),
+        index: numericMatch.index,
+        length: numericMatch[0].length,
+        text: numericMatch[0]
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Find a time (HH:MM or HH:MM:SS) in text
+   * @param {string} text - Text to search
+   * @returns {object|null} { hour, minute, second }
+   */
+  findTime(text) {
+    const match = text.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+    if (!match) {
+      return null;
+    }
+
+    const hour = parseInt(match[1], 10);
+    const minute = parseInt(match[2], 10);
+    const second = match[3] !== undefined ? parseInt(match[3], 10) : null;
+    if (hour > 23 || minute > 59 || (second !== null && second > 59)) {
+      return null;
+    }
+
+    return { hour, minute, second };
+  }
+
+  /**
+   * Format a Bangkok local date/time as ISO 8601 with offset
+   * @returns {string} e.g. "2025-10-25T17:08:00+07:00"
+   */
+  formatISO(year, month, day, hour, minute, second) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}+07:00`;
+  }
+}
+
+module.exports = new ThaiDateParser();
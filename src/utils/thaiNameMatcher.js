@@ -0,0 +1,207 @@
+const { similarity } = require('./stringDistance');
+
+/**
+ * Thai Name Matcher
+ *
+ * Compares the recipient name read from a slip with the expected name and
+ * returns a similarity score, e.g.
+ *   "นาย ปัณฑร บ"        vs "ปัณฑร บุญมา"               → 1.00 (title dropped, surname initial)
+ *   "บจก. เอบีซี เทรดดิ้ง"  vs "บริษัท เอบีซี เทรดดิ้ง จำกัด" → 1.00 (company form dropped)
+ *   "สมซาย ใจดื"          vs "สมชาย ใจดี"                → 1.00 (OCR confused ช/ซ and ี/ื)
+ *   "Somchai Jaidee"     vs "นาย สมชาย ใจดี"             → 1.00 (transliteration)
+ *   "สม"                 vs "สมชาย ใจดี"                → 0.22 (partial names do not pass)
+ *
+ * - Honorifics (นาย, นางสาว, น.ส., Mr. ...) and company forms (บริษัท ... จำกัด,
+ *   บจก., หจก., Co., Ltd. ...) are removed before comparing
+ * - Thai names are compared on an OCR skeleton: tone marks and mai han-akat
+ *   are dropped, and vowels and consonants Tesseract mixes up share one letter
+ * - A Thai and a Latin name are both reduced to a consonant skeleton of their
+ *   pronunciation, so any common romanization matches
+ */
+
+const THAI_CHAR = /[฀-๿]/;
+
+// Longest first, so นางสาว is not read as นาง + สาว
+const TITLES = [
+  'เด็กชาย', 'เด็กหญิง', 'นางสาว', 'ด.ช.', 'ด.ญ.', 'น.ส.', 'นส.', 'นาง', 'นาย', 'คุณ', 'ดร.', 'นพ.', 'พญ.',
+  'mister', 'miss', 'mrs.', 'mrs', 'mr.', 'mr', 'ms.', 'ms', 'dr.', 'dr'
+];
+
+const COMPANY_PREFIXES = [
+  'ห้างหุ้นส่วนจำกัด', 'ห้างหุ้นส่วนสามัญ', 'ห้างหุ้นส่วน', 'บริษัท', 'บมจ.', 'บจก.', 'หจก.', 'บจ.'
+];
+
+const COMPANY_SUFFIXES = [
+  '(มหาชน)', 'มหาชน', 'จำกัด', 'จก.',
+  'public company limited', 'company limited', 'co., ltd.', 'co.,ltd.', 'co., ltd', 'co.,ltd', 'co. ltd.',
+  'co ltd', 'limited', 'ltd.', 'ltd', 'pcl', 'plc', 'inc.', 'inc', 'corp.', 'corporation', 'company', 'co.'
+];
+
+// Glyphs Tesseract confuses in Thai text → one representative
+const OCR_CONFUSIONS = {
+  'ค': 'ด', 'ฅ': 'ด', 'ช': 'ข', 'ซ': 'ข', 'ฃ': 'ข', 'ป': 'บ', 'ฝ': 'ผ', 'ฟ': 'พ', 'ฏ': 'ฎ', 'ภ': 'ถ', 'ศ': 'ส',
+  'ี': 'ิ', 'ึ': 'ิ', 'ื': 'ิ', 'ู': 'ุ'
+};
+
+// Thai consonants spelled the way romanizations write them (vowel carriers are silent)
+const ROMAN_CONSONANTS = {
+  'ก': 'k', 'ข': 'k', 'ฃ': 'k', 'ค': 'k', 'ฅ': 'k', 'ฆ': 'k', 'ง': 'ng',
+  'จ': 'ch', 'ฉ': 'ch', 'ช': 'ch', 'ซ': 's', 'ฌ': 'ch', 'ญ': 'n',
+  'ฎ': 'd', 'ฏ': 't', 'ฐ': 't', 'ฑ': 't', 'ฒ': 't', 'ณ': 'n', 'ด': 'd', 'ต': 't', 'ถ': 't', 'ท': 't', 'ธ': 't', 'น': 'n',
+  'บ': 'b', 'ป': 'p', 'ผ': 'p', 'ฝ': 'f', 'พ': 'p', 'ฟ': 'f', 'ภ': 'p', 'ม': 'm',
+  'ร': 'r', 'ฤ': 'r', 'ล': 'l', 'ฦ': 'l', 'ศ': 's', 'ษ': 's', 'ส': 's', 'ฬ': 'l'
+};
+
+const DEFAULT_MIN_SIMILARITY = 0.8;
+
+class ThaiNameMatcher {
+  constructor() {
+    this.defaultMinSimilarity = DEFAULT_MIN_SIMILARITY;
+  }
+
+  /**
+   * Reduce a name to the words that identify the person or business
+   * @param {string} name - Name as printed or entered
+   * @returns {Array<string>} Lower-case words without titles, company forms and punctuation
+   */
+  normalize(name) {
+    let text = (name || '')
+      .toLowerCase()
+      .normalize('NFC')
+      .replace(/ํา/g, 'ำ') // นิคหิต + สระอา typed for สระอำ
+      .replace(/เเ/g, 'แ') // two สระเอ typed for สระแอ
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    // Thai is written without spaces ("นายสมชาย"); Latin forms must be whole words ("Drew" is no "Dr")
+    const isWord = (char) => char === undefined || !/[a-z0-9]/.test(char);
+    const stripStart = (words) => {
+      const found = words.find(word => text.startsWith(word) &&
+        (THAI_CHAR.test(word) || isWord(text[word.length]) || word.endsWith('.')));
+      if (found) {
+        text = text.slice(found.length).trim();
+      }
+      return Boolean(found);
+    };
+    const stripEnd = (words) => {
+      const found = words.find(word => text.endsWith(word) && text.length > word.length &&
+        (THAI_CHAR.test(word) || isWord(text[text.length - word.length - 1])));
+      if (found) {
+        text = text.slice(0, -found.length).trim();
+      }
+      return Boolean(found);
+    };
+
+    // "คุณ นาย ..." and "บริษัท ... จำกัด (มหาชน)" stack several forms
+    let stripped = true;
+    while (stripped) {
+      stripped = stripStart(TITLES) || stripStart(COMPANY_PREFIXES);
+    }
+    stripped = true;
+    while (stripped) {
+      stripped = stripEnd(COMPANY_SUFFIXES);
+    }
+
+    return text
+      .replace(/[^฀-๿a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean);
+  }
+
+  /**
+   * Replace abbreviated words of the slip name with the expected word they stand for
+   * K PLUS prints the receiver's surname as an initial ("ปัณฑร บ.")
+   * @param {Array<string>} actual - Normalized words from the slip
+   * @param {Array<string>} expected - Normalized expected words
+   * @returns {Array<string>} Slip words with matching initials expanded
+   */
+  expandInitials(actual, expected) {
+    return actual.map((word, index) => {
+      const full = expected[index];
+      const isInitial = word.length === 1 && index > 0;
+      return isInitial && full && full.startsWith(word) ? full : word;
+    });
+  }
+
+  /**
+   * Spelling of a Thai name that survives OCR mistakes
+   * @param {string} text - Normalized Thai text
+   * @returns {string} Text without tone marks, with confusable glyphs merged
+   */
+  ocrSkeleton(text) {
+    return text
+      .replace(/[ั็-๎]/g, '')
+      .replace(/./g, char => OCR_CONFUSIONS[char] || char);
+  }
+
+  /**
+   * Consonant skeleton of how a name sounds, for comparing Thai with Latin script
+   * "สมชาย ใจดี" and "Somchai Jaidee" both become "smCt" (C = ch/j)
+   * @param {string} text - Normalized text (Thai, Latin or both)
+   * @returns {string} Skeleton
+   */
+  phoneticSkeleton(text) {
+    const romanized = text
+      .replace(/[ก-ฮ][ิุ]?์/g, '') // silent letters (การันต์)
+      .replace(/[฀-๿]/g, char => (ROMAN_CONSONANTS[char] !== undefined ? ROMAN_CONSONANTS[char] : ''));
+
+    return romanized
+      .replace(/[^a-z]/g, '')
+      .replace(/ng/g, 'N')
+      .replace(/tch|ch|j/g, 'C')
+      .replace(/ph/g, 'p')
+      .replace(/th/g, 't')
+      .replace(/kh|c|q|g/g, 'k')
+      .replace(/sh|z|x/g, 's')
+      .replace(/d/g, 't')
+      .replace(/[aeiouyhwv]/g, '')
+      .replace(/(.)\1+/g, '$1');
+  }
+
+  /**
+   * Compare a name from a slip with the expected name
+   * @param {string} actualName - Name read from the slip
+   * @param {string} expectedName - Expected name
+   * @param {object} options - Options
+   * @param {number} options.minSimilarity - Lowest similarity accepted (default 0.8)
+   * @returns {object} { match, similarity, method } - method is "thai", "latin" or "transliteration"
+   */
+  compare(actualName, expectedName, options = {}) {
+    const minSimilarity = typeof options.minSimilarity === 'number'
+      ? options.minSimilarity
+      : this.defaultMinSimilarity;
+
+    const expectedWords = this.normalize(expectedName);
+    const actualWords = this.expandInitials(this.normalize(actualName), expectedWords);
+    const actual = actualWords.join('');
+    const expected = expectedWords.join('');
+
+    const actualThai = THAI_CHAR.test(actual);
+    const expectedThai = THAI_CHAR.test(expected);
+    let method;
+    let score;
+    if (actualThai && expectedThai) {
+      method = 'thai';
+      score = similarity(this.ocrSkeleton(actual), this.ocrSkeleton(expected));
+    } else if (!actualThai && !expectedThai) {
+      method = 'latin';
+      score = similarity(actual, expected);
+    } else {
+      method = 'transliteration';
+      score = similarity(this.phoneticSkeleton(actual), this.phoneticSkeleton(expected));
+    }
+
+    // Nothing left to compare (e.g. only a title was read)
+    if (!actual || !expected) {
+      score = 0;
+    }
+
+    return {
+      match: score >= minSimilarity,
+      similarity: Math.round(score * 100) / 100,
+      method: method
+    };
+  }
+}
+
+module.exports = new ThaiNameMatcher();
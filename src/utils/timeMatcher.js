@@ -0,0 +1,87 @@
+/**
+ * Time Matcher
+ *
+ * Compares the time encoded in a transaction ID with the time printed on the
+ * slip. Shared by transactionParser.verifyDateTime / verifyTime and
+ * validationService.validateTime so every code path agrees.
+ *
+ * - Works on seconds, so 13:59:40 vs 14:00 is 20 seconds apart, not
+ *   "different hour"
+ * - Without dates the clock is circular: 23:59:50 vs 00:00 is 10 seconds apart
+ * - Slips usually print HH:MM only, which stands for the whole minute
+ *   (HH:MM:00 - HH:MM:59)
+ */
+
+const DEFAULT_TOLERANCE_SECONDS = 120;
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Seconds since midnight
+ * @param {object} time - { hour, minute, second }
+ * @returns {number} Seconds
+ */
+function toSecondsOfDay(time) {
+  return time.hour * 3600 + time.minute * 60 + (time.second || 0);
+}
+
+/**
+ * Wrap a difference in seconds into the range (-12h, 12h]
+ * @param {number} delta - Difference in seconds
+ * @returns {number} Shortest signed distance on a 24h clock
+ */
+function wrapDay(delta) {
+  const wrapped = ((delta % DAY_SECONDS) + DAY_SECONDS) % DAY_SECONDS;
+  return wrapped > DAY_SECONDS / 2 ? wrapped - DAY_SECONDS : wrapped;
+}
+
+/**
+ * Compare a reference time (transaction ID) with an observed time (slip)
+ * @param {object} reference - { hour, minute, second } from the transaction ID
+ * @param {object} observed - { hour, minute, second } from the slip (second null = whole minute)
+ * @param {object} options - Options
+ * @param {number} options.toleranceSeconds - Allowed difference (default 120)
+ * @param {number} options.referenceTimestamp - Full reference timestamp in ms (optional)
+ * @param {number} options.observedTimestamp - Full observed timestamp in ms (optional)
+ *   When both timestamps are given they are compared directly instead of on a 24h clock
+ * @returns {object} { match, deltaSeconds, toleranceSeconds }
+ *   deltaSeconds is observed minus reference (0 when inside the printed minute)
+ */
+function compareTimes(reference, observed, options = {}) {
+  const toleranceSeconds = typeof options.toleranceSeconds === 'number'
+    ? options.toleranceSeconds
+    : DEFAULT_TOLERANCE_SECONDS;
+  const useTimestamps = typeof options.referenceTimestamp === 'number' &&
+    typeof options.observedTimestamp === 'number';
+
+  // A slip time without seconds covers the whole minute
+  const spread = observed.second === null || observed.second === undefined ? 59 : 0;
+
+  const referenceSeconds = useTimestamps
+    ? Math.floor(options.referenceTimestamp / 1000)
+    : toSecondsOfDay(reference);
+  const observedStart = useTimestamps
+    ? Math.floor(options.observedTimestamp / 1000)
+    : toSecondsOfDay(observed);
+
+  const normalize = useTimestamps ? (delta) => delta : wrapDay;
+  const toStart = normalize(observedStart - referenceSeconds);
+  const toEnd = normalize(observedStart + spread - referenceSeconds);
+
+  let deltaSeconds;
+  if (toStart <= 0 && toEnd >= 0) {
+    deltaSeconds = 0;
+  } else {
+    deltaSeconds = Math.abs(toStart) <= Math.abs(toEnd) ? toStart : toEnd;
+  }
+
+  return {
+    match: Math.abs(deltaSeconds) <= toleranceSeconds,
+    deltaSeconds: deltaSeconds,
+    toleranceSeconds: toleranceSeconds
+  };
+}
+
+module.exports = {
+  DEFAULT_TOLERANCE_SECONDS,
+  compareTimes
+};
@@ -0,0 +1,356 @@
+const transactionParser = require('./transactionParser');
+
+/**
+ * Transaction ID Corrector
+ *
+ * Turns an OCR reading of a transaction ID into ranked candidates that fit a
+ * registered bank grammar. Every parser's PATTERN is compiled into a small
+ * automaton of character positions (e.g. KBank: "0152", 8 digits, a 4
+ * character type code, 3-5 digits) and the reading is aligned against it,
+ * allowing:
+ * - substitutions between characters OCR confuses (8/B, 0/O/Q, 1/I/T, ...)
+ * - deleting a stray character
+ *
+ * The type code is matched against the parser's known type table first; any
+ * other code the grammar allows costs extra. The cheapest readings that parse
+ * become the candidates. A reading that fits a known type as-is costs 0 and
+ * is not "repaired".
+ */
+class TransactionIdCorrector {
+  constructor() {
+    // Letters and digits OCR commonly confuses in IDs (both directions)
+    // Digit/digit pairs (3/8, 1/7) are left out: they would turn every clean
+    // digit run into a crowd of equally likely alternatives
+    this.confusions = {
+      '0': ['O', 'Q', 'D'],
+      'O': ['0', 'Q', 'D'],
+      'Q': ['0', 'O'],
+      'D': ['0', 'O'],
+      '1': ['I', 'T', 'L'],
+      'I': ['1', 'T', 'L'],
+      'T': ['1', 'I', '7'],
+      'L': ['1', 'I'],
+      '7': ['T'],
+      '8': ['B'],
+      'B': ['8', '3'],
+      '3': ['B'],
+      '5': ['S'],
+      'S': ['5'],
+      '2': ['Z'],
+      'Z': ['2'],
+      '6': ['G', 'F'],
+      'G': ['6'],
+      'F': ['6'],
+      '4': ['A'],
+      'A': ['4']
+    };
+
+    this.costs = {
+      substitution: 1,
+      deletion: 1,
+      unknownType: 2.5
+    };
+
+    // Search limits
+    this.maxCost = 4;
+    this.maxDeletions = 2;
+    this.beamWidth = 32;
+
+    this.grammars = new Map();
+  }
+
+  /**
+   * Split a grammar into character tokens
+   * Supports the regex subset the parsers use: literals, \d, [...] classes,
+   * {n} / {m,n} quantifiers and named groups
+   * @param {RegExp} pattern - Parser PATTERN
+   * @returns {Array<object>|null} Tokens as { test, min, max, group } or null if unsupported
+   */
+  tokenize(pattern) {
+    const source = pattern.source;
+    const tokens = [];
+    let group = null;
+    let i = 0;
+
+    while (i < source.length) {
+      const char = source[i];
+      let test = null;
+
+      if (char === '^' || char === '$') {
+        i++;
+        continue;
+      }
+
+      if (source.startsWith('(?<', i)) {
+        const end = source.indexOf('>', i);
+        group = source.slice(i + 3, end);
+        i = end + 1;
+        continue;
+      }
+
+      if (char === ')') {
+        group = null;
+        i++;
+        continue;
+      }
+
+      if (source.startsWith('\\d', i)) {
+        test = (c) => c >= '0' && c <= '9';
+        i += 2;
+      } else if (char === '[') {
+        const end = source.indexOf(']', i);
+        const charClass = new RegExp(`^${source.slice(i, end + 1)}$`);
+        test = (c) => charClass.test(c);
+        i = end + 1;
+      } else if (/[0-9A-Z]/.test(char)) {
+        test = (c) => c === char;
+        i++;
+      } else {
+        return null;
+      }
+
+      // Quantifier
+      let min = 1;
+      let max = 1;
+      const quantifier = source.slice(i).match(/^\{(\d+)(?:,(\d+))?\}/);
+      if (quantifier) {
+        min = parseInt(quantifier[1], 10);
+        max = quantifier[2] !== undefined ? parseInt(quantifier[2], 10) : min;
+        i += quantifier[0].length;
+      }
+
+      tokens.push({ test, min, max, group });
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Compile a parser grammar into an automaton
+   * States are numbered so every edge goes forward. Edges either read one
+   * character that passes `test`, or move on without reading (`test` null)
+   * at the given cost.
+   * @param {BankParser} parser - Registered parser
+   * @returns {object|null} { edges, final } or null if the grammar is unsupported
+   */
+  compileGrammar(parser) {
+    if (this.grammars.has(parser)) {
+      return this.grammars.get(parser);
+    }
+
+    const tokens = this.tokenize(parser.PATTERN);
+    if (!tokens) {
+      this.grammars.set(parser, null);
+      return null;
+    }
+
+    const edges = [[]];
+    const newState = () => edges.push([]) - 1;
+
+    // Chain of positions, optional positions can be skipped
+    const chain = (chainTokens, from) => {
+      let current = from;
+      chainTokens.forEach((token) => {
+        for (let n = 0; n < token.max; n++) {
+          const next = newState();
+          edges[current].push({ to: next, test: token.test, cost: 0 });
+          if (n >= token.min) {
+            edges[current].push({ to: next, test: null, cost: 0 });
+          }
+          current = next;
+        }
+      });
+      return current;
+    };
+
+    const typeTokens = tokens.filter(token => token.group === 'type');
+    const knownTypes = Object.keys(parser.transactionTypes || {}).filter((code) => {
+      const length = code.length;
+      const min = typeTokens.reduce((sum, token) => sum + token.min, 0);
+      const max = typeTokens.reduce((sum, token) => sum + token.max, 0);
+      if (length < min || length > max) {
+        return false;
+      }
+      // Every character must be allowed by the type group
+      let position = 0;
+      return typeTokens.every((token) => {
+        for (let n = 0; n < token.max && position < length; n++) {
+          if (!token.test(code[position++])) {
+            return false;
+          }
+        }
+        return true;
+      }) && position === length;
+    });
+
+    let current = 0;
+    let typeDone = false;
+    tokens.forEach((token) => {
+      if (token.group !== 'type') {
+        current = chain([token], current);
+        return;
+      }
+      if (typeDone) {
+        return;
+      }
+      typeDone = true;
+
+      // Type code: a known code, or any code the grammar allows at extra cost
+      const start = current;
+      const ends = [];
+
+      const generic = newState();
+      edges[start].push({ to: generic, test: null, cost: knownTypes.length > 0 ? this.costs.unknownType : 0 });
+      ends.push(chain(typeTokens, generic));
+
+      knownTypes.forEach((code) => {
+        const literal = code.split('').map(char => ({ test: (c) => c === char, min: 1, max: 1 }));
+        const codeStart = newState();
+        edges[start].push({ to: codeStart, test: null, cost: 0 });
+        ends.push(chain(literal, codeStart));
+      });
+
+      current = newState();
+      ends.forEach(end => edges[end].push({ to: current, test: null, cost: 0 }));
+    });
+
+    const grammar = { edges: edges, final: current };
+    this.grammars.set(parser, grammar);
+    return grammar;
+  }
+
+  /**
+   * Find the cheapest ways to read a string as a grammar
+   * @param {string} raw - Compact OCR reading (0-9, A-Z)
+   * @param {object} grammar - Compiled grammar
+   * @returns {Array<object>} Readings as { text, cost, corrections }
+   */
+  align(raw, grammar) {
+    const { edges, final } = grammar;
+    const cells = Array.from({ length: raw.length + 1 }, () => edges.map(() => new Map()));
+
+    const add = (i, state, hypothesis) => {
+      if (hypothesis.cost > this.maxCost) {
+        return;
+      }
+      const existing = cells[i][state].get(hypothesis.text);
+      if (!existing || hypothesis.cost < existing.cost) {
+        cells[i][state].set(hypothesis.text, hypothesis);
+      }
+    };
+
+    add(0, 0, { text: '', cost: 0, deletions: 0, corrections: [] });
+
+    for (let i = 0; i <= raw.length; i++) {
+      for (let state = 0; state < edges.length; state++) {
+        // Keep only the cheapest partial readings
+        const hypotheses = Array.from(cells[i][state].values())
+          .sort((a, b) => a.cost - b.cost)
+          .slice(0, this.beamWidth);
+
+        for (const hypothesis of hypotheses) {
+          const char = raw[i];
+
+          edges[state].forEach((edge) => {
+            // Move on without reading (optional position, type code branch)
+            if (!edge.test) {
+              add(i, edge.to, { ...hypothesis, cost: hypothesis.cost + edge.cost });
+              return;
+            }
+
+            if (i === raw.length) {
+              return;
+            }
+
+            // Read the character as it is, or as a character it is often confused with
+            [char, ...(this.confusions[char] || [])].forEach((candidate) => {
+              if (!edge.test(candidate)) {
+                return;
+              }
+              const substituted = candidate !== char;
+              add(i + 1, edge.to, {
+                text: hypothesis.text + candidate,
+                cost: hypothesis.cost + (substituted ? this.costs.substitution : 0),
+                deletions: hypothesis.deletions,
+                corrections: substituted
+                  ? hypothesis.corrections.concat({ position: i, from: char, to: candidate })
+                  : hypothesis.corrections
+              });
+            });
+          });
+
+          // Stray character
+          if (i < raw.length && hypothesis.deletions < this.maxDeletions) {
+            add(i + 1, state, {
+              text: hypothesis.text,
+              cost: hypothesis.cost + this.costs.deletion,
+              deletions: hypothesis.deletions + 1,
+              corrections: hypothesis.corrections.concat({ position: i, from: char, to: null })
+            });
+          }
+        }
+      }
+    }
+
+    return Array.from(cells[raw.length][final].values());
+  }
+
+  /**
+   * Generate ranked candidates for an OCR reading of a transaction ID
+   * @param {string} raw - OCR reading (non-alphanumeric characters are ignored)
+   * @param {object} options - Options
+   * @param {number} options.limit - Maximum number of candidates (default 5)
+   * @param {number} options.baseCost - Cost added to every candidate, e.g. for a less
+   *   trustworthy reading (default 0)
+   * @returns {Array<object>} Candidates sorted best first:
+   *   { transactionId, bank, type, isKnownType, confidence, cost, repaired, raw, corrections }
+   */
+  correct(raw, options = {}) {
+    const { limit = 5, baseCost = 0 } = options;
+    const compact = (raw || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+    if (compact.length === 0) {
+      return [];
+    }
+
+    const candidates = new Map();
+
+    transactionParser.parsers.forEach((parser) => {
+      const grammar = this.compileGrammar(parser);
+      if (!grammar) {
+        return;
+      }
+
+      this.align(compact, grammar).forEach((reading) => {
+        // The grammar only checks characters - the parser also checks times, dates and years
+        const parsed = parser.parse(reading.text);
+        if (!parsed) {
+          return;
+        }
+
+        const cost = reading.cost + baseCost;
+        const existing = candidates.get(reading.text);
+        if (existing && existing.cost <= cost) {
+          return;
+        }
+
+        candidates.set(reading.text, {
+          transactionId: reading.text,
+          bank: parsed.bank,
+          type: parsed.type,
+          isKnownType: parsed.isKnownType,
+          confidence: Math.round((1 / (1 + cost)) * 100) / 100,
+          cost: cost,
+          repaired: reading.corrections.length > 0,
+          raw: compact,
+          corrections: reading.corrections
+        });
+      });
+    });
+
+    return Array.from(candidates.values())
+      .sort((a, b) => a.cost - b.cost || a.corrections.length - b.corrections.length)
+      .slice(0, limit);
+  }
+}
+
+module.exports = new TransactionIdCorrector();
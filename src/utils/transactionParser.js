@@ -1,184 +1,117 @@
+const KBankParser = require('./parsers/kbankParser');
+const SCBParser = require('./parsers/scbParser');
+const BBLParser = require('./parsers/bblParser');
+const KTBParser = require('./parsers/ktbParser');
+const PromptPayParser = require('./parsers/promptPayParser');
+const thaiDateParser = require('./thaiDateParser');
+const { compareTimes } = require('./timeMatcher');
+
 /**
- * KBank (K PLUS) Transaction ID Parser
- * 
- * FORMAT STRUCTURE (20-21 characters):
- * ====================================
- * FIXED PARTS (ส่วนที่เป็นเลขตายตัว):
- * - Position 1-4: "0152" - KBank K PLUS system identifier (ALWAYS FIXED)
- * - Structure: Always follows pattern 4digits + 8digits + 4letters + 3-5digits
- * - Total Length: 20-21 characters (FIXED)
- * 
- * VARIABLE PARTS (ส่วนที่เปลี่ยนไปในแต่ละสลิป):
- * - Position 5-6: YY - Year code (98 = 2568 BE)
- * - Position 7-12: HHMMSS - Time (Hour, Minute, Second)
- * - Position 13-16: TYPE - Transaction type code (BPMO, BQR0, ATF0, etc.)
- * - Position 17-21: SEQ - Sequential transaction number (3-5 digits)
- * 
- * REGEX PATTERN: ^0152\d{8}[A-Z]{4}\d{3,5}$
- * 
- * Examples:
- * - 015298170819BQR02651 → QR Payment at 17:08:19
- * - 015298181623BPMO4591 → Bill Payment at 18:16:23
- * - 015297131932ATF05812 → Account Transfer at 13:19:32
+ * Transaction ID Parser Registry
+ *
+ * Each bank contributes its own parser (ID grammar, type table and fake-slip
+ * heuristics, see ./parsers). `parse`, `isValid` and `detectFakeSlip`
+ * auto-detect the bank from the ID and delegate to the matching parser.
+ * Parsers are tried in registration order, so KBank - the original and
+ * most common format - is always checked first.
+ *
+ * Supported formats:
+ * - KBANK      0152 + YY + HHMMSS + TYPE(4) + SEQ(3-5)   e.g. 015298170819BQR02651
+ * - SCB        YYYYMMDD + TYPE(3) + SEQ(10-14)           e.g. 20251025TRF1708190001
+ * - BBL        002 + YYMMDD + HHMMSS + TYPE(2) + SEQ(6)  e.g. 00268102517081901123456
+ * - KTB        006 + YYYYMMDD + TYPE(2) + SEQ(8-10)      e.g. 00620251025TR12345678
+ * - PROMPTPAY  YYYYMMDD + SEQ(7-12)                      e.g. 202510255360001
  */
-
 class TransactionParser {
   constructor() {
-    // Fixed prefix for all KBank K PLUS transactions
-    this.KBANK_PREFIX = '0152';
-    
-    // Valid length range (20-21 characters)
-    this.MIN_LENGTH = 20;
-    this.MAX_LENGTH = 21;
-    
-    // Main regex pattern for strict validation
-    // Type code can contain both letters AND digits (e.g., BQR0, ATF0, BPMO)
-    this.STRICT_PATTERN = /^0152\d{8}[A-Z0-9]{4}\d{3,5}$/;
-    
-    // KBank transaction types (ประเภทธุรกรรม)
-    // B-prefix = Bill/QR payments, A-prefix = Account transfers
-    this.transactionTypes = {
-      // Bill Payments
-      'BPMO': 'Bill Payment Mobile Online',
-      'BQR0': 'Bill QR Payment',
-      'BQR': 'Bill QR Payment',
-      'BPAY': 'Bill Payment',
-      
-      // Account Transfers
-      'ATF0': 'Account Transfer via Mobile',
-      'ATF': 'Account Transfer',
-      'ATMO': 'Account Transfer Mobile Online',
-      'ATMB': 'ATM Transfer',
-      
-      // App/Mobile Payments
-      'APM0': 'App Payment',
-      'APM': 'App Payment',
-      'APAY': 'App Payment',
-      
-      // QR Payments
-      'QRP0': 'QR Payment',
-      'QRPM': 'QR PromptPay',
-      
-      // Other
-      'TFMO': 'Transfer Mobile'
-    };
+    // Registered bank parsers, in detection order
+    this.parsers = [];
+
+    this.register(new KBankParser());
+    this.register(new SCBParser());
+    this.register(new BBLParser());
+    this.register(new KTBParser());
+    this.register(new PromptPayParser());
   }
 
   /**
-   * Parse KBank transaction ID with comprehensive validation
-   * @param {string} transactionId - The transaction ID to parse
-   * @returns {object} Parsed transaction data or null if invalid
+   * Register a bank parser
+   * @param {BankParser} parser - Parser instance (see ./parsers/bankParser)
    */
-  parse(transactionId) {
-    if (!transactionId || typeof transactionId !== 'string') {
-      return null;
+  register(parser) {
+    if (!parser || !parser.bank) {
+      throw new Error('Parser must define a bank code');
     }
 
-    // Clean the transaction ID (remove spaces and special characters)
-    const cleanId = transactionId.trim().replace(/\s/g, '').toUpperCase();
-
-    // First check: Must start with 0152 (KBank prefix)
-    if (!cleanId.startsWith(this.KBANK_PREFIX)) {
-      return null;
-    }
-
-    // Second check: Length must be between 20-21 characters
-    if (cleanId.length < this.MIN_LENGTH || cleanId.length > this.MAX_LENGTH) {
-      return null;
-    }
+    // Re-registering a bank replaces its parser
+    this.parsers = this.parsers.filter(existing => existing.bank !== parser.bank);
+    this.parsers.push(parser);
+  }
 
-    // Third check: Strict pattern validation
-    if (!this.STRICT_PATTERN.test(cleanId)) {
+  /**
+   * Get the parser registered for a bank
+   * @param {string} bank - Bank code (e.g. "KBANK")
+   * @returns {BankParser|null} Parser or null if not registered
+   */
+  getParser(bank) {
+    if (!bank) {
       return null;
     }
+    const code = String(bank).toUpperCase();
+    return this.parsers.find(parser => parser.bank === code) || null;
+  }
 
-    // Parse using precise regex pattern: 0152 + YY + HHMMSS + TYPE(4) + SEQ(3-5)
-    // Type code can be alphanumeric (e.g., BQR0, ATF0, BPMO)
-    const pattern = /^0152(\d{2})(\d{2})(\d{2})(\d{2})([A-Z0-9]{4})(\d{3,5})$/;
-    const match = cleanId.match(pattern);
+  /**
+   * List the registered banks
+   * @returns {Array<object>} Bank codes and names
+   */
+  getSupportedBanks() {
+    return this.parsers.map(parser => ({
+      bank: parser.bank,
+      name: parser.name,
+      pattern: parser.patternDescription,
+      transactionTypes: parser.transactionTypes
+    }));
+  }
 
-    if (!match) {
+  /**
+   * Detect which bank issued a transaction ID
+   * @param {string} transactionId - The transaction ID
+   * @param {object} options - Options
+   * @param {string} options.bank - Force a specific bank instead of auto-detecting
+   * @returns {BankParser|null} Matching parser or null
+   */
+  detectParser(transactionId, options = {}) {
+    if (!transactionId || typeof transactionId !== 'string') {
       return null;
     }
 
-    const [_, yy, hh, mm, ss, type, seq] = match;
-    
-    // Validate time components
-    const hour = parseInt(hh, 10);
-    const minute = parseInt(mm, 10);
-    const second = parseInt(ss, 10);
-    
-    if (hour > 23 || minute > 59 || second > 59) {
-      return null; // Invalid time
+    if (options.bank) {
+      return this.getParser(options.bank);
     }
 
-    // Convert year code to full Buddhist Era year
-    // Year code 98 = 2568 BE, so base year is 2470
-    const year = 2470 + parseInt(yy, 10);
-
-    // Validate year is reasonable (should be recent)
-    const currentYear = new Date().getFullYear() + 543; // Convert to BE
-    if (year < currentYear - 5 || year > currentYear + 1) {
-      return null; // Year out of reasonable range (allow up to 5 years old)
-    }
-
-    // Format time
-    const time = `${hh}:${mm}:${ss}`;
-
-    // Get transaction type description
-    const typeDescription = this.transactionTypes[type] || 'Unknown Transaction Type';
-    const isKnownType = this.transactionTypes.hasOwnProperty(type);
-
-    return {
-      raw: cleanId,
-      valid: true,
-      prefix: this.KBANK_PREFIX,
-      year: year,
-      yearCode: yy,
-      time: time,
-      hour: hour,
-      minute: minute,
-      second: second,
-      type: type,
-      typeDescription: typeDescription,
-      isKnownType: isKnownType,
-      sequence: seq,
-      length: cleanId.length,
-      timestamp: this.buildTimestamp(year, hh, mm, ss),
-      // Validation flags
-      validPrefix: true,
-      validLength: true,
-      validPattern: true,
-      validTime: true,
-      validYear: true
-    };
+    const cleanId = transactionId.trim().replace(/\s/g, '').toUpperCase();
+    return this.parsers.find(parser => parser.detect(cleanId)) || null;
   }
 
   /**
-   * Build a timestamp from parsed components
-   * Note: This is an approximation as we don't have the full date
+   * Parse a transaction ID, auto-detecting the bank
+   * @param {string} transactionId - The transaction ID to parse
+   * @param {object} options - Options (see detectParser)
+   * @returns {object} Parsed transaction data or null if invalid
    */
-  buildTimestamp(year, hh, mm, ss) {
-    try {
-      // We need the actual date to build a full timestamp
-      // For now, return time components
-      return {
-        year: year,
-        hour: parseInt(hh, 10),
-        minute: parseInt(mm, 10),
-        second: parseInt(ss, 10)
-      };
-    } catch (error) {
-      return null;
-    }
+  parse(transactionId, options = {}) {
+    const parser = this.detectParser(transactionId, options);
+    return parser ? parser.parse(transactionId) : null;
   }
 
   /**
    * Validate transaction ID format with detailed feedback
    * @param {string} transactionId - The transaction ID to validate
+   * @param {object} options - Options (see detectParser)
    * @returns {object} Validation result with details
    */
-  isValid(transactionId) {
+  isValid(transactionId, options = {}) {
     if (!transactionId || typeof transactionId !== 'string') {
       return {
         valid: false,
@@ -186,46 +119,20 @@ class TransactionParser {
       };
     }
 
-    const cleanId = transactionId.trim().replace(/\s/g, '').toUpperCase();
+    const parser = this.detectParser(transactionId, options);
 
-    // Check prefix
-    if (!cleanId.startsWith(this.KBANK_PREFIX)) {
+    if (!parser) {
+      const cleanId = transactionId.trim().replace(/\s/g, '').toUpperCase();
+      const banks = this.parsers.map(registered => registered.bank).join(', ');
       return {
         valid: false,
-        reason: `Invalid prefix. Expected "${this.KBANK_PREFIX}" (KBank K PLUS), got "${cleanId.substring(0, 4)}"`
+        reason: options.bank
+          ? `Unsupported bank "${options.bank}". Supported banks: ${banks}`
+          : `Unrecognized transaction ID format "${cleanId.substring(0, 4)}...". Supported banks: ${banks}`
       };
     }
 
-    // Check length
-    if (cleanId.length < this.MIN_LENGTH || cleanId.length > this.MAX_LENGTH) {
-      return {
-        valid: false,
-        reason: `Invalid length. Expected ${this.MIN_LENGTH}-${this.MAX_LENGTH} characters, got ${cleanId.length}`
-      };
-    }
-
-    // Check pattern
-    if (!this.STRICT_PATTERN.test(cleanId)) {
-      return {
-        valid: false,
-        reason: 'Invalid format. Expected pattern: 0152 + 8 digits + 4 letters + 3-5 digits'
-      };
-    }
-
-    // Try to parse
-    const parsed = this.parse(cleanId);
-    if (!parsed) {
-      return {
-        valid: false,
-        reason: 'Failed to parse transaction ID. May contain invalid time or year values'
-      };
-    }
-
-    return {
-      valid: true,
-      reason: 'Valid KBank K PLUS transaction ID',
-      parsed: parsed
-    };
+    return parser.isValid(transactionId);
   }
 
   /**
@@ -241,10 +148,11 @@ class TransactionParser {
   /**
    * Detect fake slips by checking for common patterns
    * @param {string} transactionId - The transaction ID to check
+   * @param {object} options - Options (see detectParser)
    * @returns {object} Detection result with risk level
    */
-  detectFakeSlip(transactionId) {
-    const validation = this.isValid(transactionId);
+  detectFakeSlip(transactionId, options = {}) {
+    const validation = this.isValid(transactionId, options);
     
     if (!validation.valid) {
       return {
@@ -256,35 +164,14 @@ class TransactionParser {
     }
 
     const parsed = validation.parsed;
-    const suspiciousReasons = [];
-    let riskLevel = 'LOW';
-
-    // Check 1: Unknown transaction type
-    if (!parsed.isKnownType) {
-      suspiciousReasons.push(`Unknown transaction type code: ${parsed.type}`);
-      riskLevel = 'MEDIUM';
-    }
-
-    // Check 2: Sequential number patterns (e.g., 11111, 12345)
-    const seq = parsed.sequence;
-    if (/^(\d)\1+$/.test(seq)) {
-      suspiciousReasons.push('Sequential number is repetitive (e.g., 1111, 2222)');
-      riskLevel = 'MEDIUM';
-    }
+    const parser = this.getParser(parsed.bank);
+    const findings = parser.detectSuspicious(parsed);
+    const suspiciousReasons = findings.map(finding => finding.reason);
 
-    // Check 3: Year too old or in future
-    const currentYear = new Date().getFullYear() + 543;
-    if (parsed.year < currentYear - 2) {
-      suspiciousReasons.push(`Transaction year ${parsed.year} is older than expected`);
-      riskLevel = 'MEDIUM';
-    } else if (parsed.year > currentYear + 1) {
-      suspiciousReasons.push(`Transaction year ${parsed.year} is in the future`);
+    let riskLevel = 'LOW';
+    if (findings.some(finding => finding.riskLevel === 'HIGH')) {
       riskLevel = 'HIGH';
-    }
-
-    // Check 4: Time components (00:00:00 is suspicious)
-    if (parsed.hour === 0 && parsed.minute === 0 && parsed.second === 0) {
-      suspiciousReasons.push('Transaction time is exactly 00:00:00 (unusual)');
+    } else if (findings.length > 0) {
       riskLevel = 'MEDIUM';
     }
 
@@ -310,9 +197,11 @@ class TransactionParser {
    * Verify transaction date and time matches the slip OCR data
    * @param {string} transactionId - The transaction ID
    * @param {string} ocrDateTime - OCR extracted date/time (e.g., "25 ต.ค. 68 17:08 น.")
+   * @param {object} options - Options
+   * @param {number} options.toleranceSeconds - Allowed time difference (default 120)
    * @returns {object} Verification result with detailed matching
    */
-  verifyDateTime(transactionId, ocrDateTime) {
+  verifyDateTime(transactionId, ocrDateTime, options = {}) {
     const parsed = this.parse(transactionId);
     
     if (!parsed) {
@@ -333,73 +222,101 @@ class TransactionParser {
       };
     }
 
+    // Some banks encode neither date nor time in the ID - nothing to compare against
+    if (parsed.hour === null && !parsed.date) {
+      return {
+        valid: null,
+        skipped: true,
+        message: `${parsed.bankName} transaction IDs do not encode the time`,
+        dateMatch: null,
+        timeMatch: null
+      };
+    }
+
     // Parse OCR date/time (format: "25 ต.ค. 68 17:08 น.")
-    // Extract year (last 2 digits before time)
-    const yearMatch = ocrDateTime.match(/\s(\d{2})\s+(\d{1,2}):(\d{2})/);
-    const timeMatch = ocrDateTime.match(/(\d{1,2}):(\d{2})/);
-    
-    let dateMatches = true; // Default to true - year validation is unreliable
-    let timeMatches = false;
-    let ocrYear = null;
-    let ocrHour = null;
-    let ocrMinute = null;
-
-    // Extract OCR year but DON'T validate against transaction ID
-    // Reason: Position 5-6 in transaction ID is NOT always the year
-    // - For ATF transactions: position 5-6 = "97" (System Batch ID)
-    // - For BQR/BPMO: position 5-6 = "98" (System Batch ID)
-    // The actual year comes from the slip date, not the transaction ID
-    if (yearMatch) {
-      ocrYear = parseInt(yearMatch[1], 10);
-      // Don't compare years - they use different numbering systems
-      dateMatches = true;
+    const ocrDate = thaiDateParser.parse(ocrDateTime);
+    const ocrTime = ocrDate && ocrDate.hasTime ? ocrDate : thaiDateParser.findTime(ocrDateTime);
+
+    // Compare the date only when the ID carries one (e.g. SCB, BBL, KTB).
+    // KBank IDs do not: position 5-6 is a system batch code (see kbankParser)
+    let dateMatches = null;
+    if (parsed.date) {
+      dateMatches = ocrDate !== null &&
+        ocrDate.yearBE === parsed.date.year &&
+        ocrDate.month === parsed.date.month &&
+        ocrDate.day === parsed.date.day;
     }
 
     // Check time from transaction ID vs OCR
-    if (timeMatch) {
-      ocrHour = parseInt(timeMatch[1], 10);
-      ocrMinute = parseInt(timeMatch[2], 10);
-      
-      const hourMatches = parsed.hour === ocrHour;
-      const minuteDiff = Math.abs(parsed.minute - ocrMinute);
-      const minuteMatches = minuteDiff <= 2; // Allow 2-minute tolerance
-      
-      timeMatches = hourMatches && minuteMatches;
+    let timeMatches = null;
+    let comparison = null;
+    if (parsed.hour !== null) {
+      timeMatches = false;
+      if (ocrTime) {
+        // With a date on both sides compare real timestamps, otherwise on a 24h clock
+        const fullDates = parsed.date !== null && ocrDate !== null && ocrDate.hasTime;
+        comparison = compareTimes(parsed, ocrTime, {
+          toleranceSeconds: options.toleranceSeconds,
+          referenceTimestamp: fullDates ? this.toBangkokTimestamp(parsed) : undefined,
+          observedTimestamp: fullDates ? ocrDate.timestamp : undefined
+        });
+        timeMatches = comparison.match;
+
+        // 23:59:50 on the 24th and 00:00 on the 25th are the same moment give or take seconds
+        if (fullDates && comparison.match) {
+          dateMatches = true;
+        }
+      }
     }
 
-    const overallMatch = dateMatches && timeMatches;
+    const overallMatch = dateMatches !== false && timeMatches !== false;
+    const matched = [dateMatches && 'date', timeMatches && 'time'].filter(Boolean).join(' and ');
+    const pad = (value) => String(value).padStart(2, '0');
+    const formatDate = (date) => date ? `${date.day}/${date.month}/${date.year}` : '-';
+    const formatTime = (time) => time ? `${time.hour}:${pad(time.minute)}` : '-';
 
     return {
       valid: overallMatch,
       dateMatch: dateMatches,
       timeMatch: timeMatches,
+      deltaSeconds: comparison ? comparison.deltaSeconds : null,
+      toleranceSeconds: comparison ? comparison.toleranceSeconds : null,
       transactionDateTime: {
         year: parsed.year,
         yearCode: parsed.yearCode,
+        date: parsed.date,
         time: parsed.time,
         hour: parsed.hour,
-        minute: parsed.minute
+        minute: parsed.minute,
+        second: parsed.second
       },
       ocrDateTime: {
         raw: ocrDateTime,
-        year: ocrYear ? 2470 + ocrYear : null,
-        yearCode: ocrYear,
-        hour: ocrHour,
-        minute: ocrMinute
+        year: ocrDate ? ocrDate.yearBE : null,
+        yearCode: ocrDate ? ocrDate.yearBE % 100 : null,
+        month: ocrDate ? ocrDate.month : null,
+        day: ocrDate ? ocrDate.day : null,
+        hour: ocrTime ? ocrTime.hour : null,
+        minute: ocrTime ? ocrTime.minute : null,
+        second: ocrTime ? ocrTime.second : null,
+        iso: ocrDate && ocrDate.hasTime ? ocrDate.iso : null
       },
       message: overallMatch
-        ? 'Date and time match between transaction ID and OCR'
-        : `Mismatch - Transaction: Time ${parsed.hour}:${String(parsed.minute).padStart(2, '0')} | OCR: Year ${ocrYear}, Time ${ocrHour}:${String(ocrMinute).padStart(2, '0')}`
+        ? `${matched.charAt(0).toUpperCase()}${matched.slice(1)} ${matched.includes(' and ') ? 'match' : 'matches'} between transaction ID and OCR`
+        : `Mismatch - Transaction: Date ${formatDate(parsed.date)}, Time ${parsed.hour !== null ? formatTime(parsed) : '-'} | ` +
+          `OCR: Date ${ocrDate ? formatDate({ day: ocrDate.day, month: ocrDate.month, year: ocrDate.yearBE }) : '-'}, Time ${formatTime(ocrTime)}`
     };
   }
 
   /**
    * Verify transaction time matches the slip time (legacy method)
    * @param {string} transactionId - The transaction ID
-   * @param {string} slipTime - Time from slip (format: "HH:MM" or "HH:MM น.")
+   * @param {string} slipTime - Time from slip (format: "HH:MM", "HH:MM:SS" or "HH:MM น.")
+   * @param {object} options - Options
+   * @param {number} options.toleranceSeconds - Allowed time difference (default 120)
    * @returns {object} Verification result
    */
-  verifyTime(transactionId, slipTime) {
+  verifyTime(transactionId, slipTime, options = {}) {
     const parsed = this.parse(transactionId);
     
     if (!parsed) {
@@ -416,6 +333,14 @@ class TransactionParser {
       };
     }
 
+    if (parsed.hour === null) {
+      return {
+        valid: null,
+        skipped: true,
+        message: `${parsed.bankName} transaction IDs do not encode the time`
+      };
+    }
+
     // Clean and parse slip time (remove "น." and extra spaces)
     const cleanSlipTime = slipTime.trim().replace(/น\.|น$/g, '').trim();
     const slipTimeParts = cleanSlipTime.split(':');
@@ -429,26 +354,33 @@ class TransactionParser {
 
     const slipHour = parseInt(slipTimeParts[0], 10);
     const slipMinute = parseInt(slipTimeParts[1], 10);
+    const slipSecond = slipTimeParts[2] !== undefined ? parseInt(slipTimeParts[2], 10) : null;
 
-    // Compare hour and minute (allow 2 minute difference for processing time)
-    const hourMatch = parsed.hour === slipHour;
-    const minuteDiff = Math.abs(parsed.minute - slipMinute);
-    const minuteMatch = minuteDiff <= 2;
-
-    const timeMatch = hourMatch && minuteMatch;
+    const comparison = compareTimes(parsed, { hour: slipHour, minute: slipMinute, second: slipSecond }, options);
 
     return {
-      valid: timeMatch,
+      valid: comparison.match,
       transactionTime: parsed.time,
       slipTime: `${String(slipHour).padStart(2, '0')}:${String(slipMinute).padStart(2, '0')}`,
-      hourMatch: hourMatch,
-      minuteMatch: minuteMatch,
-      message: timeMatch 
+      deltaSeconds: comparison.deltaSeconds,
+      toleranceSeconds: comparison.toleranceSeconds,
+      message: comparison.match 
         ? 'Time matches' 
-        : `Time mismatch: Transaction ${parsed.time} vs Slip ${slipHour}:${slipMinute}`
+        : `Time mismatch: Transaction ${parsed.time} vs Slip ${slipHour}:${slipMinute} (${comparison.deltaSeconds}s apart)`
     };
   }
 
+  /**
+   * Build the Bangkok timestamp of a parsed transaction ID that encodes date and time
+   * @param {object} parsed - Parsed transaction ID
+   * @returns {number} Epoch milliseconds
+   */
+  toBangkokTimestamp(parsed) {
+    const { year, month, day } = parsed.date;
+    return Date.UTC(year - 543, month - 1, day, parsed.hour, parsed.minute, parsed.second || 0) -
+      7 * 60 * 60 * 1000;
+  }
+
   /**
    * Extract year from transaction ID
    * @param {string} transactionId - The transaction ID
@@ -0,0 +1,122 @@
+/**
+ * Test script for masked account extraction and the expected account check
+ * Uses a temporary data directory so the real registry is never touched
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'account-matching-'));
+
+const { findAccounts, matchAccount } = require('./src/utils/accountMatcher');
+const ocrService = require('./src/services/ocrService');
+const validationService = require('./src/services/validationService');
+const { mockSlip } = require('./testHelpers');
+
+console.log('=== ACCOUNT MATCHING TEST ===\n');
+
+const kplusText = [
+  '25 ต.ค. 68 17:08 น.',
+  'นาย สมชาย ใจดี',
+  'ธ.กสิกรไทย',
+  'xxx-x-x1234-x',
+  'ร้านค้า ABC',
+  'พร้อมเพย์',
+  'XXX-XXX-5678',
+  'เลขที่รายการ: 015298170819BQR02651',
+  'จำนวน: 1,500.00 บาท'
+].join('\n');
+
+const accountCheck = (validation) => validation.checks.find(check => check.name === 'expectedAccount');
+
+(async () => {
+  const tests = [];
+
+  // 1. Account formats
+  const found = findAccounts('xxx-x-x1234-x  xxx-xxx-5678  X-XXXX-XXXXX-12-3  25-10-2568  015298170819BQR02651');
+  tests.push({
+    description: 'Masked bank accounts and PromptPay IDs are found, dates and IDs are not',
+    passed: found.length === 3 &&
+      found[0].account === 'xxx-x-x1234-x' && found[0].accountType === 'bank' &&
+      found[1].account === 'xxx-xxx-5678' && found[1].accountType === 'promptpay' &&
+      found[2].account === 'x-xxxx-xxxxx-12-3' && found[2].accountType === 'promptpay'
+  });
+
+  // 2. Masked digits against full accounts
+  tests.push({
+    description: 'Visible digits must agree with the full account at the same positions',
+    passed: matchAccount('xxx-x-x1234-x', '123-4-51234-0').match === true &&
+      matchAccount('xxx-x-x1234-x', '1234599990').match === false &&
+      matchAccount('xxx-x-x1234-x', '0812312349').match === true &&
+      matchAccount('xxx-xxx-5678', '081234567').match === false &&
+      matchAccount('xxx-x-xxxxx-x', '1234512340').match === null
+  });
+
+  // 3. Parties of a K PLUS slip
+  const parties = ocrService.extractParties(kplusText);
+  const labelled = ocrService.extractParties('จาก นาย ก xxx-x-x1234-x\nถึง บริษัท ข จำกัด\nx-xxxx-xxxxx-12-3');
+  tests.push({
+    description: 'Sender and receiver get their own account, names lose the digits',
+    passed: parties.sender.account === 'xxx-x-x1234-x' && parties.sender.accountType === 'bank' &&
+      parties.receiver.account === 'xxx-xxx-5678' && parties.receiver.accountType === 'promptpay' &&
+      labelled.sender.name === 'นาย ก' && labelled.sender.account === 'xxx-x-x1234-x' &&
+      labelled.receiver.name === 'บริษัท ข จำกัด' && labelled.receiver.account === 'x-xxxx-xxxxx-12-3'
+  });
+
+  // 4. Layout mode fills in an account the full-page pass missed
+  const { slip: merged, used } = ocrService.mergeLayoutFields(
+    { sender: { name: 'นาย ก', account: null, accountType: null }, receiver: { name: 'ร้าน ข', account: 'xxx-x-x9999-x', accountType: 'bank' } },
+    {
+      sender: { text: 'จาก นาย ก xxx-x-x1234-x', confidence: 90 },
+      receiver: { text: 'ถึง ร้าน ข xxx-x-x5555-x', confidence: 90 }
+    }
+  );
+  tests.push({
+    description: 'Layout accounts only fill gaps',
+    passed: merged.sender.name === 'นาย ก' && merged.sender.account === 'xxx-x-x1234-x' &&
+      merged.receiver.account === 'xxx-x-x9999-x' && used.includes('sender') && !used.includes('receiver')
+  });
+
+  // 5. Matching account passes
+  const matching = validationService.validateSlip(mockSlip({ transactionId: '015298170819BQR02651', receiver: { name: 'ร้านค้า ABC', account: 'xxx-x-x1234-x' } }), { account: '123-4-51234-0' });
+  tests.push({
+    description: 'Slip paid into the expected account passes the account check',
+    passed: matching.valid === true && accountCheck(matching).status === 'pass' &&
+      matching.details.accountValidation.visibleDigits === 4 &&
+      validationService.generateReport(matching).includes('To Account: xxx-x-x1234-x ✓')
+  });
+
+  // 6. Other account is rejected, even with the right name
+  const other = validationService.validateSlip(mockSlip({ transactionId: '015298170819BQR02652', receiver: { name: 'ร้านค้า ABC', account: 'xxx-x-x9876-x' } }), {
+    recipient: 'ร้านค้า ABC',
+    account: '1234512340'
+  });
+  tests.push({
+    description: 'Slip paid into another account is rejected',
+    passed: other.valid === false && accountCheck(other).status === 'fail' &&
+      other.errors.some(error => error.startsWith('Account mismatch')) &&
+      validationService.generateReport(other, { locale: 'th' }).includes('✗ เลขบัญชีผู้รับเงินไม่ตรงกับบัญชีของร้าน')
+  });
+
+  // 7. Unreadable account fails - cropping the account line must not skip the check
+  const unread = validationService.validateSlip(mockSlip({ transactionId: '015298170819BQR02653', receiver: { name: 'ร้านค้า ABC', account: null } }), { account: '1234512340' });
+  const noDigits = validationService.validateSlip(mockSlip({ transactionId: '015298170819BQR02654', receiver: { name: 'ร้านค้า ABC', account: 'xxx-x-xxxxx-x' } }), { account: '1234512340' });
+  tests.push({
+    description: 'Slip without a readable account fails the account check',
+    passed: unread.valid === false && accountCheck(unread).status === 'fail' && accountCheck(unread).score === 0 &&
+      unread.errors.some(error => error.startsWith('Receiving account could not be read')) &&
+      validationService.generateReport(unread).includes('To Account: unreadable ✗ expected 1234512340') &&
+      noDigits.valid === false && accountCheck(noDigits).status === 'fail'
+  });
+
+  tests.forEach((test, index) => {
+    console.log(`Test ${index + 1}: ${test.description}`);
+    console.log(`  Status:   ${test.passed ? '✅ PASS' : '❌ FAIL'}\n`);
+  });
+
+  await ocrService.terminate();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+
+  console.log('=== TEST COMPLETED ===');
+})();
@@ -0,0 +1,211 @@
+/**
+ * Test script for batch uploads (/api/slip/verify-batch)
+ * ZIP archives are unpacked with their entry count and inflated sizes capped,
+ * PDF pages are only rendered while the batch has room, on a local server.
+ * OCR is replaced by fixed slip data, and a temporary data directory keeps
+ * the real registry and history untouched
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const express = require('express');
+const sharp = require('sharp');
+const AdmZip = require('adm-zip');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-upload-'));
+process.env.BATCH_MAX_SLIPS = '4';
+process.env.MAX_FILE_SIZE = String(1024 * 1024);
+process.env.BATCH_MAX_UNZIPPED_SIZE = String(1536 * 1024);
+
+const ocrService = require('./src/services/ocrService');
+const slipImageService = require('./src/services/slipImageService');
+const slipRoutes = require('./src/routes/slipRoutes');
+const { mockSlip } = require('./testHelpers');
+
+console.log('=== BATCH UPLOAD TEST ===\n');
+
+const zipOf = (files) => {
+  const zip = new AdmZip();
+  Object.entries(files).forEach(([name, buffer]) => zip.addFile(name, buffer));
+  return zip.toBuffer();
+};
+
+// Minimal PDF with the given number of blank pages
+const createPDF = (pageCount) => {
+  const objects = ['<< /Type /Catalog /Pages 2 0 R >>', null];
+  const kids = Array.from({ length: pageCount }, () => {
+    objects.push('<< /Type /Page /Parent 2 0 R /MediaBox [0 0 200 300] >>');
+    return `${objects.length} 0 R`;
+  });
+  objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+};
+
+// Make the headers of a one-entry ZIP claim a tiny uncompressed size
+const understateSize = (zipBuffer, size) => {
+  const patched = Buffer.from(zipBuffer);
+  patched.writeUInt32LE(size, 22);
+  const central = patched.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+  patched.writeUInt32LE(size, central + 24);
+  return patched;
+};
+
+(async () => {
+  const tests = [];
+
+  const png = await sharp({
+    create: { width: 200, height: 300, channels: 3, background: { r: 255, g: 255, b: 255 } }
+  }).png().toBuffer();
+  // PNG content passes through unconverted, so padding makes large but cheap slips
+  const paddedPng = (size) => Buffer.concat([png, Buffer.alloc(size - png.length)]);
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/slip', slipRoutes);
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api/slip/verify-batch`;
+
+  const upload = async (files) => {
+    const form = new FormData();
+    files.forEach(({ name, buffer, type }) => form.append('slips', new Blob([buffer], { type: type }), name));
+    const response = await fetch(baseUrl, { method: 'POST', body: form });
+    return { status: response.status, body: await response.json() };
+  };
+  const uploadZip = (buffer) => upload([{ name: 'slips.zip', buffer: buffer, type: 'application/zip' }]);
+
+  const parseSlip = ocrService.parseSlip;
+  let ocrCalls = 0;
+  ocrService.parseSlip = async () => {
+    ocrCalls++;
+    return mockSlip({ transactionId: `015298170819BQR0265${ocrCalls}`, amount: 40.00 });
+  };
+
+  const inflateRawSync = zlib.inflateRawSync;
+  let inflated = 0;
+  zlib.inflateRawSync = (...args) => {
+    inflated++;
+    return inflateRawSync(...args);
+  };
+
+  // 1. Slip entries are unpacked, other entries skipped
+  const unpacked = await uploadZip(zipOf({
+    'slip1.png': png,
+    'folder/slip2.png': png,
+    'notes.txt': Buffer.from('not a slip'),
+    '__MACOSX/._slip1.png': png
+  }));
+  tests.push({
+    description: 'ZIP slip entries are verified and other entries are skipped',
+    passed: unpacked.status === 200 && unpacked.body.summary.total === 2 &&
+      unpacked.body.results.map(result => result.name).sort().join(',') === 'folder/slip2.png,slip1.png' &&
+      unpacked.body.results.every(result => result.success)
+  });
+
+  // 2. Too many entries - nothing is inflated
+  const callsBefore = ocrCalls;
+  inflated = 0;
+  const crowded = await uploadZip(zipOf(Object.fromEntries(
+    Array.from({ length: 200 }, (value, index) => [`slip${index}.png`, png])
+  )));
+  tests.push({
+    description: 'ZIP with more slips than the batch limit is refused before inflating',
+    passed: crowded.status === 400 && crowded.body.error === 'Too many slips in batch. Maximum is 4' &&
+      inflated === 0 && ocrCalls === callsBefore
+  });
+
+  // 3. Entry lying about its size
+  const bomb = understateSize(zipOf({ 'bomb.png': paddedPng(8 * 1024 * 1024) }), 1000);
+  const bombed = await uploadZip(bomb);
+  tests.push({
+    description: 'Entry that inflates past the file size limit is stopped, whatever its header says',
+    passed: bomb.length < 64 * 1024 && bombed.status === 400 &&
+      bombed.body.error === 'ZIP entry bomb.png exceeds the maximum file size' && ocrCalls === callsBefore
+  });
+
+  // 4. Entries under the file limit that add up past the batch size
+  const heavy = await uploadZip(zipOf({
+    'big1.png': paddedPng(900 * 1024),
+    'big2.png': paddedPng(900 * 1024)
+  }));
+  tests.push({
+    description: 'Inflated entries together may not pass the batch size limit',
+    passed: heavy.status === 400 && heavy.body.error.startsWith('ZIP contents exceed the maximum batch size') &&
+      ocrCalls === callsBefore
+  });
+
+  // 5. Broken archive
+  const broken = await uploadZip(Buffer.from('PK\u0003\u0004 definitely not a zip'));
+  tests.push({
+    description: 'Unreadable ZIP is answered with 400',
+    passed: broken.status === 400 && broken.body.error === 'slips.zip is not a readable ZIP archive'
+  });
+
+  // 6. PDF pages are only rendered while the batch has room
+  const rasterizePDF = slipImageService.rasterizePDF;
+  let rendered = 0;
+  slipImageService.rasterizePDF = async (...args) => {
+    const pages = await rasterizePDF.apply(slipImageService, args);
+    rendered += pages.length;
+    return pages;
+  };
+  const longPdf = await upload([
+    { name: 'statement.pdf', buffer: createPDF(8), type: 'application/pdf' },
+    { name: 'slip1.png', buffer: png, type: 'image/png' }
+  ]);
+  const fittingPdf = await upload([
+    { name: 'slips.pdf', buffer: createPDF(3), type: 'application/pdf' },
+    { name: 'slip1.png', buffer: png, type: 'image/png' }
+  ]);
+  slipImageService.rasterizePDF = rasterizePDF;
+  tests.push({
+    description: 'PDF pages beyond the room left in the batch are not rendered',
+    passed: longPdf.status === 400 && longPdf.body.error === 'Too many slips in batch. Maximum is 4' &&
+      fittingPdf.status === 200 && fittingPdf.body.summary.total === 4 &&
+      fittingPdf.body.results[0].name === 'slips.pdf#page-1' &&
+      rendered === 4 + 3
+  });
+
+  // 7. One unreadable file only fails its own slip
+  const mixed = await upload([
+    { name: 'slip1.png', buffer: png, type: 'image/png' },
+    { name: 'broken.png', buffer: Buffer.from('not an image at all'), type: 'image/png' },
+    { name: 'slips.zip', buffer: zipOf({ 'slip2.png': png, 'broken.pdf': Buffer.from('%PDF-1.4 truncated') }), type: 'application/zip' }
+  ]);
+  const failed = mixed.status === 200 ? mixed.body.results.filter(result => !result.success) : [];
+  tests.push({
+    description: 'Unreadable files become failed slips and the rest of the batch is verified',
+    passed: mixed.status === 200 && mixed.body.summary.total === 4 && mixed.body.summary.failedCount === 2 &&
+      mixed.body.summary.validCount === 2 &&
+      failed.map(result => result.name).sort().join(',') === 'broken.pdf,broken.png' &&
+      failed.every(result => result.code === 'INVALID_SLIP_FILE')
+  });
+
+  zlib.inflateRawSync = inflateRawSync;
+  ocrService.parseSlip = parseSlip;
+
+  tests.forEach((test, index) => {
+    console.log(`Test ${index + 1}: ${test.description}`);
+    console.log(`  Status:   ${test.passed ? '✅ PASS' : '❌ FAIL'}\n`);
+  });
+
+  server.closeAllConnections();
+  server.close();
+  await ocrService.terminate();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+
+  console.log('=== TEST COMPLETED ===');
+})();
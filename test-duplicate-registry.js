@@ -0,0 +1,75 @@
+/**
+ * Test script for the duplicate slip registry
+ * Uses a temporary data directory so the real registry is never touched
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'slip-registry-'));
+
+const validationService = require('./src/services/validationService');
+const JsonStore = require('./src/utils/jsonStore');
+const { rejects } = require('./testHelpers');
+
+console.log('=== DUPLICATE SLIP REGISTRY TEST ===\n');
+
+const mockSlipData = {
+  success: true,
+  transactionId: '015298170819BQR02651',
+  amount: 1500.00,
+  dateTime: {
+    date: '26/10/2568',
+    time: '17:08'
+  },
+  recipient: 'ร้านค้า ABC',
+  ocrConfidence: 85
+};
+
+const first = validationService.validateSlip(mockSlipData, { amount: 1500.00 });
+const second = validationService.validateSlip(mockSlipData, { amount: 1500.00 });
+const editedAmount = validationService.validateSlip({ ...mockSlipData, amount: 15000.00 });
+
+// A registry file that no longer parses must be kept, not reset
+const corruptPath = path.join(process.env.DATA_DIR, 'corrupt-registry.json');
+const corruptContent = '{"entries": [{"transactionId": "015298170819BQR02651"';
+fs.writeFileSync(corruptPath, corruptContent);
+const corruptStore = new JsonStore('corrupt-registry.json', { entries: [] });
+const loadError = rejects(() => corruptStore.load());
+const updateError = rejects(() => corruptStore.update(data => data.entries.push({ transactionId: 'new' })));
+
+const tests = [
+  {
+    description: 'First submission is accepted',
+    passed: first.valid === true && first.duplicateOf === null
+  },
+  {
+    description: 'Re-submission is rejected as duplicate',
+    passed: second.valid === false &&
+      second.duplicateOf !== null &&
+      second.duplicateOf.verificationId === first.verificationId
+  },
+  {
+    description: 'Re-submission carries a duplicate error',
+    passed: second.errors.some(error => error.startsWith('Duplicate slip'))
+  },
+  {
+    description: 'Same ID with another amount is warned about',
+    passed: editedAmount.warnings.some(warning => warning.includes('different amount'))
+  },
+  {
+    description: 'Unparseable store file fails loudly and is not overwritten',
+    passed: loadError !== null && loadError.message.includes('is not valid JSON') &&
+      updateError !== null && fs.readFileSync(corruptPath, 'utf8') === corruptContent
+  }
+];
+
+tests.forEach((test, index) => {
+  console.log(`Test ${index + 1}: ${test.description}`);
+  console.log(`  Status:   ${test.passed ? '✅ PASS' : '❌ FAIL'}\n`);
+});
+
+fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+
+console.log('=== TEST COMPLETED ===');
@@ -0,0 +1,138 @@
+/**
+ * Test script for locating the extracted fields on the slip
+ * OCR lines are built by hand with word boxes, so the chosen line, the field
+ * box and whether it was narrowed down to the field's own words can be checked
+ * without running OCR
+ */
+
+const sharp = require('sharp');
+const ocrService = require('./src/services/ocrService');
+
+console.log('=== FIELD LOCATIONS TEST ===\n');
+
+// OCR line with one word per space-separated piece, 10px per character
+const ocrLine = (text, y, confidence = 90) => {
+  let x = 20;
+  const words = text.split(' ').filter(Boolean).map((piece) => {
+    const word = {
+      text: piece,
+      confidence: confidence,
+      bbox: { x0: x, y0: y, x1: x + piece.length * 10, y1: y + 20 }
+    };
+    x = word.bbox.x1 + 10;
+    return word;
+  });
+  return {
+    text: `${text}\n`,
+    confidence: confidence,
+    bbox: { x0: 20, y0: y, x1: x - 10, y1: y + 20 },
+    words: words
+  };
+};
+
+const lines = [
+  ocrLine('โอนเงินสำเร็จ', 20),
+  ocrLine('25 ต.ค. 68 17:08 น.', 60),
+  ocrLine('นาย สมชาย ใจดี', 100),
+  ocrLine('ร้านค้า ABC', 140),
+  ocrLine('เลขที่รายการ: 015298170819BQR02651', 180, 80),
+  ocrLine('จำนวน: 1,500.00 บาท', 220, 70)
+];
+
+(async () => {
+  const tests = [];
+
+  // 1. Scaling boxes back to the original image
+  tests.push({
+    description: 'Boxes are scaled and rounded to the original image',
+    passed: JSON.stringify(ocrService.scaleBBox({ x0: 10, y0: 15, x1: 101, y1: 33 }, { x: 0.5, y: 1.5 })) ===
+      JSON.stringify({ x0: 5, y0: 23, x1: 51, y1: 50 }) &&
+      ocrService.scaleBBox(null, { x: 2, y: 2 }) === null
+  });
+
+  // 2. Scale between the original and the preprocessed image
+  const original = await sharp({
+    create: { width: 400, height: 800, channels: 3, background: { r: 255, g: 255, b: 255 } }
+  }).png().toBuffer();
+  const processed = await sharp(original).resize(1000, 2000).png().toBuffer();
+  const scale = await ocrService.getScale(original, processed);
+  const same = await ocrService.getScale(original, original);
+  const unreadable = await ocrService.getScale(original, Buffer.from('not an image'));
+  tests.push({
+    description: 'Scale maps preprocessed coordinates back, and is 1 when sizes are unknown',
+    passed: scale.x === 0.4 && scale.y === 0.4 && same.x === 1 && same.y === 1 &&
+      unreadable.x === 1 && unreadable.y === 1
+  });
+
+  const locations = ocrService.locateFields({
+    transactionId: '015298170819BQR02651',
+    amount: 1500,
+    dateTime: { rawOCR: '25 ต.ค. 68 17:08 น.' },
+    sender: { name: 'นาย สมชาย ใจดี' },
+    receiver: { name: 'ร้านค้า ABC' }
+  }, lines);
+
+  // 3. Transaction ID narrowed to its own word
+  const id = locations.transactionId;
+  tests.push({
+    description: 'Transaction ID box covers only the ID word of its line',
+    passed: id !== null && id.line === 'เลขที่รายการ: 015298170819BQR02651' && id.wordMatched === true &&
+      id.words.length === 1 && id.words[0].text === '015298170819BQR02651' &&
+      JSON.stringify(id.bbox) === JSON.stringify(lines[4].words[1].bbox) &&
+      id.confidence === 80 && id.lineConfidence === 80
+  });
+
+  // 4. Amount read with thousands separators, and the date line
+  tests.push({
+    description: 'Amount is found with thousands separators and the date by its raw text',
+    passed: locations.amount !== null && locations.amount.wordMatched === true &&
+      locations.amount.words.map(word => word.text).join(' ') === '1,500.00' &&
+      locations.amount.bbox.y0 === 220 &&
+      locations.dateTime !== null && locations.dateTime.line === '25 ต.ค. 68 17:08 น.' &&
+      locations.dateTime.wordMatched === false && locations.dateTime.words.length === 5
+  });
+
+  // 5. Names cover the words of the name
+  tests.push({
+    description: 'Party names cover the words of their name',
+    passed: locations.sender.line === 'นาย สมชาย ใจดี' && locations.sender.wordMatched === true &&
+      locations.sender.words.length === 3 &&
+      JSON.stringify(locations.sender.bbox) === JSON.stringify(lines[2].bbox) &&
+      locations.receiver.line === 'ร้านค้า ABC' && locations.receiver.bbox.y0 === 140
+  });
+
+  // 6. ID misread on the slip, and a line too different to be the ID
+  const misread = ocrService.locateFields({ transactionId: '015298170819BQR02651' }, [
+    ocrLine('015298170819BOR0265I', 60, 60),
+    ocrLine('0152 9999999999', 100)
+  ]);
+  const unrelated = ocrService.locateFields({ transactionId: '015298170819BQR02651' }, [ocrLine('0152 9999999999', 100)]);
+  tests.push({
+    description: 'ID read with a few OCR errors is still located, an unrelated line is not',
+    passed: misread.transactionId !== null && misread.transactionId.line === '015298170819BOR0265I' &&
+      misread.transactionId.lineConfidence === 60 &&
+      unrelated.transactionId === null
+  });
+
+  // 7. No matching word, a line without words, missing fields
+  const noWordMatch = ocrService.locateLine([ocrLine('ยอด 40.00', 50)], () => 1, 1, () => false);
+  const noWords = ocrService.locateLine([{ ...ocrLine('ยอด 40.00', 50), words: [] }], () => 1, 1, () => true);
+  const empty = ocrService.locateFields({ transactionId: null, amount: null, dateTime: null, sender: null, receiver: { name: null } }, lines);
+  tests.push({
+    description: 'Without matching words the whole line is used, and missing fields are null',
+    passed: noWordMatch.wordMatched === false && noWordMatch.words.length === 2 &&
+      JSON.stringify(noWordMatch.bbox) === JSON.stringify({ x0: 20, y0: 50, x1: 110, y1: 70 }) &&
+      noWords.wordMatched === false && noWords.bbox.x1 === 110 && noWords.confidence === 90 &&
+      Object.values(empty).every(location => location === null) && Object.keys(empty).length === 5 &&
+      ocrService.locateLine(lines, () => 0.5, 0.7) === null
+  });
+
+  tests.forEach((test, index) => {
+    console.log(`Test ${index + 1}: ${test.description}`);
+    console.log(`  Status:   ${test.passed ? '✅ PASS' : '❌ FAIL'}\n`);
+  });
+
+  await ocrService.terminate();
+
+  console.log('=== TEST COMPLETED ===');
+})();
@@ -0,0 +1,100 @@
+/**
+ * Test script for the verification history
+ * Uses a temporary data directory so the real history is never touched
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'slip-history-'));
+
+const validationService = require('./src/services/validationService');
+const historyService = require('./src/services/historyService');
+
+console.log('=== VERIFICATION HISTORY TEST ===\n');
+
+const mockSlipData = {
+  success: true,
+  transactionId: '015298170819BQR02651',
+  amount: 1500.00,
+  dateTime: {
+    date: '26/10/2568',
+    time: '17:08'
+  },
+  recipient: 'ร้านค้า ABC',
+  ocrConfidence: 85
+};
+
+const imageBuffer = Buffer.from('fake slip image');
+const validation = validationService.validateSlip(mockSlipData, {}, { duplicateCheck: false });
+
+const recorded = historyService.record({ success: true, validation, slipData: mockSlipData }, imageBuffer);
+historyService.record({ success: false, error: 'Failed to parse slip image', details: 'blurry' }, imageBuffer, { source: 'batch' });
+
+const byType = historyService.search({ type: 'bqr0', minAmount: 1000, maxAmount: 2000 });
+const invalid = historyService.search({ valid: false });
+const future = historyService.search({ from: new Date(Date.now() + 60000).toISOString() });
+const paged = historyService.search({ page: 2, limit: 1 });
+
+const tests = [
+  {
+    description: 'Record keeps verdict, type and image hash',
+    passed: recorded.id === validation.verificationId &&
+      recorded.type === 'BQR0' &&
+      recorded.riskLevel === validation.fakeSlipDetection.riskLevel &&
+      recorded.imageHash === historyService.hashImage(imageBuffer)
+  },
+  {
+    description: 'Lookup by ID returns the stored record',
+    passed: historyService.get(recorded.id) !== null && historyService.get('missing') === null
+  },
+  {
+    description: 'Type and amount filters match',
+    passed: byType.items.length === 1 && byType.items[0].id === recorded.id
+  },
+  {
+    description: 'Failed parses are recorded as invalid',
+    passed: invalid.items.length === 1 && invalid.items[0].source === 'batch'
+  },
+  {
+    description: 'Date range excludes records outside it',
+    passed: future.pagination.total === 0
+  },
+  {
+    description: 'Pagination splits results',
+    passed: paged.items.length === 1 && paged.pagination.total === 2 && paged.pagination.totalPages === 2
+  }
+];
+
+// Retention and record limit
+const day = 24 * 60 * 60 * 1000;
+const now = Date.parse('2025-10-26T10:00:00Z');
+const aged = (days) => ({ id: `aged-${days}`, createdAt: new Date(now - days * day).toISOString() });
+const kept = [aged(120), aged(91), aged(89), aged(10), aged(1)];
+historyService.retentionDays = 90;
+historyService.maxRecords = 2;
+const droppedByLimit = historyService.prune(kept, now);
+const unlimited = [aged(400), aged(1)];
+historyService.retentionDays = 0;
+historyService.maxRecords = 0;
+const droppedNone = historyService.prune(unlimited, now);
+historyService.maxRecords = 2;
+historyService.record({ success: false, error: 'Failed to parse slip image' }, imageBuffer);
+const afterLimit = historyService.search({});
+
+tests.push({
+  description: 'Records past the retention period and the oldest beyond the limit are dropped',
+  passed: droppedByLimit === 3 && kept.map(entry => entry.id).join(',') === 'aged-10,aged-1' &&
+    droppedNone === 0 && unlimited.length === 2 &&
+    afterLimit.pagination.total === 2 && historyService.get(recorded.id) === null
+});
+
+tests.forEach((test, index) => {
+  console.log(`Test ${index + 1}: ${test.description}`);
+  console.log(`  Status:   ${test.passed ? '✅ PASS' : '❌ FAIL'}\n`);
+});
+
+fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+
+console.log('=== TEST COMPLETED ===');
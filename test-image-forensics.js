@@ -0,0 +1,318 @@
+/**
+ * Test script for image forensics (ELA, JPEG structure, metadata, typography)
+ * Uses synthetic slips: rows of box-shaped "digits" on a white background,
+ * and a slip rendered with a real font and saved as JPEG like a shared slip
+ */
+
+const sharp = require('sharp');
+const forensicsService = require('./src/services/forensicsService');
+const validationService = require('./src/services/validationService');
+const scoringPolicyService = require('./src/services/scoringPolicyService');
+
+console.log('=== IMAGE FORENSICS TEST ===\n');
+
+const WIDTH = 600;
+const HEIGHT = 700;
+
+const fill = (pixels, x0, y0, x1, y1, value) => {
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      pixels[y * WIDTH + x] = value;
+    }
+  }
+};
+
+// Box digit, optionally shifted down or drawn bold
+const drawGlyph = (pixels, x, y, options = {}) => {
+  const stroke = options.bold ? 6 : 3;
+  const top = y + (options.shift || 0);
+  fill(pixels, x, top, x + 14, top + stroke, 30);
+  fill(pixels, x, top + 22 - stroke, x + 14, top + 22, 30);
+  fill(pixels, x, top, x + stroke, top + 22, 30);
+  fill(pixels, x + 14 - stroke, top, x + 14, top + 22, 30);
+  fill(pixels, x, top + 10, x + 14, top + 12, 30);
+};
+
+const drawLine = (pixels, y, count, glyphOptions = {}) => {
+  for (let i = 0; i < count; i++) {
+    drawGlyph(pixels, 40 + i * 20, y, glyphOptions[i] || {});
+  }
+  const bbox = { x0: 38, y0: y - 2, x1: 40 + count * 20, y1: y + 30 };
+  return { text: '0'.repeat(count), confidence: 90, bbox: bbox, words: [{ text: '0'.repeat(count), confidence: 90, bbox: bbox }] };
+};
+
+// Eight text lines and the amount line at the bottom
+const createSlip = (amountOptions = {}) => {
+  const pixels = Buffer.alloc(WIDTH * HEIGHT, 255);
+  const lines = [];
+  for (let k = 0; k < 8; k++) {
+    lines.push(drawLine(pixels, 40 + k * 60, 10 + (k % 3) * 3));
+  }
+  const amount = drawLine(pixels, 540, 6, amountOptions);
+  lines.push(amount);
+  return { pixels, lines, fieldLocations: { amount: { bbox: amount.bbox, words: amount.words, wordMatched: true } } };
+};
+
+// Photo-like texture, where JPEG block grids are measurable
+const createTexture = () => {
+  const pixels = Buffer.alloc(WIDTH * HEIGHT);
+  let seed = 1;
+  for (let i = 0; i < pixels.length; i++) {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    const x = i % WIDTH;
+    const y = Math.floor(i / WIDTH);
+    const value = 120 + 80 * Math.sin(x / 37) * Math.cos(y / 53) + (seed / 2147483648) * 30 - 15;
+    pixels[i] = Math.max(0, Math.min(255, Math.round(value)));
+  }
+  return pixels;
+};
+
+const encode = (pixels) => sharp(pixels, { raw: { width: WIDTH, height: HEIGHT, channels: 1 } });
+
+// PNG with a tEXt chunk inserted after IHDR
+const addPNGText = (png, keyword, text) => {
+  const crcTable = Array.from({ length: 256 }, (value, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+  });
+  const crc32 = (buffer) => {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+      crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  };
+
+  const body = Buffer.concat([Buffer.from('tEXt'), Buffer.from(`${keyword}\0${text}`, 'latin1')]);
+  const chunk = Buffer.alloc(body.length + 8);
+  chunk.writeUInt32BE(body.length - 4, 0);
+  body.copy(chunk, 4);
+  chunk.writeUInt32BE(crc32(body), body.length + 4);
+  return Buffer.concat([png.subarray(0, 33), chunk, png.subarray(33)]);
+};
+
+const checksOf = (result) => result.findings.map(finding => finding.check);
+
+// Slip rendered from SVG text; every line is located by its ink like OCR would
+const renderSlip = async (amountSvg) => {
+  const width = 480;
+  const height = 640;
+  const rows = [
+    { y: 60, size: 26, text: 'Transfer successful' },
+    { y: 120, size: 22, text: '25 Oct 2025 17:08' },
+    { y: 180, size: 22, text: 'From Mr Somchai Jaidee' },
+    { y: 230, size: 22, text: 'xxx-x-x1234-x' },
+    { y: 300, size: 22, text: 'To ABC Shop' },
+    { y: 350, size: 22, text: 'xxx-x-x6789-x' },
+    { y: 420, size: 22, text: 'Ref 015298170819BQR02651' }
+  ];
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    '<rect width="100%" height="100%" fill="white"/>' +
+    rows.map(row => `<text x="40" y="${row.y}" font-size="${row.size}" font-family="sans-serif">${row.text}</text>`).join('') +
+    `<text x="40" y="520" font-size="40" font-family="sans-serif">${amountSvg}</text>` +
+    '<text x="300" y="520" font-size="26" font-family="sans-serif">Baht</text></svg>';
+  const jpeg = await sharp(Buffer.from(svg)).jpeg({ quality: 85 }).toBuffer();
+  const { data } = await sharp(jpeg).greyscale().raw().toBuffer({ resolveWithObject: true });
+
+  const inkBox = (x0, y0, x1, y1) => {
+    const box = { x0: x1, y0: y1, x1: x0, y1: y0 };
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        if (data[y * width + x] < 128) {
+          box.x0 = Math.min(box.x0, x);
+          box.y0 = Math.min(box.y0, y);
+          box.x1 = Math.max(box.x1, x + 1);
+          box.y1 = Math.max(box.y1, y + 1);
+        }
+      }
+    }
+    return { x0: box.x0 - 2, y0: box.y0 - 2, x1: box.x1 + 2, y1: box.y1 + 2 };
+  };
+
+  const lines = rows.map((row) => {
+    const bbox = inkBox(0, row.y - row.size, width, row.y + Math.ceil(row.size * 0.35));
+    return { text: row.text, confidence: 90, bbox: bbox, words: [{ text: row.text, confidence: 90, bbox: bbox }] };
+  });
+  const amountWord = { text: '1,500.00', confidence: 90, bbox: inkBox(0, 480, 280, 535) };
+  const baht = { text: 'Baht', confidence: 90, bbox: inkBox(280, 480, width, 535) };
+  lines.push({
+    text: '1,500.00 Baht',
+    confidence: 90,
+    bbox: inkBox(0, 480, width, 535),
+    words: [amountWord, baht]
+  });
+
+  return {
+    buffer: jpeg,
+    lines: lines,
+    fieldLocations: { amount: { bbox: amountWord.bbox, words: [amountWord], wordMatched: true } }
+  };
+};
+
+const mockSlipData = (forensics) => ({
+  success: true,
+  transactionId: '015298170819BQR02651',
+  amount: 1500.00,
+  dateTime: {
+    date: '26/10/2568',
+    time: '17:08'
+  },
+  recipient: 'ร้านค้า ABC',
+  ocrConfidence: 85,
+  forensics: forensics
+});
+
+(async () => {
+  const tests = [];
+
+  // 1. Untouched slip
+  const clean = createSlip();
+  const cleanResult = await forensicsService.analyze(await encode(clean.pixels).png().toBuffer(), clean);
+  tests.push({
+    description: 'Untouched PNG slip has no findings',
+    passed: cleanResult.findings.length === 0 && cleanResult.ela.regions.amount !== undefined &&
+      cleanResult.ela.regions.amount.byQuality.length === forensicsService.elaQualities.length
+  });
+
+  // 2. Amount pasted into a slip that was saved as JPEG before
+  const saved = await encode(clean.pixels).jpeg({ quality: 70 }).toBuffer();
+  const edited = await sharp(saved).greyscale().raw().toBuffer();
+  const fresh = createSlip();
+  for (let y = 536; y < 570; y++) {
+    fresh.pixels.copy(edited, y * WIDTH + 36, y * WIDTH + 36, y * WIDTH + 170);
+  }
+  const elaResult = await forensicsService.analyze(await encode(edited).png().toBuffer(), clean);
+  tests.push({
+    description: 'Amount pasted into a resaved slip is caught by error level analysis',
+    passed: elaResult.findings.some(finding => finding.check === 'ela' && finding.field === 'amount')
+  });
+
+  // 3. Editing software in EXIF
+  const photoshop = await encode(clean.pixels).jpeg({ quality: 90 })
+    .withExif({ IFD0: { Software: 'Adobe Photoshop 25.0' } })
+    .toBuffer();
+  const exifResult = await forensicsService.analyze(photoshop, clean);
+  tests.push({
+    description: 'Photoshop in EXIF Software is reported',
+    passed: checksOf(exifResult).includes('metadata') && exifResult.metadata.software.includes('Adobe Photoshop 25.0')
+  });
+
+  // 4. Editing software in a PNG text chunk
+  const gimp = addPNGText(await encode(clean.pixels).png().toBuffer(), 'Software', 'GIMP 2.10.36');
+  const pngTextResult = await forensicsService.analyze(gimp, clean);
+  tests.push({
+    description: 'GIMP in a PNG text chunk is reported',
+    passed: pngTextResult.findings.some(finding => finding.check === 'metadata' && finding.reason.includes('GIMP'))
+  });
+
+  // 5. JPEG cropped and saved again
+  const texture = createTexture();
+  const first = await encode(texture).jpeg({ quality: 70 }).toBuffer();
+  const cropped = await sharp(first)
+    .extract({ left: 3, top: 5, width: WIDTH - 3, height: HEIGHT - 5 })
+    .jpeg({ quality: 92 })
+    .toBuffer();
+  const croppedResult = await forensicsService.analyze(cropped);
+  tests.push({
+    description: 'Shifted block grid of an earlier compression is reported',
+    passed: croppedResult.jpeg.doubleCompression === true && checksOf(croppedResult).includes('jpeg')
+  });
+
+  // 6. Single compression
+  const single = await forensicsService.analyze(await encode(texture).jpeg({ quality: 70 }).toBuffer());
+  tests.push({
+    description: 'JPEG saved once has no JPEG findings',
+    passed: single.jpeg.doubleCompression === false && single.jpeg.quantization.luminance.quality === 70 &&
+      !checksOf(single).includes('jpeg')
+  });
+
+  // 7. Digit off the baseline
+  const shifted = createSlip({ 3: { shift: 5 } });
+  const shiftedResult = await forensicsService.analyze(await encode(shifted.pixels).png().toBuffer(), shifted);
+  tests.push({
+    description: 'Amount digit off the baseline is reported',
+    passed: shiftedResult.findings.some(finding => finding.check === 'typography' && /baseline/.test(finding.reason))
+  });
+
+  // 8. Bold digit
+  const bold = createSlip({ 4: { bold: true } });
+  const boldResult = await forensicsService.analyze(await encode(bold.pixels).png().toBuffer(), bold);
+  tests.push({
+    description: 'Amount digit in a different weight is reported',
+    passed: boldResult.findings.some(finding => finding.check === 'typography' && /Stroke weight/.test(finding.reason))
+  });
+
+  // 9. Amount found only by its line - the label and currency are in another font
+  const lineOnly = createSlip({ 3: { shift: 5 } });
+  lineOnly.fieldLocations.amount.wordMatched = false;
+  const lineOnlyResult = await forensicsService.analyze(await encode(lineOnly.pixels).png().toBuffer(), lineOnly);
+  tests.push({
+    description: 'Amount located by its whole line is not checked for typography',
+    passed: lineOnlyResult.typography.fields.amount === undefined && !checksOf(lineOnlyResult).includes('typography')
+  });
+
+  // 10-11. Slip rendered with a real font and saved as JPEG
+  const rendered = await renderSlip('1,500.00');
+  const renderedResult = await forensicsService.analyze(rendered.buffer, rendered);
+  const retyped = await renderSlip('1,5<tspan font-weight="bold">0</tspan>0.00');
+  const retypedResult = await forensicsService.analyze(retyped.buffer, retyped);
+  tests.push({
+    description: 'Rendered slip saved as JPEG has no findings',
+    passed: renderedResult.format === 'jpeg' && renderedResult.findings.length === 0 &&
+      renderedResult.ela.regions.amount !== undefined && renderedResult.typography.fields.amount.glyphs === 6
+  });
+  tests.push({
+    description: 'Digit retyped in bold on the rendered slip is reported',
+    passed: retypedResult.findings.some(finding => finding.check === 'typography' && finding.field === 'amount')
+  });
+
+  // 12-14. Findings raise the fake slip risk
+  const passing = validationService.validateSlip(mockSlipData(cleanResult), {}, { duplicateCheck: false });
+  const reviewed = validationService.validateSlip(mockSlipData(shiftedResult), {}, { duplicateCheck: false });
+  const forensicsCheck = reviewed.checks.find(check => check.name === 'imageForensics');
+  tests.push({
+    description: 'Typography finding makes the slip MEDIUM risk and fails the imageForensics check',
+    passed: passing.fakeSlipDetection.riskLevel === 'LOW' &&
+      passing.checks.find(check => check.name === 'imageForensics').status === 'pass' &&
+      reviewed.fakeSlipDetection.riskLevel === 'MEDIUM' &&
+      reviewed.fakeSlipDetection.reasons.some(reason => /baseline/.test(reason)) &&
+      reviewed.fakeSlipDetection.imageFindings.length === shiftedResult.findings.length &&
+      reviewed.details.authenticity === 'Review required' &&
+      forensicsCheck.status === 'fail' && forensicsCheck.weight === 10 && forensicsCheck.score === 0 &&
+      reviewed.score < passing.score
+  });
+
+  const photoshopped = validationService.validateSlip(mockSlipData(exifResult), {}, { duplicateCheck: false });
+  const pasted = validationService.validateSlip(mockSlipData(elaResult), {}, { duplicateCheck: false });
+  tests.push({
+    description: 'Editing software in the metadata or an edited amount region rejects the slip as HIGH risk',
+    passed: photoshopped.valid === false && photoshopped.fakeSlipDetection.riskLevel === 'HIGH' &&
+      photoshopped.fakeSlipDetection.reasons.some(reason => reason.includes('Photoshop')) &&
+      photoshopped.errors.some(error => error.startsWith('High risk fake slip') && error.includes('Photoshop')) &&
+      validationService.generateReport(photoshopped).includes('Image Forensics: ✗ 1 finding(s)') &&
+      pasted.valid === false && pasted.fakeSlipDetection.riskLevel === 'HIGH' &&
+      pasted.fakeSlipDetection.reasons.some(reason => reason.includes('amount region'))
+  });
+
+  const disabled = validationService.validateSlip(mockSlipData(exifResult), {}, {
+    duplicateCheck: false,
+    policy: { checks: { imageForensics: { enabled: false } } }
+  });
+  tests.push({
+    description: 'A policy can switch image forensics off, a sender policy cannot relax it',
+    passed: disabled.fakeSlipDetection.riskLevel === 'LOW' &&
+      !disabled.checks.some(check => check.name === 'imageForensics') &&
+      scoringPolicyService.validate({ checks: { imageForensics: { enabled: false } } }, { sender: true })
+        .includes('checks.imageForensics cannot be changed by a sender policy')
+  });
+
+  tests.forEach((test, index) => {
+    console.log(`Test ${index + 1}: ${test.description}`);
+    console.log(`  Status:   ${test.passed ? '✅ PASS' : '❌ FAIL'}\n`);
+  });
+
+  console.log('=== TEST COMPLETED ===');
+})();
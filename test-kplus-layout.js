@@ -0,0 +1,77 @@
+/**
+ * Test script for K PLUS layout mode (field regions and merging)
+ */
+
+const kplusLayout = require('./src/utils/kplusLayout');
+const ocrService = require('./src/services/ocrService');
+
+console.log('=== K PLUS LAYOUT TEST ===\n');
+
+const word = (text, x0, y0, x1, y1) => ({ text, confidence: 80, bbox: { x0, y0, x1, y1 } });
+const line = (text, words, bbox) => ({ text, confidence: 80, words, bbox });
+
+const lines = [
+  line('25 ต.ค. 68 17:08 น.', [word('25', 20, 20, 50, 50), word('17:08', 200, 20, 280, 50)], { x0: 20, y0: 20, x1: 320, y1: 50 }),
+  line('เลขที่รายการ:', [word('เลขที่รายการ:', 20, 300, 220, 330)], { x0: 20, y0: 300, x1: 220, y1: 330 }),
+  line('0152981708198ดู802651', [word('0152981708198ดู802651', 20, 340, 420, 370)], { x0: 20, y0: 340, x1: 420, y1: 370 }),
+  line('จำนวน: 1,500.00 บาท', [word('จำนวน:', 20, 400, 120, 430), word('1,500.00', 300, 400, 420, 430), word('บาท', 430, 400, 480, 430)], { x0: 20, y0: 400, x1: 480, y1: 430 }),
+  line('ค่าธรรมเนียม: 0.00 บาท', [], { x0: 20, y0: 450, x1: 480, y1: 480 })
+];
+const imageSize = { width: 500, height: 600 };
+const regions = kplusLayout.findRegions(lines, {}, imageSize);
+
+const tests = [
+  {
+    description: 'K PLUS template is recognized from its labels',
+    passed: kplusLayout.matches(lines) === true && kplusLayout.matches([line('hello', [], null)]) === false
+  },
+  {
+    description: 'Transaction ID region is the line below the label',
+    passed: regions.transactionId && regions.transactionId.y0 < 340 && regions.transactionId.y1 > 370 &&
+      regions.transactionId.y0 > 330
+  },
+  {
+    description: 'Amount region covers only the value after the label',
+    passed: regions.amount && regions.amount.x0 > 120 && regions.amount.x0 <= 300 && regions.amount.x1 >= 480
+  },
+  {
+    description: 'Regions are clamped to the image',
+    passed: Object.values(regions).filter(Boolean).every(region =>
+      region.x0 >= 0 && region.y0 >= 0 && region.x1 <= imageSize.width && region.y1 <= imageSize.height)
+  },
+  {
+    description: 'Valid transaction ID is cut out of whitelisted text with stray characters',
+    passed: ocrService.findValidTransactionId('QR015298170819BQR02651') === '015298170819BQR02651'
+  },
+  {
+    description: 'Layout fields replace the full-page ID and amount, names only fill gaps',
+    passed: (() => {
+      const { slip, used } = ocrService.mergeLayoutFields(
+        { transactionId: '0152981708198QR802651', transactionIdSource: 'ocr', amount: 1.5, dateTime: null, sender: { name: 'นาย ก', account: null, accountType: null }, receiver: null },
+        {
+          transactionId: { text: '015298170819BQR02651', confidence: 90 },
+          amount: { text: '1,500.00', confidence: 90 },
+          sender: { text: 'จาก นาย ข', confidence: 90 },
+          receiver: { text: 'ถึง บริษัท ค', confidence: 90 }
+        }
+      );
+      return slip.transactionId === '015298170819BQR02651' && slip.transactionIdSource === 'layout' &&
+        slip.amount === 1500 && slip.sender.name === 'นาย ก' && slip.receiver.name === 'บริษัท ค' &&
+        !used.includes('sender');
+    })()
+  },
+  {
+    description: 'Unreadable layout ID keeps the full-page ID',
+    passed: ocrService.mergeLayoutFields(
+      { transactionId: '015298170819BQR02651', transactionIdSource: 'ocr' },
+      { transactionId: { text: 'Q8Z', confidence: 30 } }
+    ).slip.transactionId === '015298170819BQR02651'
+  }
+];
+
+tests.forEach((test, index) => {
+  console.log(`Test ${index + 1}: ${test.description}`);
+  console.log(`  Status:   ${test.passed ? '✅ PASS' : '❌ FAIL'}\n`);
+});
+
+console.log('=== TEST COMPLETED ===');
@@ -0,0 +1,201 @@
+/**
+ * Test script for the LINE webhook
+ * A local server stands in for the LINE Messaging API (message content and
+ * reply endpoints). OCR is replaced by fixed slip data, so the test covers
+ * everything from the signed request to the Thai reply without Tesseract
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const express = require('express');
+const sharp = require('sharp');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'line-webhook-'));
+process.env.LINE_CHANNEL_SECRET = 'test-channel-secret';
+process.env.LINE_CHANNEL_ACCESS_TOKEN = 'test-access-token';
+
+const ocrService = require('./src/services/ocrService');
+const validationService = require('./src/services/validationService');
+const pendingOrderService = require('./src/services/pendingOrderService');
+const lineService = require('./src/services/lineService');
+const lineRoutes = require('./src/routes/lineRoutes');
+
+console.log('=== LINE WEBHOOK TEST ===\n');
+
+const mockSlipData = {
+  success: true,
+  transactionId: '015298170819BQR02651',
+  amount: 1500.00,
+  dateTime: {
+    date: '26/10/2568',
+    time: '17:08'
+  },
+  recipient: 'ร้านค้า ABC',
+  ocrConfidence: 85
+};
+
+const sign = (body) => crypto.createHmac('sha256', process.env.LINE_CHANNEL_SECRET).update(body).digest('base64');
+
+const imageEvent = (messageId, userId) => ({
+  type: 'message',
+  mode: 'active',
+  replyToken: `reply-${messageId}`,
+  source: { type: 'user', userId: userId },
+  message: { id: messageId, type: 'image', contentProvider: { type: 'line' } }
+});
+
+(async () => {
+  const tests = [];
+
+  const png = await sharp({
+    create: { width: 200, height: 300, channels: 3, background: { r: 255, g: 255, b: 255 } }
+  }).png().toBuffer();
+
+  // Mock LINE API: image content by message ID, replies collected per reply token
+  const replies = {};
+  const waiting = {};
+  const contentAuth = [];
+  const lineApi = http.createServer((req, res) => {
+    const content = req.url.match(/^\/v2\/bot\/message\/([^/]+)\/content$/);
+    if (req.method === 'GET' && content) {
+      contentAuth.push(req.headers.authorization);
+      if (content[1] === 'text-file') {
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+        return res.end('this is not an image');
+      }
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      return res.end(png);
+    }
+    if (req.method === 'POST' && req.url === '/v2/bot/message/reply') {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      return req.on('end', () => {
+        const body = JSON.parse(Buffer.concat(chunks).toString());
+        replies[body.replyToken] = body.messages.map(message => message.text);
+        (waiting[body.replyToken] || (() => {}))();
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{}');
+      });
+    }
+    res.writeHead(404);
+    res.end();
+  });
+  await new Promise(resolve => lineApi.listen(0, '127.0.0.1', resolve));
+  lineService.apiBaseUrl = lineService.dataApiBaseUrl = `http://127.0.0.1:${lineApi.address().port}`;
+
+  const app = express();
+  app.use('/webhooks', lineRoutes);
+  const webhook = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => webhook.once('listening', resolve));
+  const webhookUrl = `http://127.0.0.1:${webhook.address().port}/webhooks/line`;
+
+  const post = (body, signature) => fetch(webhookUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Line-Signature': signature },
+    body: body
+  });
+  const replyTo = (event) => new Promise(resolve => {
+    waiting[event.replyToken] = () => resolve(replies[event.replyToken]);
+  });
+
+  const parseSlip = ocrService.parseSlip;
+  let slipData = mockSlipData;
+  ocrService.parseSlip = async () => ({ ...slipData });
+
+  // 1. Signature
+  const body = JSON.stringify({ destination: 'U0', events: [] });
+  tests.push({
+    description: 'Signature is checked against the exact request body',
+    passed: lineService.verifySignature(Buffer.from(body), sign(body)) &&
+      !lineService.verifySignature(Buffer.from(body.replace('U0', 'U1')), sign(body)) &&
+      !lineService.verifySignature(Buffer.from(body), 'short') &&
+      !lineService.verifySignature(Buffer.from(body), undefined)
+  });
+
+  // 2. Webhook answers: bad signature, console verification request
+  const rejected = await post(body, sign('other body'));
+  const accepted = await post(body, sign(body));
+  tests.push({
+    description: 'Webhook refuses a bad signature and accepts a signed request',
+    passed: rejected.status === 401 && accepted.status === 200
+  });
+
+  // 3. Thai verdict
+  const report = validationService.generateReport(
+    validationService.validateSlip({ ...mockSlipData, transactionId: '015298170819BQR02660' }, { amount: 1400 }),
+    { locale: 'th' }
+  );
+  tests.push({
+    description: 'Thai report names the failed checks in Thai',
+    passed: report.startsWith('❌ สลิปไม่ผ่านการตรวจสอบ') && report.includes('015298170819BQR02660') &&
+      report.includes('ยอดที่ต้องชำระ: 1,400.00 บาท') && report.includes('✗ จำนวนเงินไม่ตรงกับยอดที่ต้องชำระ')
+  });
+
+  // 4. Pending orders
+  let invalidAmount = null;
+  try {
+    pendingOrderService.setOrder('U-bad', { amount: -5 });
+  } catch (error) {
+    invalidAmount = error;
+  }
+  pendingOrderService.setOrder('U-paid', { amount: 1500, reference: 'INV-001' });
+  pendingOrderService.setOrder('U-short', { amount: '2000' });
+  tests.push({
+    description: 'Pending orders are validated and stored per chat user',
+    passed: invalidAmount !== null && invalidAmount.statusCode === 400 &&
+      pendingOrderService.getOrder('U-short').amount === 2000 && pendingOrderService.listOrders().length === 2 &&
+      JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, 'pending-orders.json'))).orders['U-paid'].reference === 'INV-001'
+  });
+
+  // 5. Slip matching the pending order settles it
+  const paidEvent = imageEvent('m-paid', 'U-paid');
+  const paidReply = replyTo(paidEvent);
+  const paidBody = JSON.stringify({ destination: 'U0', events: [paidEvent, { type: 'follow', replyToken: 'r0', source: { userId: 'U-paid' } }] });
+  await post(paidBody, sign(paidBody));
+  const paid = await paidReply;
+  tests.push({
+    description: 'Matching slip is accepted, replied to in Thai and settles the order',
+    passed: paid[0].startsWith('✅ สลิปถูกต้อง') && paid[1].includes('INV-001') &&
+      pendingOrderService.getOrder('U-paid') === null && contentAuth[0] === 'Bearer test-access-token' &&
+      replies.r0 === undefined
+  });
+
+  // 6. Wrong amount keeps the order; no order means only the slip is checked
+  slipData = { ...mockSlipData, transactionId: '015298170819BQR02670' };
+  const shortReply = replyTo(imageEvent('m-short', 'U-short'));
+  await lineService.handleEvents([imageEvent('m-short', 'U-short')]);
+  const short = await shortReply;
+  slipData = { ...mockSlipData, transactionId: '015298170819BQR02680' };
+  await lineService.handleEvents([imageEvent('m-stranger', 'U-stranger')]);
+  tests.push({
+    description: 'Wrong amount is rejected and an unknown user gets a slip-only check',
+    passed: short[0].includes('ยอดที่ต้องชำระ: 2,000.00 บาท') && short.length === 1 &&
+      pendingOrderService.getOrder('U-short') !== null &&
+      replies['reply-m-stranger'].length === 2 && replies['reply-m-stranger'][1].includes('ไม่พบรายการที่รอชำระ')
+  });
+
+  // 7. Content that is not an image gets the retry message
+  await lineService.handleEvents([imageEvent('text-file', 'U-short')]);
+  tests.push({
+    description: 'Unreadable content is answered with a request to resend the slip',
+    passed: replies['reply-text-file'].length === 1 && replies['reply-text-file'][0].includes('กรุณาส่งรูปสลิป')
+  });
+
+  ocrService.parseSlip = parseSlip;
+
+  tests.forEach((test, index) => {
+    console.log(`Test ${index + 1}: ${test.description}`);
+    console.log(`  Status:   ${test.passed ? '✅ PASS' : '❌ FAIL'}\n`);
+  });
+
+  lineApi.close();
+  webhook.closeAllConnections();
+  webhook.close();
+  await ocrService.terminate();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+
+  console.log('=== TEST COMPLETED ===');
+})();
@@ -0,0 +1,98 @@
+/**
+ * Test script for recipient name matching (Thai titles, company forms, OCR
+ * confusions, transliterations and the similarity threshold)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'name-matching-'));
+
+const thaiNameMatcher = require('./src/utils/thaiNameMatcher');
+const validationService = require('./src/services/validationService');
+const { mockSlip } = require('./testHelpers');
+
+console.log('=== NAME MATCHING TEST ===\n');
+
+const compare = (actual, expected, options) => thaiNameMatcher.compare(actual, expected, options);
+
+const recipientCheck = (validation) => validation.checks.find(check => check.name === 'recipient');
+
+const tests = [];
+
+// 1. Titles and abbreviated surnames
+tests.push({
+  description: 'Thai and English titles are ignored and a surname initial stands for the surname',
+  passed: compare('นาย ปัณฑร บ', 'ปัณฑร บุญมา').match === true &&
+    compare('น.ส. สุดา รักดี', 'นางสาวสุดา รักดี').similarity === 1 &&
+    compare('Drew Smith', 'Mr. Drew Smith').similarity === 1 &&
+    thaiNameMatcher.normalize('Drew Smith').join(' ') === 'drew smith'
+});
+
+// 2. Company forms
+tests.push({
+  description: 'Company forms are ignored in Thai and English',
+  passed: compare('บจก. เอบีซี เทรดดิ้ง', 'บริษัท เอบีซี เทรดดิ้ง จำกัด').similarity === 1 &&
+    compare('บมจ. ไทยพาณิชย์', 'บริษัท ไทยพาณิชย์ จำกัด (มหาชน)').similarity === 1 &&
+    compare('ABC Trading Co., Ltd.', 'ABC TRADING COMPANY LIMITED').similarity === 1
+});
+
+// 3. OCR confusions
+tests.push({
+  description: 'Thai vowel, tone mark and look-alike consonant OCR errors still match',
+  passed: compare('สมซาย ใจดื', 'สมชาย ใจดี').similarity === 1 &&
+    compare('ปณฑร บุญมา', 'ปัณฑร บุญมา').similarity === 1 &&
+    compare('ร้านคา ABC', 'ร้านค้า ABC').match === true
+});
+
+// 4. Transliterations
+const romanized = compare('Somchai Jaidee', 'นาย สมชาย ใจดี');
+tests.push({
+  description: 'English transliterations match the Thai name',
+  passed: romanized.match === true && romanized.method === 'transliteration' &&
+    compare('Panthon Boonma', 'ปัณฑร บุญมา').match === true &&
+    compare('Somsri Jaidee', 'สมชาย ใจดี').match === false
+});
+
+// 5. Partial and different names
+tests.push({
+  description: 'Short partial names and different names are rejected',
+  passed: compare('สม', 'สมชาย ใจดี').match === false &&
+    compare('สมชาย ใจดี', 'สม').match === false &&
+    compare('สมศรี ใจดี', 'สมชาย ใจดี').match === false &&
+    compare('นาย', 'สมชาย').similarity === 0
+});
+
+// 6. Threshold
+tests.push({
+  description: 'Acceptance threshold is configurable',
+  passed: compare('สมชาย ใจดา', 'สมชาย ใจดี').match === true &&
+    compare('สมชาย ใจดา', 'สมชาย ใจดี', { minSimilarity: 0.95 }).match === false &&
+    compare('สมศรี ใจดี', 'สมชาย ใจดี', { minSimilarity: 0.6 }).match === true
+});
+
+// 7. Recipient check of validateSlip
+const accepted = validationService.validateSlip(mockSlip({ transactionId: '015298170819BQR02651', recipient: 'นาย สมชาย ใจดี' }), {
+  recipient: 'Somchai Jaidee'
+});
+const strict = validationService.validateSlip(mockSlip({ transactionId: '015298170819BQR02652', recipient: 'นาย สมชาย ใจดา' }), {
+  recipient: 'สมชาย ใจดี'
+}, {
+  policy: { checks: { recipient: { minSimilarity: 0.95 } } }
+});
+tests.push({
+  description: 'Recipient check reports the similarity and uses the policy threshold',
+  passed: recipientCheck(accepted).status === 'pass' && accepted.details.recipientValidation.similarity === 1 &&
+    recipientCheck(strict).status === 'fail' && strict.details.recipientValidation.similarity < 0.95 &&
+    strict.warnings.some(warning => warning.startsWith('Recipient mismatch'))
+});
+
+tests.forEach((test, index) => {
+  console.log(`Test ${index + 1}: ${test.description}`);
+  console.log(`  Status:   ${test.passed ? '✅ PASS' : '❌ FAIL'}\n`);
+});
+
+fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+
+console.log('=== TEST COMPLETED ===');
@@ -59,9 +59,9 @@ const testCases = [
     expected: '015298175028APM16903'
   },
   {
-    name: 'Thai เอ should become A',
+    name: 'Thai เอ in an ID too short for any bank grammar is not returned',
     input: '0152981708เอTF05812',
-    expected: '015298170ATF05812'
+    expected: null
   },
   {
     name: 'Mixed Thai numbers',
@@ -0,0 +1,206 @@
+/**
+ * Test script for the OCR worker pool
+ * Tesseract workers are replaced by stub workers whose jobs the test answers,
+ * holds or fails, so queueing, time-outs and worker replacement can be
+ * checked without real OCR. The 503 / 504 answers are checked on a local server
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const sharp = require('sharp');
+const Tesseract = require('tesseract.js');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ocr-worker-pool-'));
+
+const { OCRWorkerPool, OCRQueueFullError, OCRJobTimeoutError } = require('./src/services/ocrWorkerPool');
+const ocrService = require('./src/services/ocrService');
+const slipRoutes = require('./src/routes/slipRoutes');
+
+console.log('=== OCR WORKER POOL TEST ===\n');
+
+// Stub workers - each job takes the next planned outcome ("ok" by default)
+const workers = [];
+const plan = [];
+const held = [];
+let running = 0;
+let mostRunning = 0;
+
+const createWorker = Tesseract.createWorker;
+Tesseract.createWorker = async () => {
+  const worker = {
+    id: workers.length + 1,
+    jobs: 0,
+    terminated: false,
+    setParameters: async () => {},
+    terminate: async () => {
+      worker.terminated = true;
+    },
+    recognize: async () => {
+      worker.jobs++;
+      running++;
+      mostRunning = Math.max(mostRunning, running);
+      try {
+        const outcome = plan.shift() || 'ok';
+        if (outcome === 'crash') {
+          throw new Error('worker crashed');
+        }
+        if (outcome === 'hang') {
+          await new Promise(() => {});
+        }
+        if (outcome === 'hold') {
+          await new Promise(resolve => held.push(resolve));
+        } else {
+          await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        return { data: { text: `worker ${worker.id}`, confidence: 90, lines: [] } };
+      } finally {
+        running--;
+      }
+    }
+  };
+  workers.push(worker);
+  return worker;
+};
+
+const settle = (promise) => promise.then(
+  value => ({ value }),
+  error => ({ error })
+);
+
+const waitFor = async (condition) => {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+(async () => {
+  const tests = [];
+
+  // 1. Concurrent jobs share one start-up and run side by side
+  const pool = new OCRWorkerPool({ size: 2, maxQueue: 10, jobTimeout: 1000, language: 'eng' });
+  const results = await Promise.all([1, 2, 3, 4].map(() => pool.recognize(Buffer.from('image'))));
+  tests.push({
+    description: 'Simultaneous jobs start the workers once and run in parallel',
+    passed: workers.length === 2 && mostRunning === 2 &&
+      results.every(result => result.data.confidence === 90) &&
+      pool.getStats().completed === 4 && pool.getStats().queueLength === 0
+  });
+  await pool.terminate();
+
+  // 2. Bounded queue
+  workers.length = 0;
+  const small = new OCRWorkerPool({ size: 1, maxQueue: 1, jobTimeout: 1000, language: 'eng' });
+  plan.push('hold', 'hold');
+  const runningJob = small.recognize(Buffer.from('first'));
+  await waitFor(() => held.length === 1);
+  const queuedJob = small.recognize(Buffer.from('second'));
+  const rejected = await settle(small.recognize(Buffer.from('third')));
+  tests.push({
+    description: 'Job beyond the queue limit is rejected with 503 and a retry delay',
+    passed: rejected.error instanceof OCRQueueFullError && rejected.error.statusCode === 503 &&
+      rejected.error.retryAfter >= 1 &&
+      small.getStats().queueLength === 1 && small.getStats().busyWorkers === 1 && small.getStats().rejected === 1
+  });
+
+  held.shift()();
+  await waitFor(() => held.length === 1);
+  held.shift()();
+  const finished = await Promise.all([runningJob, queuedJob]);
+  tests.push({
+    description: 'Queued job runs once the worker is free',
+    passed: finished.length === 2 && small.getStats().completed === 2 && workers.length === 1
+  });
+  await small.terminate();
+
+  // 3. HTTP answers
+  const app = express();
+  app.use(express.json());
+  app.use('/api/slip', slipRoutes);
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api/slip`;
+
+  const png = await sharp({
+    create: { width: 200, height: 300, channels: 3, background: { r: 255, g: 255, b: 255 } }
+  }).png().toBuffer();
+  const verify = async () => {
+    const response = await fetch(`${baseUrl}/verify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ imageBase64: png.toString('base64') })
+    });
+    return { status: response.status, retryAfter: response.headers.get('retry-after'), body: await response.json() };
+  };
+
+  const originalPool = ocrService.pool;
+  workers.length = 0;
+  ocrService.pool = new OCRWorkerPool({ size: 1, maxQueue: 1, jobTimeout: 5000, language: 'eng' });
+
+  plan.push('hold', 'hold');
+  const busy = ocrService.pool.recognize(Buffer.from('busy'));
+  await waitFor(() => held.length === 1);
+  const waiting = ocrService.pool.recognize(Buffer.from('waiting'));
+  const full = await verify();
+  tests.push({
+    description: 'Verify answers 503 with Retry-After while the OCR queue is full',
+    passed: full.status === 503 && Number(full.retryAfter) >= 1 &&
+      full.body.success === false && full.body.code === 'OCR_QUEUE_FULL'
+  });
+  held.shift()();
+  await waitFor(() => held.length === 1);
+  held.shift()();
+  await Promise.all([busy, waiting]);
+
+  // 4. Job time-out and worker replacement
+  ocrService.pool.jobTimeout = 300;
+  plan.push('hang');
+  const timedOut = await verify();
+  await waitFor(() => workers.length === 2 && ocrService.pool.getStats().readyWorkers === 1);
+  const afterTimeout = await verify();
+  tests.push({
+    description: 'Job running past the timeout answers 504 and its worker is replaced',
+    passed: timedOut.status === 504 && timedOut.body.code === 'OCR_JOB_TIMEOUT' &&
+      workers.length === 2 && workers[0].terminated === true &&
+      afterTimeout.status === 200 && afterTimeout.body.success === true && workers[1].jobs === 1 &&
+      ocrService.pool.getStats().timedOut === 1 && ocrService.pool.getStats().replaced === 1
+  });
+
+  // 5. Crashed worker
+  plan.push('crash');
+  const crashed = await settle(ocrService.pool.recognize(Buffer.from('crash')));
+  await waitFor(() => workers.length === 3 && ocrService.pool.getStats().readyWorkers === 1);
+  const afterCrash = await settle(ocrService.pool.recognize(Buffer.from('next')));
+  tests.push({
+    description: 'Crashed worker fails only its own job and is replaced',
+    passed: crashed.error && crashed.error.message === 'worker crashed' &&
+      !(crashed.error instanceof OCRJobTimeoutError) &&
+      workers[1].terminated === true && afterCrash.value && afterCrash.value.data.text === 'worker 3' &&
+      ocrService.pool.getStats().failed === 2 && ocrService.pool.getStats().replaced === 2
+  });
+
+  // 6. Health endpoint
+  const health = await (await fetch(`${baseUrl}/health`)).json();
+  tests.push({
+    description: 'Health endpoint reports the pool state and counters',
+    passed: health.ocrPool.size === 1 && health.ocrPool.readyWorkers === 1 && health.ocrPool.busyWorkers === 0 &&
+      health.ocrPool.queueLength === 0 && health.ocrPool.maxQueue === 1 && health.ocrPool.jobTimeout === 300 &&
+      health.ocrPool.replaced === 2 && health.ocrPool.rejected === 1 &&
+      health.ocrPool.fieldPool !== undefined
+  });
+
+  tests.forEach((test, index) => {
+    console.log(`Test ${index + 1}: ${test.description}`);
+    console.log(`  Status:   ${test.passed ? '✅ PASS' : '❌ FAIL'}\n`);
+  });
+
+  server.closeAllConnections();
+  server.close();
+  await ocrService.terminate();
+  ocrService.pool = originalPool;
+  Tesseract.createWorker = createWorker;
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+
+  console.log('=== TEST COMPLETED ===');
+})();
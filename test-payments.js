@@ -0,0 +1,216 @@
+/**
+ * Test script for the payments API
+ * Payments are created, verified and cancelled through the routes on a local
+ * server. OCR is replaced by fixed slip data, and a temporary data directory
+ * keeps the real payments, registry and history untouched
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const sharp = require('sharp');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'payments-'));
+
+const ocrService = require('./src/services/ocrService');
+const paymentService = require('./src/services/paymentService');
+const paymentRoutes = require('./src/routes/paymentRoutes');
+const { rejects } = require('./testHelpers');
+
+console.log('=== PAYMENTS TEST ===\n');
+
+const mockSlipData = {
+  success: true,
+  transactionId: '015298170819BQR02651',
+  amount: 1500.00,
+  dateTime: {
+    date: '26/10/2568',
+    time: '17:08'
+  },
+  recipient: 'ร้านค้า ABC',
+  receiver: { name: 'ร้านค้า ABC', account: 'xxx-x-x6789-x', accountType: 'bank' },
+  ocrConfidence: 85
+};
+
+(async () => {
+  const tests = [];
+
+  const png = await sharp({
+    create: { width: 200, height: 300, channels: 3, background: { r: 255, g: 255, b: 255 } }
+  }).png().toBuffer();
+
+  // Stand-in for the auth middleware: the X-API-Key header names the key
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+  app.use((req, res, next) => {
+    req.apiKey = req.headers['x-api-key'] ? { id: req.headers['x-api-key'] } : null;
+    next();
+  });
+  app.use('/api/payments', paymentRoutes);
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api/payments`;
+
+  const call = async (method, url, body, apiKey = 'key-a') => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method: method,
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': apiKey },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  const verify = (id) => call('POST', `/${id}/verify`, { imageBase64: png.toString('base64') });
+
+  const parseSlip = ocrService.parseSlip;
+  let slipData = mockSlipData;
+  let ocrCalls = 0;
+  ocrService.parseSlip = async () => {
+    ocrCalls++;
+    return { ...slipData };
+  };
+
+  // 1. Creation and validation
+  const created = await call('POST', '', {
+    reference: 'INV-001',
+    amount: '1500',
+    recipient: 'ร้านค้า ABC',
+    recipientAccount: '123-4-56789-0',
+    expiresInMinutes: 30
+  });
+  const payment = created.body.payment;
+  const noAmount = await call('POST', '', { reference: 'INV-002' });
+  const pastExpiry = await call('POST', '', { reference: 'INV-002', amount: 10, expiresAt: '2020-01-01T00:00:00Z' });
+  const badAccount = rejects(() => paymentService.createPayment({ reference: 'INV-002', amount: 10, recipientAccount: '12-34' }));
+  tests.push({
+    description: 'Payment is created pending and invalid fields are rejected',
+    passed: created.status === 201 && payment.status === 'pending' && payment.amount === 1500 &&
+      payment.recipientAccount === '1234567890' && payment.attempts.length === 0 &&
+      noAmount.status === 400 && pastExpiry.status === 400 &&
+      badAccount !== null && badAccount.statusCode === 400
+  });
+
+  // 2. References and ownership
+  const sameReference = await call('POST', '', { reference: 'INV-001', amount: 99 });
+  const otherKey = await call('GET', `/${payment.id}`, null, 'key-b');
+  const otherKeyReference = await call('POST', '', { reference: 'INV-001', amount: 99 }, 'key-b');
+  tests.push({
+    description: 'A reference is used once per API key and payments are private to their key',
+    passed: sameReference.status === 409 && sameReference.body.code === 'PAYMENT_REFERENCE_EXISTS' &&
+      otherKey.status === 404 && otherKeyReference.status === 201
+  });
+
+  // 3. The payment supplies the expected amount - a wrong amount leaves it pending
+  slipData = { ...mockSlipData, amount: 1400.00, transactionId: '015298170819BQR02660' };
+  const short = await verify(payment.id);
+  tests.push({
+    description: 'Slip with the wrong amount is rejected and recorded as an attempt',
+    passed: short.status === 200 && short.body.paid === false && short.body.validation.valid === false &&
+      short.body.validation.errors.some(error => error.includes('Amount mismatch')) &&
+      short.body.payment.status === 'pending' && short.body.payment.attempts.length === 1
+  });
+
+  // 4. Request policy cannot switch off the checks against the payment
+  const ocrBefore = ocrCalls;
+  const loosened = await call('POST', `/${payment.id}/verify`, {
+    imageBase64: png.toString('base64'),
+    policy: {
+      passThreshold: 0,
+      checks: { expectedAmount: { enabled: false }, expectedAccount: { enabled: false }, duplicate: { enabled: false } }
+    }
+  });
+  tests.push({
+    description: 'Slip sent with a loosening policy is refused and the payment stays pending',
+    passed: loosened.status === 400 && loosened.body.error.startsWith('policy cannot be set') &&
+      ocrCalls === ocrBefore && paymentService.getPayment(payment.id, 'key-a').status === 'pending'
+  });
+
+  // 5. Matching slip pays the payment
+  slipData = mockSlipData;
+  const paid = await verify(payment.id);
+  tests.push({
+    description: 'Matching slip pays the payment',
+    passed: paid.status === 200 && paid.body.paid === true && paid.body.payment.status === 'paid' &&
+      paid.body.payment.transactionId === '015298170819BQR02651' &&
+      paid.body.payment.verificationId === paid.body.validation.verificationId &&
+      paid.body.payment.attempts.length === 2 && paid.body.slipData.amount === 1500
+  });
+
+  // 6. Paid payment takes no more slips and cannot be cancelled
+  const callsBefore = ocrCalls;
+  slipData = { ...mockSlipData, transactionId: '015298170819BQR02670' };
+  const again = await verify(payment.id);
+  const cancelPaid = await call('DELETE', `/${payment.id}`);
+  tests.push({
+    description: 'Paid payment rejects further slips before OCR and cannot be cancelled',
+    passed: again.status === 409 && again.body.code === 'PAYMENT_ALREADY_PAID' && ocrCalls === callsBefore &&
+      cancelPaid.status === 409
+  });
+
+  // 7. Expired payment
+  const expiring = paymentService.createPayment({ reference: 'INV-003', amount: 1500 }, 'key-a');
+  paymentService.store.update(data => {
+    data.payments.find(entry => entry.id === expiring.id).expiresAt = new Date(Date.now() - 1000).toISOString();
+  });
+  const expired = await verify(expiring.id);
+  const reused = await call('POST', '', { reference: 'INV-003', amount: 1500 });
+  tests.push({
+    description: 'Expired payment answers 410 and frees its reference',
+    passed: expired.status === 410 && expired.body.code === 'PAYMENT_EXPIRED' &&
+      paymentService.getPayment(expiring.id, 'key-a').status === 'expired' && reused.status === 201
+  });
+
+  // 8. Cancel and list
+  const cancelled = await call('DELETE', `/${reused.body.payment.id}`);
+  const cancelledVerify = await verify(reused.body.payment.id);
+  const listed = await call('GET', '?status=pending');
+  const all = await call('GET', '');
+  const badStatus = await call('GET', '?status=unknown');
+  tests.push({
+    description: 'Cancelled payment takes no slips and listing filters by status',
+    passed: cancelled.status === 200 && cancelled.body.payment.status === 'cancelled' &&
+      cancelledVerify.status === 409 && cancelledVerify.body.code === 'PAYMENT_CANCELLED' &&
+      listed.body.payments.length === 0 && all.body.payments.length === 3 &&
+      all.body.payments[0].reference === 'INV-003' && badStatus.status === 400
+  });
+
+  // 9. Two slips for one payment verified at the same time
+  const contested = await call('POST', '', { reference: 'INV-004', amount: 1500, recipientAccount: '123-4-56789-0' });
+  const intended = await call('POST', '', { reference: 'INV-005', amount: 1500, recipientAccount: '123-4-56789-0' });
+  const readings = ['015298170819BQR02680', '015298170819BQR02690'];
+  const waiting = [];
+  ocrService.parseSlip = async () => {
+    const reading = { ...mockSlipData, transactionId: readings[waiting.length] };
+    await new Promise(resolve => waiting.push(resolve));
+    return reading;
+  };
+  const racing = [verify(contested.body.payment.id), verify(contested.body.payment.id)];
+  for (let i = 0; i < 100 && waiting.length < 2; i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  waiting.forEach(resolve => resolve());
+  const [first, second] = await Promise.all(racing);
+  ocrService.parseSlip = async () => ({ ...mockSlipData, transactionId: readings[1] });
+  const retried = await verify(intended.body.payment.id);
+  tests.push({
+    description: 'Of two slips verified at the same time one pays, the other stays unused for another payment',
+    passed: first.status === 200 && first.body.paid === true &&
+      first.body.payment.transactionId === readings[0] &&
+      second.status === 409 && second.body.code === 'PAYMENT_ALREADY_PAID' &&
+      retried.status === 200 && retried.body.paid === true && retried.body.payment.transactionId === readings[1]
+  });
+
+  ocrService.parseSlip = parseSlip;
+
+  tests.forEach((test, index) => {
+    console.log(`Test ${index + 1}: ${test.description}`);
+    console.log(`  Status:   ${test.passed ? '✅ PASS' : '❌ FAIL'}\n`);
+  });
+
+  server.closeAllConnections();
+  server.close();
+  await ocrService.terminate();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+
+  console.log('=== TEST COMPLETED ===');
+})();
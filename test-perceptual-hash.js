@@ -0,0 +1,143 @@
+/**
+ * Test script for perceptual image hashing and the duplicate image check
+ * Uses synthetic slips drawn as SVG and a temporary data directory so the
+ * real registry is never touched
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'slip-registry-'));
+
+const { computeHashes, hammingDistance } = require('./src/utils/perceptualHash');
+const validationService = require('./src/services/validationService');
+
+console.log('=== PERCEPTUAL HASH TEST ===\n');
+
+const MAX_DISTANCE = 12;
+
+// Phone screenshot of a transfer slip: status bar, header, parties, ID, amount
+const drawSlip = (fields = {}) => {
+  const slip = {
+    clock: '17:08',
+    from: 'MR SOMCHAI JAIDEE',
+    to: 'ABC SHOP CO LTD',
+    id: '015298170819BQR02651',
+    amount: '1,500.00',
+    ...fields
+  };
+  const text = (x, y, size, value, fill = '#000') =>
+    `<text x="${x}" y="${y}" font-size="${size}" fill="${fill}" font-family="sans-serif">${value}</text>`;
+
+  return sharp(Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="600" height="1000">
+    <rect width="600" height="1000" fill="#fff"/>
+    <rect width="600" height="40" fill="#111"/>${text(20, 28, 20, slip.clock, '#fff')}
+    <rect y="40" width="600" height="90" fill="#1a8f3c"/>${text(30, 100, 30, 'Transfer successful', '#fff')}
+    ${text(30, 180, 22, '25 Oct 25 17:08')}
+    <circle cx="60" cy="270" r="30" fill="#2a7"/>${text(110, 265, 24, slip.from)}
+    <circle cx="60" cy="400" r="30" fill="#27a"/>${text(110, 395, 24, slip.to)}
+    ${text(30, 520, 20, 'Reference:', '#666')}${text(30, 555, 24, slip.id)}
+    ${text(30, 640, 20, 'Amount:', '#666')}${text(30, 690, 40, `${slip.amount} THB`)}
+    </svg>`)).png().toBuffer();
+};
+
+const mockSlipData = {
+  success: true,
+  transactionId: '015298170819BQR02651',
+  amount: 1500.00,
+  dateTime: {
+    date: '26/10/2568',
+    time: '17:08'
+  },
+  recipient: 'ร้านค้า ABC',
+  ocrConfidence: 85
+};
+
+(async () => {
+  const tests = [];
+
+  const original = await drawSlip();
+  const originalHash = await computeHashes(original);
+
+  // 1-2. Same screenshot re-encoded, another slip
+  const resent = await computeHashes(await sharp(original).resize(450).jpeg({ quality: 75 }).toBuffer());
+  const newStatusBar = await computeHashes(await drawSlip({ clock: '09:41' }));
+  tests.push({
+    description: 'Resized, recompressed and new status bar stay within the distance',
+    passed: hammingDistance(originalHash.pHash, resent.pHash) <= MAX_DISTANCE &&
+      hammingDistance(originalHash.pHash, newStatusBar.pHash) <= MAX_DISTANCE
+  });
+
+  const other = await computeHashes(await drawSlip({
+    from: 'MS SUDA RAKDEE', to: 'XYZ MARKET', id: '015299091203APM01234', amount: '250.00'
+  }));
+  tests.push({
+    description: 'Another slip is further away than the distance',
+    passed: hammingDistance(originalHash.pHash, other.pHash) > MAX_DISTANCE &&
+      hammingDistance(originalHash.pHash, 'ff') === Infinity
+  });
+
+  // 3. First submission is registered with its hash
+  const first = validationService.validateSlip({ ...mockSlipData, perceptualHash: originalHash });
+  tests.push({
+    description: 'First submission passes the duplicate image check',
+    passed: first.valid === true && first.details.duplicateImageCheck.isDuplicate === false &&
+      first.checks.some(check => check.name === 'duplicateImage' && check.status === 'pass')
+  });
+
+  // 4. Same image re-sent with the transaction ID edited
+  const editedId = validationService.validateSlip({
+    ...mockSlipData,
+    transactionId: '015298170819BQR02699',
+    perceptualHash: await computeHashes(await drawSlip({ id: '015298170819BQR02699' }))
+  });
+  const match = editedId.details.duplicateImageCheck.matches[0];
+  tests.push({
+    description: 'Edited transaction ID is reported with the earlier transaction ID',
+    passed: editedId.details.duplicateImageCheck.isDuplicate === true &&
+      match.transactionId === '015298170819BQR02651' && match.sameTransaction === false &&
+      match.verificationId === first.verificationId &&
+      editedId.warnings.some(warning => warning.includes('015298170819BQR02651'))
+  });
+
+  // 5. Fatal severity rejects the slip
+  const strict = validationService.validateSlip({
+    ...mockSlipData,
+    transactionId: '015298170819BQR02700',
+    perceptualHash: resent
+  }, {}, { policy: { checks: { duplicateImage: { severity: 'fatal' } } } });
+  tests.push({
+    description: 'Fatal severity turns a matching image into an error',
+    passed: strict.valid === false && strict.errors.some(error => error.startsWith('Slip image'))
+  });
+
+  // 6. Different QR references are different transfers, however alike the slips look
+  const withQR = (ref) => ({ transactionRef: ref, sendingBankCode: '004' });
+  const otherTransfer = validationService.validateSlip({
+    ...mockSlipData,
+    transactionId: '015298170819BQR03000',
+    qr: withQR('015298170819BQR03000'),
+    perceptualHash: other
+  });
+  const sameTemplate = validationService.validateSlip({
+    ...mockSlipData,
+    transactionId: '015298170819BQR03001',
+    qr: withQR('015298170819BQR03001'),
+    perceptualHash: other
+  });
+  tests.push({
+    description: 'Slips with different QR references are not image duplicates',
+    passed: otherTransfer.valid === true && sameTemplate.details.duplicateImageCheck.isDuplicate === false
+  });
+
+  tests.forEach((test, index) => {
+    console.log(`Test ${index + 1}: ${test.description}`);
+    console.log(`  Status:   ${test.passed ? '✅ PASS' : '❌ FAIL'}\n`);
+  });
+
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+
+  console.log('=== TEST COMPLETED ===');
+})();
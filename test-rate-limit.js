@@ -0,0 +1,162 @@
+/**
+ * Test script for the rate limiter (token bucket and quotas)
+ * The middlewares run in front of the slip routes on a local server, with
+ * OCR replaced by fixed slip data and a temporary data directory for keys
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const sharp = require('sharp');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limit-'));
+process.env.RATE_LIMIT_BURST = '3';
+process.env.RATE_LIMIT_PER_MINUTE = '60';
+process.env.QUOTA_DAILY = '4';
+process.env.QUOTA_MONTHLY = '0';
+
+const rateLimitService = require('./src/services/rateLimitService');
+const apiKeyService = require('./src/services/apiKeyService');
+const ocrService = require('./src/services/ocrService');
+const slipRoutes = require('./src/routes/slipRoutes');
+const { requireApiKey } = require('./src/middleware/auth');
+const { ipRateLimiter, rateLimiter } = require('./src/middleware/rateLimiter');
+
+async function runTests() {
+  console.log('=== RATE LIMIT TEST ===\n');
+
+  const burst = [];
+  for (let i = 0; i < 4; i++) {
+    burst.push(await rateLimitService.consume('key:test'));
+  }
+
+  // Wait long enough for the bucket to refill (1 token per second)
+  await new Promise(resolve => setTimeout(resolve, 2100));
+  const afterRefill = await rateLimitService.consume('key:test');
+  const overQuota = await rateLimitService.consume('key:test');
+  const otherSubject = await rateLimitService.consume('ip:127.0.0.1');
+  const usage = await rateLimitService.getUsage('key:test');
+  const periods = rateLimitService.getPeriods(Date.UTC(2025, 9, 25, 18, 30));
+
+  // A request costing more than the burst fits a full bucket and leaves it in debt
+  const large = await rateLimitService.consume('key:large', 4);
+  const afterLarge = await rateLimitService.consume('key:large');
+
+  const app = express();
+  app.set('trust proxy', true);
+  app.use(express.json());
+  app.use('/api/slip', ipRateLimiter, requireApiKey, rateLimiter, slipRoutes);
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api/slip`;
+
+  const call = async (url, { ip, apiKey, body } = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method: body ? 'POST' : 'GET',
+      headers: { 'X-Forwarded-For': ip, ...(apiKey ? { 'X-API-Key': apiKey } : {}) },
+      body: body
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+
+  // Wrong keys from one IP
+  const guesses = [];
+  for (let i = 0; i < 4; i++) {
+    guesses.push(await call('/usage', { ip: '10.0.0.1', apiKey: `sk_guess${i}` }));
+  }
+
+  // Batch of three slips with a valid key
+  const parseSlip = ocrService.parseSlip;
+  let ocrCalls = 0;
+  ocrService.parseSlip = async () => {
+    ocrCalls++;
+    return {
+      success: true,
+      transactionId: `015298170819BQR0265${ocrCalls}`,
+      amount: 40.00,
+      dateTime: { date: '25/10/2568', time: '17:08' },
+      recipient: 'ร้านค้า ABC',
+      ocrConfidence: 85
+    };
+  };
+
+  const png = await sharp({
+    create: { width: 200, height: 300, channels: 3, background: { r: 255, g: 255, b: 255 } }
+  }).png().toBuffer();
+  const slipForm = (count) => {
+    const form = new FormData();
+    for (let i = 0; i < count; i++) {
+      form.append('slips', new Blob([png], { type: 'image/png' }), `slip${i}.png`);
+    }
+    return form;
+  };
+
+  const { apiKey, id } = apiKeyService.createKey({ name: 'Batch shop' });
+  const batch = await call('/verify-batch', { ip: '10.0.0.2', apiKey: apiKey, body: slipForm(3) });
+  const batchCalls = ocrCalls;
+  const afterBatch = await call('/verify-batch', { ip: '10.0.0.3', apiKey: apiKey, body: slipForm(1) });
+  const keyUsage = await rateLimitService.getUsage(`key:${id}`);
+  ocrService.parseSlip = parseSlip;
+
+  const tests = [
+    {
+      description: 'Burst is allowed up to the bucket capacity',
+      passed: burst.slice(0, 3).every(result => result.allowed)
+    },
+    {
+      description: 'Request over the burst is rate limited',
+      passed: !burst[3].allowed && burst[3].code === 'RATE_LIMITED' && burst[3].retryAfter >= 1
+    },
+    {
+      description: 'Bucket refills over time',
+      passed: afterRefill.allowed && afterRefill.daily.remaining === 0
+    },
+    {
+      description: 'Daily quota is enforced',
+      passed: !overQuota.allowed && overQuota.code === 'DAILY_QUOTA_EXCEEDED'
+    },
+    {
+      description: 'Subjects are limited independently',
+      passed: otherSubject.allowed
+    },
+    {
+      description: 'Usage reports counters (monthly 0 = unlimited)',
+      passed: usage.daily.used === 4 && usage.daily.limit === 4 && usage.monthly.limit === null
+    },
+    {
+      description: 'Quota day follows Thai time (UTC+7)',
+      passed: periods.day === '2025-10-26' && periods.dayResetAt === Date.UTC(2025, 9, 26, 17)
+    },
+    {
+      description: 'Request costing more than the burst is allowed from a full bucket and leaves it in debt',
+      passed: large.allowed && large.rate.remaining === 0 && large.daily.used === 4 &&
+        !afterLarge.allowed && afterLarge.code === 'RATE_LIMITED' && afterLarge.retryAfter >= 2
+    },
+    {
+      description: 'Requests with a wrong API key are counted per IP before authentication',
+      passed: guesses.slice(0, 3).every(guess => guess.status === 401) &&
+        guesses[3].status === 429 && guesses[3].body.code === 'RATE_LIMITED'
+    },
+    {
+      description: 'Batch is charged one request per slip before any OCR runs',
+      passed: batch.status === 200 && batch.body.summary.total === 3 && batchCalls === 3 &&
+        batch.headers.get('X-RateLimit-Remaining') === '0' && keyUsage.daily.used === 3 &&
+        afterBatch.status === 429 && afterBatch.body.code === 'RATE_LIMITED' && ocrCalls === 3
+    }
+  ];
+
+  tests.forEach((test, index) => {
+    console.log(`Test ${index + 1}: ${test.description}`);
+    console.log(`  Status:   ${test.passed ? '✅ PASS' : '❌ FAIL'}\n`);
+  });
+
+  server.closeAllConnections();
+  server.close();
+  await ocrService.terminate();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+
+  console.log('=== TEST COMPLETED ===');
+}
+
+runTests();
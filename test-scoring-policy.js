@@ -0,0 +1,78 @@
+/**
+ * Test script for configurable scoring policies
+ */
+
+const validationService = require('./src/services/validationService');
+const scoringPolicyService = require('./src/services/scoringPolicyService');
+
+console.log('=== SCORING POLICY TEST ===\n');
+
+const mockSlipData = {
+  success: true,
+  transactionId: '015298170819BQR02651',
+  amount: 1500.00,
+  dateTime: {
+    date: '26/10/2568',
+    time: '17:08'
+  },
+  recipient: 'ร้านค้า ABC',
+  ocrConfidence: 40
+};
+
+const validate = (expectedData, policy) =>
+  validationService.validateSlip(mockSlipData, expectedData, { duplicateCheck: false, policy });
+
+const defaults = validate({ recipient: 'ร้านค้า XYZ' });
+const strictRecipient = validate({ recipient: 'ร้านค้า XYZ' }, {
+  checks: { recipient: { severity: 'fatal' } }
+});
+const relaxedOCR = validate({}, {
+  checks: { ocrConfidence: { goodThreshold: 30 } }
+});
+const noTimeCheck = validate({}, {
+  checks: { time: { enabled: false } }
+});
+const highThreshold = validate({}, { passThreshold: 95 });
+
+const tests = [
+  {
+    description: 'Default policy keeps the original weights',
+    passed: defaults.maxScore === 25 + 25 + 20 + 10 + 15 && defaults.passThreshold === 70
+  },
+  {
+    description: 'Recipient mismatch is only a warning by default',
+    passed: defaults.valid === true && defaults.warnings.some(warning => warning.startsWith('Recipient mismatch'))
+  },
+  {
+    description: 'Recipient mismatch can be made fatal',
+    passed: strictRecipient.valid === false && strictRecipient.errors.some(error => error.startsWith('Recipient mismatch'))
+  },
+  {
+    description: 'OCR confidence threshold can be relaxed',
+    passed: relaxedOCR.details.ocrQuality === 'Good' &&
+      relaxedOCR.checks.find(check => check.name === 'ocrConfidence').status === 'pass'
+  },
+  {
+    description: 'Disabled checks do not count',
+    passed: noTimeCheck.maxScore === defaults.maxScore - 25 - 10 &&
+      !noTimeCheck.checks.some(check => check.name === 'time')
+  },
+  {
+    description: 'Pass threshold is configurable',
+    passed: highThreshold.valid === false && highThreshold.passThreshold === 95
+  },
+  {
+    description: 'Invalid policies are reported',
+    passed: scoringPolicyService.validate({
+      passThreshold: 150,
+      checks: { unknown: {}, recipient: { severity: 'maybe', weight: -1 } }
+    }).length === 4
+  }
+];
+
+tests.forEach((test, index) => {
+  console.log(`Test ${index + 1}: ${test.description}`);
+  console.log(`  Status:   ${test.passed ? '✅ PASS' : '❌ FAIL'}\n`);
+});
+
+console.log('=== TEST COMPLETED ===');
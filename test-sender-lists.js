@@ -0,0 +1,172 @@
+/**
+ * Test script for the sender allow / block lists
+ * Entries are matched against the sender of a slip by name and account
+ * fragment; the admin routes run on a local server. A temporary data
+ * directory keeps the real lists and registry untouched
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sender-lists-'));
+
+const { matchAccountFragment } = require('./src/utils/accountMatcher');
+const senderListService = require('./src/services/senderListService');
+const validationService = require('./src/services/validationService');
+const adminRoutes = require('./src/routes/adminRoutes');
+const { mockSlip, rejects } = require('./testHelpers');
+
+console.log('=== SENDER LISTS TEST ===\n');
+
+(async () => {
+  const tests = [];
+
+  // 1. Entry validation
+  const invalid = [
+    { name: 'สมชาย ใจดี' },
+    { list: 'grey', name: 'สมชาย ใจดี' },
+    { list: 'block' },
+    { list: 'block', name: 'นาย' },
+    { list: 'block', account: '12' },
+    { list: 'block', account: 'xxx-x-xabcd-x' },
+    { list: 'block', name: 42 },
+    { list: 'block', name: 'สมชาย ใจดี', policy: { passThreshold: 50 } },
+    { list: 'allow', name: 'สมชาย ใจดี', account: '1234', policy: { passThreshold: -1 } },
+    { list: 'allow', name: 'สมชาย ใจดี' },
+    { list: 'allow', account: '1234', policy: { checks: { expectedAmount: { tolerance: 100 } } } },
+    { list: 'allow', account: '1234', policy: { checks: { fakeDetection: { severity: 'warning' } } } }
+  ].map(fields => rejects(() => senderListService.addEntry(fields)));
+  tests.push({
+    description: 'Entries need a usable name or account, allow entries an account and a policy that keeps the locked checks',
+    passed: invalid.every(error => error !== null && error.statusCode === 400) &&
+      senderListService.listEntries().length === 0 &&
+      rejects(() => senderListService.listEntries('grey')).statusCode === 400
+  });
+
+  // 2. Account fragments
+  tests.push({
+    description: 'Account fragments match the visible digits of a masked account',
+    passed: matchAccountFragment('xxx-x-x6789-x', '123-4-56789-0') === true &&
+      matchAccountFragment('xxx-x-x6789-x', 'xxx-x-x6789-x') === true &&
+      matchAccountFragment('xxx-x-x6789-x', '6789') === true &&
+      matchAccountFragment('xxx-x-x6789-x', '1234') === false &&
+      matchAccountFragment('xxx-x-x6789-x', '123-4-51111-0') === false &&
+      matchAccountFragment('xxx-x-xxxxx-x', '123-4-56789-0') === false &&
+      matchAccountFragment(null, '6789') === false
+  });
+
+  // 3. Blocked account
+  const blockedAccount = senderListService.addEntry({ list: 'block', account: 'xxx-x-x6789-x', reason: 'fake slip 12/10/2568' });
+  const fromBlockedAccount = validationService.validateSlip(
+    mockSlip({ transactionId: '015298170819BQR02651', sender: { name: 'นาย ปิติ มีสุข', account: 'xxx-x-x6789-x' } }), { amount: 1500 }
+  );
+  tests.push({
+    description: 'Slip from a blocked account is HIGH risk with the reason',
+    passed: fromBlockedAccount.valid === false &&
+      fromBlockedAccount.fakeSlipDetection.riskLevel === 'HIGH' &&
+      fromBlockedAccount.fakeSlipDetection.reasons.includes('Sender xxxxx6789x is on the block list (fake slip 12/10/2568)') &&
+      fromBlockedAccount.details.senderList.blocked.id === blockedAccount.id &&
+      validationService.generateReport(fromBlockedAccount).includes(`Sender List: ✗ blocked (${blockedAccount.id})`)
+  });
+
+  // 4. Blocked name, read with OCR errors or in English
+  senderListService.addEntry({ list: 'block', name: 'นาย สมศักดิ์ โกงเก่ง' });
+  const misread = validationService.validateSlip(mockSlip({ transactionId: '015298170819BQR02652', sender: { name: 'สมศักดิ โกงเก่ง' } }), {});
+  const romanized = validationService.validateSlip(mockSlip({ transactionId: '015298170819BQR02653', sender: { name: 'Somsak Kongkeng' } }), {});
+  const otherName = validationService.validateSlip(mockSlip({ transactionId: '015298170819BQR02654', sender: { name: 'สมชาย ใจดี', account: 'xxx-x-x1234-x' } }), {});
+  tests.push({
+    description: 'Blocked names match through titles, OCR errors and transliteration',
+    passed: misread.fakeSlipDetection.riskLevel === 'HIGH' && misread.details.senderList.blocked.matchedOn.includes('name') &&
+      romanized.fakeSlipDetection.riskLevel === 'HIGH' &&
+      otherName.valid === true && otherName.details.senderList === undefined
+  });
+
+  // 5. Name and account together only match that person's account
+  senderListService.addEntry({ list: 'block', name: 'มานี ดีใจ', account: '4321' });
+  const sameAccount = senderListService.check({ name: 'น.ส. มานี ดีใจ', account: 'xxx-x-x4321-x' });
+  const otherAccount = senderListService.check({ name: 'น.ส. มานี ดีใจ', account: 'xxx-x-x5555-x' });
+  const noSender = senderListService.check(null);
+  tests.push({
+    description: 'Entry with a name and an account needs both to match',
+    passed: sameAccount.blocked !== null && sameAccount.blocked.matchedOn.join(',') === 'name,account' &&
+      otherAccount.blocked === null && noSender.matches.length === 0
+  });
+
+  // 6. Allow list policy needs the account, yields to the tenant policy and to the block list
+  const lowConfidence = (transactionId, name, account) => mockSlip({
+    transactionId: transactionId,
+    sender: { name: name, account: account },
+    ocrConfidence: 40
+  });
+  const ocrStatus = (validation) => validation.checks.find(check => check.name === 'ocrConfidence').status;
+  const regular = senderListService.addEntry({
+    list: 'allow',
+    name: 'สุดา รักดี',
+    account: '2468',
+    reason: 'regular customer',
+    policy: { checks: { ocrConfidence: { goodThreshold: 30 } } }
+  });
+  const relaxed = validationService.validateSlip(lowConfidence('015298170819BQR02655', 'นางสาว สุดา รักดี', 'xxx-x-x2468-x'), {});
+  const nameOnly = validationService.validateSlip(lowConfidence('015298170819BQR02656', 'นางสาว สุดา รักดี', 'xxx-x-x1357-x'), {});
+  const tenantWins = validationService.validateSlip(lowConfidence('015298170819BQR02658', 'นางสาว สุดา รักดี', 'xxx-x-x2468-x'), {}, {
+    tenant: { policy: { checks: { ocrConfidence: { goodThreshold: 80 } } } }
+  });
+  senderListService.addEntry({ list: 'allow', account: '6789', policy: { checks: { ocrConfidence: { goodThreshold: 30 } } } });
+  const bothLists = validationService.validateSlip(lowConfidence('015298170819BQR02657', 'ปิติ มีสุข', 'xxx-x-x6789-x'), {});
+  tests.push({
+    description: 'Allow-listed account gets its policy, unless only the name matches, the tenant overrides it or the sender is blocked',
+    passed: ocrStatus(relaxed) === 'pass' && relaxed.details.senderList.allowed.id === regular.id &&
+      relaxed.details.senderList.policyApplied === true &&
+      ocrStatus(nameOnly) === 'fail' && nameOnly.details.senderList === undefined &&
+      ocrStatus(tenantWins) === 'fail' && tenantWins.details.senderList.policyApplied === true &&
+      bothLists.valid === false && bothLists.fakeSlipDetection.riskLevel === 'HIGH' && ocrStatus(bothLists) === 'fail' &&
+      bothLists.details.senderList.allowed !== null && bothLists.details.senderList.policyApplied === false
+  });
+
+  // 7. Admin routes
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', adminRoutes);
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api/admin/sender-lists`;
+
+  const call = async (method, url, body) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method: method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const created = await call('POST', '', { list: 'block', account: '111-2-33333-4', reason: 'chargeback' });
+  const badEntry = await call('POST', '', { list: 'block' });
+  const blockList = await call('GET', '?list=block');
+  const badList = await call('GET', '?list=grey');
+  const removed = await call('DELETE', `/${created.body.entry.id}`);
+  const gone = await call('GET', `/${created.body.entry.id}`);
+  const removedAgain = await call('DELETE', `/${created.body.entry.id}`);
+  tests.push({
+    description: 'Entries are added, listed and removed through the admin API',
+    passed: created.status === 201 && created.body.entry.account === '1112333334' &&
+      badEntry.status === 400 && badList.status === 400 &&
+      blockList.body.entries.length === 4 && blockList.body.entries.every(entry => entry.list === 'block') &&
+      removed.status === 200 && removed.body.entry.reason === 'chargeback' &&
+      gone.status === 404 && removedAgain.status === 404
+  });
+
+  server.closeAllConnections();
+  server.close();
+
+  tests.forEach((test, index) => {
+    console.log(`Test ${index + 1}: ${test.description}`);
+    console.log(`  Status:   ${test.passed ? '✅ PASS' : '❌ FAIL'}\n`);
+  });
+
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+
+  console.log('=== TEST COMPLETED ===');
+})();
@@ -0,0 +1,126 @@
+/**
+ * Test script for slip file types (ALLOWED_FILE_TYPES) and WebP/HEIF/PDF conversion
+ */
+
+const sharp = require('sharp');
+const slipImageService = require('./src/services/slipImageService');
+const { rejectsAsync } = require('./testHelpers');
+
+console.log('=== SLIP FILE TYPES TEST ===\n');
+
+// Minimal PDF with one page per entry, each page showing its lines in Helvetica
+const createPDF = (pages) => {
+  const objects = [];
+  const add = (body) => objects.push(body);
+
+  add('<< /Type /Catalog /Pages 2 0 R >>');
+  add(null); // Page tree, filled in once the page IDs are known
+  add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+
+  const kids = pages.map((lines) => {
+    const stream = lines.map((line, i) => `BT /F1 18 Tf 40 ${740 - i * 30} Td (${line}) Tj ET`).join('\n');
+    add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 420 800] /Resources << /Font << /F1 3 0 R >> >> /Contents ${objects.length} 0 R >>`);
+    return `${objects.length} 0 R`;
+  });
+  objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+};
+
+const formatOf = async (buffer) => (await sharp(buffer).metadata()).format;
+
+(async () => {
+  const tests = [];
+
+  const slip = await sharp({
+    create: { width: 300, height: 500, channels: 3, background: { r: 255, g: 255, b: 255 } }
+  }).composite([{
+    input: { create: { width: 200, height: 40, channels: 3, background: { r: 20, g: 140, b: 60 } } },
+    top: 30,
+    left: 50
+  }]);
+
+  // 1. Upload filter
+  tests.push({
+    description: 'Upload filter follows the allowed types, aliases and file extensions',
+    passed: slipImageService.isAllowed('image/jpg', 'slip.jpg') &&
+      slipImageService.isAllowed('application/octet-stream', 'IMG_0001.HEIC') &&
+      slipImageService.isAllowed('application/pdf', 'slips.pdf') &&
+      !slipImageService.isAllowed('image/gif', 'slip.gif') &&
+      !slipImageService.isAllowed('application/octet-stream', 'slip.exe')
+  });
+
+  // 2. JPEG keeps its original bytes (image forensics reads them)
+  const jpeg = await slip.clone().jpeg().toBuffer();
+  const jpegPages = await slipImageService.toImages(jpeg);
+  tests.push({
+    description: 'JPEG passes through unchanged',
+    passed: jpegPages.length === 1 && jpegPages[0].buffer === jpeg
+  });
+
+  // 3-4. WebP and HEIF
+  const webpPages = await slipImageService.toImages(await slip.clone().webp().toBuffer());
+  tests.push({
+    description: 'WebP is converted to PNG',
+    passed: webpPages.length === 1 && await formatOf(webpPages[0].buffer) === 'png'
+  });
+
+  const heif = await slip.clone().heif({ compression: 'av1' }).toBuffer();
+  const heifPages = await slipImageService.toImages(heif);
+  const heifSize = await sharp(heifPages[0].buffer).metadata();
+  tests.push({
+    description: 'HEIF is converted to PNG',
+    passed: slipImageService.detectType(heif) === 'image/heif' && heifSize.format === 'png' &&
+      heifSize.width === 300 && heifSize.height === 500
+  });
+
+  // 5. Multi-page PDF
+  const pdf = createPDF([['Transaction 015298170819BQR02651', 'Amount 1,500.00'], ['Transaction 015298170820BQR02652']]);
+  const pdfPages = await slipImageService.toImages(pdf);
+  const pageSize = await sharp(pdfPages[1].buffer).metadata();
+  tests.push({
+    description: 'Every PDF page becomes an image',
+    passed: pdfPages.length === 2 && pdfPages[1].page === 2 && pageSize.format === 'png' &&
+      pageSize.width === 420 * slipImageService.pdfScale && pageSize.height === 800 * slipImageService.pdfScale
+  });
+
+  // 6. Page limit
+  const maxPdfPages = slipImageService.maxPdfPages;
+  slipImageService.maxPdfPages = 1;
+  const tooLong = await rejectsAsync(() => slipImageService.toImages(pdf));
+  slipImageService.maxPdfPages = maxPdfPages;
+  tests.push({
+    description: 'PDF over the page limit is rejected',
+    passed: tooLong !== null && tooLong.statusCode === 400 && /too many pages/.test(tooLong.message)
+  });
+
+  // 7. Content decides, not the declared type
+  const allowedTypes = slipImageService.allowedTypes;
+  slipImageService.allowedTypes = ['image/jpeg', 'image/png'];
+  const pdfNotAllowed = await rejectsAsync(() => slipImageService.toImages(pdf));
+  slipImageService.allowedTypes = allowedTypes;
+  const garbage = await rejectsAsync(() => slipImageService.toImages(Buffer.from('this is not a slip image at all')));
+  tests.push({
+    description: 'Content of a type that is not allowed is rejected',
+    passed: pdfNotAllowed !== null && pdfNotAllowed.code === 'INVALID_SLIP_FILE' &&
+      garbage !== null && garbage.code === 'INVALID_SLIP_FILE'
+  });
+
+  tests.forEach((test, index) => {
+    console.log(`Test ${index + 1}: ${test.description}`);
+    console.log(`  Status:   ${test.passed ? '✅ PASS' : '❌ FAIL'}\n`);
+  });
+
+  console.log('=== TEST COMPLETED ===');
+})();
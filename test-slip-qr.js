@@ -0,0 +1,109 @@
+/**
+ * Test script for slip mini-QR payload decoding and QR/OCR cross-check
+ * Uses a temporary data directory so the real registry is never touched
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'slip-qr-'));
+
+const slipQRParser = require('./src/utils/slipQRParser');
+const validationService = require('./src/services/validationService');
+
+console.log('=== SLIP QR TEST ===\n');
+
+// Build a slip QR payload the same way banks do (TLV + CRC16)
+function buildPayload(transactionRef, bankCode = '004') {
+  const tlv = (tag, value) => `${tag}${String(value.length).padStart(2, '0')}${value}`;
+  const apiData = tlv('00', '000001') + tlv('01', bankCode) + tlv('02', transactionRef);
+  const body = tlv('00', apiData) + tlv('51', 'TH') + '9104';
+  return body + slipQRParser.crc16(body);
+}
+
+const payload = buildPayload('015298170819BQR02651');
+const decoded = slipQRParser.parse(payload);
+
+const mockSlipData = {
+  success: true,
+  transactionId: '015298170819BQR02651',
+  transactionIdSource: 'ocr',
+  amount: 40.00,
+  dateTime: {
+    time: '17:08'
+  },
+  ocrConfidence: 85
+};
+
+const matching = validationService.validateSlip(
+  { ...mockSlipData, qr: decoded },
+  {},
+  { duplicateCheck: false }
+);
+const tampered = validationService.validateSlip(
+  { ...mockSlipData, qr: slipQRParser.parse(buildPayload('015298093311ATF01234')) },
+  {},
+  { duplicateCheck: false }
+);
+const misread = validationService.validateSlip(
+  { ...mockSlipData, qr: slipQRParser.parse(buildPayload('015298170819BQR02657')) },
+  {},
+  { duplicateCheck: false }
+);
+
+// A genuine slip, then the same slip with one printed character edited
+const original = validationService.validateSlip(
+  { ...mockSlipData, transactionId: '015298170819BQR02661', qr: slipQRParser.parse(buildPayload('015298170819BQR02660')) },
+  {}
+);
+const edited = validationService.validateSlip(
+  { ...mockSlipData, transactionId: '015298170819BQR02669', qr: slipQRParser.parse(buildPayload('015298170819BQR02660')) },
+  {}
+);
+
+const tests = [
+  {
+    description: 'Payload decodes sending bank and reference',
+    passed: decoded !== null &&
+      decoded.sendingBank === 'KBANK' &&
+      decoded.transactionRef === '015298170819BQR02651'
+  },
+  {
+    description: 'Checksum is verified',
+    passed: decoded.crcValid === true &&
+      slipQRParser.parse(payload.slice(0, -4) + '0000').crcValid === false
+  },
+  {
+    description: 'Non-slip QR text is ignored',
+    passed: slipQRParser.parse('https://example.com') === null
+  },
+  {
+    description: 'Matching QR reference scores and passes',
+    passed: matching.valid === true && matching.details.qrValidation.valid === true
+  },
+  {
+    description: 'Mismatching QR reference is flagged as tampering',
+    passed: tampered.valid === false && tampered.fakeSlipDetection.riskLevel === 'HIGH'
+  },
+  {
+    description: 'Near-identical QR reference is only a warning',
+    passed: misread.details.qrValidation.likelyOCRError === true &&
+      misread.errors.length === 0
+  },
+  {
+    description: 'QR reference is the registered ID, so an edited printed ID is still a duplicate',
+    passed: original.valid === true && original.details.transactionInfo.raw === '015298170819BQR02660' &&
+      edited.valid === false && edited.duplicateOf !== null &&
+      edited.duplicateOf.verificationId === original.verificationId
+  }
+];
+
+tests.forEach((test, index) => {
+  console.log(`Test ${index + 1}: ${test.description}`);
+  console.log(`  Status:   ${test.passed ? '✅ PASS' : '❌ FAIL'}\n`);
+});
+
+fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+
+console.log('=== TEST COMPLETED ===');
@@ -0,0 +1,172 @@
+/**
+ * Test script for account statement import, the statement match check and
+ * reconciliation. Uses a temporary data directory so the real ledger and
+ * history are never touched
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'statement-ledger-'));
+
+const statementParser = require('./src/utils/statementParser');
+const statementLedger = require('./src/services/statementLedger');
+const validationService = require('./src/services/validationService');
+const historyService = require('./src/services/historyService');
+const reconciliationService = require('./src/services/reconciliationService');
+const { mockSlip, rejects } = require('./testHelpers');
+
+console.log('=== STATEMENT RECONCILIATION TEST ===\n');
+
+const csvStatement = [
+  'บัญชี,ร้านค้า ABC,xxx-x-x1234-x',
+  'ช่วงวันที่,25/10/2568 - 25/10/2568',
+  '"วันที่","เวลา","รายการ","ถอนเงิน (บาท)","ฝากเงิน (บาท)","ยอดคงเหลือ (บาท)","ช่องทาง","รายละเอียด"',
+  '25-10-68,17:08,รับโอนเงิน,,"1,500.00","25,300.00",K PLUS,"จาก X1234, นาย สมชาย"',
+  '25-10-68,17:30,รับโอนเงิน,,250.00,"25,550.00",K PLUS,จาก X5678',
+  '25-10-68,18:00,ถอนเงิน,200.00,,"25,350.00",ATM,',
+  '25-10-68,19:05,รับโอนเงินพร้อมเพย์,,990.00,"26,340.00",PromptPay,',
+  'รวม,,,200.00,"2,740.00",,,'
+].join('\r\n');
+
+// Fixed-width export: date, time, description, withdrawal, deposit, balance, channel, details
+const fixedLine = (date, time, description, withdrawal, deposit, balance, channel, details) =>
+  `${date.padEnd(10)} ${time.padEnd(8)} ${description.padEnd(30)}${withdrawal.padStart(16)}${deposit.padStart(16)}` +
+  `${balance.padStart(16)} ${channel.padEnd(20)}${details}`;
+
+// TIS-620: Thai letters U+0E01-U+0E5B are the single bytes 0xA1-0xFB
+const toTIS620 = (text) => Buffer.from([...text].map(char => {
+  const code = char.charCodeAt(0);
+  return code >= 0x0E01 && code <= 0x0E5B ? code - 0x0E01 + 0xA1 : code;
+}));
+
+const verify = (slipData, options = {}) => {
+  const validation = validationService.validateSlip(slipData, {}, options);
+  historyService.record({ success: true, validation, slipData }, null, { source: 'verify', apiKeyId: options.apiKeyId });
+  return validation;
+};
+
+const statementCheck = (validation) => validation.checks.find(check => check.name === 'statementMatch');
+
+const tests = [];
+
+// 1. CSV with Thai headers, account lines above and totals below
+const csv = statementParser.parse(csvStatement);
+tests.push({
+  description: 'CSV statement is read by its Thai header row',
+  passed: csv.format === 'csv' && csv.rows.length === 4 && csv.skippedLines === 1 &&
+    csv.rows[0].amount === 1500 && csv.rows[0].type === 'credit' && csv.rows[0].balance === 25300 &&
+    csv.rows[0].bookedAt === '2025-10-25T17:08:00+07:00' && csv.rows[0].details === 'จาก X1234, นาย สมชาย' &&
+    csv.rows[2].type === 'debit'
+});
+
+// 2. Fixed-width text in TIS-620
+const fixedText = [
+  'KASIKORNBANK STATEMENT',
+  fixedLine('Date', 'Time', 'Description', 'Withdrawal', 'Deposit', 'Balance', 'Channel', 'Details'),
+  fixedLine('26/10/2568', '09:15:02', 'รับโอนเงิน', '', '3,200.00', '29,540.00', 'K PLUS', 'จาก X9999 นางสาว สุดา'),
+  fixedLine('26/10/2568', '10:00:00', 'ชำระค่าบริการ', '40.00', '', '29,500.00', 'K PLUS', '')
+].join('\n');
+const fixed = statementParser.parse(statementParser.decode(toTIS620(fixedText)));
+tests.push({
+  description: 'Fixed-width statement in TIS-620 is decoded and read by column',
+  passed: fixed.format === 'fixed' && fixed.rows.length === 2 && fixed.skippedLines === 2 &&
+    fixed.rows[0].amount === 3200 && fixed.rows[0].description === 'รับโอนเงิน' &&
+    fixed.rows[0].details === 'จาก X9999 นางสาว สุดา' && fixed.rows[1].amount === 40
+});
+
+// 3. A slip verified before its statement is imported is not judged
+const beforeImport = verify(mockSlip({ transactionId: '015298190512BQR02653', amount: 990, dateTime: { time: '19:05' } }));
+tests.push({
+  description: 'Slip without an imported statement skips the statement check',
+  passed: beforeImport.valid === true && beforeImport.details.statementMatch.found === null &&
+    statementCheck(beforeImport) === undefined
+});
+
+// 4. Import, re-import and invalid statements
+const firstImport = statementLedger.importStatement(Buffer.from(csvStatement), { fileName: 'statement.csv' });
+const reImport = statementLedger.importStatement(csvStatement);
+const noHeader = rejects(() => statementLedger.importStatement('no,statement,here', { format: 'csv' }));
+const empty = rejects(() => statementLedger.importStatement('nothing to see'));
+tests.push({
+  description: 'Import adds credits once and refuses unreadable statements',
+  passed: firstImport.credits === 3 && firstImport.added === 3 && reImport.added === 0 && reImport.duplicates === 3 &&
+    firstImport.periodFrom === '2025-10-24T17:00:00.000Z' && firstImport.periodTo === '2025-10-25T12:05:00.000Z' &&
+    statementLedger.listCredits().length === 3 &&
+    noHeader !== null && noHeader.statusCode === 400 && empty !== null && empty.statusCode === 400
+});
+
+// 5. Matching credit is found and claimed
+const paid = verify(mockSlip({ transactionId: '015298170819BQR02651', amount: 1500, dateTime: { time: '17:08' } }));
+const claimed = statementLedger.findByTransactionId('015298170819BQR02651');
+tests.push({
+  description: 'Slip with a credit in the statement passes and claims the credit',
+  passed: paid.valid === true && statementCheck(paid).status === 'pass' &&
+    paid.details.statementMatch.bookedAt === '2025-10-25T17:08:00+07:00' &&
+    claimed !== null && claimed.matchedVerificationId === paid.verificationId
+});
+
+// 6. Second slip for the same credit, and fatal severity
+const second = verify(mockSlip({ transactionId: '015298170819BQR02652', amount: 1500, dateTime: { time: '17:08' } }));
+const strict = validationService.validateSlip(mockSlip({ transactionId: '015298170930BQR02655', amount: 780, dateTime: { time: '17:09' } }), {}, {
+  policy: { checks: { statementMatch: { severity: 'fatal' } } }
+});
+tests.push({
+  description: 'Slip without its own credit is flagged, and rejected when fatal',
+  passed: second.valid === true && statementCheck(second).status === 'fail' &&
+    second.warnings.some(warning => warning.startsWith('No credit of 1500')) &&
+    strict.valid === false && strict.errors.some(error => error.startsWith('No credit of 780'))
+});
+
+// 7. Reconciliation reports late matches, and only claims them when asked
+const late = verify(mockSlip({ transactionId: '015298200000BQR02654', amount: 450, dateTime: { time: '20:00' } }));
+const report = reconciliationService.reconcile({ to: '2025-10-25T23:59:59+07:00' });
+const unclaimed = statementLedger.findByTransactionId('015298190512BQR02653');
+const claimedReport = reconciliationService.reconcile({ to: '2025-10-25T23:59:59+07:00', claim: true });
+const afterClaim = reconciliationService.reconcile({ to: '2025-10-25T23:59:59+07:00' });
+tests.push({
+  description: 'Reconciliation matches late slips without claiming them, and lists credits and slips without a partner',
+  passed: late.details.statementMatch.found === null &&
+    report.summary.credits === 3 && report.summary.matched === 2 && report.claimed === false &&
+    report.newMatches.length === 1 && report.newMatches[0].transactionId === '015298190512BQR02653' &&
+    report.unmatchedCredits.length === 1 && report.unmatchedCredits[0].amount === 250 &&
+    report.unmatchedSlips.length === 1 && report.unmatchedSlips[0].transactionId === '015298170819BQR02652' &&
+    report.pendingSlips.length === 1 && report.pendingSlips[0].transactionId === '015298200000BQR02654' &&
+    unclaimed === null &&
+    claimedReport.claimed === true && claimedReport.newMatches.length === 1 &&
+    statementLedger.findByTransactionId('015298190512BQR02653') !== null &&
+    afterClaim.newMatches.length === 0 && afterClaim.summary.matched === 2
+});
+
+// 8. Statements belong to the tenant whose account they are
+const tenantStatement = [
+  '"วันที่","เวลา","รายการ","ถอนเงิน (บาท)","ฝากเงิน (บาท)","ยอดคงเหลือ (บาท)","ช่องทาง","รายละเอียด"',
+  '27-10-68,10:00,รับโอนเงิน,,600.00,"8,600.00",K PLUS,จาก X4321'
+].join('\r\n');
+statementLedger.importStatement(tenantStatement, { apiKeyId: 'key-shop-a' });
+const otherTenant = verify(mockSlip({ transactionId: '015298100000BQR02656', amount: 600, dateTime: { date: '27/10/2568', time: '10:00' } }), { apiKeyId: 'key-shop-b' });
+const otherReport = reconciliationService.reconcile({ apiKeyId: 'key-shop-b', claim: true });
+const untouched = statementLedger.listCredits(null, null, 'key-shop-a').filter(credit => !credit.matchedTransactionId);
+const owner = verify(mockSlip({ transactionId: '015298100000BQR02657', amount: 600, dateTime: { date: '27/10/2568', time: '10:00' } }), { apiKeyId: 'key-shop-a' });
+const ownerReport = reconciliationService.reconcile({ apiKeyId: 'key-shop-a' });
+tests.push({
+  description: 'Slips are only matched against the statements of their own tenant',
+  passed: otherTenant.details.statementMatch.found === null &&
+    otherReport.summary.credits === 0 && otherReport.newMatches.length === 0 &&
+    otherReport.pendingSlips.length === 1 &&
+    untouched.length === 1 &&
+    statementLedger.listCredits(null, null).length === 3 && statementLedger.listImports('key-shop-a').length === 1 &&
+    statementCheck(owner).status === 'pass' &&
+    statementLedger.findByTransactionId('015298100000BQR02657', 'key-shop-a') !== null &&
+    ownerReport.summary.credits === 1 && ownerReport.summary.matched === 1 && ownerReport.unmatchedCredits.length === 0
+});
+
+tests.forEach((test, index) => {
+  console.log(`Test ${index + 1}: ${test.description}`);
+  console.log(`  Status:   ${test.passed ? '✅ PASS' : '❌ FAIL'}\n`);
+});
+
+fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+
+console.log('=== TEST COMPLETED ===');
@@ -0,0 +1,63 @@
+/**
+ * Test script for the Thai slip date parser
+ */
+
+const thaiDateParser = require('./src/utils/thaiDateParser');
+const validationService = require('./src/services/validationService');
+
+console.log('=== THAI DATE PARSER TEST ===\n');
+
+const testCases = [
+  { input: '25 ต.ค. 68 17:08 น.', expected: '2025-10-25T17:08:00+07:00' },
+  { input: '25ต.ค68 17:08น.', expected: '2025-10-25T17:08:00+07:00' },
+  { input: '1 ม.ค. 2569 - 00:05', expected: '2026-01-01T00:05:00+07:00' },
+  { input: '25 ตุลาคม 2568 17:08:19', expected: '2025-10-25T17:08:19+07:00' },
+  { input: '25 Oct 2025, 17:08', expected: '2025-10-25T17:08:00+07:00' },
+  { input: '25/10/2568 17:08', expected: '2025-10-25T17:08:00+07:00' },
+  { input: 'ค่าธรรมเนียม 0.00 บาท 25 ต.ค. 68 17:08', expected: '2025-10-25T17:08:00+07:00' },
+  { input: '31 ก.พ. 68 10:00', expected: null },
+  { input: 'จำนวน 1,500.00 บาท', expected: null }
+];
+
+testCases.forEach((testCase, index) => {
+  const parsed = thaiDateParser.parse(testCase.input);
+  const actual = parsed ? parsed.iso : null;
+  const passed = actual === testCase.expected;
+
+  console.log(`Test ${index + 1}: "${testCase.input}"`);
+  console.log(`  Expected: ${testCase.expected}`);
+  console.log(`  Got:      ${actual}`);
+  console.log(`  Status:   ${passed ? '✅ PASS' : '❌ FAIL'}\n`);
+});
+
+// Slip age window
+const dateTime = {
+  day: 25,
+  month: 10,
+  year: 2568,
+  iso: '2025-10-25T17:08:00+07:00',
+  timestamp: Date.parse('2025-10-25T17:08:00+07:00')
+};
+const check = { maxAgeHours: 24, futureToleranceMinutes: 5 };
+
+const ageTests = [
+  {
+    description: 'Slip from 2 hours ago is accepted',
+    passed: validationService.validateSlipAge(dateTime, check, Date.parse('2025-10-25T19:08:00+07:00')).valid === true
+  },
+  {
+    description: 'Slip older than the window is rejected',
+    passed: validationService.validateSlipAge(dateTime, check, Date.parse('2025-10-27T09:00:00+07:00')).valid === false
+  },
+  {
+    description: 'Slip dated in the future is rejected',
+    passed: validationService.validateSlipAge(dateTime, check, Date.parse('2025-10-25T16:00:00+07:00')).valid === false
+  }
+];
+
+ageTests.forEach((test, index) => {
+  console.log(`Test ${testCases.length + index + 1}: ${test.description}`);
+  console.log(`  Status:   ${test.passed ? '✅ PASS' : '❌ FAIL'}\n`);
+});
+
+console.log('=== TEST COMPLETED ===');
@@ -0,0 +1,85 @@
+/**
+ * Test script for slip time matching (seconds, tolerance, midnight rollover)
+ */
+
+const { compareTimes } = require('./src/utils/timeMatcher');
+const transactionParser = require('./src/utils/transactionParser');
+const validationService = require('./src/services/validationService');
+
+console.log('=== TIME MATCHER TEST ===\n');
+
+const testCases = [
+  {
+    description: '13:59:40 vs slip 14:00 is 20 seconds apart, not a different hour',
+    result: compareTimes({ hour: 13, minute: 59, second: 40 }, { hour: 14, minute: 0, second: null }),
+    expected: { match: true, deltaSeconds: 20 }
+  },
+  {
+    description: 'Inside the printed minute counts as 0 seconds apart',
+    result: compareTimes({ hour: 17, minute: 8, second: 19 }, { hour: 17, minute: 8, second: null }),
+    expected: { match: true, deltaSeconds: 0 }
+  },
+  {
+    description: '23:59:50 vs slip 00:00 rolls over midnight',
+    result: compareTimes({ hour: 23, minute: 59, second: 50 }, { hour: 0, minute: 0, second: null }),
+    expected: { match: true, deltaSeconds: 10 }
+  },
+  {
+    description: '00:00:10 vs slip 23:59 rolls back over midnight',
+    result: compareTimes({ hour: 0, minute: 0, second: 10 }, { hour: 23, minute: 59, second: null }),
+    expected: { match: true, deltaSeconds: -11 }
+  },
+  {
+    description: 'Slip 3 minutes later is rejected',
+    result: compareTimes({ hour: 17, minute: 8, second: 0 }, { hour: 17, minute: 11, second: 0 }),
+    expected: { match: false, deltaSeconds: 180 }
+  },
+  {
+    description: 'Tolerance is configurable',
+    result: compareTimes({ hour: 17, minute: 8, second: 0 }, { hour: 17, minute: 11, second: 0 }, { toleranceSeconds: 300 }),
+    expected: { match: true, deltaSeconds: 180 }
+  }
+];
+
+testCases.forEach((testCase, index) => {
+  const passed = testCase.result.match === testCase.expected.match &&
+    testCase.result.deltaSeconds === testCase.expected.deltaSeconds;
+
+  console.log(`Test ${index + 1}: ${testCase.description}`);
+  console.log(`  Expected: match=${testCase.expected.match}, delta=${testCase.expected.deltaSeconds}s`);
+  console.log(`  Got:      match=${testCase.result.match}, delta=${testCase.result.deltaSeconds}s`);
+  console.log(`  Status:   ${passed ? '✅ PASS' : '❌ FAIL'}\n`);
+});
+
+// BBL transaction IDs carry date and time, so the day rolls over too
+const bblId = '002' + '681025' + '235955' + '01' + '123456';
+const nextDay = transactionParser.verifyDateTime(bblId, '26 ต.ค. 68 00:00 น.');
+const wrongDay = transactionParser.verifyDateTime(bblId, '26 ต.ค. 68 23:59 น.');
+
+// A slip read at second 0 is exact, not a whole minute
+const kbankTransaction = transactionParser.parse('015298170819BQR02651');
+const zeroSecond = validationService.validateTime({ dateTime: { time: '17:08', second: 0 } }, kbankTransaction, 120);
+const noSecond = validationService.validateTime({ dateTime: { time: '17:08', second: null } }, kbankTransaction, 120);
+
+const dateTests = [
+  {
+    description: 'Transaction 25 Oct 23:59:55 matches slip 26 Oct 00:00',
+    passed: nextDay.valid === true && nextDay.dateMatch === true && nextDay.deltaSeconds === 5
+  },
+  {
+    description: 'Same clock time a day later does not match',
+    passed: wrongDay.valid === false
+  },
+  {
+    description: 'Slip second 0 is compared as :00, a missing second as the whole minute',
+    passed: zeroSecond.valid === true && zeroSecond.deltaSeconds === -19 &&
+      noSecond.valid === true && noSecond.deltaSeconds === 0
+  }
+];
+
+dateTests.forEach((test, index) => {
+  console.log(`Test ${testCases.length + index + 1}: ${test.description}`);
+  console.log(`  Status:   ${test.passed ? '✅ PASS' : '❌ FAIL'}\n`);
+});
+
+console.log('=== TEST COMPLETED ===');
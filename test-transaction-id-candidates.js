@@ -0,0 +1,86 @@
+/**
+ * Test script for grammar-driven transaction ID candidates
+ */
+
+const transactionIdCorrector = require('./src/utils/transactionIdCorrector');
+const ocrService = require('./src/services/ocrService');
+
+console.log('=== TRANSACTION ID CANDIDATES TEST ===\n');
+
+const testCases = [
+  {
+    description: 'Clean KBank ID is kept and not repaired',
+    input: '015298170819BQR02651',
+    expected: '015298170819BQR02651',
+    repaired: false
+  },
+  {
+    description: '8QR8 is repaired to the known BQR0 type',
+    input: '0152981708198QR802651',
+    expected: '015298170819BQR02651',
+    repaired: true
+  },
+  {
+    description: 'Letter O in the type code becomes BPMO',
+    input: '015298181623BPM04591',
+    expected: '015298181623BPMO4591',
+    repaired: true
+  },
+  {
+    description: 'Stray leading character is dropped',
+    input: 'Q015298170819BQR02651',
+    expected: '015298170819BQR02651',
+    repaired: true
+  },
+  {
+    description: 'S read for 5 in a BBL ID',
+    input: '002681025235955011234S6',
+    expected: '00268102523595501123456',
+    repaired: true
+  }
+];
+
+testCases.forEach((testCase, index) => {
+  const [best] = transactionIdCorrector.correct(testCase.input);
+  const passed = best && best.transactionId === testCase.expected && best.repaired === testCase.repaired;
+
+  console.log(`Test ${index + 1}: ${testCase.description}`);
+  console.log(`  Input:    ${testCase.input}`);
+  console.log(`  Expected: ${testCase.expected} (repaired: ${testCase.repaired})`);
+  console.log(`  Got:      ${best ? `${best.transactionId} (repaired: ${best.repaired}, confidence: ${best.confidence})` : null}`);
+  console.log(`  Status:   ${passed ? '✅ PASS' : '❌ FAIL'}\n`);
+});
+
+// Whole-slip ranking
+const slipText = `บจก. เพย์ โซลูชัน
+202510255360001
+
+เลขที่รายการ:
+0152981708198ดู802651
+
+จำนวน:
+40.00 บาท`;
+
+const candidates = ocrService.extractTransactionIdCandidates(slipText);
+const rankingTests = [
+  {
+    description: 'Labelled ID outranks a reference number elsewhere on the slip',
+    passed: candidates.length > 0 && candidates[0].transactionId === '015298170819BQR02651'
+  },
+  {
+    description: 'Several candidates are returned, best first',
+    passed: candidates.length > 1 &&
+      candidates.every((candidate, index) => index === 0 || candidate.confidence <= candidates[index - 1].confidence)
+  },
+  {
+    description: 'Readings that fit no grammar give no candidates',
+    passed: transactionIdCorrector.correct('HELLO WORLD 123').length === 0
+  }
+];
+
+rankingTests.forEach((test, index) => {
+  console.log(`Test ${testCases.length + index + 1}: ${test.description}`);
+  console.log(`  Status:   ${test.passed ? '✅ PASS' : '❌ FAIL'}\n`);
+});
+
+console.log('=== TEST COMPLETED ===');
@@ -125,7 +125,7 @@ console.log(JSON.stringify(mockSlipData, null, 2));
 const comprehensiveResult = validationService.validateSlip(mockSlipData, {
   amount: 1500.00,
   recipient: 'ร้านค้า ABC'
-});
+}, { duplicateCheck: false });
 
 console.log('\n' + validationService.generateReport(comprehensiveResult));
 
@@ -0,0 +1,58 @@
+/**
+ * Shared helpers for the test-*.js scripts
+ */
+
+/**
+ * Slip data as ocrService.parseSlip returns it for a readable KBank slip
+ * @param {object} fields - Fields to replace; dateTime is merged with the default date and time
+ * @returns {object} Slip data
+ */
+function mockSlip(fields = {}) {
+  return {
+    success: true,
+    transactionId: '015298170819BQR02651',
+    amount: 1500.00,
+    recipient: 'ร้านค้า ABC',
+    ocrConfidence: 85,
+    ...fields,
+    dateTime: {
+      date: '25/10/2568',
+      time: '17:08',
+      ...fields.dateTime
+    }
+  };
+}
+
+/**
+ * Run code that is expected to throw
+ * @param {function} work - Code to run
+ * @returns {Error|null} The error thrown, or null when none was
+ */
+function rejects(work) {
+  try {
+    work();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * Run async code that is expected to reject
+ * @param {function} work - Code to run, returning a promise
+ * @returns {Promise<Error|null>} The rejection, or null when it resolved
+ */
+async function rejectsAsync(work) {
+  try {
+    await work();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+module.exports = {
+  mockSlip,
+  rejects,
+  rejectsAsync
+};